@@ -40,129 +40,49 @@ function resizeCanvas() {
 window.addEventListener('resize', resizeCanvas);
 resizeCanvas();
 
-// Mode Manager
-class ModeManager {
-    constructor() {
-        this.currentMode = null;
-        this.modes = new Map();
-        this.draggedStone = null;
-        this.dragOffsetX = 0;
-        this.dragOffsetY = 0;
-    }
-
-    // Register a mode
-    registerMode(ModeClass) {
-        const metadata = ModeClass.getMetadata();
-        this.modes.set(metadata.id, {
-            class: ModeClass,
-            metadata: metadata,
-            instance: null
-        });
-    }
-
-    // Switch to a different mode
-    switchMode(modeId) {
-        // Cleanup current mode
-        if (this.currentMode) {
-            this.currentMode.cleanup();
-        }
-
-        // Get mode data
-        const modeData = this.modes.get(modeId);
-        if (!modeData) {
-            console.error(`Mode ${modeId} not found`);
-            return;
-        }
-
-        // Create new instance
-        modeData.instance = new modeData.class(canvas, ctx, renderer);
-        this.currentMode = modeData.instance;
-
-        // Initialize mode
-        this.currentMode.init();
-
-        console.log(`Switched to mode: ${modeData.metadata.name}`);
-    }
-
-    // Get current mode
-    getCurrentMode() {
-        return this.currentMode;
-    }
-
-    // Get event position (handles both mouse and touch)
-    getEventPosition(e) {
-        const rect = canvas.getBoundingClientRect();
-        const scaleX = canvas.width / rect.width;
-        const scaleY = canvas.height / rect.height;
-        // Use changedTouches for touchend (touches is empty when finger lifts)
-        const source = e.touches && e.touches.length > 0 ? e.touches[0]
-            : e.changedTouches && e.changedTouches.length > 0 ? e.changedTouches[0]
-            : e;
-        const x = (source.clientX - rect.left) * scaleX;
-        const y = (source.clientY - rect.top) * scaleY;
-        return {x, y};
-    }
-
-    // Event handlers
-    onPointerDown(e) {
-        e.preventDefault();
-        if (!this.currentMode) return;
-
-        const {x, y} = this.getEventPosition(e);
-
-        // Let mode handle the pointer down
-        this.draggedStone = this.currentMode.onPointerDown(x, y);
-
-        if (this.draggedStone) {
-            this.dragOffsetX = x - this.draggedStone.x;
-            this.dragOffsetY = y - this.draggedStone.y;
-        }
-    }
-
-    onPointerMove(e) {
-        e.preventDefault();
-        if (!this.currentMode) return;
-
-        const {x, y} = this.getEventPosition(e);
-
-        // Calculate adjusted position with offset
-        const adjustedX = this.draggedStone ? x - this.dragOffsetX : x;
-        const adjustedY = this.draggedStone ? y - this.dragOffsetY : y;
-
-        // Let mode handle the pointer move
-        this.currentMode.onPointerMove(adjustedX, adjustedY, this.draggedStone);
-    }
-
-    onPointerUp(e) {
-        e.preventDefault();
-        if (!this.currentMode) return;
-
-        const {x, y} = this.getEventPosition(e);
-
-        // Let mode handle the pointer up
-        this.currentMode.onPointerUp(x, y, this.draggedStone);
-
-        // Clear dragged stone
-        this.draggedStone = null;
-    }
-
-    // Handle window blur (pause dragging)
-    onBlur() {
-        if (this.draggedStone) {
-            this.draggedStone.stopDrag();
-            this.draggedStone = null;
-        }
+// Seed the shared random generator from ?seed= so a session can be reproduced.
+// Without one, keep the fresh seed and write it into the URL for sharing.
+function initSessionSeed() {
+    const params = new URLSearchParams(window.location.search);
+    const seed = params.get('seed');
+    if (seed) {
+        Random.setSeed(seed);
+    } else {
+        params.set('seed', Random.getSeed());
+        const url = `${window.location.pathname}?${params.toString()}${window.location.hash}`;
+        window.history.replaceState(null, '', url);
     }
 }
+initSessionSeed();
 
 // Initialize mode manager
-const modeManager = new ModeManager();
+const modeManager = new ModeManager(canvas, ctx, renderer);
 
 // Register all available modes
 modeManager.registerMode(FreeExploreMode);
 modeManager.registerMode(NumberStructuresMode);
 modeManager.registerMode(BalanceScaleMode);
 modeManager.registerMode(StackBalanceMode);
+modeManager.registerMode(MultiLeverBalanceMode);
+modeManager.registerMode(NumberLineMode);
+modeManager.registerMode(PlaceValueMode);
+modeManager.registerMode(TenFrameMode);
+modeManager.registerMode(FractionsMode);
+modeManager.registerMode(ArraysMode);
+
+// Practice challenges once the library is done, drawn from the session seed
+const challengeGenerator = new ChallengeGenerator({ seed: `${Random.getSeed()}/challenges` });
+const challengeEngine = new ChallengeEngine(modeManager, { generator: challengeGenerator });
+
+// Record the whole session (input, mode switches, challenge loads) for replay.
+// Started before the first mode exists, so playback rebuilds it exactly.
+const sessionRecorder = new SessionRecorder(modeManager, challengeEngine);
+modeManager.recorder = sessionRecorder;
+sessionRecorder.start();
+window.addEventListener('resize', () => {
+    const dims = renderer.getDimensions();
+    sessionRecorder.record('resize', dims.width, dims.height);
+});
 
 // Set initial mode
 modeManager.switchMode('free-explore');
@@ -170,7 +90,14 @@ modeManager.switchMode('free-explore');
 // Initialize UI systems
 const modeSelector = new ModeSelector(modeManager, document.getElementById('garden-container'));
 const hintSystem = new HintSystem(canvas);
-const challengeEngine = new ChallengeEngine(modeManager);
+hintSystem.stateSource = () => {
+    const mode = modeManager.getCurrentMode();
+    return mode ? mode.getState() : null;
+};
+const seedDisplay = new SeedDisplay(Random, document.getElementById('garden-container'));
+const historyControls = new HistoryControls(modeManager, document.getElementById('garden-container'));
+const challengeControls = new ChallengeControls(challengeEngine, modeManager, document.getElementById('garden-container'));
+const replayViewer = new ReplayViewer(modeManager, sessionRecorder, document.getElementById('garden-container'));
 
 // Update hint system when mode changes
 const originalSwitchMode = modeManager.switchMode.bind(modeManager);
@@ -185,25 +112,47 @@ hintSystem.setMode('free-explore');
 // Track interaction for hint system
 let hasInteractionThisFrame = false;
 
-// Bind event listeners
-canvas.addEventListener('mousedown', (e) => { hasInteractionThisFrame = true; modeManager.onPointerDown(e); });
-canvas.addEventListener('mousemove', (e) => { if (modeManager.draggedStone) hasInteractionThisFrame = true; modeManager.onPointerMove(e); });
-canvas.addEventListener('mouseup', (e) => { hasInteractionThisFrame = true; modeManager.onPointerUp(e); challengeEngine.checkGoals(); });
-canvas.addEventListener('touchstart', (e) => { hasInteractionThisFrame = true; modeManager.onPointerDown(e); }, { passive: false });
-canvas.addEventListener('touchmove', (e) => { if (modeManager.draggedStone) hasInteractionThisFrame = true; modeManager.onPointerMove(e); }, { passive: false });
-canvas.addEventListener('touchend', (e) => { hasInteractionThisFrame = true; modeManager.onPointerUp(e); challengeEngine.checkGoals(); }, { passive: false });
+// Bind event listeners (Pointer Events: mouse, touch and pen alike).
+// Pointer capture sends a drag's moves and release here even off the canvas;
+// a cancelled or lost pointer aborts its drag through the mode's onPointerCancel.
+canvas.addEventListener('pointerdown', (e) => { hasInteractionThisFrame = true; modeManager.onPointerDown(e); });
+canvas.addEventListener('pointermove', (e) => { if (modeManager.isDragging()) hasInteractionThisFrame = true; modeManager.onPointerMove(e); });
+canvas.addEventListener('pointerup', (e) => { hasInteractionThisFrame = true; modeManager.onPointerUp(e); challengeEngine.checkGoals(); });
+canvas.addEventListener('pointercancel', (e) => modeManager.onPointerCancel(e));
+canvas.addEventListener('lostpointercapture', (e) => modeManager.onPointerCancel(e));
+
+// Keyboard and switch access. ?scan turns on single-switch scanning
+// (?scan=2000 sets the milliseconds each item stays highlighted).
+const scanParam = new URLSearchParams(window.location.search).get('scan');
+const keyboardControls = new KeyboardControls(modeManager, canvas, {
+    scanning: scanParam !== null,
+    scanInterval: Number(scanParam) / 1000 || undefined
+});
+keyboardControls.onAction = () => { hasInteractionThisFrame = true; challengeEngine.checkGoals(); };
+
+// Hidden copy of the scene and live announcements for screen readers
+const screenReader = new ScreenReaderLayer(modeManager, document.getElementById('garden-container'), keyboardControls);
 window.addEventListener('blur', () => modeManager.onBlur());
 
 // Animation loop
-let lastTime = 0;
+// lastTime is null until the first frame (and after the tab was hidden), so a
+// frame never sees the time since page load or since the tab went to background.
+let lastTime = null;
 function animate(currentTime) {
-    const deltaTime = (currentTime - lastTime) / 1000; // Convert to seconds
+    const rawDelta = lastTime === null ? 0 : (currentTime - lastTime) / 1000; // Convert to seconds
+    const deltaTime = modeManager.timestep.clampFrameTime(rawDelta);
     lastTime = currentTime;
 
     const mode = modeManager.getCurrentMode();
     if (mode && mode.isActive) {
-        mode.update(deltaTime);
-        mode.render();
+        modeManager.update(deltaTime);
+        modeManager.render();
+
+        // Keyboard focus and scanning
+        keyboardControls.update(deltaTime);
+        keyboardControls.render(ctx);
+        screenReader.update(deltaTime);
+        challengeControls.update();
 
         // Update and render hint system
         const dpr = window.devicePixelRatio || 1;
@@ -218,6 +167,25 @@ function animate(currentTime) {
     requestAnimationFrame(animate);
 }
 
+// Restart frame timing when the tab becomes visible again
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) {
+        lastTime = null;
+        modeManager.timestep.reset();
+    }
+});
+
+// Save/restore gardens by name in localStorage (console helpers for now)
+function saveGarden(name = 'default') {
+    const scene = modeManager.saveScene();
+    return scene ? SceneSerializer.save(name, scene) : false;
+}
+
+function loadGarden(name = 'default') {
+    const scene = SceneSerializer.load(name);
+    return scene ? modeManager.loadScene(scene) : false;
+}
+
 // Start animation
 requestAnimationFrame(animate);
 
@@ -225,5 +193,15 @@ requestAnimationFrame(animate);
 if (typeof window !== 'undefined') {
     window.modeManager = modeManager;
     window.challengeEngine = challengeEngine;
+    window.challengeGenerator = challengeGenerator;
     window.hintSystem = hintSystem;
+    window.historyControls = historyControls;
+    window.challengeControls = challengeControls;
+    window.sessionRecorder = sessionRecorder;
+    window.replayViewer = replayViewer;
+    window.keyboardControls = keyboardControls;
+    window.screenReader = screenReader;
+    window.Random = Random;
+    window.saveGarden = saveGarden;
+    window.loadGarden = loadGarden;
 }
@@ -0,0 +1,197 @@
+// ChallengeChecker - Lints challenge definitions and proves each one can be solved
+// Runs the challenge in a HeadlessRunner and searches the moves the mode offers
+// (ModeBase.getSolverMoves) for a scene that meets every goal, on a few seeds so
+// a challenge can't depend on a lucky layout. Used by check-challenges.js.
+//
+//   const checker = new ChallengeChecker({ modes: [BalanceScaleMode, ...] });
+//   checker.lint(challenge);   // ['difficulty must be a whole number from 1 to 5']
+//   checker.check(challenge);  // { problems, runs: [{ seed, solved, trivial, moves, ... }] }
+
+const CHECKER_SETTLE_TIME = 0.5; // Seconds after each move (and the setup) before goals are read
+const CHECKER_MAX_NODES = 1500;  // Scenes tried per seed before giving up
+const CHECKER_MAX_DEPTH = 16;    // Moves in one solution at most
+const CHECKER_SEEDS = ['check-1', 'check-2', 'check-3'];
+const CHECKER_MAX_DIFFICULTY = 5;
+
+class ChallengeChecker {
+    constructor(options = {}) {
+        this.modes = options.modes || [];
+        this.maxNodes = options.maxNodes || CHECKER_MAX_NODES;
+        this.maxDepth = options.maxDepth || CHECKER_MAX_DEPTH;
+        this.seeds = options.seeds || CHECKER_SEEDS;
+    }
+
+    // --- Schema ---
+
+    // Mistakes in a challenge definition, as messages (none when it's fine)
+    lint(challenge) {
+        const problems = [];
+        ['id', 'mode', 'title', 'hint'].forEach(field => {
+            if (typeof challenge[field] !== 'string' || challenge[field] === '') problems.push(`${field} must be a non-empty string`);
+        });
+        if (!Number.isInteger(challenge.difficulty) || challenge.difficulty < 1 || challenge.difficulty > CHECKER_MAX_DIFFICULTY) {
+            problems.push(`difficulty must be a whole number from 1 to ${CHECKER_MAX_DIFFICULTY}`);
+        }
+        if (!Array.isArray(challenge.concepts)) problems.push('concepts must be a list');
+        if (challenge.initialConfig !== undefined && (typeof challenge.initialConfig !== 'object' || challenge.initialConfig === null)) {
+            problems.push('initialConfig must be an object');
+        }
+
+        const ModeClass = this._findMode(challenge.mode);
+        if (!ModeClass) {
+            problems.push(`unknown mode '${challenge.mode}'`);
+            return problems;
+        }
+        if (!Array.isArray(challenge.goals) || challenge.goals.length === 0) {
+            problems.push('goals must be a non-empty list');
+            return problems;
+        }
+        return problems.concat(ChallengeEngine.findGoalProblems({ all: challenge.goals }, ModeClass.getMetricDefinitions(), challenge.params));
+    }
+
+    // lint() for a whole library, plus ids used twice: { id: [problems] } for the faulty ones
+    lintLibrary(challenges) {
+        const report = {};
+        const seen = new Set();
+        challenges.forEach(challenge => {
+            const problems = this.lint(challenge);
+            if (seen.has(challenge.id)) problems.push('id is used by an earlier challenge');
+            seen.add(challenge.id);
+            if (problems.length > 0) report[challenge.id] = problems;
+        });
+        return report;
+    }
+
+    // --- Solving ---
+
+    // Lint, then solve on every seed (a challenge with schema problems isn't run)
+    check(challenge) {
+        const problems = this.lint(challenge);
+        const runs = problems.length === 0 ? this.seeds.map(seed => this.solve(challenge, seed)) : [];
+        return { id: challenge.id, problems, runs };
+    }
+
+    // Search from the challenge's starting scene on one seed, taking the scene
+    // closest to the goal (ChallengeEngine.goalDistance) and the one fewest moves
+    // in by turns, so short solutions the distance misjudges are still found:
+    // { seed, solved, trivial (met before any move), moves (labels), nodes, exhausted
+    // (every reachable scene was tried, so it can't be solved with these moves) }.
+    // Leaves the global Random sequence as it found it.
+    solve(challenge, seed) {
+        const saved = Random.saveState();
+        try {
+            return this._search(challenge, seed);
+        } finally {
+            Random.restoreState(saved);
+        }
+    }
+
+    _search(challenge, seed) {
+        const runner = new HeadlessRunner({ modes: this.modes, seed, render: false });
+        const engine = new ChallengeEngine(runner.modeManager, { persist: false });
+        runner.challengeEngine = null; // Goals are read here, not completed
+        engine.loadChallenge(challenge);
+        runner.advance(CHECKER_SETTLE_TIME);
+
+        const mode = runner.mode;
+        const goal = { all: challenge.goals };
+        const result = { seed, solved: false, trivial: false, moves: [], nodes: 1, exhausted: false };
+
+        if (engine.evaluateGoal(goal, mode)) {
+            return Object.assign(result, { solved: true, trivial: true });
+        }
+
+        const visited = new Set([this._sceneKey(engine, mode)]);
+        const open = [this._snapshot(engine, mode, [], goal)];
+        let depthLimited = false;
+        let expanded = 0;
+        while (open.length > 0 && result.nodes < this.maxNodes) {
+            const node = expanded++ % 2 === 0 ? ChallengeChecker._takeClosest(open) : ChallengeChecker._takeShallowest(open);
+            if (node.moves.length >= this.maxDepth) {
+                depthLimited = true;
+                continue;
+            }
+
+            this._restore(engine, mode, node);
+            const count = mode.getSolverMoves().length;
+            for (let i = 0; i < count && result.nodes < this.maxNodes; i++) {
+                // Each move starts from the node's scene; moves are recomputed
+                // there since they hold the restored stones
+                this._restore(engine, mode, node);
+                const move = mode.getSolverMoves()[i];
+                this._apply(runner, move);
+                result.nodes++;
+
+                const solved = engine.evaluateGoal(goal, mode);
+                const moves = node.moves.concat(move.label);
+                if (solved) return Object.assign(result, { solved: true, moves });
+
+                const key = this._sceneKey(engine, mode);
+                if (visited.has(key)) continue;
+                visited.add(key);
+                open.push(this._snapshot(engine, mode, moves, goal));
+            }
+        }
+
+        result.exhausted = open.length === 0 && !depthLimited;
+        return result;
+    }
+
+    _apply(runner, move) {
+        const pointerId = move.pointerId || KEYBOARD_POINTER_ID;
+        if (move.stone) {
+            runner.drag(move.stone.x, move.stone.y, move.to.x, move.to.y, { pointerId });
+        } else {
+            runner.tap(move.press.x, move.press.y, pointerId);
+        }
+        runner.advance(move.settle || CHECKER_SETTLE_TIME);
+    }
+
+    _snapshot(engine, mode, moves, goal) {
+        return {
+            scene: mode.serialize(),
+            steps: new Map(engine.sequenceSteps),
+            moves,
+            distance: engine.goalDistance(goal, mode)
+        };
+    }
+
+    _restore(engine, mode, node) {
+        mode.deserialize(node.scene);
+        engine.sequenceSteps = new Map(node.steps);
+    }
+
+    // Scenes that read the same (and are as far through every sequence) are one node
+    _sceneKey(engine, mode) {
+        return JSON.stringify(mode.getState()) + JSON.stringify(Array.from(engine.sequenceSteps.values()));
+    }
+
+    // Closest to the goal, then the fewest moves
+    static _takeClosest(open) {
+        let best = 0;
+        for (let i = 1; i < open.length; i++) {
+            const a = open[i];
+            const b = open[best];
+            if (a.distance < b.distance || (a.distance === b.distance && a.moves.length < b.moves.length)) best = i;
+        }
+        return open.splice(best, 1)[0];
+    }
+
+    // Fewest moves, earliest found first
+    static _takeShallowest(open) {
+        let best = 0;
+        for (let i = 1; i < open.length; i++) {
+            if (open[i].moves.length < open[best].moves.length) best = i;
+        }
+        return open.splice(best, 1)[0];
+    }
+
+    _findMode(modeId) {
+        return this.modes.find(ModeClass => ModeClass.getMetadata().id === modeId) || null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChallengeChecker };
+}
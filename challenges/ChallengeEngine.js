@@ -1,41 +1,72 @@
 // ChallengeEngine - Manages challenge loading, goal validation, and progression
 // Provides a lightweight overlay for hints and progress tracking
 
+// Comparisons a metric goal can make (see evaluateGoal)
+const COMPARISON_OPERATORS = ['eq', 'gte', 'between'];
+
 class ChallengeEngine {
-    constructor(modeManager) {
+    constructor(modeManager, options = {}) {
         this.modeManager = modeManager;
         this.currentChallenge = null;
+        this.persistProgress = options.persist !== false; // Off for replays
         this.completedChallenges = this.loadProgress();
         this.isActive = false;
-        this.onChallengeComplete = null; // callback: (challenge) => void
+        this.onChallengeComplete = null; // callback: (challenge, state) => void, state from ModeBase.getState
+        this.generator = options.generator || null; // ChallengeGenerator for practice after the library
+        this.sequenceSteps = new Map(); // sequence goal -> steps met so far
 
         // UI animation state
         this.hintOpacity = 0;
         this.completionFlash = 0;
     }
 
-    // Load a challenge by ID from the library
-    loadChallenge(challengeId) {
-        const challenge = CHALLENGE_LIBRARY.find(c => c.id === challengeId);
+    // Load a challenge by ID from the library, or a challenge object
+    // (generated, or being checked) that isn't in it
+    loadChallenge(challengeOrId) {
+        const challenge = typeof challengeOrId === 'object'
+            ? challengeOrId
+            : CHALLENGE_LIBRARY.find(c => c.id === challengeOrId);
         if (!challenge) return false;
 
         this.currentChallenge = challenge;
         this.isActive = true;
+        this.sequenceSteps.clear();
         this.hintOpacity = 1.0;
         this.completionFlash = 0;
 
-        // Switch to the mode this challenge requires
+        // Record the load as one event; the mode switch it causes replays with it
+        const recorder = this.modeManager.recorder;
+        if (recorder) {
+            recorder.record('challenge', ChallengeEngine.getReference(challenge));
+            recorder.suspend(() => this._setupChallengeMode(challenge));
+        } else {
+            this._setupChallengeMode(challenge);
+        }
+
+        const mode = this.modeManager.getCurrentMode();
+        if (mode) {
+            const problems = ChallengeEngine.findGoalProblems({ all: challenge.goals }, mode.constructor.getMetricDefinitions(), challenge.params);
+            problems.forEach(problem => console.warn(`Challenge ${challenge.id}: ${problem}`));
+        }
+        this.modeManager.announce(`Challenge: ${challenge.title}. ${challenge.hint}`);
+
+        return true;
+    }
+
+    // Switch to the challenge's mode and apply its initial configuration
+    _setupChallengeMode(challenge) {
         this.modeManager.switchMode(challenge.mode);
 
-        // If challenge has an initial configuration, apply it
+        // If challenge has an initial configuration, apply it.
+        // Saved scenes (see SceneSerializer) restore the exact layout.
         if (challenge.initialConfig) {
             const mode = this.modeManager.getCurrentMode();
-            if (mode && typeof mode.initWithConfiguration === 'function') {
+            if (mode && SceneSerializer.isScene(challenge.initialConfig)) {
+                mode.deserialize(challenge.initialConfig);
+            } else if (mode) {
                 mode.initWithConfiguration(challenge.initialConfig);
             }
         }
-
-        return true;
     }
 
     // Check if current challenge goals are met
@@ -46,179 +77,333 @@ class ChallengeEngine {
         const mode = this.modeManager.getCurrentMode();
         if (!mode) return false;
 
-        const goals = this.currentChallenge.goals;
-
         // Every goal must be satisfied
-        for (const goal of goals) {
-            if (!this.evaluateGoal(goal, mode)) return false;
-        }
+        if (!this.evaluateGoal({ all: this.currentChallenge.goals }, mode)) return false;
 
         // All goals met
         this.completeChallenge();
         return true;
     }
 
-    // Evaluate a single goal against the current mode state
+    // Evaluate a goal against the current mode state. A goal is one of:
+    //   { all: [goals] }, { any: [goals] }, { not: goal }
+    //   { sequence: [goals] }   each met in turn, over as many interactions as it takes
+    //   { metric, args, eq | gte | between: [min, max] }   compare a mode metric
+    //     (ModeBase.getMetricDefinitions); a bare { metric } checks a flag
+    //   { type, ... }           a built-in goal (expandGoalType)
+    // Any value may be '$name', read from the challenge's params.
     evaluateGoal(goal, mode) {
-        switch (goal.type) {
-            case 'group-count': {
-                // Check if there are exactly N groups of stones
-                // FreeExploreMode exposes mode.groups (array of StoneGroup)
-                if (!mode.groups) return false;
-                return mode.groups.length === goal.count;
-            }
+        // Combinators visit every child so sequences inside them keep up
+        if (Array.isArray(goal.all)) return goal.all.map(g => this.evaluateGoal(g, mode)).every(Boolean);
+        if (Array.isArray(goal.any)) return goal.any.map(g => this.evaluateGoal(g, mode)).some(Boolean);
+        if (goal.not) return !this.evaluateGoal(goal.not, mode);
+        if (Array.isArray(goal.sequence)) return this._evaluateSequence(goal, mode);
+        if (goal.metric) return this._compareMetric(goal, mode);
+
+        const expanded = ChallengeEngine.expandGoalType(goal);
+        return expanded ? this.evaluateGoal(expanded, mode) : false;
+    }
 
-            case 'group-size': {
-                // Check if at least one group has exactly N stones
-                if (!mode.groups) return false;
-                return mode.groups.some(g => g.stones.length === goal.size);
-            }
+    // Advance past every step that is met now; done once the last one has been
+    _evaluateSequence(goal, mode) {
+        let step = this.sequenceSteps.get(goal) || 0;
+        while (step < goal.sequence.length && this.evaluateGoal(goal.sequence[step], mode)) step++;
+        this.sequenceSteps.set(goal, step);
+        return step === goal.sequence.length;
+    }
 
-            case 'equal-groups': {
-                // Check if all groups have the same number of stones
-                if (!mode.groups || mode.groups.length < 2) return false;
-                const firstSize = mode.groups[0].stones.length;
-                return mode.groups.every(g => g.stones.length === firstSize);
+    // Every comparison given must hold; metrics that don't apply (null) never match
+    _compareMetric(goal, mode) {
+        const value = this._readMetric(goal, mode);
+        if (value === undefined || value === null) return false;
+
+        const checks = COMPARISON_OPERATORS.filter(op => goal[op] !== undefined);
+        if (checks.length === 0) return value === true;
+        return checks.every(op => {
+            const expected = this._param(goal[op]);
+            switch (op) {
+                case 'eq':
+                    return typeof value === 'number' && typeof expected === 'number'
+                        ? Math.abs(value - expected) < 1e-9
+                        : value === expected;
+                case 'gte':
+                    return value >= expected;
+                case 'between':
+                    return value >= this._param(expected[0]) && value <= this._param(expected[1]);
             }
+            return false;
+        });
+    }
 
-            case 'scale-balanced': {
-                // Check if balance scale is balanced within tolerance
-                // BalanceScaleMode exposes mode.isBalanced
-                if (typeof mode.isBalanced === 'boolean') {
-                    return mode.isBalanced;
-                }
-                // Fallback: compare pan weights manually
-                if (mode.leftPan && mode.rightPan) {
-                    const leftWeight = mode.leftPan.stones.reduce((sum, s) => sum + (s.mass || 1), 0);
-                    const rightWeight = mode.rightPan.stones.reduce((sum, s) => sum + (s.mass || 1), 0);
-                    const total = leftWeight + rightWeight;
-                    if (total === 0) return false;
-                    const diff = Math.abs(leftWeight - rightWeight) / total;
-                    return diff <= (goal.tolerance || 0.1);
-                }
-                return false;
-            }
+    _readMetric(goal, mode) {
+        return mode.readMetric(goal.metric, this._metricArgs(goal));
+    }
 
-            case 'stack-height': {
-                // Check if stack has at least N stones
-                // StackBalanceMode exposes mode.stackHeight or mode.stackedStones
-                if (typeof mode.stackHeight === 'number') {
-                    return mode.stackHeight >= goal.minHeight;
-                }
-                if (mode.stackedStones) {
-                    return mode.stackedStones.length >= goal.minHeight;
-                }
-                return false;
-            }
+    _metricArgs(goal) {
+        const args = {};
+        Object.keys(goal.args || {}).forEach(key => { args[key] = this._param(goal.args[key]); });
+        return args;
+    }
 
-            case 'structure-formed': {
-                // Check if a number structure of the given value exists
-                // NumberStructuresMode exposes mode.structures array
-                if (!mode.structures) return false;
-                return mode.structures.some(
-                    s => s.value === goal.value && s.intact !== false
-                );
-            }
+    // How far the mode is from meeting a goal: 0 when met, otherwise about how much
+    // its metrics still have to change (a count, px, 1 for a flag). Lets a search
+    // (ChallengeChecker) try the most promising scenes first.
+    goalDistance(goal, mode) {
+        if (Array.isArray(goal.all)) return goal.all.reduce((sum, g) => sum + this.goalDistance(g, mode), 0);
+        if (Array.isArray(goal.any)) return Math.min(...goal.any.map(g => this.goalDistance(g, mode)));
+        if (Array.isArray(goal.sequence)) {
+            // One for each step after the next, plus how far off the next one is
+            const step = this.sequenceSteps.get(goal) || 0;
+            if (step >= goal.sequence.length) return 0;
+            return goal.sequence.length - step - 1 + this.goalDistance(goal.sequence[step], mode);
+        }
+        if (goal.metric) return this._metricDistance(goal, mode);
+        if (goal.type) {
+            const expanded = ChallengeEngine.expandGoalType(goal);
+            return expanded ? this.goalDistance(expanded, mode) : Infinity;
+        }
+        return this.evaluateGoal(goal, mode) ? 0 : 1;
+    }
 
-            case 'stone-count-per-side': {
-                // Check exact stone counts on left and right pans
-                if (!mode.leftPan || !mode.rightPan) return false;
-                return (
-                    mode.leftPan.stones.length === goal.left &&
-                    mode.rightPan.stones.length === goal.right
-                );
-            }
+    _metricDistance(goal, mode) {
+        if (this._compareMetric(goal, mode)) return 0;
+        const value = this._readMetric(goal, mode);
+        if (typeof value !== 'number') {
+            // A flag is 1 away unless its metric can say how close it is
+            const definition = mode.constructor.getMetricDefinitions()[goal.metric];
+            const distance = definition && definition.distance ? definition.distance(mode, this._metricArgs(goal)) : 0;
+            return distance > 0 ? distance : 1;
+        }
 
-            case 'all-stones-used': {
-                // Check that no stones remain unused
-                // Different modes expose unused stones differently
-                if (mode.trayStones) {
-                    return mode.trayStones.length === 0;
-                }
-                if (mode.availableStones) {
-                    return mode.availableStones.length === 0;
-                }
-                // For structure mode: all stones should be in a structure
-                if (mode.structures && mode.stones) {
-                    const structuredCount = mode.structures.reduce(
-                        (sum, s) => sum + (s.stones ? s.stones.length : 0), 0
-                    );
-                    return structuredCount === mode.stones.length;
-                }
-                return false;
+        const gap = COMPARISON_OPERATORS.filter(op => goal[op] !== undefined).reduce((sum, op) => {
+            const expected = this._param(goal[op]);
+            if (op === 'between') {
+                return sum + Math.max(0, this._param(expected[0]) - value, value - this._param(expected[1]));
             }
+            if (typeof expected !== 'number') return sum + 1;
+            return sum + (op === 'eq' ? Math.abs(value - expected) : Math.max(0, expected - value));
+        }, 0);
+        return gap || 1;
+    }
+
+    // '$name' -> the current challenge's params.name; anything else as it is
+    _param(value) {
+        if (typeof value !== 'string' || value[0] !== '$') return value;
+        const params = (this.currentChallenge && this.currentChallenge.params) || {};
+        return params[value.slice(1)];
+    }
 
-            case 'structure-count': {
-                // Check if there are >= minCount intact structures
-                if (!mode.structures) return false;
-                const intactCount = mode.structures.filter(s => s.intact).length;
-                return intactCount >= goal.minCount;
+    // Mistakes in a goal (unknown types or metrics, bad operators, missing
+    // parameters), as messages. `metrics` is the mode's getMetricDefinitions(),
+    // `params` the challenge's params.
+    static findGoalProblems(goal, metrics, params = {}) {
+        if (!goal || typeof goal !== 'object') return ['goal is not an object'];
+        for (const key of ['all', 'any', 'sequence']) {
+            if (goal[key] === undefined) continue;
+            if (!Array.isArray(goal[key])) return [`${key} needs a list of goals`];
+            return goal[key].reduce((problems, g) => problems.concat(ChallengeEngine.findGoalProblems(g, metrics, params)), []);
+        }
+        if (goal.not !== undefined) return ChallengeEngine.findGoalProblems(goal.not, metrics, params);
+        if (goal.metric === undefined) {
+            if (!goal.type) return ['goal has no type, metric or combinator'];
+            const expanded = ChallengeEngine.expandGoalType(goal);
+            if (!expanded) return [`unknown goal type '${goal.type}'`];
+            // Problems in the expansion are the type's parameters left out
+            return ChallengeEngine.findGoalProblems(expanded, metrics, params).map(problem => `${goal.type}: ${problem}`);
+        }
+
+        const problems = [];
+        const definition = metrics[goal.metric];
+        if (!definition) problems.push(`unknown metric '${goal.metric}'`);
+        if (goal.between !== undefined && !(Array.isArray(goal.between) && goal.between.length === 2)) {
+            problems.push(`between on '${goal.metric}' needs [min, max]`);
+        }
+        COMPARISON_OPERATORS.forEach(op => {
+            if (op in goal && goal[op] === undefined) problems.push(`no value for ${op} on '${goal.metric}'`);
+        });
+        const args = goal.args || {};
+        ((definition && definition.args) || []).forEach(name => {
+            if (args[name] === undefined) problems.push(`'${goal.metric}' needs args.${name}`);
+        });
+
+        // '$name' values must be in the challenge's params
+        const values = COMPARISON_OPERATORS.map(op => goal[op])
+            .concat(Array.isArray(goal.between) ? goal.between : [])
+            .concat(Object.keys(args).map(key => args[key]));
+        values.forEach(value => {
+            if (typeof value === 'string' && value[0] === '$' && (params || {})[value.slice(1)] === undefined) {
+                problems.push(`no param '${value.slice(1)}' for '${goal.metric}'`);
             }
+        });
+        return problems;
+    }
+
+    // Built-in goal types, written as the metric expressions they stand for
+    // (metrics are listed in each mode's getMetricDefinitions). Null for an unknown type.
+    static expandGoalType(goal) {
+        switch (goal.type) {
+            case 'group-count':
+                // Exactly N groups of stones (FreeExploreMode)
+                return { metric: 'group-count', eq: goal.count };
+
+            case 'group-size':
+                // At least one group of exactly N stones
+                return { metric: 'groups-of-size', args: { size: goal.size }, gte: 1 };
+
+            case 'equal-groups':
+                // Two or more groups, all the same size
+                return { metric: 'groups-equal' };
+
+            case 'scale-balanced':
+                // The scale (or every lever) is level
+                return { metric: 'balanced' };
+
+            case 'stack-height':
+                // At least N stones stacked
+                return { metric: 'stack-height', gte: goal.minHeight };
+
+            case 'structure-formed':
+                // An intact number structure of the value, in goal.family if given
+                return { metric: 'structures-of-value', args: { value: goal.value, family: goal.family }, gte: 1 };
 
-            case 'structures-sum-to': {
-                // Check if all intact structure values sum to targetSum
-                if (!mode.structures) return false;
-                const intactStructures = mode.structures.filter(s => s.intact);
-                if (intactStructures.length === 0) return false;
-                const sum = intactStructures.reduce((acc, s) => acc + s.value, 0);
-                return sum === goal.targetSum;
+            case 'stone-count-per-side':
+                // Exact stone counts on the left and right pans
+                return { all: [{ metric: 'left-count', eq: goal.left }, { metric: 'right-count', eq: goal.right }] };
+
+            case 'all-stones-used':
+                // No stones left unused (in the tray, outside any structure, ...)
+                return { metric: 'unused-count', eq: 0 };
+
+            case 'structure-count':
+                // At least N intact structures
+                return { metric: 'structure-count', gte: goal.minCount };
+
+            case 'structures-sum-to':
+                // The intact structures' values add up to targetSum
+                return { all: [{ metric: 'structure-count', gte: 1 }, { metric: 'structures-sum', eq: goal.targetSum }] };
+
+            case 'stack-centered':
+                // The stack's centre of mass is within tolerance (px) of the platform centre
+                return { metric: 'center-offset', between: [0, goal.tolerance || 30] };
+
+            case 'stack-matching-neighbors':
+                // Every stacked stone touches a same-color neighbor
+                return { metric: 'matching-neighbors' };
+
+            case 'stack-all-warm':
+                // All stacked stones are from the warm color set
+                return { metric: 'all-warm' };
+
+            case 'lever-mass':
+                // One lever is level and carries the given mass (MultiLeverBalanceMode)
+                return {
+                    all: [
+                        { metric: 'lever-mass', args: { lever: goal.lever }, eq: goal.mass },
+                        { metric: 'lever-balanced', args: { lever: goal.lever } }
+                    ]
+                };
+
+            case 'land-on': {
+                // The hopper finished its hops on a number, from goal.start if given (NumberLineMode)
+                const checks = [{ metric: 'hop-count', gte: 1 }, { metric: 'position', eq: goal.value }];
+                if (goal.start !== undefined) checks.push({ metric: 'start', eq: goal.start });
+                return { all: checks };
             }
 
-            case 'stack-centered': {
-                // Check if center of mass is within tolerance of platform center
-                if (!mode._calculateCenterOfMass || !mode.platform) return false;
-                const com = mode._calculateCenterOfMass();
-                if (com.totalMass === 0) return false;
-                const offset = Math.abs(com.x - mode.platform.x);
-                return offset <= (goal.tolerance || 30);
+            case 'hops-sum-to': {
+                // The hops add up to a value (negative for hops back), optionally in N hops
+                const checks = [{ metric: 'hop-count', gte: 1 }, { metric: 'hop-sum', eq: goal.value }];
+                if (goal.hops !== undefined) checks.push({ metric: 'hop-count', eq: goal.hops });
+                return { all: checks };
             }
 
-            case 'stack-matching-neighbors': {
-                // Every stacked stone touches a same-color neighbor
-                if (!mode.stackedStones || mode.stackedStones.length < 2) return false;
-                return mode.stackedStones.every(stone => {
-                    return mode.stackedStones.some(other => {
-                        if (other === stone) return false;
-                        const dist = stone.distanceTo(other);
-                        const touchDist = (stone.radius + other.radius) * 1.5;
-                        return dist < touchDist && stone._baseColor === other._baseColor;
-                    });
+            case 'place-value': {
+                // The value shown, optionally as so many flats, rods and loose stones
+                const checks = [{ metric: 'value', eq: goal.value }];
+                ['hundreds', 'tens', 'ones'].forEach(name => {
+                    if (goal[name] !== undefined) checks.push({ metric: name, eq: goal[name] });
                 });
+                return { all: checks };
             }
 
-            case 'stack-all-warm': {
-                // All stacked stones are from warm color set
-                if (!mode.stackedStones || mode.stackedStones.length === 0) return false;
-                const warmColors = ['#C75B5B', '#D4943A', '#C7A83B'];
-                return mode.stackedStones.every(s =>
-                    warmColors.includes(s._baseColor)
-                );
+            case 'frames-filled':
+                // Exactly this many ten-frames are full (TenFrameMode)
+                return { metric: 'full-frames', eq: goal.count };
+
+            case 'frame-count':
+                // The stones in one ten-frame (goal.frame, 1-based) or in all of them
+                return { metric: 'frame-count', args: { frame: goal.frame }, eq: goal.count };
+
+            case 'fraction-equivalent':
+                // The pans balance with different pieces, optionally at goal.value ('1/2')
+                return { metric: 'pans-equivalent', args: { value: goal.value } };
+
+            case 'make-whole':
+                // Pieces joined back into at least goal.count wholes (FractionsMode)
+                return { metric: 'made-wholes', gte: goal.count || 1 };
+
+            case 'array-dimensions': {
+                // A full array of goal.rows x goal.cols (either way round with goal.anyOrientation)
+                const shapes = [{ all: [{ metric: 'rows', eq: goal.rows }, { metric: 'cols', eq: goal.cols }] }];
+                if (goal.anyOrientation === true) {
+                    shapes.push({ all: [{ metric: 'rows', eq: goal.cols }, { metric: 'cols', eq: goal.rows }] });
+                }
+                // The stone count adds nothing to `complete` but says how far off it is
+                return { all: [{ metric: 'complete' }, { metric: 'filled', eq: goal.rows * goal.cols }, { any: shapes }] };
+            }
+
+            case 'array-product': {
+                // A full array makes goal.product, split in two when goal.split is set
+                const checks = [{ metric: 'complete' }, { metric: 'product', eq: goal.product }];
+                if (goal.split) checks.push({ metric: 'split', gte: 1 });
+                return { all: checks };
             }
 
             default:
-                return false;
+                return null;
         }
     }
 
-    // Mark current challenge as complete and persist
+    // A library challenge by its id; any other (generated) as the whole object,
+    // so recordings can load it again
+    static getReference(challenge) {
+        return CHALLENGE_LIBRARY.includes(challenge) ? challenge.id : challenge;
+    }
+
+    // Mark current challenge as complete and persist (progress counts library
+    // challenges only; generated ones are endless)
     completeChallenge() {
         const id = this.currentChallenge.id;
-        if (!this.completedChallenges.includes(id)) {
+        const inLibrary = CHALLENGE_LIBRARY.includes(this.currentChallenge);
+        if (inLibrary && !this.completedChallenges.includes(id)) {
             this.completedChallenges.push(id);
             this.saveProgress();
         }
 
         this.isActive = false;
         this.completionFlash = 1.0;
+        this.modeManager.announce(`Challenge complete: ${this.currentChallenge.title}`);
 
         if (this.onChallengeComplete) {
-            this.onChallengeComplete(this.currentChallenge);
+            // The scene it was completed in, for analytics
+            const mode = this.modeManager.getCurrentMode();
+            this.onChallengeComplete(this.currentChallenge, mode ? mode.getState() : null);
         }
     }
 
-    // Get next uncompleted challenge in library order
+    // Get next uncompleted challenge in library order. Once the library is done,
+    // a generated one on the last challenge's concepts, a step harder after a
+    // completion (null if there's no generator or it came up empty).
     getNextChallenge() {
-        return CHALLENGE_LIBRARY.find(c => !this.completedChallenges.includes(c.id));
+        const next = CHALLENGE_LIBRARY.find(c => !this.completedChallenges.includes(c.id));
+        if (next || !this.generator) return next;
+
+        const last = this.currentChallenge;
+        if (!last) return this.generator.generate();
+        return this.generator.generate({
+            difficulty: last.difficulty + (this.isActive ? 0 : 1),
+            concepts: last.concepts
+        });
     }
 
     // Get all challenges for a specific mode
@@ -245,6 +430,7 @@ class ChallengeEngine {
     // --- localStorage persistence ---
 
     saveProgress() {
+        if (!this.persistProgress) return;
         try {
             localStorage.setItem(
                 'zen-math-progress',
@@ -256,6 +442,7 @@ class ChallengeEngine {
     }
 
     loadProgress() {
+        if (!this.persistProgress) return [];
         try {
             return JSON.parse(localStorage.getItem('zen-math-progress')) || [];
         } catch (e) {
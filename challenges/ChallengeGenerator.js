@@ -0,0 +1,497 @@
+// ChallengeGenerator - Fresh practice challenges once the library runs out
+// Each template makes one kind of puzzle for one mode ("make groups of N", a
+// structures sum, a balance with given masses, a colored tower, ...) at a
+// difficulty from 1 to 5, with the initialConfig it starts from. generate() picks
+// a template for the difficulty and concepts asked for and draws its numbers from
+// the generator's own seeded stream (never the gameplay Random).
+// Templates are solvable by construction: each draws only numbers its puzzle
+// can be solved with (a balance's right side is drawn to weigh what the left
+// does, a split leaves every part at least 1, ...), so nothing is searched
+// while playing. check-challenges.js --generated plays draws of every template
+// offline to hold them to that.
+//
+//   const generator = new ChallengeGenerator({ seed: 'k3x9p2' });
+//   generator.generate({ difficulty: 2, concepts: ['equal-groups'] });
+//   generator.generate({ mode: 'balance-scale', difficulty: 3 });
+
+const GENERATOR_NUMBER_WORDS = [
+    'Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen', 'Twenty'
+];
+const GENERATOR_WARM_COLORS = ['red', 'orange', 'yellow'];
+const GENERATOR_COOL_COLORS = ['blue', 'green', 'purple'];
+
+// Number as a title word (digits past twenty)
+function challengeNumberWord(n) {
+    return GENERATOR_NUMBER_WORDS[n] || String(n);
+}
+
+// Masses from 1 to max, `count` of them adding up to sum (null if they can't)
+function challengeMassesSumming(random, count, sum, max) {
+    if (sum < count || sum > count * max) return null;
+    const masses = [];
+    let left = sum;
+    for (let i = count - 1; i > 0; i--) {
+        // Leave enough, and not too much, for the stones still to come
+        const mass = random.int(Math.max(1, left - i * max), Math.min(max, left - i));
+        masses.push(mass);
+        left -= mass;
+    }
+    masses.push(left);
+    return masses;
+}
+
+// A copy of items in random order
+function challengeShuffle(random, items) {
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = random.int(0, i);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// One template per kind of puzzle. build(difficulty, random) returns the
+// challenge's title, hint, initialConfig and goals for a difficulty in range.
+const CHALLENGE_TEMPLATES = [
+    {
+        id: 'groups-of',
+        mode: 'free-explore',
+        difficulty: [1, 4],
+        concepts: ['grouping', 'equal-groups', 'division', 'counting'],
+        build(difficulty, random) {
+            // [groups, size] choices by difficulty; a black hole joins in at 4
+            const shapes = { 1: [[2, 2]], 2: [[2, 3], [3, 2]], 3: [[3, 3], [2, 4], [4, 2]], 4: [[2, 3], [3, 2]] };
+            const [count, size] = random.pick(shapes[difficulty]);
+            const initialConfig = { stones: count * size };
+            if (difficulty >= 4) initialConfig.blackHoles = 1;
+            return {
+                title: `${challengeNumberWord(count)} Groups of ${challengeNumberWord(size)}` +
+                    (initialConfig.blackHoles ? ' by a Black Hole' : ''),
+                hint: `Gather the ${count * size} stones into ${count} groups of ${size}` +
+                    (initialConfig.blackHoles ? '. A black hole that comes too close joins the group' : ''),
+                initialConfig,
+                goals: [
+                    { type: 'group-count', count },
+                    { metric: 'groups-of-size', args: { size }, eq: count }
+                ]
+            };
+        }
+    },
+    {
+        id: 'structures-join',
+        mode: 'number-structures',
+        difficulty: [1, 3],
+        concepts: ['addition', 'combining', 'number-formation'],
+        build(difficulty, random) {
+            const ranges = { 1: [3, 5], 2: [6, 10], 3: [11, 15] };
+            const sum = random.int(...ranges[difficulty]);
+            const a = random.int(Math.max(1, sum - 9), Math.min(9, sum - 1));
+            return {
+                title: `${challengeNumberWord(a)} and ${challengeNumberWord(sum - a)}`,
+                hint: `Put the ${a} and the ${sum - a} together. What do they make?`,
+                initialConfig: {
+                    structures: [
+                        { value: a, offsetX: -160, offsetY: 0 },
+                        { value: sum - a, offsetX: 160, offsetY: 0 }
+                    ]
+                },
+                goals: [
+                    { type: 'structure-formed', value: sum }
+                ]
+            };
+        }
+    },
+    {
+        id: 'structures-sum',
+        mode: 'number-structures',
+        difficulty: [2, 5],
+        concepts: ['decomposition', 'part-whole'],
+        build(difficulty, random) {
+            // Split one structure into parts that still add up to it; from 3 on
+            // one part is given, from 4 on there are three parts
+            const parts = difficulty >= 4 ? 3 : 2;
+            const total = difficulty === 5 ? random.int(10, 12) : random.int(parts * 2 + 1, parts === 3 ? 9 : 8);
+            const goals = [
+                { type: 'structure-count', minCount: parts },
+                { type: 'structures-sum-to', targetSum: total }
+            ];
+            let title = `${challengeNumberWord(total)} in ${challengeNumberWord(parts)} Parts`;
+            let hint = `Break ${total} into ${parts} structures that still add up to ${total}`;
+            if (difficulty === 3) {
+                const part = random.int(2, total - 2);
+                goals.push({ type: 'structure-formed', value: part });
+                title = `${challengeNumberWord(total)} Is ${challengeNumberWord(part)} and ${challengeNumberWord(total - part)}`;
+                hint = `Start with ${total}, make a ${part} and a ${total - part}`;
+            }
+            return {
+                title,
+                hint,
+                initialConfig: { structures: [{ value: total, offsetX: 0, offsetY: 0 }] },
+                goals
+            };
+        }
+    },
+    {
+        id: 'balance-masses',
+        mode: 'balance-scale',
+        difficulty: [1, 5],
+        concepts: ['equality', 'balance', 'addition'],
+        build(difficulty, random) {
+            // Two sides that balance, plus stones that don't belong at 3 and 5
+            const counts = { 1: [1, 2], 2: [2, 3], 3: [1, 3], 4: [3, 4], 5: [2, 4] }[difficulty];
+            const [leftCount, rightCount] = random.chance(0.5) ? counts : counts.slice().reverse();
+            const maxMass = difficulty <= 2 ? 4 : 6;
+            let left = null;
+            let right = null;
+            while (!right) {
+                left = Array.from({ length: leftCount }, () => random.int(1, maxMass));
+                const sum = left.reduce((a, b) => a + b, 0);
+                right = challengeMassesSumming(random, rightCount, sum, maxMass);
+            }
+            const spares = difficulty === 3 || difficulty === 5 ? [random.int(1, maxMass), random.int(1, maxMass)] : [];
+            const tray = challengeShuffle(random, left.concat(right, spares));
+
+            const goals = [{ type: 'scale-balanced' }];
+            let hint = 'Place stones until both sides rest level';
+            if (spares.length > 0) {
+                goals.unshift({ type: 'stone-count-per-side', left: leftCount, right: rightCount });
+                hint = `Balance ${leftCount} stone${leftCount === 1 ? '' : 's'} on the left against ${rightCount} on the right`;
+            } else if (difficulty >= 2) {
+                goals.push({ type: 'all-stones-used' });
+                hint = 'Put every stone on the scale and find balance';
+            }
+            return {
+                title: `Balance ${tray.length} Stones`,
+                hint,
+                initialConfig: { tray },
+                goals
+            };
+        }
+    },
+    {
+        id: 'colored-tower',
+        mode: 'stack-balance',
+        difficulty: [1, 5],
+        concepts: ['spatial', 'stability', 'color-categories'],
+        build(difficulty, random) {
+            // A plain tower at 1; then only warm colors, or at 4 every stone
+            // beside one of its own color
+            const height = { 1: 3, 2: 3, 3: 4, 4: 4, 5: 5 }[difficulty];
+            const size = () => random.int(8, 13) / 10;
+            const goals = [{ type: 'stack-height', minHeight: height }];
+            let tray;
+            let title = `Tower of ${challengeNumberWord(height)}`;
+            let hint = `Stack ${height} stones and keep them standing`;
+
+            if (difficulty === 1) {
+                tray = height + 2;
+            } else if (difficulty !== 4) {
+                const warm = Array.from({ length: height }, () => ({ size: size(), color: random.pick(GENERATOR_WARM_COLORS) }));
+                const cool = Array.from({ length: 3 }, () => ({ size: size(), color: random.pick(GENERATOR_COOL_COLORS) }));
+                tray = challengeShuffle(random, warm.concat(cool));
+                goals.push({ type: 'stack-all-warm' });
+                title = `Warm Tower of ${challengeNumberWord(height)}`;
+                hint = `Build a tower ${height} high from only red, orange and yellow stones`;
+            } else {
+                // Same-color pairs to build from, and a stone of another color
+                const colors = challengeShuffle(random, GENERATOR_WARM_COLORS.concat(GENERATOR_COOL_COLORS));
+                const stones = [];
+                colors.slice(0, height / 2).forEach(color => stones.push({ size: size(), color }, { size: size(), color }));
+                stones.push({ size: size(), color: colors[height / 2] });
+                tray = challengeShuffle(random, stones);
+                goals.push({ type: 'stack-matching-neighbors' });
+                title = `Color Tower of ${challengeNumberWord(height)}`;
+                hint = `Stack ${height} stones so every stone touches one of its own color`;
+            }
+            return { title, hint, initialConfig: { tray }, goals };
+        }
+    },
+    {
+        id: 'hop-to',
+        mode: 'number-line',
+        difficulty: [1, 4],
+        concepts: ['counting-on', 'addition', 'subtraction', 'ordinal'],
+        build(difficulty, random) {
+            // Forward at 1, back at 2, a set number of hops at 3, there and back at 4
+            if (difficulty === 4) {
+                const start = random.int(2, 6);
+                const far = start + random.int(3, 7);
+                const back = random.int(0, start - 1);
+                return {
+                    title: 'There and Back',
+                    hint: `From ${start}, hop up to ${far}, then hop back down to ${back}`,
+                    initialConfig: { start },
+                    goals: [
+                        { sequence: [{ metric: 'position', eq: far }, { metric: 'position', eq: back }] },
+                        { metric: 'start', eq: start }
+                    ]
+                };
+            }
+            if (difficulty === 3) {
+                const start = random.int(0, 5);
+                const target = start + random.int(6, 9);
+                return {
+                    title: `Two Hops to ${challengeNumberWord(target)}`,
+                    hint: `Start at ${start} and reach ${target} in exactly two hops`,
+                    initialConfig: { start },
+                    goals: [
+                        { type: 'land-on', value: target, start },
+                        { type: 'hops-sum-to', value: target - start, hops: 2 }
+                    ]
+                };
+            }
+            const step = random.int(2, 5) * (difficulty === 2 ? -1 : 1);
+            const start = difficulty === 2 ? random.int(8, 15) : random.int(0, 10);
+            return {
+                title: `Hop ${step > 0 ? 'Up' : 'Back'} to ${challengeNumberWord(start + step)}`,
+                hint: `The hopper is on ${start}. Hop ${step > 0 ? 'up' : 'back'} so it lands on ${start + step}`,
+                initialConfig: { start },
+                goals: [
+                    { type: 'land-on', value: start + step, start }
+                ]
+            };
+        }
+    },
+    {
+        id: 'bundle-tens',
+        mode: 'place-value',
+        difficulty: [1, 3],
+        concepts: ['place-value', 'grouping', 'regrouping'],
+        build(difficulty, random) {
+            // Bundle ten ones at 1, break a ten at 2, ten tens into a hundred at 3
+            if (difficulty === 3) {
+                const ones = random.int(0, 9);
+                return {
+                    title: 'A Hundred',
+                    hint: 'Ten tens pushed together make a hundred',
+                    initialConfig: { tens: 10, ones },
+                    goals: [
+                        { type: 'place-value', value: 100 + ones, hundreds: 1, tens: 0, ones }
+                    ]
+                };
+            }
+            const tens = difficulty === 2 ? random.int(3, 5) : random.int(1, 3);
+            const ones = random.int(difficulty === 2 ? 1 : 0, difficulty === 2 ? 9 : 4);
+            if (difficulty === 2) {
+                return {
+                    title: 'Break a Ten',
+                    hint: `Tap a ten to break it. Show ${tens * 10 + ones} with ${tens - 1} tens and ${10 + ones} ones`,
+                    initialConfig: { tens, ones },
+                    goals: [
+                        { type: 'place-value', value: tens * 10 + ones, tens: tens - 1, ones: 10 + ones }
+                    ]
+                };
+            }
+            return {
+                title: 'Bundle the Ones',
+                hint: `Push ten loose stones together to show ${(tens + 1) * 10 + ones} as tens and ones`,
+                initialConfig: { tens, ones: 10 + ones },
+                goals: [
+                    { type: 'place-value', value: (tens + 1) * 10 + ones, tens: tens + 1, ones }
+                ]
+            };
+        }
+    },
+    {
+        id: 'make-ten',
+        mode: 'ten-frame',
+        difficulty: [1, 3],
+        concepts: ['make-ten', 'addition', 'number-bonds'],
+        build(difficulty, random) {
+            // Fill one frame from the tray at 1, make ten from two frames after
+            if (difficulty === 1) {
+                const filled = random.int(3, 8);
+                return {
+                    title: 'Fill the Frame',
+                    hint: `The frame holds ${filled}. Add stones until it holds ten`,
+                    initialConfig: { frames: 1, filled: [filled], loose: 10 - filled + random.int(1, 3) },
+                    goals: [
+                        { type: 'frames-filled', count: 1 }
+                    ]
+                };
+            }
+            const a = random.int(6, 9);
+            const b = random.int(11 - a, 9);
+            const goals = [{ type: 'frames-filled', count: 1 }];
+            goals.push(difficulty === 2
+                ? { type: 'frame-count', frame: 2, count: a + b - 10 }
+                : { type: 'frame-count', count: a + b });
+            return {
+                title: difficulty === 2
+                    ? `${challengeNumberWord(a)} and ${challengeNumberWord(b)}`
+                    : `Ten First: ${challengeNumberWord(b)} and ${challengeNumberWord(a)}`,
+                hint: difficulty === 2
+                    ? `Move stones from the ${b} to finish the ${a}. What is left?`
+                    : 'Make ten first, then count what is left over',
+                initialConfig: { frames: 2, filled: difficulty === 2 ? [a, b] : [b, a] },
+                goals
+            };
+        }
+    },
+    {
+        id: 'fraction-pieces',
+        mode: 'fractions',
+        difficulty: [1, 3],
+        concepts: ['fractions', 'part-whole', 'equivalence'],
+        build(difficulty, random) {
+            // Join like pieces into a whole at 1, a whole and a spare piece at 2,
+            // match pieces half the size on the left pan at 3
+            const parts = random.pick([2, 3, 4]);
+            if (difficulty === 3) {
+                const taken = random.int(1, parts - 1);
+                const given = `1/${parts * 2}`;
+                const value = `${taken}/${parts}`;
+                return {
+                    title: 'Same Amount, Other Pieces',
+                    hint: `${taken * 2} pieces of ${given} are on the left. Cut the other whole so the right pan matches`,
+                    initialConfig: { stones: ['1'], left: Array(taken * 2).fill(given), cut: parts },
+                    goals: [
+                        { type: 'fraction-equivalent', value }
+                    ]
+                };
+            }
+            const piece = `1/${parts}`;
+            const stones = Array(parts).fill(piece);
+            const odd = `1/${parts === 4 ? 2 : parts + 1}`;
+            if (difficulty === 2) stones.push(odd);
+            return {
+                title: difficulty === 2
+                    ? `One Whole from ${challengeNumberWord(parts)}, One Left Over`
+                    : `${challengeNumberWord(parts)} Pieces Make One`,
+                hint: `Drop the ${piece} pieces on each other until they make a whole` +
+                    (difficulty === 2 ? `. The ${odd} piece doesn't belong` : ''),
+                initialConfig: { stones: challengeShuffle(random, stones), cut: parts },
+                goals: [
+                    { type: 'make-whole', count: 1 }
+                ]
+            };
+        }
+    },
+    {
+        id: 'array-product',
+        mode: 'arrays',
+        difficulty: [1, 3],
+        concepts: ['multiplication', 'arrays', 'factors'],
+        build(difficulty, random) {
+            // Fill a given array at 1, find one for a number at 2, split one at 3
+            const rows = random.int(2, 4);
+            const cols = random.int(3, 5);
+            if (difficulty === 1) {
+                const filled = random.int(0, rows * cols - 2);
+                return {
+                    title: `${challengeNumberWord(rows)} Rows of ${challengeNumberWord(cols)}`,
+                    hint: `Fill every cell. How many stones is ${rows} rows of ${cols}?`,
+                    initialConfig: { rows, cols, filled, loose: rows * cols - filled + random.int(0, 3) },
+                    goals: [
+                        { type: 'array-dimensions', rows, cols }
+                    ]
+                };
+            }
+            const product = rows * cols;
+            if (difficulty === 2) {
+                return {
+                    title: `Make ${challengeNumberWord(product)}`,
+                    hint: `Change the rows and columns until the array holds all ${product} stones`,
+                    initialConfig: { rows: 2, cols: 2, filled: 0, loose: product },
+                    goals: [
+                        { type: 'array-product', product }
+                    ]
+                };
+            }
+            const wide = cols + 2;
+            return {
+                title: `Split ${challengeNumberWord(rows)} × ${challengeNumberWord(wide)}`,
+                hint: `Split ${rows} × ${wide} into two arrays you know`,
+                initialConfig: { rows, cols: wide },
+                goals: [
+                    { type: 'array-product', product: rows * wide, split: true }
+                ]
+            };
+        }
+    },
+    {
+        id: 'equal-levers',
+        mode: 'multi-lever',
+        difficulty: [2, 3],
+        concepts: ['multiplication', 'equal-groups', 'balance'],
+        build(difficulty, random) {
+            // Little scales under the left pan (two at 2, three at 3), their total
+            // on the right; each side of a little scale takes one or two stones
+            const groups = difficulty;
+            const side = random.int(1, 2);
+            const stone = random.pick(side === 2 ? [1, 2] : [1]);
+            const mass = side * 2;
+            const levers = Array.from({ length: groups }, (_, i) => ({ id: `g${i + 1}` }));
+            return {
+                title: `${challengeNumberWord(groups)} ${challengeNumberWord(mass)}s`,
+                hint: `Balance each little scale with ${mass / stone} stones so together they match the ${groups * mass}`,
+                initialConfig: {
+                    lever: { id: 'top', left: { levers }, right: { stones: [groups * mass] } },
+                    tray: Array(groups * mass / stone).fill(stone)
+                },
+                goals: levers.map(lever => ({ type: 'lever-mass', lever: lever.id, mass }))
+                    .concat({ type: 'scale-balanced' })
+            };
+        }
+    }
+];
+
+class ChallengeGenerator {
+    // options: seed for the generator's own stream, templates to draw from
+    constructor(options = {}) {
+        this.random = new SeededRandom(options.seed);
+        this.templates = options.templates || CHALLENGE_TEMPLATES;
+        this.count = 0;
+    }
+
+    // A new challenge for { difficulty, concepts, mode }, or null if no template
+    // fits. The difficulty is clamped to what the chosen template can make.
+    generate(request = {}) {
+        const template = this.pickTemplate(request);
+        if (!template) return null;
+        const difficulty = Math.max(template.difficulty[0], Math.min(template.difficulty[1], request.difficulty || 1));
+        return this.build(template, difficulty);
+    }
+
+    // The templates for the mode (any when not given) whose difficulty range is
+    // nearest the one asked for, then sharing the most concepts; one at random
+    pickTemplate(request = {}) {
+        const difficulty = request.difficulty || 1;
+        const concepts = request.concepts || [];
+        const candidates = this.templates.filter(t => !request.mode || t.mode === request.mode);
+        if (candidates.length === 0) return null;
+
+        const score = t => [
+            Math.max(0, t.difficulty[0] - difficulty, difficulty - t.difficulty[1]),
+            -t.concepts.filter(c => concepts.includes(c)).length
+        ];
+        const best = candidates.map(score).reduce((a, b) => (b[0] < a[0] || (b[0] === a[0] && b[1] < a[1]) ? b : a));
+        return this.random.pick(candidates.filter(t => {
+            const s = score(t);
+            return s[0] === best[0] && s[1] === best[1];
+        }));
+    }
+
+    // One challenge from a template at a difficulty it covers
+    build(template, difficulty) {
+        const built = template.build(difficulty, this.random);
+        this.count++;
+        return {
+            id: `practice-${this.random.getSeed()}-${this.count}`,
+            mode: template.mode,
+            title: built.title,
+            hint: built.hint,
+            difficulty,
+            concepts: template.concepts.slice(),
+            template: template.id,
+            initialConfig: built.initialConfig,
+            goals: built.goals
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChallengeGenerator, CHALLENGE_TEMPLATES };
+}
@@ -40,6 +40,47 @@ const CHALLENGE_LIBRARY = [
             { type: 'group-size', size: 5 }
         ]
     },
+    {
+        id: 'explore-004',
+        mode: 'free-explore',
+        title: 'Share Eight Fairly',
+        hint: 'Share the eight stones into equal groups. Is there more than one way?',
+        difficulty: 2,
+        concepts: ['division', 'equal-groups', 'grouping'],
+        goals: [
+            {
+                any: [
+                    { all: [{ metric: 'group-count', eq: 2 }, { metric: 'groups-of-size', args: { size: 4 }, eq: 2 }] },
+                    { all: [{ metric: 'group-count', eq: 4 }, { metric: 'groups-of-size', args: { size: 2 }, eq: 4 }] }
+                ]
+            }
+        ]
+    },
+    {
+        id: 'explore-005',
+        mode: 'free-explore',
+        title: 'Some, Not All',
+        hint: 'Gather five or more stones together, but leave at least one on its own',
+        difficulty: 1,
+        concepts: ['counting', 'grouping', 'comparison'],
+        goals: [
+            { metric: 'largest-group', gte: 5 },
+            { not: { metric: 'ungrouped-count', eq: 0 } }
+        ]
+    },
+    {
+        id: 'explore-006',
+        mode: 'free-explore',
+        title: 'Pairs in the Dark',
+        hint: 'Make three pairs. A black hole that comes too close joins the group',
+        difficulty: 2,
+        concepts: ['grouping', 'equal-groups', 'counting'],
+        goals: [
+            { type: 'group-count', count: 3 },
+            { type: 'equal-groups' }
+        ],
+        initialConfig: { stones: 6, blackHoles: 1 }
+    },
 
     // =============================================================
     // NUMBER STRUCTURES - Building number sense through arrangement
@@ -53,7 +94,13 @@ const CHALLENGE_LIBRARY = [
         concepts: ['number-formation', 'subitizing'],
         goals: [
             { type: 'structure-formed', value: 5 }
-        ]
+        ],
+        initialConfig: {
+            structures: [
+                { value: 2, offsetX: -160, offsetY: 0 },
+                { value: 3, offsetX: 160, offsetY: 0 }
+            ]
+        }
     },
     {
         id: 'struct-002',
@@ -64,7 +111,13 @@ const CHALLENGE_LIBRARY = [
         concepts: ['number-formation', 'ten-frame'],
         goals: [
             { type: 'structure-formed', value: 10 }
-        ]
+        ],
+        initialConfig: {
+            structures: [
+                { value: 6, offsetX: -160, offsetY: 0 },
+                { value: 4, offsetX: 160, offsetY: 0 }
+            ]
+        }
     },
     {
         id: 'struct-003',
@@ -138,6 +191,24 @@ const CHALLENGE_LIBRARY = [
             structures: [{ value: 8, offsetX: 0, offsetY: 0 }]
         }
     },
+    {
+        id: 'struct-008',
+        mode: 'number-structures',
+        title: 'Fill the Frame',
+        hint: 'A ten-frame holds seven and three more. Put them together',
+        difficulty: 2,
+        concepts: ['ten-frame', 'number-bonds', 'make-ten'],
+        goals: [
+            { type: 'structure-formed', value: 10, family: 'ten-frame' }
+        ],
+        initialConfig: {
+            family: 'ten-frame',
+            structures: [
+                { value: 7, offsetX: -160, offsetY: 0 },
+                { value: 3, offsetX: 160, offsetY: 0 }
+            ]
+        }
+    },
 
     // =============================================================
     // BALANCE SCALE - Equality and comparison through weight
@@ -163,7 +234,8 @@ const CHALLENGE_LIBRARY = [
         goals: [
             { type: 'scale-balanced', tolerance: 0.1 },
             { type: 'all-stones-used' }
-        ]
+        ],
+        initialConfig: { tray: [1, 1, 1, 2, 2, 3, 4] }
     },
     {
         id: 'balance-003',
@@ -175,7 +247,8 @@ const CHALLENGE_LIBRARY = [
         goals: [
             { type: 'stone-count-per-side', left: 3, right: 3 },
             { type: 'scale-balanced', tolerance: 0.1 }
-        ]
+        ],
+        initialConfig: { tray: [1, 1, 1, 2, 2, 3, 3] }
     },
     {
         id: 'balance-004',
@@ -185,8 +258,35 @@ const CHALLENGE_LIBRARY = [
         difficulty: 3,
         concepts: ['inequality', 'mass', 'multiplication'],
         goals: [
-            { type: 'stone-count-per-side', left: 1, right: 3 },
+            {
+                any: [
+                    { all: [{ metric: 'left-count', eq: 1 }, { metric: 'right-count', eq: 3 }] },
+                    { all: [{ metric: 'left-count', eq: 3 }, { metric: 'right-count', eq: 1 }] }
+                ]
+            },
             { type: 'scale-balanced', tolerance: 0.2 }
+        ],
+        initialConfig: { tray: [4, 1, 1, 2, 3, 1] }
+    },
+    {
+        id: 'balance-005',
+        mode: 'balance-scale',
+        title: 'Long Arm, Short Arm',
+        hint: 'Hang two stones on one arm and three on the other so the lever rests level',
+        difficulty: 3,
+        concepts: ['torque', 'multiplication', 'balance'],
+        initialConfig: {
+            variant: 'lever',
+            tray: [1, 1, 1, 1, 1]
+        },
+        goals: [
+            {
+                any: [
+                    { all: [{ metric: 'left-count', eq: 2 }, { metric: 'right-count', eq: 3 }] },
+                    { all: [{ metric: 'left-count', eq: 3 }, { metric: 'right-count', eq: 2 }] }
+                ]
+            },
+            { type: 'scale-balanced' }
         ]
     },
 
@@ -260,7 +360,13 @@ const CHALLENGE_LIBRARY = [
         goals: [
             { type: 'stack-height', minHeight: 4 },
             { type: 'stack-matching-neighbors' }
-        ]
+        ],
+        initialConfig: {
+            tray: [
+                { size: 1.2, color: 'blue' }, { size: 1, color: 'red' }, 0.9,
+                { size: 1.1, color: 'red' }, 1, { size: 1, color: 'blue' }, 0.8
+            ]
+        }
     },
     {
         id: 'stack-007',
@@ -272,6 +378,365 @@ const CHALLENGE_LIBRARY = [
         goals: [
             { type: 'stack-height', minHeight: 3 },
             { type: 'stack-all-warm' }
+        ],
+        initialConfig: {
+            tray: [
+                { size: 1.2, color: 'red' }, { size: 1.1, color: 'blue' }, { size: 1, color: 'yellow' },
+                { size: 1, color: 'green' }, { size: 1.1, color: 'orange' }, { size: 0.9, color: 'purple' },
+                { size: 0.8, color: 'red' }, { size: 1, color: 'earth' }
+            ]
+        }
+    },
+    {
+        id: 'stack-008',
+        mode: 'stack-balance',
+        title: 'Narrow Ledge',
+        hint: 'Two stones already stand on a narrow ledge. Add three more without a fall',
+        difficulty: 3,
+        concepts: ['spatial', 'stability', 'center-of-mass'],
+        goals: [
+            { type: 'stack-height', minHeight: 5 }
+        ],
+        initialConfig: { tray: 6, stacked: [1.3, 1.1], platformWidth: 110 }
+    },
+
+    // =============================================================
+    // NUMBER LINE - Counting on and back
+    // =============================================================
+    {
+        id: 'line-001',
+        mode: 'number-line',
+        title: 'Hop to Seven',
+        hint: 'The hopper is on 3. Drop a group beside it so it lands on 7',
+        difficulty: 1,
+        concepts: ['counting-on', 'addition', 'ordinal'],
+        initialConfig: { start: 3 },
+        goals: [
+            { type: 'land-on', value: 7, start: 3 }
+        ]
+    },
+    {
+        id: 'line-002',
+        mode: 'number-line',
+        title: 'Two Hops to Ten',
+        hint: 'Start at 0 and reach 10 in exactly two hops',
+        difficulty: 2,
+        concepts: ['addition', 'number-bonds', 'ordinal'],
+        initialConfig: { start: 0 },
+        goals: [
+            { type: 'land-on', value: 10, start: 0 },
+            { type: 'hops-sum-to', value: 10, hops: 2 }
+        ]
+    },
+    {
+        id: 'line-003',
+        mode: 'number-line',
+        title: 'Back Down to Five',
+        hint: 'From 12, hop backwards until you land on 5',
+        difficulty: 2,
+        concepts: ['subtraction', 'counting-back', 'ordinal'],
+        initialConfig: { start: 12 },
+        goals: [
+            { type: 'land-on', value: 5, start: 12 },
+            { type: 'hops-sum-to', value: -7 }
+        ]
+    },
+    {
+        id: 'line-004',
+        mode: 'number-line',
+        title: 'There and Back',
+        hint: 'From 4, hop up to 9, then hop back down to 2',
+        difficulty: 2,
+        concepts: ['addition', 'subtraction', 'ordinal'],
+        initialConfig: { start: 4 },
+        goals: [
+            { sequence: [{ metric: 'position', eq: 9 }, { metric: 'position', eq: 2 }] },
+            { metric: 'start', eq: 4 }
+        ]
+    },
+
+    // =============================================================
+    // PLACE VALUE - Ones, tens and hundreds
+    // =============================================================
+    {
+        id: 'place-001',
+        mode: 'place-value',
+        title: 'Make Twenty-Three',
+        hint: 'Show 23 with two tens and three ones',
+        difficulty: 1,
+        concepts: ['place-value', 'counting'],
+        initialConfig: {},
+        goals: [
+            { type: 'place-value', value: 23, tens: 2, ones: 3 }
+        ]
+    },
+    {
+        id: 'place-002',
+        mode: 'place-value',
+        title: 'Bundle the Ones',
+        hint: 'Push ten loose stones together to make a ten',
+        difficulty: 1,
+        concepts: ['place-value', 'grouping'],
+        initialConfig: { tens: 1, ones: 14 },
+        goals: [
+            { type: 'place-value', value: 24, tens: 2, ones: 4 }
+        ]
+    },
+    {
+        id: 'place-003',
+        mode: 'place-value',
+        title: 'Break a Ten',
+        hint: 'Tap a ten to break it into ones',
+        difficulty: 2,
+        concepts: ['place-value', 'regrouping', 'subtraction'],
+        initialConfig: { tens: 3 },
+        goals: [
+            { type: 'place-value', value: 30, tens: 2, ones: 10 }
+        ]
+    },
+    {
+        id: 'place-004',
+        mode: 'place-value',
+        title: 'A Hundred',
+        hint: 'Ten tens pushed together make a hundred',
+        difficulty: 3,
+        concepts: ['place-value', 'grouping'],
+        initialConfig: { tens: 10, ones: 4 },
+        goals: [
+            { type: 'place-value', value: 104, hundreds: 1, tens: 0, ones: 4 }
+        ]
+    },
+
+    // =============================================================
+    // TEN-FRAME - Filling frames and making ten
+    // =============================================================
+    {
+        id: 'frame-001',
+        mode: 'ten-frame',
+        title: 'Fill the Frame',
+        hint: 'Put stones in the frame until it holds ten',
+        difficulty: 1,
+        concepts: ['ten-frame', 'counting', 'make-ten'],
+        initialConfig: { frames: 1, filled: [6], loose: 6 },
+        goals: [
+            { type: 'frames-filled', count: 1 }
+        ]
+    },
+    {
+        id: 'frame-002',
+        mode: 'ten-frame',
+        title: 'Eight and Five',
+        hint: 'Move stones from the 5 to finish the 8. What is left?',
+        difficulty: 2,
+        concepts: ['make-ten', 'addition', 'number-bonds'],
+        initialConfig: { frames: 2, filled: [8, 5] },
+        goals: [
+            { type: 'frames-filled', count: 1 },
+            { type: 'frame-count', frame: 2, count: 3 }
+        ]
+    },
+    {
+        id: 'frame-003',
+        mode: 'ten-frame',
+        title: 'Seven and Six',
+        hint: 'Make ten first, then count what is left over',
+        difficulty: 2,
+        concepts: ['make-ten', 'addition', 'bridging-ten'],
+        initialConfig: { frames: 2, filled: [6, 7] },
+        goals: [
+            { type: 'frames-filled', count: 1 },
+            { type: 'frame-count', count: 13 }
+        ]
+    },
+    {
+        id: 'frame-004',
+        mode: 'ten-frame',
+        title: 'Two Full Frames',
+        hint: 'Fill both frames. How many stones is that?',
+        difficulty: 3,
+        concepts: ['ten-frame', 'place-value', 'counting'],
+        initialConfig: { frames: 3, filled: [9, 4, 3], loose: 4 },
+        goals: [
+            { type: 'frames-filled', count: 2 },
+            { type: 'frame-count', frame: 3, count: 0 }
+        ]
+    },
+
+    // =============================================================
+    // FRACTIONS - Splitting wholes and comparing parts
+    // =============================================================
+    {
+        id: 'fraction-001',
+        mode: 'fractions',
+        title: 'Halves and Quarters',
+        hint: 'Cut one stone in halves and another in quarters. Which pieces balance?',
+        difficulty: 2,
+        concepts: ['fractions', 'equivalence', 'balance'],
+        initialConfig: { stones: ['1', '1'], cut: 2 },
+        goals: [
+            { type: 'fraction-equivalent', value: '1/2' }
+        ]
+    },
+    {
+        id: 'fraction-002',
+        mode: 'fractions',
+        title: 'Four Quarters',
+        hint: 'Drop the quarters on each other until they make a whole',
+        difficulty: 1,
+        concepts: ['fractions', 'part-whole'],
+        initialConfig: { stones: ['1/4', '1/4', '1/4', '1/4'], cut: 4 },
+        goals: [
+            { type: 'make-whole', count: 1 }
+        ]
+    },
+    {
+        id: 'fraction-003',
+        mode: 'fractions',
+        title: 'Thirds and Sixths',
+        hint: 'Two thirds is on the left. Cut the other whole so the right pan matches',
+        difficulty: 3,
+        concepts: ['fractions', 'equivalence', 'balance'],
+        initialConfig: { stones: ['1'], left: ['1/3', '1/3'], cut: 3 },
+        goals: [
+            { type: 'fraction-equivalent', value: '2/3' }
+        ]
+    },
+    {
+        id: 'fraction-004',
+        mode: 'fractions',
+        title: 'Put It Back Together',
+        hint: 'Which pieces fit together to make one whole? Join them up',
+        difficulty: 2,
+        concepts: ['fractions', 'part-whole', 'addition'],
+        initialConfig: { stones: ['1/2', '1/4', '1/4', '1/3', '2/3'], cut: 2 },
+        goals: [
+            { type: 'make-whole', count: 2 }
+        ]
+    },
+
+    // =============================================================
+    // ARRAYS - Multiplication as rows and columns
+    // =============================================================
+    {
+        id: 'array-001',
+        mode: 'arrays',
+        title: 'Three Rows of Four',
+        hint: 'Fill every cell. How many stones is 3 rows of 4?',
+        difficulty: 1,
+        concepts: ['multiplication', 'arrays', 'equal-groups'],
+        initialConfig: { rows: 3, cols: 4, filled: 5, loose: 9 },
+        goals: [
+            { type: 'array-dimensions', rows: 3, cols: 4 }
+        ]
+    },
+    {
+        id: 'array-002',
+        mode: 'arrays',
+        title: 'Turn It Around',
+        hint: 'Turn the array. Is 4 rows of 2 the same as 2 rows of 4?',
+        difficulty: 1,
+        concepts: ['multiplication', 'commutativity', 'arrays'],
+        initialConfig: { rows: 2, cols: 4, loose: 0 },
+        goals: [
+            { type: 'array-dimensions', rows: 4, cols: 2 }
+        ]
+    },
+    {
+        id: 'array-003',
+        mode: 'arrays',
+        title: 'Make Eighteen',
+        hint: 'Change the rows and columns until the array holds all 18 stones',
+        difficulty: 2,
+        concepts: ['multiplication', 'factors', 'arrays'],
+        initialConfig: { rows: 2, cols: 2, filled: 0, loose: 18 },
+        goals: [
+            { type: 'array-product', product: 18 }
+        ]
+    },
+    {
+        id: 'array-004',
+        mode: 'arrays',
+        title: 'Split Seven',
+        hint: 'Split 3 × 7 into two arrays you know, like 3 × 5 and 3 × 2',
+        difficulty: 3,
+        concepts: ['multiplication', 'distributive-property', 'arrays'],
+        initialConfig: { rows: 3, cols: 7 },
+        goals: [
+            { type: 'array-product', product: 21, split: true }
+        ]
+    },
+
+    // =============================================================
+    // MULTI-LEVER - Multiplication with hanging scales
+    // =============================================================
+    {
+        id: 'lever-001',
+        mode: 'multi-lever',
+        title: 'Three Fours',
+        hint: 'Balance each little scale with two stones on each side',
+        difficulty: 2,
+        concepts: ['multiplication', 'equal-groups', 'balance'],
+        initialConfig: {
+            lever: {
+                id: 'top',
+                left: { levers: [{ id: 'g1' }, { id: 'g2' }, { id: 'g3' }] },
+                right: { stones: [12] }
+            },
+            tray: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
+        },
+        goals: [
+            { type: 'lever-mass', lever: 'g1', mass: 4 },
+            { type: 'lever-mass', lever: 'g2', mass: 4 },
+            { type: 'lever-mass', lever: 'g3', mass: 4 },
+            { type: 'scale-balanced' }
+        ]
+    },
+    {
+        id: 'lever-002',
+        mode: 'multi-lever',
+        title: 'Twos Make Twelve',
+        hint: 'Use every stone so all the scales hang level',
+        difficulty: 2,
+        concepts: ['multiplication', 'skip-counting', 'balance'],
+        initialConfig: {
+            lever: {
+                id: 'top',
+                left: { levers: [{ id: 'g1' }, { id: 'g2' }, { id: 'g3' }] },
+                right: { stones: [12] }
+            },
+            tray: [2, 2, 2, 2, 2, 2]
+        },
+        goals: [
+            { type: 'scale-balanced' },
+            { type: 'all-stones-used' }
+        ]
+    },
+    {
+        id: 'lever-003',
+        mode: 'multi-lever',
+        title: 'Find the Twelve',
+        hint: 'Finish the three little scales, then match them on the right',
+        difficulty: 3,
+        concepts: ['multiplication', 'equality', 'balance'],
+        initialConfig: {
+            lever: {
+                id: 'top',
+                left: {
+                    levers: [
+                        { id: 'g1', left: { stones: [2] } },
+                        { id: 'g2', left: { stones: [2] } },
+                        { id: 'g3', left: { stones: [2] } }
+                    ]
+                },
+                right: {}
+            },
+            tray: [2, 2, 2, 4, 4, 4, 3, 1]
+        },
+        goals: [
+            { type: 'lever-mass', lever: 'g1', mass: 4 },
+            { type: 'lever-mass', lever: 'g2', mass: 4 },
+            { type: 'lever-mass', lever: 'g3', mass: 4 },
+            { type: 'scale-balanced' }
         ]
     }
 ];
@@ -0,0 +1,108 @@
+// Zen Math - Challenge library check (Node)
+// Lints every challenge in CHALLENGE_LIBRARY and searches for a solution to each
+// one on a few seeds (see challenges/ChallengeChecker.js):
+//
+//   node check-challenges.js                      # the whole library
+//   node check-challenges.js balance-003 --moves  # one challenge, with the moves found
+//   node check-challenges.js --generated          # draws of every generator template at every difficulty
+//
+// Exits with 1 if a challenge (or, with --generated, any draw of a template) has
+// schema problems, can't be solved on some seed, or is already solved before
+// the first move.
+
+const { createContext, get, getModeClasses } = require('./headless');
+
+// --generated: draws checked per template and difficulty, and the search budget
+// for each (templates are meant to be solvable by construction, so a draw is
+// never drawn again; see ChallengeGenerator)
+const GENERATED_DRAWS = 5;
+const GENERATED_MAX_NODES = 5000;
+
+function main(argv) {
+    const showMoves = argv.includes('--moves');
+    const ids = argv.filter(arg => !arg.startsWith('--'));
+
+    // Keep warnings, drop the scripts' progress logging ("Switched to mode")
+    const quiet = Object.assign(Object.create(console), { log: () => {}, info: () => {} });
+    const context = createContext({ console: quiet });
+    const ChallengeChecker = get('ChallengeChecker', context);
+    const library = get('CHALLENGE_LIBRARY', context);
+    const modes = getModeClasses(context);
+
+    if (argv.includes('--generated')) {
+        return checkTemplates(context, new ChallengeChecker({ modes, maxNodes: GENERATED_MAX_NODES }), showMoves);
+    }
+    const checker = new ChallengeChecker({ modes });
+
+    const unknown = ids.filter(id => !library.some(c => c.id === id));
+    if (unknown.length > 0) {
+        console.error(`No such challenge: ${unknown.join(', ')}`);
+        return 1;
+    }
+
+    let failures = 0;
+    const duplicates = checker.lintLibrary(library);
+    library.filter(c => ids.length === 0 || ids.includes(c.id)).forEach(challenge => {
+        const report = checker.check(challenge);
+        const problems = reportProblems(report).concat((duplicates[challenge.id] || []).filter(p => !report.problems.includes(p)));
+
+        const solved = report.runs.filter(run => run.solved);
+        const longest = Math.max(0, ...solved.map(run => run.moves.length));
+        console.log(`${problems.length === 0 ? 'ok  ' : 'FAIL'} ${challenge.id}` +
+            (solved.length > 0 ? ` (${longest} move${longest === 1 ? '' : 's'})` : ''));
+        problems.forEach(problem => console.log(`       ${problem}`));
+        if (showMoves) {
+            solved.forEach(run => console.log(`       ${run.seed}: ${run.moves.join(' -> ') || '(none)'}`));
+        }
+        if (problems.length > 0) failures++;
+    });
+
+    console.log(failures === 0 ? 'All challenges check out' : `${failures} challenge${failures === 1 ? '' : 's'} failed`);
+    return failures === 0 ? 0 : 1;
+}
+
+// A checker report's schema problems, then each seed it failed on
+function reportProblems(report) {
+    const problems = report.problems.slice();
+    report.runs.forEach(run => {
+        if (!run.solved) {
+            problems.push(`seed ${run.seed}: ${run.exhausted ? 'no solution with the moves the mode offers' : `no solution in ${run.nodes} scenes`}`);
+        } else if (run.trivial) {
+            problems.push(`seed ${run.seed}: solved before the first move`);
+        }
+    });
+    return problems;
+}
+
+// Check GENERATED_DRAWS challenges from each template at each difficulty, from a
+// fixed seed; every draw has to pass
+function checkTemplates(context, checker, showMoves) {
+    const ChallengeGenerator = get('ChallengeGenerator', context);
+    const generator = new ChallengeGenerator({ seed: 'check' });
+
+    let failures = 0;
+    get('CHALLENGE_TEMPLATES', context).forEach(template => {
+        for (let difficulty = template.difficulty[0]; difficulty <= template.difficulty[1]; difficulty++) {
+            const failed = [];
+            for (let draw = 0; draw < GENERATED_DRAWS; draw++) {
+                const challenge = generator.build(template, difficulty);
+                const problems = reportProblems(checker.check(challenge));
+                if (problems.length > 0) failed.push({ challenge, problems });
+                else if (showMoves) console.log(`       ${challenge.title}: ${JSON.stringify(challenge.initialConfig)}`);
+            }
+
+            console.log(`${failed.length === 0 ? 'ok  ' : 'FAIL'} ${template.id} at ${difficulty}` +
+                (failed.length > 0 ? `: ${failed.length} of ${GENERATED_DRAWS} draws` : ''));
+            failed.forEach(({ challenge, problems }) => {
+                console.log(`       ${challenge.title}: ${JSON.stringify(challenge.initialConfig)}`);
+                problems.forEach(problem => console.log(`         ${problem}`));
+            });
+            if (failed.length > 0) failures++;
+        }
+    });
+
+    console.log(failures === 0 ? 'All templates check out' : `${failures} template difficult${failures === 1 ? 'y' : 'ies'} failed`);
+    return failures === 0 ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,56 @@
+// FixedTimestep - Accumulator-based fixed-step scheduler
+// Turns variable frame times (60 Hz, 120 Hz, dropped frames) into a steady
+// sequence of equal physics steps, plus an interpolation factor for rendering.
+
+const FIXED_STEP = 1 / 60;       // Physics step (seconds)
+const MAX_FRAME_TIME = 0.1;      // Longer frames (first frame, background tab) are clamped
+const MAX_STEPS_PER_FRAME = 8;   // Avoid a spiral of death on slow devices
+
+class FixedTimestep {
+    constructor(options = {}) {
+        this.step = options.step || FIXED_STEP;
+        this.maxFrameTime = options.maxFrameTime || MAX_FRAME_TIME;
+        this.maxSteps = options.maxSteps || MAX_STEPS_PER_FRAME;
+        this.accumulator = 0;
+        this.alpha = 0; // How far real time is past the last step, in steps (0-1)
+    }
+
+    // Clamp a raw frame time to the range the simulation can absorb
+    clampFrameTime(frameTime) {
+        if (!(frameTime > 0)) return 0;
+        return Math.min(frameTime, this.maxFrameTime);
+    }
+
+    // Feed one frame's elapsed time; calls stepFn(step) zero or more times.
+    // Returns the interpolation factor for rendering this frame.
+    advance(frameTime, stepFn) {
+        this.accumulator += this.clampFrameTime(frameTime);
+
+        let steps = 0;
+        // Small epsilon so frames that are exact multiples of the step don't drift
+        while (this.accumulator + 1e-9 >= this.step && steps < this.maxSteps) {
+            stepFn(this.step);
+            this.accumulator -= this.step;
+            steps++;
+        }
+
+        // Still behind after the step budget: drop the backlog instead of catching up
+        if (steps === this.maxSteps && this.accumulator >= this.step) {
+            this.accumulator = 0;
+        }
+
+        this.accumulator = Math.max(0, this.accumulator);
+        this.alpha = Math.min(1, this.accumulator / this.step);
+        return this.alpha;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FixedTimestep, FIXED_STEP, MAX_FRAME_TIME };
+}
@@ -0,0 +1,237 @@
+// HeadlessRunner - Drives any registered mode without a real canvas
+// Steps update(dt) at a fixed timestep against a stub 2D context and injects
+// pointer input through the same ModeManager pipeline the browser app uses.
+//
+//   const runner = new HeadlessRunner({ modes: [StackBalanceMode], seed: 'garden' });
+//   runner.switchMode('stack-balance');
+//   runner.drag(x1, y1, x2, y2);
+//   runner.advance(2.0);
+//   runner.mode.stackHeight; // 1
+
+const HEADLESS_DEFAULT_WIDTH = 1024;
+const HEADLESS_DEFAULT_HEIGHT = 768;
+const HEADLESS_DEFAULT_TIMESTEP = 1 / 60;
+const HEADLESS_DRAG_STEPS = 10; // Pointer moves (and frames) per scripted drag
+
+// Minimal CanvasRenderingContext2D stand-in: accepts every call the modes make
+// and draws nothing. Style properties are plain fields so reads still work.
+function createStubContext() {
+    const noop = () => {};
+    const gradient = { addColorStop: noop };
+
+    return {
+        fillStyle: '#000',
+        strokeStyle: '#000',
+        lineWidth: 1,
+        lineCap: 'butt',
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        globalAlpha: 1,
+        shadowColor: 'transparent',
+        shadowBlur: 0,
+        shadowOffsetX: 0,
+        shadowOffsetY: 0,
+
+        save: noop,
+        restore: noop,
+        setTransform: noop,
+        translate: noop,
+        rotate: noop,
+        scale: noop,
+        beginPath: noop,
+        closePath: noop,
+        moveTo: noop,
+        lineTo: noop,
+        arc: noop,
+        arcTo: noop,
+        ellipse: noop,
+        quadraticCurveTo: noop,
+        roundRect: noop,
+        rect: noop,
+        fill: noop,
+        stroke: noop,
+        fillRect: noop,
+        strokeRect: noop,
+        clearRect: noop,
+        fillText: noop,
+        strokeText: noop,
+        setLineDash: noop,
+        measureText: (text) => ({ width: String(text).length * 8 }),
+        createRadialGradient: () => gradient,
+        createLinearGradient: () => gradient
+    };
+}
+
+// Canvas stand-in with a fixed size (pixel ratio 1)
+function createStubCanvas(width, height) {
+    return {
+        width: width,
+        height: height,
+        style: {},
+        getBoundingClientRect() {
+            return { left: 0, top: 0, width: this.width, height: this.height };
+        }
+    };
+}
+
+class HeadlessRunner {
+    constructor(options = {}) {
+        this.width = options.width || HEADLESS_DEFAULT_WIDTH;
+        this.height = options.height || HEADLESS_DEFAULT_HEIGHT;
+        this.timestep = options.timestep || HEADLESS_DEFAULT_TIMESTEP;
+        this.renderFrames = options.render !== false; // Exercise render() each step by default
+
+        // Same seed + same input = same run
+        if (options.seed !== undefined) {
+            Random.setSeed(options.seed);
+        }
+        this.seed = Random.getSeed();
+
+        this.canvas = createStubCanvas(this.width, this.height);
+        this.ctx = createStubContext();
+        this.renderer = new Renderer(this.canvas, this.ctx, { pixelRatio: 1 });
+
+        // Simulated clock shared with every mode, in whole milliseconds like Date.now()
+        this.time = 0; // seconds
+        this.frame = 0;
+        const runner = this;
+        this.clock = { now: () => Math.round(runner.time * 1000) };
+
+        this.modeManager = new ModeManager(this.canvas, this.ctx, this.renderer);
+        this.modeManager.clock = this.clock;
+        (options.modes || []).forEach(ModeClass => this.modeManager.registerMode(ModeClass));
+
+        // Challenge goals are checked after each pointer up, as in app.js
+        this.challengeEngine = typeof ChallengeEngine !== 'undefined'
+            ? new ChallengeEngine(this.modeManager)
+            : null;
+
+        if (options.mode) {
+            this.switchMode(options.mode);
+        }
+    }
+
+    get mode() {
+        return this.modeManager.getCurrentMode();
+    }
+
+    switchMode(modeId) {
+        this.modeManager.switchMode(modeId);
+        return this.mode;
+    }
+
+    loadChallenge(challengeId) {
+        if (!this.challengeEngine) return false;
+        return this.challengeEngine.loadChallenge(challengeId);
+    }
+
+    // --- Simulation ---
+
+    // Advance the simulation by a number of frames of `timestep` seconds each.
+    // Frames go through ModeManager.update like the browser loop, so a 1/120
+    // timestep reproduces a 120 Hz display against the same fixed physics step.
+    step(frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            this.time += this.timestep;
+            this.frame++;
+
+            this.modeManager.update(this.timestep);
+            if (this.renderFrames) this.modeManager.render();
+        }
+        return this;
+    }
+
+    // Advance the simulation by (at least) the given number of seconds
+    advance(seconds) {
+        return this.step(Math.ceil(seconds / this.timestep - 1e-9));
+    }
+
+    // --- Pointer input ---
+
+    // pointerId is optional; give each simultaneous finger its own id
+    pointerDown(x, y, pointerId) {
+        this.modeManager.pointerDown(x, y, pointerId);
+        return this.modeManager.getDraggedStone(pointerId);
+    }
+
+    // grip simulates pen pressure (see PhysicsEngine.pressureToGrip)
+    pointerMove(x, y, pointerId, grip) {
+        this.modeManager.pointerMove(x, y, pointerId, grip);
+        return this;
+    }
+
+    pointerUp(x, y, pointerId) {
+        this.modeManager.pointerUp(x, y, pointerId);
+        if (this.challengeEngine) this.challengeEngine.checkGoals();
+        return this;
+    }
+
+    pointerCancel(pointerId) {
+        this.modeManager.pointerCancel(pointerId);
+        return this;
+    }
+
+    // Press, move and release with one simulated frame between each event
+    // (options: steps, pointerId, grip)
+    drag(fromX, fromY, toX, toY, options = {}) {
+        const moves = options.steps || HEADLESS_DRAG_STEPS;
+        const id = options.pointerId;
+
+        const grabbed = this.pointerDown(fromX, fromY, id);
+        this.step();
+        for (let i = 1; i <= moves; i++) {
+            const t = i / moves;
+            this.pointerMove(fromX + (toX - fromX) * t, fromY + (toY - fromY) * t, id, options.grip);
+            this.step();
+        }
+        this.pointerUp(toX, toY, id);
+        return grabbed;
+    }
+
+    // Several simultaneous drags, one pointer each, moving in lockstep.
+    // paths: [{ fromX, fromY, toX, toY }]; returns the stones grabbed.
+    multiDrag(paths, options = {}) {
+        const moves = options.steps || HEADLESS_DRAG_STEPS;
+
+        const grabbed = paths.map((p, id) => this.pointerDown(p.fromX, p.fromY, id + 1));
+        this.step();
+        for (let i = 1; i <= moves; i++) {
+            const t = i / moves;
+            paths.forEach((p, id) => {
+                this.pointerMove(p.fromX + (p.toX - p.fromX) * t, p.fromY + (p.toY - p.fromY) * t, id + 1);
+            });
+            this.step();
+        }
+        paths.forEach((p, id) => this.pointerUp(p.toX, p.toY, id + 1));
+        return grabbed;
+    }
+
+    // Press and release in place
+    tap(x, y, pointerId) {
+        const grabbed = this.pointerDown(x, y, pointerId);
+        this.step();
+        this.pointerUp(x, y, pointerId);
+        return grabbed;
+    }
+
+    // --- History ---
+
+    undo() {
+        return this.modeManager.undo();
+    }
+
+    redo() {
+        return this.modeManager.redo();
+    }
+
+    // Drag a specific stone (by reference) to a target position
+    dragStone(stone, toX, toY, options = {}) {
+        return this.drag(stone.x, stone.y, toX, toY, options);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadlessRunner, createStubContext, createStubCanvas };
+}
@@ -0,0 +1,350 @@
+// ModeManager - Mode registration, switching and pointer routing
+// Shared by the browser app (app.js) and the headless runner (core/HeadlessRunner.js).
+// DOM Pointer Events (mouse, touch, pen) go through onPointerDown/Move/Up/Cancel;
+// scripted input calls pointerDown/Move/Up directly with canvas coordinates. Every
+// pointer (the mouse, each touch, a pen) is tracked separately, so several stones
+// can be dragged at once.
+
+const DEFAULT_POINTER_ID = 0; // Mouse and single-pointer scripted input
+const KEYBOARD_POINTER_ID = 'keyboard'; // Keyboard and switch input (ui/KeyboardControls.js)
+const KEYBOARD_SINGLE_POINTER_ID = 'keyboard-single'; // Same, picking one stone out of a group
+
+class ModeManager {
+    constructor(canvas, ctx, renderer) {
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.renderer = renderer;
+        this.currentMode = null;
+        this.modes = new Map();
+
+        // Active drags by pointer id: { stone, offsetX, offsetY }
+        this.drags = new Map();
+        this.pressedPointers = new Set();
+        this.gestureMoved = false; // A stone was grabbed since the first pointer went down
+
+        // Map pen pressure to drag grip (PhysicsEngine.pressureToGrip); only
+        // modes with a mass-based drag (Free Explore) act on it
+        this.penPressureGrip = true;
+
+        // Optional time source injected into every mode ({ now() } in ms).
+        // Null means modes fall back to Date.now().
+        this.clock = null;
+
+        // Fixed-step scheduler for modes that opt in (usesFixedTimestep)
+        this.timestep = new FixedTimestep();
+
+        // Undo/redo of completed manipulations (cleared on mode switch)
+        this.history = new UndoHistory();
+
+        // Simulation steps run so far (the time base of session recordings)
+        this.tick = 0;
+
+        // Optional SessionRecorder notified of input and mode switches
+        this.recorder = null;
+
+        // Optional screen reader callback ((message) => void); modes and the
+        // challenge engine speak through announce()
+        this.announcer = null;
+    }
+
+    // Register a mode
+    registerMode(ModeClass) {
+        const metadata = ModeClass.getMetadata();
+        this.modes.set(metadata.id, {
+            class: ModeClass,
+            metadata: metadata,
+            instance: null
+        });
+    }
+
+    // Switch to a different mode
+    switchMode(modeId) {
+        // Cleanup current mode
+        if (this.currentMode) {
+            this.currentMode.cleanup();
+        }
+
+        // Get mode data
+        const modeData = this.modes.get(modeId);
+        if (!modeData) {
+            console.error(`Mode ${modeId} not found`);
+            return;
+        }
+        if (this.recorder) this.recorder.record('mode', modeId);
+
+        // Create new instance
+        modeData.instance = new modeData.class(this.canvas, this.ctx, this.renderer);
+        modeData.instance.clock = this.clock;
+        modeData.instance.history = this.history;
+        modeData.instance.announcer = (message) => this.announce(message);
+        this.currentMode = modeData.instance;
+        this._resetPointers();
+        this.timestep.reset();
+
+        // Initialize mode
+        this.currentMode.init();
+        this.history.clear();
+
+        console.log(`Switched to mode: ${modeData.metadata.name}`);
+    }
+
+    announce(message) {
+        if (this.announcer) this.announcer(message);
+    }
+
+    // --- Scenes ---
+
+    // Snapshot of the current mode as a scene object (see SceneSerializer)
+    saveScene() {
+        return this.currentMode ? this.currentMode.serialize() : null;
+    }
+
+    // Restore a scene (object or JSON text), switching to its mode first
+    loadScene(input) {
+        const scene = SceneSerializer.parse(input);
+        if (!scene) return false;
+
+        if (!this.modes.has(scene.mode)) {
+            console.error(`Mode ${scene.mode} not found`);
+            return false;
+        }
+
+        if (this.recorder) {
+            this.recorder.record('scene', scene);
+            return this.recorder.suspend(() => this._applyScene(scene));
+        }
+        return this._applyScene(scene);
+    }
+
+    _applyScene(scene) {
+        if (this.getCurrentModeId() !== scene.mode) {
+            this.switchMode(scene.mode);
+        }
+        this._resetPointers();
+        this.history.clear();
+        return this.currentMode.deserialize(scene);
+    }
+
+    // --- Undo / redo ---
+
+    // Restore the scene before the last completed step. Ignored mid-drag.
+    undo() {
+        if (!this.currentMode || this.isDragging()) return false;
+        if (this.recorder) this.recorder.record('undo');
+        const scene = this.history.undo(this.currentMode.serialize());
+        return scene ? this.currentMode.deserialize(scene) : false;
+    }
+
+    redo() {
+        if (!this.currentMode || this.isDragging()) return false;
+        if (this.recorder) this.recorder.record('redo');
+        const scene = this.history.redo(this.currentMode.serialize());
+        return scene ? this.currentMode.deserialize(scene) : false;
+    }
+
+    // Advance the current mode by one frame's elapsed time (seconds).
+    // Fixed-step modes run zero or more equal steps; others get one clamped update.
+    update(frameTime) {
+        const mode = this.currentMode;
+        if (!mode || !mode.isActive) return;
+
+        if (mode.usesFixedTimestep) {
+            this.timestep.advance(frameTime, (step) => {
+                mode.savePreviousPositions();
+                mode.update(step);
+                this.tick++;
+            });
+        } else {
+            mode.update(this.timestep.clampFrameTime(frameTime));
+            this.tick++;
+        }
+    }
+
+    // Draw the current mode (interpolated between steps when fixed-step)
+    render() {
+        const mode = this.currentMode;
+        if (!mode || !mode.isActive) return;
+
+        if (mode.usesFixedTimestep) {
+            mode.renderInterpolated(this.timestep.alpha);
+        } else {
+            mode.render();
+        }
+    }
+
+    // Get current mode
+    getCurrentMode() {
+        return this.currentMode;
+    }
+
+    // Get the id of the current mode (null if none is active)
+    getCurrentModeId() {
+        for (const [id, data] of this.modes) {
+            if (data.instance && data.instance === this.currentMode) return id;
+        }
+        return null;
+    }
+
+    // Canvas coordinates of a pointer event
+    getEventPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / rect.width;
+        const scaleY = this.canvas.height / rect.height;
+        const x = (e.clientX - rect.left) * scaleX;
+        const y = (e.clientY - rect.top) * scaleY;
+        return {x, y};
+    }
+
+    // The pointer a DOM PointerEvent reports: { id, x, y, grip }.
+    // The mouse keeps DEFAULT_POINTER_ID; touches and pens get per-contact ids.
+    getEventPointer(e) {
+        const {x, y} = this.getEventPosition(e);
+        const id = e.pointerType === 'mouse' ? DEFAULT_POINTER_ID : `${e.pointerType}-${e.pointerId}`;
+        const grip = this.penPressureGrip && e.pointerType === 'pen' && e.pressure > 0
+            ? PhysicsEngine.pressureToGrip(e.pressure)
+            : 1;
+        return { id, x, y, grip };
+    }
+
+    // DOM event handlers
+    onPointerDown(e) {
+        // No text selection or emulated mouse events; capture keeps the drag
+        // alive when the pointer leaves the canvas
+        e.preventDefault();
+        if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+        const p = this.getEventPointer(e);
+        this.pointerDown(p.x, p.y, p.id);
+    }
+
+    onPointerMove(e) {
+        const p = this.getEventPointer(e);
+        this.pointerMove(p.x, p.y, p.id, p.grip);
+    }
+
+    onPointerUp(e) {
+        const p = this.getEventPointer(e);
+        this.pointerUp(p.x, p.y, p.id);
+    }
+
+    // The browser took the pointer away (pointercancel, e.g. a system gesture,
+    // or lostpointercapture without a pointer up). Ignored once the pointer is up.
+    onPointerCancel(e) {
+        this.pointerCancel(this.getEventPointer(e).id);
+    }
+
+    // --- Dragging (one stone per pointer) ---
+
+    // Stone held by a pointer (null if none)
+    getDraggedStone(pointerId = DEFAULT_POINTER_ID) {
+        const drag = this.drags.get(pointerId);
+        return drag ? drag.stone : null;
+    }
+
+    // Most recently grabbed stone of any pointer, for single-pointer callers
+    get draggedStone() {
+        let stone = null;
+        this.drags.forEach(drag => { stone = drag.stone; });
+        return stone;
+    }
+
+    isDragging() {
+        return this.drags.size > 0;
+    }
+
+    // Forget every pointer (mode switch, scene load)
+    _resetPointers() {
+        this.drags.clear();
+        this.pressedPointers.clear();
+        this.gestureMoved = false;
+    }
+
+    // Coordinate-level input (canvas coordinates). Scripted input can omit
+    // pointerId; simultaneous pointers need distinct ids.
+    pointerDown(x, y, pointerId = DEFAULT_POINTER_ID) {
+        if (!this.currentMode) return;
+        if (this.recorder) ({ x, y } = this.recorder.pointer('d', x, y, pointerId));
+
+        // Snapshot before the first pointer goes down, so a gesture with any
+        // number of fingers is one undo step
+        if (this.pressedPointers.size === 0) {
+            this.history.begin(this.currentMode.serialize());
+            this.gestureMoved = false;
+        }
+        this.pressedPointers.add(pointerId);
+
+        // Let mode handle the pointer down
+        const stone = this.currentMode.onPointerDown(x, y, pointerId);
+
+        if (stone) {
+            this.drags.set(pointerId, {
+                stone: stone,
+                offsetX: x - stone.x,
+                offsetY: y - stone.y
+            });
+            this.gestureMoved = true;
+        } else {
+            this.drags.delete(pointerId);
+        }
+    }
+
+    // grip (default 1) is how firmly a pen holds its stone; see PhysicsEngine.applyGrip
+    pointerMove(x, y, pointerId = DEFAULT_POINTER_ID, grip = 1) {
+        if (!this.currentMode) return;
+        if (this.recorder) ({ x, y, grip } = this.recorder.pointer('m', x, y, pointerId, grip));
+
+        // Calculate adjusted position with this pointer's grab offset
+        const drag = this.drags.get(pointerId);
+        const adjustedX = drag ? x - drag.offsetX : x;
+        const adjustedY = drag ? y - drag.offsetY : y;
+
+        // Let mode handle the pointer move
+        this.currentMode.onPointerMove(adjustedX, adjustedY, drag ? drag.stone : null, pointerId, grip);
+    }
+
+    pointerUp(x, y, pointerId = DEFAULT_POINTER_ID) {
+        if (!this.currentMode) return;
+        if (this.recorder) ({ x, y } = this.recorder.pointer('u', x, y, pointerId));
+
+        // Let mode handle the pointer up
+        const drag = this.drags.get(pointerId);
+        this.currentMode.onPointerUp(x, y, drag ? drag.stone : null, pointerId);
+
+        // Release this pointer's stone; the step ends with the last pointer
+        this.drags.delete(pointerId);
+        this.pressedPointers.delete(pointerId);
+        if (this.pressedPointers.size === 0) {
+            this.history.commit(this.currentMode.serialize(), this.gestureMoved ? 'move' : null);
+        }
+    }
+
+    // Abort one pointer's drag without treating it as a drop
+    pointerCancel(pointerId = DEFAULT_POINTER_ID) {
+        if (!this.currentMode || !this.pressedPointers.has(pointerId)) return;
+        if (this.recorder) this.recorder.pointerCancel(pointerId);
+
+        const drag = this.drags.get(pointerId);
+        this.currentMode.onPointerCancel(drag ? drag.stone : null, pointerId);
+
+        this.drags.delete(pointerId);
+        this.pressedPointers.delete(pointerId);
+        if (this.pressedPointers.size === 0) {
+            this.history.commit(this.currentMode.serialize(), this.gestureMoved ? 'move' : null);
+        }
+    }
+
+    // Handle window blur (drop every drag where it is). A fallback: pointer
+    // capture and pointercancel normally end drags before this matters.
+    onBlur() {
+        if (this.drags.size > 0) {
+            if (this.recorder) this.recorder.blur();
+            this.drags.forEach((drag, pointerId) => this.currentMode.onPointerCancel(drag.stone, pointerId));
+            this._resetPointers();
+            this.history.commit(this.currentMode.serialize(), 'move');
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModeManager, DEFAULT_POINTER_ID, KEYBOARD_POINTER_ID, KEYBOARD_SINGLE_POINTER_ID };
+}
@@ -4,10 +4,31 @@
 //   1-5:   Domino/dice patterns (universally recognizable)
 //   6-10:  2-row rectangles
 //   11-20: Base-10 composites (2x5 ten-block plus extras)
+//   21+:   Generated - a near-square array when the value factors into one,
+//          otherwise ten-blocks two abreast with the extras below
+// Those are the 'dice' family, the default. Other families lay out the same
+// values differently (see STRUCTURE_FAMILIES); every method takes an optional family.
 
 // Spacing between stone centers in a pattern (px)
 var STRUCTURE_SPACING = 50;
 
+// How far (px) a stone may sit from its spot for a group to still read as a pattern
+var STRUCTURE_MATCH_TOLERANCE = STRUCTURE_SPACING * 0.4;
+
+// Largest value with a pattern; change with NumberStructure.setMaxValue
+var STRUCTURE_MAX_VALUE = 100;
+
+// Pattern families, in the order a family switch cycles through them:
+//   dice:      the patterns above
+//   ten-frame: 2x5 frames filled row by row, two frames abreast
+//   array:     the squarest rows x columns (at most 10 wide), else rows of ten
+//   finger:    fives as the fingers of a hand, two hands side by side
+var STRUCTURE_FAMILIES = ['dice', 'ten-frame', 'array', 'finger'];
+var STRUCTURE_DEFAULT_FAMILY = 'dice';
+
+// Generated patterns by 'family:value', filled in on first use
+var STRUCTURE_GENERATED = {};
+
 // Canonical offset patterns for numbers 1-20.
 // Each entry is an array of {x, y} offsets from the structure's center.
 // Offsets are in multiples of STRUCTURE_SPACING, converted to pixels below.
@@ -124,24 +145,235 @@ var STRUCTURE_PATTERNS = (function () {
 
 
 class NumberStructure {
-    constructor(value) {
+    constructor(value, family) {
         this.value = value;
-        this.pattern = NumberStructure.getPattern(value);
+        this.family = family || STRUCTURE_DEFAULT_FAMILY;
+        this.pattern = NumberStructure.getPattern(value, this.family);
         this.stones = [];
         this.centerX = 0;
         this.centerY = 0;
     }
 
-    // Get the canonical offset pattern for a number (1-20).
+    static getMaxValue() {
+        return STRUCTURE_MAX_VALUE;
+    }
+
+    // Raise or lower the largest value that has a pattern (at least 20)
+    static setMaxValue(value) {
+        STRUCTURE_MAX_VALUE = Math.max(20, Math.floor(value));
+    }
+
+    static getFamilies() {
+        return STRUCTURE_FAMILIES.slice();
+    }
+
+    // Get the canonical offset pattern for a number (1 to the max value) in a family.
     // Returns an array of {x, y} pixel offsets from center, or empty array for unsupported values.
-    static getPattern(value) {
-        if (value >= 1 && value <= 20 && STRUCTURE_PATTERNS[value]) {
-            // Return a copy so callers can't mutate the canonical patterns
-            return STRUCTURE_PATTERNS[value].map(function (p) {
-                return { x: p.x, y: p.y };
+    static getPattern(value, family) {
+        family = family || STRUCTURE_DEFAULT_FAMILY;
+        if (STRUCTURE_FAMILIES.indexOf(family) === -1) return [];
+        if (!(value >= 1 && value <= STRUCTURE_MAX_VALUE) || Math.floor(value) !== value) return [];
+
+        var pattern;
+        if (family === 'dice' && value <= 20) {
+            pattern = STRUCTURE_PATTERNS[value];
+        } else {
+            var key = family + ':' + value;
+            if (!STRUCTURE_GENERATED[key]) {
+                STRUCTURE_GENERATED[key] = NumberStructure.generatePattern(value, family);
+            }
+            pattern = STRUCTURE_GENERATED[key];
+        }
+
+        // Return a copy so callers can't mutate the canonical patterns
+        return pattern.map(function (p) {
+            return { x: p.x, y: p.y };
+        });
+    }
+
+    // Build the layout for a value in a family (dice values above 20 only)
+    static generatePattern(value, family) {
+        switch (family) {
+            case 'ten-frame': return NumberStructure._tenFramePattern(value);
+            case 'array': return NumberStructure._arrayPattern(value);
+            case 'finger': return NumberStructure._fingerPattern(value);
+            default: return NumberStructure._compositePattern(value);
+        }
+    }
+
+    // Dice family above 20: rows x columns when the value has a near-square
+    // factoring (no more than 10 wide, sides differing by at most 2),
+    // otherwise its ten-blocks two abreast with the remaining 1-9 below.
+    static _compositePattern(value) {
+        var S = STRUCTURE_SPACING;
+        var points = [];
+
+        var rows = NumberStructure._findArrayRows(value);
+        if (rows) {
+            var cols = value / rows;
+            for (var r = 0; r < rows; r++) {
+                for (var c = 0; c < cols; c++) {
+                    points.push({ x: c * S, y: r * S });
+                }
+            }
+            return NumberStructure._centerPattern(points);
+        }
+
+        // Ten-blocks are 5 wide and 2 tall; leave a stone's gap between them
+        var tens = Math.floor(value / 10);
+        var extras = value % 10;
+        var blockPitchX = 6 * S;
+        var blockPitchY = 2.5 * S;  // Same gap as between the ten-block and extras in 11-20
+        var tenBlock = STRUCTURE_PATTERNS[10];
+
+        for (var t = 0; t < tens; t++) {
+            var blockX = (t % 2) * blockPitchX;
+            var blockY = Math.floor(t / 2) * blockPitchY;
+            for (var i = 0; i < tenBlock.length; i++) {
+                points.push({ x: tenBlock[i].x + blockX, y: tenBlock[i].y + blockY });
+            }
+        }
+
+        if (extras > 0) {
+            var extrasY = Math.ceil(tens / 2) * blockPitchY;
+            var extrasPattern = STRUCTURE_PATTERNS[extras];
+            for (var j = 0; j < extrasPattern.length; j++) {
+                points.push({ x: extrasPattern[j].x, y: extrasPattern[j].y + extrasY });
+            }
+        }
+
+        return NumberStructure._centerPattern(points);
+    }
+
+    // Ten-frames (2 rows of 5) filled top row first, left to right; two
+    // frames abreast, then the next two below. Centered on the frames, not
+    // the stones, so a 3 sits where it would in a real frame.
+    static _tenFramePattern(value) {
+        var S = STRUCTURE_SPACING;
+        var framePitchX = 5.5 * S;
+        var framePitchY = 2.5 * S;
+        var frames = Math.ceil(value / 10);
+        var points = [];
+
+        for (var n = 0; n < value; n++) {
+            var frame = Math.floor(n / 10);
+            var cell = n % 10;
+            points.push({
+                x: (frame % 2) * framePitchX + (cell % 5 - 2) * S,
+                y: Math.floor(frame / 2) * framePitchY + (Math.floor(cell / 5) - 0.5) * S
             });
         }
-        return [];
+
+        var midX = frames > 1 ? framePitchX / 2 : 0;
+        var midY = (Math.ceil(frames / 2) - 1) * framePitchY / 2;
+        return points.map(function (p) {
+            return { x: p.x - midX, y: p.y - midY };
+        });
+    }
+
+    // The squarest rows x columns with at most 10 columns (a prime up to 10
+    // is a single row); otherwise rows of ten and a shorter last row.
+    static _arrayPattern(value) {
+        var S = STRUCTURE_SPACING;
+        var cols = 10;
+        for (var rows = Math.floor(Math.sqrt(value)); rows >= 1; rows--) {
+            if (value % rows === 0 && value / rows <= 10) {
+                cols = value / rows;
+                break;
+            }
+        }
+
+        var points = [];
+        for (var n = 0; n < value; n++) {
+            points.push({ x: (n % cols) * S, y: Math.floor(n / cols) * S });
+        }
+        return NumberStructure._centerPattern(points);
+    }
+
+    // Fives as hands: a left hand counted from the little finger in to the
+    // thumb, then a right hand from the thumb out. Each pair of hands is ten;
+    // the next pair goes below.
+    static _fingerPattern(value) {
+        var S = STRUCTURE_SPACING;
+        // Right hand, thumb first, around the palm's center
+        var hand = [
+            { x: -1.6 * S, y: 0.5 * S },
+            { x: -0.9 * S, y: -0.8 * S },
+            { x: 0, y: -1.2 * S },
+            { x: 0.9 * S, y: -0.9 * S },
+            { x: 1.7 * S, y: -0.3 * S }
+        ];
+        var handOffsetX = 2.1 * S;
+        var pairPitchY = 2.5 * S;
+        var points = [];
+
+        for (var n = 0; n < value; n++) {
+            var pair = Math.floor(n / 10);
+            var finger = n % 10;
+            var y = pair * pairPitchY;
+            if (finger < 5) {
+                // Left hand is the right one mirrored, little finger first
+                var left = hand[4 - finger];
+                points.push({ x: -handOffsetX - left.x, y: y + left.y });
+            } else {
+                var right = hand[finger - 5];
+                points.push({ x: handOffsetX + right.x, y: y + right.y });
+            }
+        }
+        return NumberStructure._centerPattern(points);
+    }
+
+    // Rows of a near-square array for the value, or null when it has none.
+    // Multiples of ten keep their ten-blocks.
+    static _findArrayRows(value) {
+        if (value % 10 === 0) return null;
+        for (var rows = Math.floor(Math.sqrt(value)); rows >= 2; rows--) {
+            if (value % rows !== 0) continue;
+            var cols = value / rows;
+            return cols <= 10 && cols - rows <= 2 ? rows : null;
+        }
+        return null;
+    }
+
+    // Rows and columns of a value's pattern when it fills a whole grid
+    // (dice 6 is 2 x 3, array 12 is 3 x 4), or null when it doesn't (dice 5, 13).
+    static getGridDimensions(value, family) {
+        var pattern = NumberStructure.getPattern(value, family);
+        if (pattern.length === 0) return null;
+
+        var xs = {}, ys = {};
+        for (var i = 0; i < pattern.length; i++) {
+            xs[Math.round(pattern[i].x)] = true;
+            ys[Math.round(pattern[i].y)] = true;
+        }
+        var rows = Object.keys(ys).length;
+        var cols = Object.keys(xs).length;
+        return rows * cols === pattern.length ? { rows: rows, cols: cols } : null;
+    }
+
+    // Shift points so their bounding box is centered on (0, 0)
+    static _centerPattern(points) {
+        var minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (var i = 0; i < points.length; i++) {
+            minX = Math.min(minX, points[i].x);
+            maxX = Math.max(maxX, points[i].x);
+            minY = Math.min(minY, points[i].y);
+            maxY = Math.max(maxY, points[i].y);
+        }
+        var midX = (minX + maxX) / 2;
+        var midY = (minY + maxY) / 2;
+        return points.map(function (p) {
+            return { x: p.x - midX, y: p.y - midY };
+        });
+    }
+
+    // Same pattern with stones `spacing` px apart instead of STRUCTURE_SPACING
+    // (smaller pieces such as number line hop groups and place-value rods).
+    static getScaledPattern(value, spacing, family) {
+        var scale = spacing / STRUCTURE_SPACING;
+        return NumberStructure.getPattern(value, family).map(function (p) {
+            return { x: p.x * scale, y: p.y * scale };
+        });
     }
 
     // Create actual Stone instances positioned around (centerX, centerY).
@@ -181,93 +413,251 @@ class NumberStructure {
         return true;
     }
 
-    // Try to recognize if an arbitrary array of stones matches any known pattern (1-20).
-    // Normalizes stone positions relative to their centroid, then compares against
-    // each canonical pattern using a greedy nearest-neighbor match.
+    // Try to recognize if an arbitrary array of stones matches any known pattern
+    // (1 to the max value) of a family, however it is turned, flipped or scaled.
     // Returns the matching number value, or null if no match found.
-    static recognizePattern(stones, threshold) {
-        if (threshold === undefined) threshold = 50;
+    static recognizePattern(stones, threshold, family) {
+        var match = NumberStructure.matchPattern(stones, { threshold: threshold, family: family });
+        return match ? match.value : null;
+    }
 
-        if (!stones || stones.length === 0 || stones.length > 20) return null;
+    // Fit the pattern with as many stones as given to the stones, allowing any
+    // rotation, a mirror image and a scale close to 1.
+    // options: { threshold (STRUCTURE_MATCH_TOLERANCE), family, minScale (0.8), maxScale (1.25) }
+    // Returns null, or
+    //   { value, family, confidence, transform, assignment }
+    // where transform = { x, y, rotation, scale, mirrored } takes canonical pattern
+    // offsets (mirrored: x negated first, then scaled, rotated, moved to x, y) onto
+    // the stones, assignment[i] is the pattern index stone i stands for, and
+    // confidence runs from 1 (exact) down to 0 (stones `threshold` px out on
+    // average, in screen px); a scale away from 1 lowers it too.
+    static matchPattern(stones, options) {
+        options = options || {};
+        var threshold = options.threshold === undefined ? STRUCTURE_MATCH_TOLERANCE : options.threshold;
+        var family = options.family || STRUCTURE_DEFAULT_FAMILY;
+        var minScale = options.minScale === undefined ? 0.8 : options.minScale;
+        var maxScale = options.maxScale === undefined ? 1.25 : options.maxScale;
+
+        if (!stones || stones.length === 0 || stones.length > STRUCTURE_MAX_VALUE) return null;
+
+        // The pattern for n has n stones
+        var pattern = NumberStructure.getPattern(stones.length, family);
+        if (pattern.length === 0) return null;
+
+        // Both sets relative to their centroids
+        var stonesCenter = NumberStructure._centroid(stones);
+        var points = stones.map(function (s) {
+            return { x: s.x - stonesCenter.x, y: s.y - stonesCenter.y };
+        });
+        var patternCenter = NumberStructure._centroid(pattern);
+        var canonical = pattern.map(function (p) {
+            return { x: p.x - patternCenter.x, y: p.y - patternCenter.y };
+        });
 
-        // Compute centroid of the given stones
-        var cx = 0, cy = 0;
-        for (var i = 0; i < stones.length; i++) {
-            cx += stones[i].x;
-            cy += stones[i].y;
+        var patternSpread = NumberStructure._spread(canonical);
+        var stonesSpread = NumberStructure._spread(points);
+
+        // A single stone is always a one
+        if (patternSpread === 0) {
+            return {
+                value: 1,
+                family: family,
+                confidence: 1,
+                transform: { x: stonesCenter.x, y: stonesCenter.y, rotation: 0, scale: 1, mirrored: false },
+                assignment: [0]
+            };
         }
-        cx /= stones.length;
-        cy /= stones.length;
 
-        // Normalize stone positions relative to centroid
-        var normalized = stones.map(function (s) {
-            return { x: s.x - cx, y: s.y - cy };
+        var best = null;
+        [false, true].forEach(function (mirrored) {
+            var source = mirrored ? canonical.map(function (p) { return { x: -p.x, y: p.y }; }) : canonical;
+            NumberStructure._candidateRotations(source, points).forEach(function (rotation) {
+                var fit = { rotation: rotation, scale: stonesSpread / patternSpread };
+
+                // Assign, refit the rotation and scale to that assignment, and again
+                var assignment = null;
+                for (var pass = 0; pass < 2; pass++) {
+                    assignment = NumberStructure._assignPoints(points, NumberStructure._transform(source, fit));
+                    fit = NumberStructure._fitSimilarity(source, points, assignment);
+                }
+
+                fit.rotation = NumberStructure._normalizeAngle(fit.rotation);
+                var placed = NumberStructure._transform(source, fit);
+                var sumSq = 0, worst = 0;
+                for (var i = 0; i < points.length; i++) {
+                    var dx = points[i].x - placed[assignment[i]].x;
+                    var dy = points[i].y - placed[assignment[i]].y;
+                    var d = Math.sqrt(dx * dx + dy * dy);
+                    sumSq += d * d;
+                    worst = Math.max(worst, d);
+                }
+                var error = Math.sqrt(sumSq / points.length);
+                // Symmetric patterns fit equally well several ways; keep the smallest turn
+                var effort = Math.abs(fit.rotation) + (mirrored ? 1 : 0);
+                if (!best || error < best.error - 0.01 ||
+                    (error <= best.error + 0.01 && effort < best.effort)) {
+                    best = { error: error, worst: worst, fit: fit, mirrored: mirrored, assignment: assignment, effort: effort };
+                }
+            });
         });
 
-        // Try each pattern that has the same stone count
-        for (var value = 1; value <= 20; value++) {
-            var pattern = STRUCTURE_PATTERNS[value];
-            if (!pattern || pattern.length !== stones.length) continue;
+        if (best.fit.scale < minScale || best.fit.scale > maxScale || best.worst > threshold) return null;
+
+        return {
+            value: stones.length,
+            family: family,
+            confidence: Math.max(0, 1 - best.error / threshold - Math.abs(Math.log(best.fit.scale))),
+            transform: {
+                x: stonesCenter.x,
+                y: stonesCenter.y,
+                rotation: best.fit.rotation,
+                scale: best.fit.scale,
+                mirrored: best.mirrored
+            },
+            assignment: best.assignment
+        };
+    }
 
-            // Compute centroid of the pattern
-            var px = 0, py = 0;
-            for (var j = 0; j < pattern.length; j++) {
-                px += pattern[j].x;
-                py += pattern[j].y;
-            }
-            px /= pattern.length;
-            py /= pattern.length;
+    // Angle in (-PI, PI]
+    static _normalizeAngle(angle) {
+        angle = angle % (2 * Math.PI);
+        if (angle > Math.PI) angle -= 2 * Math.PI;
+        if (angle <= -Math.PI) angle += 2 * Math.PI;
+        return angle;
+    }
 
-            // Normalize pattern offsets relative to pattern centroid
-            var normPattern = pattern.map(function (p) {
-                return { x: p.x - px, y: p.y - py };
-            });
+    // Place canonical offsets with a transform (mirroring is done by the caller)
+    static _transform(points, fit) {
+        var cos = Math.cos(fit.rotation) * fit.scale;
+        var sin = Math.sin(fit.rotation) * fit.scale;
+        return points.map(function (p) {
+            return { x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos };
+        });
+    }
+
+    // Rotations worth starting from: the pattern's outermost point turned onto
+    // each of the stones' outermost points (up to 8), plus no turn at all
+    static _candidateRotations(pattern, points) {
+        var far = pattern.reduce(function (a, b) {
+            return a.x * a.x + a.y * a.y >= b.x * b.x + b.y * b.y ? a : b;
+        });
+        var farAngle = Math.atan2(far.y, far.x);
+        var radius = function (p) { return Math.sqrt(p.x * p.x + p.y * p.y); };
+        var outer = points.slice().sort(function (a, b) { return radius(b) - radius(a); });
+        var cutoff = radius(outer[0]) * 0.8;
+
+        var rotations = [0];
+        for (var i = 0; i < outer.length && rotations.length < 9; i++) {
+            if (radius(outer[i]) < cutoff) break;
+            rotations.push(Math.atan2(outer[i].y, outer[i].x) - farAngle);
+        }
+        return rotations;
+    }
+
+    // Best rotation and scale taking centered `pattern` onto centered `points`
+    // with point i standing for pattern[assignment[i]] (least squares)
+    static _fitSimilarity(pattern, points, assignment) {
+        var dot = 0, cross = 0, norm = 0;
+        for (var i = 0; i < points.length; i++) {
+            var p = pattern[assignment[i]];
+            var q = points[i];
+            dot += p.x * q.x + p.y * q.y;
+            cross += p.x * q.y - p.y * q.x;
+            norm += p.x * p.x + p.y * p.y;
+        }
+        return {
+            rotation: Math.atan2(cross, dot),
+            scale: Math.sqrt(dot * dot + cross * cross) / norm
+        };
+    }
 
-            // Greedy nearest-neighbor matching:
-            // For each pattern point, find the closest unmatched stone point.
-            var used = new Array(normalized.length);
-            for (var k = 0; k < used.length; k++) used[k] = false;
-            var allMatch = true;
-
-            for (var pi = 0; pi < normPattern.length; pi++) {
-                var bestDist = Infinity;
-                var bestIdx = -1;
-
-                for (var si = 0; si < normalized.length; si++) {
-                    if (used[si]) continue;
-                    var ddx = normalized[si].x - normPattern[pi].x;
-                    var ddy = normalized[si].y - normPattern[pi].y;
-                    var d = Math.sqrt(ddx * ddx + ddy * ddy);
-                    if (d < bestDist) {
-                        bestDist = d;
-                        bestIdx = si;
+    // Pairing of points with targets that minimizes the total squared distance
+    // (Hungarian algorithm). Returns assignment[i] = target index for point i.
+    static _assignPoints(points, targets) {
+        var n = points.length;
+        var cost = function (i, j) {
+            var dx = points[i].x - targets[j].x;
+            var dy = points[i].y - targets[j].y;
+            return dx * dx + dy * dy;
+        };
+
+        // 1-based potentials and matching; column j is matched to row match[j]
+        var u = new Array(n + 1).fill(0);
+        var v = new Array(n + 1).fill(0);
+        var match = new Array(n + 1).fill(0);
+        var way = new Array(n + 1).fill(0);
+
+        for (var row = 1; row <= n; row++) {
+            match[0] = row;
+            var col = 0;
+            var minv = new Array(n + 1).fill(Infinity);
+            var used = new Array(n + 1).fill(false);
+            do {
+                used[col] = true;
+                var i0 = match[col], delta = Infinity, next = 0;
+                for (var j = 1; j <= n; j++) {
+                    if (used[j]) continue;
+                    var reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+                    if (reduced < minv[j]) {
+                        minv[j] = reduced;
+                        way[j] = col;
+                    }
+                    if (minv[j] < delta) {
+                        delta = minv[j];
+                        next = j;
                     }
                 }
-
-                if (bestIdx === -1 || bestDist > threshold) {
-                    allMatch = false;
-                    break;
+                for (var k = 0; k <= n; k++) {
+                    if (used[k]) {
+                        u[match[k]] += delta;
+                        v[k] -= delta;
+                    } else {
+                        minv[k] -= delta;
+                    }
                 }
+                col = next;
+            } while (match[col] !== 0);
+            do {
+                var prev = way[col];
+                match[col] = match[prev];
+                col = prev;
+            } while (col !== 0);
+        }
 
-                used[bestIdx] = true;
-            }
+        var assignment = new Array(n);
+        for (var c = 1; c <= n; c++) assignment[match[c] - 1] = c - 1;
+        return assignment;
+    }
 
-            if (allMatch) return value;
+    static _centroid(points) {
+        var x = 0, y = 0;
+        for (var i = 0; i < points.length; i++) {
+            x += points[i].x;
+            y += points[i].y;
         }
+        return { x: x / points.length, y: y / points.length };
+    }
 
-        return null;
+    // Root mean square distance from the centroid (points already centered)
+    static _spread(points) {
+        var sum = 0;
+        for (var i = 0; i < points.length; i++) {
+            sum += points[i].x * points[i].x + points[i].y * points[i].y;
+        }
+        return Math.sqrt(sum / points.length);
     }
 
     // Merge two structures to create a new one representing their sum.
-    // Returns a new NumberStructure for the combined value, or null if value > 20.
+    // The result takes structA's family.
+    // Returns a new NumberStructure for the combined value, or null past the max value.
     static merge(structA, structB) {
         var newValue = structA.value + structB.value;
-        if (newValue > 20) return null;
-        return new NumberStructure(newValue);
+        if (newValue > STRUCTURE_MAX_VALUE) return null;
+        return new NumberStructure(newValue, structA.family);
     }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { NumberStructure, STRUCTURE_PATTERNS, STRUCTURE_SPACING };
+    module.exports = { NumberStructure, STRUCTURE_PATTERNS, STRUCTURE_SPACING, STRUCTURE_FAMILIES };
 }
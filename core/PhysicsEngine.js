@@ -6,16 +6,29 @@ class PhysicsEngine {
 
     // Mass-based drag: heavier stones move slower when dragged.
     // Returns eased position given current pos, target pos, and stone mass.
-    static applyMassDrag(currentX, currentY, targetX, targetY, mass) {
+    // grip (default 1) scales how firmly the stone follows, e.g. from pen pressure.
+    static applyMassDrag(currentX, currentY, targetX, targetY, mass, grip = 1) {
         // Ease factor inversely proportional to mass.
         // Clamp mass to avoid division by zero or absurd speeds.
-        const ease = 0.2 / Math.max(mass, 0.1);
+        const ease = PhysicsEngine.applyGrip(0.2 / Math.max(mass, 0.1), grip);
         return {
             x: currentX + (targetX - currentX) * ease,
             y: currentY + (targetY - currentY) * ease
         };
     }
 
+    // Scale a drag ease factor by grip, never past following exactly (1)
+    static applyGrip(ease, grip = 1) {
+        return Math.min(1, ease * grip);
+    }
+
+    // Pen pressure (0-1) -> grip. The pointer default of 0.5 is a normal grip (1);
+    // pressing harder holds the stone tighter, a light touch lets it trail.
+    static pressureToGrip(pressure) {
+        const clamped = Math.max(0, Math.min(1, pressure));
+        return 0.5 + clamped;
+    }
+
     // Apply downward gravitational force to velocity.
     // Returns new velocity vector after gravity is applied for deltaTime seconds.
     static applyGravity(velocityX, velocityY, deltaTime, gravity = 980) {
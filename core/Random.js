@@ -0,0 +1,96 @@
+// Random - Seedable pseudo-random number service
+// Every gameplay random draw (stone shapes, levels, topples, textures) goes through
+// the shared `Random` instance so a session can be reproduced from its seed.
+// Seeds are short strings (shown in the UI and the ?seed= URL parameter).
+
+const SEED_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789'; // No look-alike characters
+const SEED_LENGTH = 6;
+
+class SeededRandom {
+    constructor(seed) {
+        this.setSeed(seed === undefined ? SeededRandom.createSeed() : seed);
+    }
+
+    // Reset the generator to the start of the sequence for `seed`
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    // Exact position in the sequence, e.g. for session recordings
+    saveState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    restoreState(saved) {
+        this.seed = saved.seed;
+        this.state = saved.state >>> 0;
+    }
+
+    // Next float in [0, 1) - mulberry32
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max] (inclusive)
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // True with probability p
+    chance(p) {
+        return this.next() < p;
+    }
+
+    // Random element of an array
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // Independent generator derived from this seed and a label.
+    // Forks don't advance the parent, so e.g. render-only randomness
+    // can't change the gameplay sequence.
+    fork(label) {
+        return new SeededRandom(`${this.seed}/${label}`);
+    }
+
+    // 32-bit FNV-1a hash of the seed string
+    static hashSeed(seed) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Fresh human-friendly seed (the only place Math.random is used)
+    static createSeed() {
+        let seed = '';
+        for (let i = 0; i < SEED_LENGTH; i++) {
+            seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+        }
+        return seed;
+    }
+}
+
+// Shared generator for the whole session (app.js seeds it from the URL)
+const Random = new SeededRandom();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, Random };
+}
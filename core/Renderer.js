@@ -2,9 +2,22 @@
 // Provides common drawing functions and background rendering
 
 class Renderer {
-    constructor(canvas, ctx) {
+    constructor(canvas, ctx, options = {}) {
         this.canvas = canvas;
         this.ctx = ctx;
+
+        // Fixed pixel ratio (headless runs); null follows window.devicePixelRatio
+        this.pixelRatio = options.pixelRatio || null;
+
+        // Sand grains for the background, laid out once per seed and canvas size
+        this.sandGrains = null;
+        this.sandKey = null; // Seed and size they were laid out for
+    }
+
+    // Device pixel ratio used to map canvas pixels to logical coordinates
+    getPixelRatio() {
+        if (this.pixelRatio) return this.pixelRatio;
+        return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
     }
 
     // Clear canvas and draw zen background
@@ -19,15 +32,29 @@ class Renderer {
         // Draw subtle sand texture
         ctx.save();
         ctx.globalAlpha = 0.03;
+        this.getSandGrains().forEach(grain => {
+            ctx.fillStyle = grain.color;
+            ctx.fillRect(grain.x, grain.y, 2, 2);
+        });
+        ctx.restore();
+    }
+
+    // The background's sand grains, from their own stream (same grains every frame
+    // for a seed, without consuming gameplay randomness). Laid out again only when
+    // the seed changes or the canvas is resized.
+    getSandGrains() {
+        const {width, height} = this.getDimensions();
+        const key = `${Random.getSeed()} ${width}x${height}`;
+        if (this.sandGrains && this.sandKey === key) return this.sandGrains;
+
+        const sand = Random.fork('sand');
+        this.sandKey = key;
+        this.sandGrains = [];
         for (let i = 0; i < 100; i++) {
-            ctx.fillStyle = Math.random() > 0.5 ? '#d4c5ab' : '#f0e6d2';
-            ctx.fillRect(
-                Math.random() * width,
-                Math.random() * height,
-                2, 2
-            );
+            const color = sand.next() > 0.5 ? '#d4c5ab' : '#f0e6d2';
+            this.sandGrains.push({ color, x: sand.next() * width, y: sand.next() * height });
         }
-        ctx.restore();
+        return this.sandGrains;
     }
 
     // Draw a group indicator (ellipse around stones)
@@ -126,7 +153,7 @@ class Renderer {
 
     // Resize canvas to window (with HiDPI/Retina support)
     resize() {
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this.getPixelRatio();
         this.canvas.width = window.innerWidth * dpr;
         this.canvas.height = window.innerHeight * dpr;
         this.canvas.style.width = window.innerWidth + 'px';
@@ -136,7 +163,7 @@ class Renderer {
 
     // Get center point of canvas (logical/CSS coordinates)
     getCenter() {
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this.getPixelRatio();
         return {
             x: this.canvas.width / dpr / 2,
             y: this.canvas.height / dpr / 2
@@ -145,7 +172,7 @@ class Renderer {
 
     // Get canvas dimensions (logical/CSS coordinates)
     getDimensions() {
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this.getPixelRatio();
         return {
             width: this.canvas.width / dpr,
             height: this.canvas.height / dpr
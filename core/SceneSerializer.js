@@ -0,0 +1,142 @@
+// SceneSerializer - Versioned JSON envelope for saved mode state ("scenes")
+// Modes produce/consume the `state` part (ModeBase.serialize/deserialize);
+// this file owns the envelope, version migrations and local storage.
+//
+// Scene format (version 1):
+//   {
+//     format: 'zen-math-scene',
+//     version: 1,
+//     mode: 'balance-scale',         // ModeBase.getMetadata().id
+//     seed: 'k3vq8a',                 // Random seed of the session that saved it
+//     state: { stones: [...], ... }  // Mode-specific, positions relative to the mode's origin
+//   }
+//
+// Stones inside state are Stone.serialize() records: {id, x, y, mass, radius, color, label, type, ...}
+
+const SCENE_FORMAT = 'zen-math-scene';
+const SCENE_VERSION = 1;
+const SCENE_STORAGE_KEY = 'zen-math-gardens';
+
+// Upgrades from version N to N + 1. Add an entry whenever SCENE_VERSION is bumped,
+// so every scene ever saved (or written into a challenge) keeps loading.
+const SCENE_MIGRATIONS = {
+    // 0 -> 1: bare state objects ({ mode, stones, ... }) without the envelope,
+    // as hand-written in challenge initialConfigs
+    0: (scene) => {
+        const state = Object.assign({}, scene);
+        delete state.mode;
+        delete state.version;
+        return {
+            format: SCENE_FORMAT,
+            version: 1,
+            mode: scene.mode,
+            seed: null,
+            state: state
+        };
+    }
+};
+
+class SceneSerializer {
+
+    // Wrap mode state in a current-version envelope
+    static createScene(modeId, state) {
+        return {
+            format: SCENE_FORMAT,
+            version: SCENE_VERSION,
+            mode: modeId,
+            seed: typeof Random !== 'undefined' ? Random.getSeed() : null,
+            state: state
+        };
+    }
+
+    // Whether a value looks like a scene (enveloped or a legacy bare state with a mode id)
+    static isScene(value) {
+        if (!value || typeof value !== 'object') return false;
+        return value.format === SCENE_FORMAT || (typeof value.mode === 'string' && Array.isArray(value.stones));
+    }
+
+    // Bring any supported scene up to SCENE_VERSION.
+    // Returns the migrated scene, or null (with a console error) if it can't be read.
+    static migrate(scene) {
+        if (!SceneSerializer.isScene(scene)) {
+            console.error('Not a Zen Math scene');
+            return null;
+        }
+
+        let current = scene;
+        let version = scene.format === SCENE_FORMAT ? scene.version : 0;
+
+        if (typeof version !== 'number' || version > SCENE_VERSION) {
+            console.error(`Unsupported scene version ${version} (this build reads up to ${SCENE_VERSION})`);
+            return null;
+        }
+
+        while (version < SCENE_VERSION) {
+            const migration = SCENE_MIGRATIONS[version];
+            if (!migration) {
+                console.error(`No migration from scene version ${version}`);
+                return null;
+            }
+            current = migration(current);
+            version = current.version;
+        }
+
+        return current;
+    }
+
+    // Scene -> JSON text
+    static stringify(scene) {
+        return JSON.stringify(scene);
+    }
+
+    // JSON text or object -> migrated scene (or null)
+    static parse(input) {
+        let scene = input;
+        if (typeof input === 'string') {
+            try {
+                scene = JSON.parse(input);
+            } catch (e) {
+                console.error('Scene is not valid JSON');
+                return null;
+            }
+        }
+        return SceneSerializer.migrate(scene);
+    }
+
+    // Round a purely visual value (stone outline jitter) so saved scenes stay compact
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // --- localStorage persistence ---
+
+    static save(name, scene) {
+        try {
+            const gardens = SceneSerializer.loadAll();
+            gardens[name] = scene;
+            localStorage.setItem(SCENE_STORAGE_KEY, JSON.stringify(gardens));
+            return true;
+        } catch (e) {
+            // Silent fail - localStorage may be unavailable
+            return false;
+        }
+    }
+
+    static load(name) {
+        const scene = SceneSerializer.loadAll()[name];
+        return scene ? SceneSerializer.migrate(scene) : null;
+    }
+
+    static loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(SCENE_STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SceneSerializer, SCENE_FORMAT, SCENE_VERSION, SCENE_MIGRATIONS };
+}
@@ -0,0 +1,165 @@
+// SessionPlayer - Deterministic playback of a SessionRecorder recording
+// Rebuilds the starting scene in its own ModeManager and feeds the recorded
+// events back through pointerDown/Move/Up, switchMode and loadChallenge,
+// one fixed simulation step at a time. Seeking backwards replays from the start.
+//
+//   const player = new SessionPlayer(recording, { canvas, ctx, modes: [StackBalanceMode] });
+//   player.seek(player.duration);
+//   player.render();
+//
+// Playback is exact for fixed-step modes (usesFixedTimestep); other modes get
+// one FIXED_STEP update per recorded step.
+
+class SessionPlayer {
+    constructor(recording, options = {}) {
+        this.recording = recording;
+        this.modeClasses = options.modes || [];
+        this.pixelRatio = recording.pixelRatio || 1;
+
+        this.canvas = options.canvas || createStubCanvas(0, 0);
+        this.ctx = options.ctx || createStubContext();
+        this.renderer = new Renderer(this.canvas, this.ctx, { pixelRatio: this.pixelRatio });
+
+        // Absolute step/clock for each (delta-encoded) event
+        this.events = [];
+        let tick = 0;
+        let time = 0;
+        recording.events.forEach(([dTick, dTime, type, ...args]) => {
+            tick += dTick;
+            time += dTime;
+            this.events.push({ tick, time, type, args });
+        });
+        this.duration = Math.max(recording.duration || 0, tick);
+
+        this.modeManager = null;
+        this.challengeEngine = null;
+        this.reset();
+    }
+
+    // Back to the first step of the recording
+    reset() {
+        const recording = this.recording;
+        this.tick = 0;
+        this.cursor = 0; // Next event to dispatch
+        this.time = 0;   // Clock offset (ms) of the last dispatched event
+        this._setSize(recording.width, recording.height);
+
+        const player = this;
+        this.modeManager = new ModeManager(this.canvas, this.ctx, this.renderer);
+        this.modeManager.clock = { now: () => recording.clock + player.time };
+        this.modeClasses.forEach(ModeClass => this.modeManager.registerMode(ModeClass));
+        this.challengeEngine = typeof ChallengeEngine !== 'undefined'
+            ? new ChallengeEngine(this.modeManager, { persist: false })
+            : null;
+
+        // Building the start state may draw random numbers; the recording
+        // starts from the generator position saved after it was built
+        this.randomState = recording.random;
+        this._withRandom(() => {
+            if (recording.challenge && this.challengeEngine) {
+                this.challengeEngine.loadChallenge(recording.challenge);
+            }
+            if (recording.scene) {
+                this.modeManager.loadScene(recording.scene);
+            }
+        });
+        this.randomState = recording.random;
+    }
+
+    get mode() {
+        return this.modeManager.getCurrentMode();
+    }
+
+    isFinished() {
+        return this.tick >= this.duration;
+    }
+
+    // Run one simulation step (after the events recorded before it)
+    step() {
+        this._withRandom(() => {
+            this._dispatchDue();
+            this.modeManager.update(FIXED_STEP);
+            this.tick++;
+        });
+        return this;
+    }
+
+    // Jump to a step; earlier steps replay from the start
+    seek(tick) {
+        const target = Math.max(0, Math.min(Math.round(tick), this.duration));
+        if (target < this.tick) this.reset();
+
+        while (this.tick < target) {
+            this.step();
+        }
+        this._withRandom(() => this._dispatchDue());
+        return this;
+    }
+
+    // Draw the current step with the challenge overlay (logical coordinates)
+    render() {
+        this.modeManager.render();
+        if (this.challengeEngine) {
+            this.challengeEngine.render(this.ctx, this.renderer.getDimensions());
+        }
+    }
+
+    // --- Internals ---
+
+    _dispatchDue() {
+        while (this.cursor < this.events.length && this.events[this.cursor].tick <= this.tick) {
+            this._dispatch(this.events[this.cursor++]);
+        }
+    }
+
+    _dispatch(event) {
+        const manager = this.modeManager;
+        const [a, b, c, d] = event.args;
+        this.time = event.time;
+
+        switch (event.type) {
+            case 'd': manager.pointerDown(a, b, c); break;
+            case 'm': manager.pointerMove(a, b, c, d); break;
+            case 'u':
+                manager.pointerUp(a, b, c);
+                if (this.challengeEngine) this.challengeEngine.checkGoals();
+                break;
+            case 'c': manager.pointerCancel(a); break;
+            case 'blur': manager.onBlur(); break;
+            case 'mode': manager.switchMode(a); break;
+            case 'challenge':
+                if (this.challengeEngine) this.challengeEngine.loadChallenge(a);
+                break;
+            case 'scene': manager.loadScene(a); break;
+            case 'undo': manager.undo(); break;
+            case 'redo': manager.redo(); break;
+            case 'resize': this._setSize(a, b); break;
+            default:
+                console.warn(`Unknown recording event ${event.type}`);
+        }
+    }
+
+    _setSize(width, height) {
+        this.canvas.width = Math.round(width * this.pixelRatio);
+        this.canvas.height = Math.round(height * this.pixelRatio);
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    // Run with the global Random at the recording's position, leaving the
+    // live session's sequence untouched
+    _withRandom(action) {
+        const live = Random.saveState();
+        Random.restoreState(this.randomState);
+        try {
+            action();
+        } finally {
+            this.randomState = Random.saveState();
+            Random.restoreState(live);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionPlayer };
+}
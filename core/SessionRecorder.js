@@ -0,0 +1,221 @@
+// SessionRecorder - Captures a play session so it can be replayed exactly
+// ModeManager and ChallengeEngine report input and navigation here; SessionPlayer
+// feeds it back through the same code path (see core/SessionPlayer.js).
+//
+// Recording format (version 1):
+//   {
+//     format: 'zen-math-recording',
+//     version: 1,
+//     width, height, pixelRatio,   // Logical canvas size when recording started
+//     clock: 1718000000000,        // Mode clock (ms) at the start
+//     random: { seed, state },     // Random position at the start
+//     challenge: 'balance-001',    // Challenge active at the start (or null); a generated one as its object
+//     scene: { ... },              // Starting scene (SceneSerializer)
+//     duration: 5400,              // Length in simulation steps
+//     events: [[dTick, dMs, type, ...args], ...]
+//   }
+//
+// A recording started before any mode is active replays bit-exactly. One started
+// mid-session begins from a saved scene, whose rounded positions can drift slightly.
+//
+// Events are delta-encoded against the previous event: dTick counts ModeManager
+// simulation steps, dMs the mode clock. Types:
+//   'd' / 'm' / 'u' x y [id [grip]]  pointer down / move / up; moves only while
+//                          pressed, id only for pointers other than DEFAULT_POINTER_ID
+//                          or when a grip follows, grip only for pen moves not at 1
+//   'c' [id]               pointer cancelled by the browser
+//   'blur'                 window lost focus mid-drag
+//   'mode' id              mode switch
+//   'challenge' id         challenge load (includes its mode switch); object if generated
+//   'scene' scene          scene load
+//   'undo' / 'redo'
+//   'resize' width height
+
+const RECORDING_FORMAT = 'zen-math-recording';
+const RECORDING_VERSION = 1;
+
+class SessionRecorder {
+    constructor(modeManager, challengeEngine = null) {
+        this.modeManager = modeManager;
+        this.challengeEngine = challengeEngine;
+        this.recording = null;
+        this.isRecording = false;
+        this.suspended = 0; // > 0 while an already-recorded action runs
+        this.pressedPointers = new Set();
+
+        this.startTick = 0;
+        this.startTime = 0;
+        this.lastTick = 0;
+        this.lastTime = 0;
+    }
+
+    now() {
+        const clock = this.modeManager.clock;
+        return clock ? clock.now() : Date.now();
+    }
+
+    // Begin a new recording from the current state of the garden
+    start() {
+        const manager = this.modeManager;
+        const dims = manager.renderer.getDimensions();
+        const challenge = this.challengeEngine && this.challengeEngine.isActive
+            ? this.challengeEngine.currentChallenge
+            : null;
+
+        this.startTick = manager.tick;
+        this.startTime = this.now();
+        this.lastTick = 0;
+        this.lastTime = 0;
+        this.pressedPointers.clear();
+
+        this.recording = {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            width: dims.width,
+            height: dims.height,
+            pixelRatio: manager.renderer.getPixelRatio(),
+            clock: this.startTime,
+            random: Random.saveState(),
+            challenge: challenge ? ChallengeEngine.getReference(challenge) : null,
+            scene: manager.saveScene(),
+            duration: 0,
+            events: []
+        };
+        this.isRecording = true;
+        return this.recording;
+    }
+
+    stop() {
+        if (this.recording) {
+            this.recording.duration = this.modeManager.tick - this.startTick;
+        }
+        this.isRecording = false;
+        return this.recording;
+    }
+
+    // Append an event stamped with the current step and clock
+    record(type, ...args) {
+        if (!this.isRecording || this.suspended > 0) return;
+
+        const tick = this.modeManager.tick - this.startTick;
+        const time = Math.round(this.now() - this.startTime);
+        this.recording.events.push([tick - this.lastTick, time - this.lastTime, type, ...args]);
+        this.lastTick = tick;
+        this.lastTime = time;
+    }
+
+    // Record pointer input. Returns the coordinates (and grip) as stored, which
+    // the caller should use so the live session sees exactly what a replay will.
+    pointer(type, x, y, pointerId = DEFAULT_POINTER_ID, grip = 1) {
+        const qx = SessionRecorder.quantize(x);
+        const qy = SessionRecorder.quantize(y);
+        const qGrip = Math.round(grip * 100) / 100;
+
+        if (type === 'd') this.pressedPointers.add(pointerId);
+        if (type !== 'm' || this.pressedPointers.has(pointerId)) {
+            if (qGrip !== 1) {
+                this.record(type, qx, qy, pointerId, qGrip);
+            } else if (pointerId !== DEFAULT_POINTER_ID) {
+                this.record(type, qx, qy, pointerId);
+            } else {
+                this.record(type, qx, qy);
+            }
+        }
+        if (type === 'u') this.pressedPointers.delete(pointerId);
+
+        return { x: qx, y: qy, grip: qGrip };
+    }
+
+    pointerCancel(pointerId = DEFAULT_POINTER_ID) {
+        if (pointerId === DEFAULT_POINTER_ID) {
+            this.record('c');
+        } else {
+            this.record('c', pointerId);
+        }
+        this.pressedPointers.delete(pointerId);
+    }
+
+    blur() {
+        this.record('blur');
+        this.pressedPointers.clear();
+    }
+
+    // Run an action without recording the events it causes
+    // (e.g. the mode switch inside a recorded challenge load)
+    suspend(action) {
+        this.suspended++;
+        try {
+            return action();
+        } finally {
+            this.suspended--;
+        }
+    }
+
+    // --- Export ---
+
+    // Snapshot of the recording so far (the live recording keeps growing)
+    getRecording() {
+        if (!this.recording) return null;
+        const recording = JSON.parse(JSON.stringify(this.recording));
+        if (this.isRecording) {
+            recording.duration = this.modeManager.tick - this.startTick;
+        }
+        return recording;
+    }
+
+    export() {
+        return SessionRecorder.stringify(this.getRecording());
+    }
+
+    // Save the recording as a .json file (browser only)
+    download(filename = 'zen-math-session.json') {
+        SessionRecorder.download(this.getRecording(), filename);
+    }
+
+    // Pointer coordinates are stored to 0.1 px
+    static quantize(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    static stringify(recording) {
+        return JSON.stringify(recording);
+    }
+
+    // JSON text or object -> recording (or null, with a console error)
+    static parse(input) {
+        let recording = input;
+        if (typeof input === 'string') {
+            try {
+                recording = JSON.parse(input);
+            } catch (e) {
+                console.error('Recording is not valid JSON');
+                return null;
+            }
+        }
+
+        if (!recording || recording.format !== RECORDING_FORMAT || !Array.isArray(recording.events)) {
+            console.error('Not a Zen Math recording');
+            return null;
+        }
+        if (recording.version !== RECORDING_VERSION) {
+            console.error(`Unsupported recording version ${recording.version}`);
+            return null;
+        }
+        return recording;
+    }
+
+    static download(recording, filename) {
+        const blob = new Blob([SessionRecorder.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionRecorder, RECORDING_FORMAT, RECORDING_VERSION };
+}
@@ -21,16 +21,18 @@ class Stone {
         this.id = id;
         this.targetX = x;
         this.targetY = y;
+        this.prevX = x; // Position at the previous fixed step (render interpolation)
+        this.prevY = y;
 
         // Type: 'regular' or 'blackhole'
         this.type = properties.type || 'regular';
 
         // Rendering
-        this.radius = properties.radius || (STONE_RADIUS + Math.random() * 10 - 5);
-        this.color = properties.color || COLORS.stone[Math.floor(Math.random() * COLORS.stone.length)];
+        this.radius = properties.radius || (STONE_RADIUS + Random.range(-5, 5));
+        this.color = properties.color || Random.pick(COLORS.stone);
 
         // Organic shape variation (not perfect circles)
-        this.shapeOffset = Array(8).fill(0).map(() => Math.random() * 4 - 2);
+        this.shapeOffset = Array(8).fill(0).map(() => Random.range(-2, 2));
 
         // Physics properties
         this.mass = properties.mass || 1.0;
@@ -219,7 +221,8 @@ class Stone {
 
     // Start dragging this stone
     startDrag() {
-        if (this.isLocked) return false;
+        // Locked stones stay put; a stone is held by one pointer at a time
+        if (this.isLocked || this.isDragging) return false;
         this.isDragging = true;
         return true;
     }
@@ -243,6 +246,56 @@ class Stone {
         this.targetY = y;
     }
 
+    // Plain-data record for scenes (core/SceneSerializer.js).
+    // Positions are stored relative to (originX, originY). Mass, size and motion
+    // are kept exact so a reloaded scene plays on identically; only the outline
+    // jitter, which is drawn and never simulated, is rounded.
+    serialize(originX = 0, originY = 0) {
+        const data = {
+            id: this.id,
+            x: this.x - originX,
+            y: this.y - originY,
+            mass: this.mass,
+            radius: this.radius,
+            color: this.color,
+            label: this.label,
+            type: this.type,
+            shape: this.shapeOffset.map(SceneSerializer.round)
+        };
+        if (this.isLocked) data.isLocked = true;
+        if (this.velocity.x !== 0 || this.velocity.y !== 0) {
+            data.velocity = { x: this.velocity.x, y: this.velocity.y };
+        }
+        if (this.structureId !== null) {
+            data.structureId = this.structureId;
+            data.structureIndex = this.structureIndex;
+        }
+        return data;
+    }
+
+    // Rebuild a stone from a serialize() record
+    static deserialize(data, originX = 0, originY = 0) {
+        const stone = new Stone(data.x + originX, data.y + originY, data.id, {
+            type: data.type,
+            mass: data.mass,
+            radius: data.radius,
+            color: data.color,
+            label: data.label,
+            isLocked: data.isLocked
+        });
+        if (Array.isArray(data.shape) && data.shape.length === stone.shapeOffset.length) {
+            stone.shapeOffset = data.shape.slice();
+        }
+        if (data.velocity) {
+            stone.velocity = { x: data.velocity.x, y: data.velocity.y };
+        }
+        if (data.structureId !== undefined) {
+            stone.structureId = data.structureId;
+            stone.structureIndex = data.structureIndex;
+        }
+        return stone;
+    }
+
     // Clone this stone
     clone() {
         return new Stone(this.x, this.y, `${this.id}-clone`, {
@@ -0,0 +1,121 @@
+// UndoHistory - Bounded undo/redo stack of scene snapshots
+// ModeManager opens a step when a pointer goes down and commits it when the
+// pointer comes up (if the scene changed). Modes mark their own events
+// (merges, pan placements, topples) with ModeBase.recordStep(label).
+//
+// Each entry is the scene *before* the step (see SceneSerializer), so
+// undo is just "restore the entry on top of the stack".
+
+const UNDO_HISTORY_LIMIT = 30; // Steps kept; the oldest are dropped first
+
+class UndoHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || UNDO_HISTORY_LIMIT;
+        this.undoStack = []; // [{ scene, label }]
+        this.redoStack = [];
+        this.pending = null; // Open step: { scene, label } captured at pointer down
+        this.onChange = null; // callback: (history) => void
+    }
+
+    // --- Recording ---
+
+    // Start a step with the scene as it is before the interaction
+    begin(scene) {
+        this.pending = scene ? { scene, label: null } : null;
+    }
+
+    // Close the open step. It's kept if it has a label (a stone was moved or the
+    // mode recorded an event) and the scene actually changed.
+    commit(scene, label = null) {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending || !scene) return false;
+
+        const stepLabel = pending.label || label;
+        if (!stepLabel || UndoHistory.sameState(pending.scene, scene)) return false;
+
+        this._push({ scene: pending.scene, label: stepLabel });
+        return true;
+    }
+
+    // Record a mode event. Inside an open step it just names that step;
+    // otherwise the current scene becomes a step of its own.
+    record(scene, label) {
+        if (this.pending) {
+            this.pending.label = label;
+            return;
+        }
+        if (scene) {
+            this._push({ scene, label });
+        }
+    }
+
+    _push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this._changed();
+    }
+
+    // --- Undo / redo ---
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Returns the scene to restore (or null), saving `current` for redo
+    undo(current) {
+        if (!this.canUndo()) return null;
+        const entry = this.undoStack.pop();
+        this.redoStack.push({ scene: current, label: entry.label });
+        this.pending = null;
+        this._changed();
+        return entry.scene;
+    }
+
+    // Returns the scene to restore (or null), saving `current` for undo
+    redo(current) {
+        if (!this.canRedo()) return null;
+        const entry = this.redoStack.pop();
+        this.undoStack.push({ scene: current, label: entry.label });
+        this.pending = null;
+        this._changed();
+        return entry.scene;
+    }
+
+    // Label of the step the next undo/redo would revert (for button titles)
+    peekUndo() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    peekRedo() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this._changed();
+    }
+
+    _changed() {
+        if (this.onChange) this.onChange(this);
+    }
+
+    // Whether two scenes hold the same mode state
+    static sameState(a, b) {
+        return a.mode === b.mode && JSON.stringify(a.state) === JSON.stringify(b.state);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UndoHistory, UNDO_HISTORY_LIMIT };
+}
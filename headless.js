@@ -0,0 +1,75 @@
+// Zen Math - Headless entry point (Node)
+// Loads the same scripts as index.html (minus app.js) into a VM context so
+// modes can be scripted and asserted without a browser:
+//
+//   const { createRunner } = require('./headless');
+//   const runner = createRunner({ mode: 'stack-balance' });
+//   const stone = runner.mode.availableStones[0];
+//   runner.dragStone(stone, runner.mode.platform.x, 300);
+//   runner.advance(2);
+//   console.log(runner.mode.stackHeight); // 1
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = __dirname;
+const BROWSER_ONLY_SCRIPTS = ['app.js'];
+
+// Script paths in index.html load order
+function getScriptPaths() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const paths = [];
+    const pattern = /<script\s+src="([^"]+)"/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (!BROWSER_ONLY_SCRIPTS.includes(match[1])) paths.push(match[1]);
+    }
+    return paths;
+}
+
+// Create a fresh context with every script evaluated in it.
+// Top-level classes/consts are shared between scripts exactly like browser globals.
+// (options: console, to quiet or capture what the scripts log)
+function createContext(options = {}) {
+    const context = vm.createContext({
+        console: options.console || console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        performance,
+        devicePixelRatio: 1
+    });
+    vm.runInContext('var window = this;', context);
+
+    getScriptPaths().forEach(src => {
+        const file = path.join(ROOT, src);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    return context;
+}
+
+let sharedContext = null;
+
+// Look up a global (class, constant) defined by the loaded scripts
+function get(name, context = sharedContext || (sharedContext = createContext())) {
+    return vm.runInContext(name, context);
+}
+
+// Mode classes registered by the browser app, in script order
+function getModeClasses(context) {
+    return getScriptPaths()
+        .filter(src => /^modes\/\w+Mode\.js$/.test(src) && src !== 'modes/ModeBase.js')
+        .map(src => get(path.basename(src, '.js'), context));
+}
+
+// Build a HeadlessRunner with every mode registered
+function createRunner(options = {}) {
+    const context = options.context || sharedContext || (sharedContext = createContext());
+    const HeadlessRunner = get('HeadlessRunner', context);
+    return new HeadlessRunner(Object.assign({ modes: getModeClasses(context) }, options));
+}
+
+module.exports = { createRunner, createContext, get, getModeClasses, getScriptPaths };
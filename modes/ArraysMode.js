@@ -0,0 +1,710 @@
+// ArraysMode - Multiplication as rows x columns
+// Stones snap into the cells of a rectangular grid. The number of columns is
+// shown along the top, the number of rows down the left and the product beside
+// the grid; the − / + steppers resize it. "Turn" rotates the array a quarter
+// turn (3 rows of 4 become 4 rows of 3, still 12) and "Split" pulls the columns
+// apart into two smaller arrays: 3 x 5 = 3 x 2 + 3 x 3.
+// "Make array" lays out every stone as the rectangle NumberStructure uses for
+// that many (6 is 2 x 3, 12 is 3 x 4).
+//
+// Config (initWithConfiguration, challenge initialConfig):
+//   { rows: 3, cols: 4, filled: 12, loose: 8, split: null }
+// `filled` stones go into the grid in reading order.
+
+const ARR_CELL_SIZE = 48;
+const ARR_STONE_RADIUS = 19;
+const ARR_MAX_SIDE = 10;
+const ARR_GRID_TOP = 150;
+const ARR_SPLIT_GAP = 36;            // Between the two parts of a split array
+const ARR_TRAY_SPACING = 50;
+const ARR_STEPPER_SIZE = 30;
+const ARR_GRID_COLOR = 'rgba(139, 125, 107, 0.55)';
+const ARR_CELL_FILL = 'rgba(139, 125, 107, 0.08)';
+const ARR_FULL_COLOR = 'rgba(120, 150, 100, 0.85)';   // The product once every cell is filled
+const ARR_TEXT_COLOR = 'rgba(107, 97, 82, 0.8)';
+const ARR_FAINT_TEXT = 'rgba(107, 97, 82, 0.55)';
+const ARR_TRAY_FILL = 'rgba(139, 125, 107, 0.1)';
+
+// Button styling constants
+const ARR_BTN_BG = 'rgba(139, 125, 107, 0.15)';
+const ARR_BTN_BG_ACTIVE = 'rgba(139, 125, 107, 0.3)';
+const ARR_BTN_BORDER = 'rgba(139, 125, 107, 0.3)';
+const ARR_BTN_TEXT = 'rgba(107, 97, 82, 0.7)';
+const ARR_BTN_RADIUS = 10;
+
+class ArraysMode extends ModeBase {
+    constructor(canvas, ctx, renderer) {
+        super(canvas, ctx, renderer);
+        this.usesFixedTimestep = true;
+        this.rows = 3;
+        this.cols = 4;
+        this.grid = [];         // grid[row][col] = stone or null
+        this.split = null;      // Columns before the split, or null when whole
+        this.nextStoneId = 0;
+        this.buttons = [];
+        this._pickups = new Map(); // pointerId -> { row, col } the held stone came from
+    }
+
+    init() {
+        super.init();
+        this._initButtons();
+        this.initWithConfiguration({ rows: 3, cols: 4, filled: 12, loose: 8 });
+    }
+
+    _initButtons() {
+        const dims = this.renderer.getDimensions();
+        const btnY = 20;
+        const btnH = 36;
+
+        // Top-right row, plus steppers that follow the grid's edges (_layoutSteppers)
+        this.buttons = [
+            { id: 'turn', x: dims.width - 465, y: btnY, width: 95, height: btnH, label: '⟳ Turn', active: false },
+            { id: 'split', x: dims.width - 360, y: btnY, width: 95, height: btnH, label: '✂ Split', active: false },
+            { id: 'make-array', x: dims.width - 255, y: btnY, width: 130, height: btnH, label: '▦ Make array', active: false },
+            { id: 'clear', x: dims.width - 115, y: btnY, width: 95, height: btnH, label: '↺ Clear', active: false },
+            { id: 'rows-minus', label: '−', description: 'One row fewer', active: false },
+            { id: 'rows-plus', label: '+', description: 'One more row', active: false },
+            { id: 'cols-minus', label: '−', description: 'One column fewer', active: false },
+            { id: 'cols-plus', label: '+', description: 'One more column', active: false }
+        ];
+        this.buttons.slice(4).forEach(btn => {
+            btn.width = ARR_STEPPER_SIZE;
+            btn.height = ARR_STEPPER_SIZE;
+        });
+        this._layoutSteppers();
+    }
+
+    // Grid, stones already in it and stones in the tray (see top of file)
+    initWithConfiguration(config) {
+        this.stones = [];
+        this.nextStoneId = 0;
+        this._pickups.clear();
+        this.rows = ArraysMode._clampSide(config.rows || 3);
+        this.cols = ArraysMode._clampSide(config.cols || 4);
+        this.grid = ArraysMode._emptyGrid(this.rows, this.cols);
+        this.split = config.split > 0 && config.split < this.cols ? config.split : null;
+        this._layoutSteppers();
+
+        const filled = Math.min(this.rows * this.cols, config.filled === undefined ? this.rows * this.cols : config.filled);
+        for (let i = 0; i < filled; i++) {
+            const row = Math.floor(i / this.cols);
+            const col = i % this.cols;
+            const pos = this.getCellPosition(row, col);
+            this._setCell(row, col, this._createStone(pos.x, pos.y));
+        }
+
+        for (let i = 0; i < (config.loose || 0); i++) {
+            const pos = this._getTraySlot(i);
+            this._createStone(pos.x, pos.y);
+        }
+    }
+
+    _createStone(x, y) {
+        const stone = new Stone(x, y, this.nextStoneId++, { radius: ARR_STONE_RADIUS });
+        stone._row = null;
+        stone._col = null;
+        this.addStone(stone);
+        return stone;
+    }
+
+    static _clampSide(n) {
+        return Math.max(1, Math.min(ARR_MAX_SIDE, Math.floor(n)));
+    }
+
+    static _emptyGrid(rows, cols) {
+        const grid = [];
+        for (let r = 0; r < rows; r++) grid.push(new Array(cols).fill(null));
+        return grid;
+    }
+
+    // --- Grid ---
+
+    // Centered left of middle, growing down from ARR_GRID_TOP
+    getGridRect() {
+        const dims = this.renderer.getDimensions();
+        const width = this.cols * ARR_CELL_SIZE + (this.split !== null ? ARR_SPLIT_GAP : 0);
+        const height = this.rows * ARR_CELL_SIZE;
+        return { x: Math.round(dims.width * 0.42 - width / 2), y: ARR_GRID_TOP, width, height };
+    }
+
+    // Left edge of a column, past the gap for columns after the split
+    _columnX(col) {
+        const rect = this.getGridRect();
+        return rect.x + col * ARR_CELL_SIZE + (this.split !== null && col >= this.split ? ARR_SPLIT_GAP : 0);
+    }
+
+    getCellPosition(row, col) {
+        const rect = this.getGridRect();
+        return {
+            x: this._columnX(col) + ARR_CELL_SIZE / 2,
+            y: rect.y + row * ARR_CELL_SIZE + ARR_CELL_SIZE / 2
+        };
+    }
+
+    getFilledCount() {
+        return this.grid.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    }
+
+    getProduct() {
+        return this.rows * this.cols;
+    }
+
+    // Every cell has a stone
+    isComplete() {
+        return this.getFilledCount() === this.getProduct();
+    }
+
+    // The two arrays either side of the split, or null when whole
+    getSplitParts() {
+        if (this.split === null) return null;
+        return [
+            { rows: this.rows, cols: this.split },
+            { rows: this.rows, cols: this.cols - this.split }
+        ];
+    }
+
+    getLooseStones() {
+        return this.stones.filter(stone => stone._row === null);
+    }
+
+    _setCell(row, col, stone) {
+        this.grid[row][col] = stone;
+        stone._row = row;
+        stone._col = col;
+    }
+
+    _clearCell(stone) {
+        if (stone._row === null) return;
+        this.grid[stone._row][stone._col] = null;
+        stone._row = null;
+        stone._col = null;
+    }
+
+    // First empty cell in reading order, or null when full
+    _firstEmptyCell() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (!this.grid[row][col]) return { row, col };
+            }
+        }
+        return null;
+    }
+
+    _findCellAt(x, y) {
+        const rect = this.getGridRect();
+        const row = Math.floor((y - rect.y) / ARR_CELL_SIZE);
+        if (row < 0 || row >= this.rows) return null;
+        for (let col = 0; col < this.cols; col++) {
+            const left = this._columnX(col);
+            if (x >= left && x < left + ARR_CELL_SIZE) return { row, col };
+        }
+        return null;
+    }
+
+    _isOverGrid(x, y) {
+        const rect = this.getGridRect();
+        return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    }
+
+    // Glide every placed stone to its cell and keep the steppers on the grid's edges
+    _retarget() {
+        this.grid.forEach((cells, row) => cells.forEach((stone, col) => {
+            if (!stone || stone.isDragging) return;
+            const pos = this.getCellPosition(row, col);
+            stone.setTarget(pos.x, pos.y);
+        }));
+        this._layoutSteppers();
+    }
+
+    _layoutSteppers() {
+        if (this.buttons.length === 0) return;
+        const rect = this.getGridRect();
+        const half = ARR_STEPPER_SIZE / 2;
+        const midX = rect.x + rect.width / 2;
+        const midY = rect.y + rect.height / 2;
+        const place = (id, x, y) => {
+            const btn = this.buttons.find(b => b.id === id);
+            btn.x = x - half;
+            btn.y = y - half;
+        };
+
+        // Columns: either side of the column count above the grid
+        place('cols-minus', midX - 48, rect.y - 34);
+        place('cols-plus', midX + 48, rect.y - 34);
+        // Rows: above and below the row count left of the grid
+        place('rows-minus', rect.x - 40, midY - 42);
+        place('rows-plus', rect.x - 40, midY + 42);
+    }
+
+    // Change the grid's size; stones in cells that go away return to the tray
+    resize(rows, cols) {
+        rows = ArraysMode._clampSide(rows);
+        cols = ArraysMode._clampSide(cols);
+        if (rows === this.rows && cols === this.cols) return false;
+
+        const grid = ArraysMode._emptyGrid(rows, cols);
+        this.grid.forEach((cells, row) => cells.forEach((stone, col) => {
+            if (!stone) return;
+            if (row < rows && col < cols) {
+                grid[row][col] = stone;
+            } else {
+                this._clearCell(stone);
+                const slot = this._freeTraySlot();
+                stone.setTarget(slot.x, slot.y);
+            }
+        }));
+
+        this.rows = rows;
+        this.cols = cols;
+        this.grid = grid;
+        if (this.split !== null && this.split >= cols) this.split = null;
+        this._retarget();
+        this.announce(`${ModeBase.plural(rows, 'row')} of ${cols}: ${rows} × ${cols} = ${rows * cols}`);
+        return true;
+    }
+
+    // A quarter turn clockwise: row r, column c moves to row c, column (rows - 1 - r)
+    turn() {
+        const oldRows = this.rows;
+        const grid = ArraysMode._emptyGrid(this.cols, this.rows);
+        this.grid.forEach((cells, row) => cells.forEach((stone, col) => {
+            if (!stone) return;
+            grid[col][oldRows - 1 - row] = stone;
+            stone._row = col;
+            stone._col = oldRows - 1 - row;
+        }));
+
+        this.rows = this.cols;
+        this.cols = oldRows;
+        this.grid = grid;
+        this.split = null;
+        this._retarget();
+        this.announce(`${this.cols} × ${this.rows} turned is ${this.rows} × ${this.cols}, still ${this.getProduct()}`);
+    }
+
+    // Step the split one column along: whole, after column 1, 2, ... then whole again
+    nextSplit() {
+        if (this.cols < 2) {
+            this.announce('One column can\'t be split');
+            return false;
+        }
+        this.split = this.split === null ? 1 : this.split + 1;
+        if (this.split >= this.cols) this.split = null;
+        this._retarget();
+
+        const parts = this.getSplitParts();
+        if (parts) {
+            const [a, b] = parts;
+            this.announce(`${this.rows} × ${this.cols} = ${a.rows} × ${a.cols} + ${b.rows} × ${b.cols}, ` +
+                `${a.rows * a.cols} + ${b.rows * b.cols} = ${this.getProduct()}`);
+        } else {
+            this.announce(`Back together: ${this.rows} × ${this.cols} = ${this.getProduct()}`);
+        }
+        return true;
+    }
+
+    // Lay out every stone as NumberStructure's rectangle for that many:
+    // the dice pattern when it is one (6 is 2 x 3), else the array family's
+    makeArray() {
+        const count = this.stones.length;
+        const dims = NumberStructure.getGridDimensions(count, 'dice') ||
+            NumberStructure.getGridDimensions(count, 'array');
+        if (!dims || dims.rows > ARR_MAX_SIDE || dims.cols > ARR_MAX_SIDE) {
+            this.announce(`${count} stones don't make a rectangle ${ARR_MAX_SIDE} or fewer across`);
+            return false;
+        }
+
+        // Stones already in the grid keep their reading order, loose ones follow
+        const ordered = [];
+        this.grid.forEach(cells => cells.forEach(stone => { if (stone) ordered.push(stone); }));
+        this.getLooseStones().forEach(stone => ordered.push(stone));
+
+        this.rows = dims.rows;
+        this.cols = dims.cols;
+        this.grid = ArraysMode._emptyGrid(dims.rows, dims.cols);
+        this.split = null;
+        ordered.forEach((stone, i) => {
+            stone._row = null;
+            this._setCell(Math.floor(i / dims.cols), i % dims.cols, stone);
+        });
+        this._retarget();
+        this.announce(`${count} stones make ${ModeBase.plural(dims.rows, 'row')} of ${dims.cols}`);
+        return true;
+    }
+
+    // Tray along the bottom, for loose stones
+    _getTrayRect() {
+        const dims = this.renderer.getDimensions();
+        return { x: 40, y: dims.height - 100, width: dims.width - 80, height: 64 };
+    }
+
+    _getTraySlot(index) {
+        const tray = this._getTrayRect();
+        const perRow = Math.max(1, Math.floor(tray.width / ARR_TRAY_SPACING));
+        return {
+            x: tray.x + ARR_TRAY_SPACING / 2 + (index % perRow) * ARR_TRAY_SPACING,
+            y: tray.y + tray.height / 2 - Math.floor(index / perRow) * ARR_TRAY_SPACING
+        };
+    }
+
+    // First tray slot with no stone resting in it
+    _freeTraySlot() {
+        const loose = this.getLooseStones();
+        for (let i = 0; ; i++) {
+            const slot = this._getTraySlot(i);
+            const taken = loose.some(s => !s.isDragging &&
+                Math.abs(s.targetX - slot.x) < ARR_TRAY_SPACING / 2 && Math.abs(s.targetY - slot.y) < ARR_TRAY_SPACING / 2);
+            if (!taken) return slot;
+        }
+    }
+
+    // --- Rendering ---
+
+    render() {
+        this.renderer.drawBackground();
+        const ctx = this.ctx;
+
+        // Tray
+        const tray = this._getTrayRect();
+        ctx.save();
+        ctx.fillStyle = ARR_TRAY_FILL;
+        ctx.beginPath();
+        ctx.roundRect(tray.x, tray.y, tray.width, tray.height, 14);
+        ctx.fill();
+        ctx.restore();
+
+        this._drawGrid();
+
+        this.stones.forEach(stone => stone.draw(ctx));
+
+        this.buttons.forEach(btn => this._drawButton(btn));
+    }
+
+    _drawGrid() {
+        const rect = this.getGridRect();
+        const parts = this.getSplitParts() || [{ rows: this.rows, cols: this.cols }];
+        const complete = this.isComplete();
+
+        // Each part is its own boxed array with its column count above
+        let firstCol = 0;
+        parts.forEach(part => {
+            const left = this._columnX(firstCol);
+            this._drawCells(left, rect.y, part.rows, part.cols);
+            if (parts.length > 1) {
+                this.renderer.drawText(`${part.rows} × ${part.cols} = ${part.rows * part.cols}`,
+                    left + part.cols * ARR_CELL_SIZE / 2, rect.y + rect.height + 24,
+                    { fontSize: 15, color: ARR_FAINT_TEXT });
+            }
+            firstCol += part.cols;
+        });
+
+        // Factors on the edges
+        this.renderer.drawText(String(this.cols), rect.x + rect.width / 2, rect.y - 34, { fontSize: 24, color: ARR_TEXT_COLOR });
+        this.renderer.drawText(String(this.rows), rect.x - 40, rect.y + rect.height / 2, { fontSize: 24, color: ARR_TEXT_COLOR });
+
+        // Product, and the distributive sum when split
+        const textX = rect.x + rect.width + 40;
+        const midY = rect.y + rect.height / 2;
+        let equation = `${this.rows} × ${this.cols} = ${this.getProduct()}`;
+        if (parts.length > 1) {
+            equation = `${this.rows} × ${this.cols} = ${parts.map(p => p.rows * p.cols).join(' + ')} = ${this.getProduct()}`;
+        }
+        this.renderer.drawText(equation, textX, midY - 12, {
+            fontSize: 28,
+            align: 'left',
+            color: complete ? ARR_FULL_COLOR : ARR_TEXT_COLOR
+        });
+        if (!complete) {
+            this.renderer.drawText(`${this.getFilledCount()} of ${this.getProduct()} placed`, textX, midY + 22, {
+                fontSize: 14,
+                align: 'left',
+                color: ARR_FAINT_TEXT
+            });
+        }
+    }
+
+    _drawCells(x, y, rows, cols) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.fillStyle = ARR_CELL_FILL;
+        ctx.strokeStyle = ARR_GRID_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.rect(x, y, cols * ARR_CELL_SIZE, rows * ARR_CELL_SIZE);
+        ctx.fill();
+
+        // Cell walls
+        for (let col = 1; col < cols; col++) {
+            ctx.moveTo(x + col * ARR_CELL_SIZE, y);
+            ctx.lineTo(x + col * ARR_CELL_SIZE, y + rows * ARR_CELL_SIZE);
+        }
+        for (let row = 1; row < rows; row++) {
+            ctx.moveTo(x, y + row * ARR_CELL_SIZE);
+            ctx.lineTo(x + cols * ARR_CELL_SIZE, y + row * ARR_CELL_SIZE);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    _drawButton(btn) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        // Background
+        ctx.fillStyle = btn.active ? ARR_BTN_BG_ACTIVE : ARR_BTN_BG;
+        ctx.strokeStyle = ARR_BTN_BORDER;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(btn.x, btn.y, btn.width, btn.height, ARR_BTN_RADIUS);
+        ctx.fill();
+        ctx.stroke();
+
+        // Label
+        ctx.font = btn.description ? '18px -apple-system, BlinkMacSystemFont, sans-serif' : '13px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.fillStyle = ARR_BTN_TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(btn.label, btn.x + btn.width / 2, btn.y + btn.height / 2);
+
+        ctx.restore();
+    }
+
+    _hitTestButton(x, y, btn) {
+        return x >= btn.x && x <= btn.x + btn.width &&
+               y >= btn.y && y <= btn.y + btn.height;
+    }
+
+    // --- Input ---
+
+    onPointerDown(x, y, pointerId) {
+        for (const btn of this.buttons) {
+            if (this._hitTestButton(x, y, btn)) {
+                btn.active = true;
+                this._pressButton(btn.id);
+                setTimeout(() => { btn.active = false; }, 150);
+                return null;
+            }
+        }
+
+        const stone = this.findStoneAtPosition(x, y);
+        if (!stone || !stone.startDrag()) return null;
+
+        this._pickups.set(pointerId, { row: stone._row, col: stone._col });
+        this._clearCell(stone);
+        this.moveStoneToTop(stone);
+        return stone;
+    }
+
+    _pressButton(id) {
+        switch (id) {
+            case 'turn':
+                this.recordStep('turn');
+                this.turn();
+                break;
+            case 'split':
+                this.recordStep('split');
+                this.nextSplit();
+                break;
+            case 'make-array':
+                this.recordStep('make-array');
+                this.makeArray();
+                break;
+            case 'clear':
+                this.recordStep('clear');
+                this.grid.forEach(cells => cells.filter(Boolean).forEach(stone => {
+                    this._clearCell(stone);
+                    const slot = this._freeTraySlot();
+                    stone.setTarget(slot.x, slot.y);
+                }));
+                break;
+            case 'rows-minus':
+            case 'rows-plus':
+            case 'cols-minus':
+            case 'cols-plus': {
+                const step = id.endsWith('plus') ? 1 : -1;
+                this.recordStep('resize');
+                if (id.startsWith('rows')) this.resize(this.rows + step, this.cols);
+                else this.resize(this.rows, this.cols + step);
+                break;
+            }
+        }
+    }
+
+    onPointerMove(x, y, draggedStone) {
+        if (draggedStone) draggedStone.setPosition(x, y);
+    }
+
+    onPointerUp(x, y, draggedStone, pointerId) {
+        this._pickups.delete(pointerId);
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+
+        if (!this._isOverGrid(x, y)) return; // Loose stones stay where they are put
+
+        let cell = this._findCellAt(x, y);
+        if (!cell || this.grid[cell.row][cell.col]) cell = this._firstEmptyCell();
+        if (!cell) {
+            // Full grid: back to the tray
+            const slot = this._freeTraySlot();
+            draggedStone.setTarget(slot.x, slot.y);
+            this.announce('The array is full');
+            return;
+        }
+
+        this._setCell(cell.row, cell.col, draggedStone);
+        const pos = this.getCellPosition(cell.row, cell.col);
+        draggedStone.setTarget(pos.x, pos.y);
+        if (this.isComplete()) this.announce(`${this.rows} × ${this.cols} = ${this.getProduct()}`);
+    }
+
+    onPointerCancel(draggedStone, pointerId) {
+        const from = this._pickups.get(pointerId);
+        this._pickups.delete(pointerId);
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+
+        // Back where it came from, if the grid still has that cell free
+        if (from && from.row !== null && from.row < this.rows && from.col < this.cols && !this.grid[from.row][from.col]) {
+            this._setCell(from.row, from.col, draggedStone);
+            const pos = this.getCellPosition(from.row, from.col);
+            draggedStone.setTarget(pos.x, pos.y);
+        }
+    }
+
+    // --- Screen reader description ---
+
+    // "3 rows of 4, 3 × 4 = 12, 9 of 12 placed; split into 3 × 1 and 3 × 3; 8 loose stones"
+    getAccessibleSummary() {
+        const filled = this.getFilledCount();
+        const product = this.getProduct();
+        const parts = [`${ModeBase.plural(this.rows, 'row')} of ${this.cols}, ${this.rows} × ${this.cols} = ${product}`];
+        parts[0] += filled === product ? ', full' : `, ${filled} of ${product} placed`;
+
+        const split = this.getSplitParts();
+        if (split) parts.push(`split into ${split.map(p => `${p.rows} × ${p.cols}`).join(' and ')}`);
+        parts.push(ModeBase.plural(this.getLooseStones().length, 'loose stone'));
+        return parts.join('; ');
+    }
+
+    describeTarget(target) {
+        if (target.kind === 'button' && target.button.description) return `${target.button.description} button`;
+        return super.describeTarget(target);
+    }
+
+    describeStone(stone) {
+        return stone._row === null ? 'Loose stone' : `Stone in row ${stone._row + 1}, column ${stone._col + 1}`;
+    }
+
+    // --- Keyboard access ---
+
+    // G puts the stone in the first empty cell, T back in the tray
+    getKeyboardShortcuts() {
+        return [
+            {
+                key: 'g',
+                label: 'Into the array',
+                place: () => {
+                    const cell = this._firstEmptyCell();
+                    if (cell) return this.getCellPosition(cell.row, cell.col);
+                    const rect = this.getGridRect();
+                    return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+                }
+            },
+            { key: 't', label: 'Back to tray', place: () => this._freeTraySlot() }
+        ];
+    }
+
+    // --- Challenge checking ---
+
+    // The buttons, one loose stone into the array and one stone out of it:
+    // stones are interchangeable, so trying each of them adds nothing
+    getSolverMoves() {
+        const [into, back] = this.getKeyboardShortcuts();
+        const moves = super.getSolverMoves().filter(move => move.button);
+        const loose = this.getLooseStones()[0];
+        const placed = this.stones.filter(stone => stone._row !== null).pop();
+        if (loose) moves.push({ label: `${into.label}: ${this.describeStone(loose)}`, stone: loose, to: into.place(loose) });
+        if (placed) moves.push({ label: `${back.label}: ${this.describeStone(placed)}`, stone: placed, to: back.place(placed) });
+        return moves;
+    }
+
+    // --- Scene serialization ---
+
+    serializeState() {
+        const state = super.serializeState();
+        state.rows = this.rows;
+        state.cols = this.cols;
+        state.split = this.split;
+        state.grid = this.grid.map(cells => cells.map(stone => (stone ? stone.id : null)));
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        const byId = new Map(this.stones.map(stone => [stone.id, stone]));
+
+        this._pickups.clear();
+        this.stones.forEach(stone => {
+            stone._row = null;
+            stone._col = null;
+        });
+        this.rows = ArraysMode._clampSide(state.rows || 1);
+        this.cols = ArraysMode._clampSide(state.cols || 1);
+        this.split = state.split > 0 && state.split < this.cols ? state.split : null;
+        this.grid = ArraysMode._emptyGrid(this.rows, this.cols);
+        (state.grid || []).forEach((cells, row) => {
+            cells.forEach((id, col) => {
+                const stone = id === null ? null : byId.get(id);
+                if (stone && row < this.rows && col < this.cols) this._setCell(row, col, stone);
+            });
+        });
+        // A stone caught mid-turn finishes its glide
+        this._retarget();
+
+        const maxId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1);
+        this.nextStoneId = maxId + 1;
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.grid = [];
+        this.split = null;
+        this.nextStoneId = 0;
+        this._pickups.clear();
+    }
+
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        return Object.assign(super.getMetricDefinitions(), {
+            'rows': { description: 'Rows in the array', read: mode => mode.rows },
+            'cols': { description: 'Columns in the array', read: mode => mode.cols },
+            'product': { description: 'Rows times columns', read: mode => mode.getProduct() },
+            'filled': { description: 'Stones in the array', read: mode => mode.getFilledCount() },
+            'complete': { description: 'Every cell has a stone', read: mode => mode.isComplete() },
+            'split': { description: 'Columns before the split, null when whole', read: mode => mode.split },
+            'unused-count': { description: 'Stones outside the array', read: mode => mode.getLooseStones().length }
+        });
+    }
+
+    // The split parts, if any (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        state.parts = this.getSplitParts() || [{ rows: this.rows, cols: this.cols }];
+        return state;
+    }
+
+    static getMetadata() {
+        return {
+            id: 'arrays',
+            name: 'Arrays',
+            icon: '✖️',
+            description: 'Rows times columns',
+            stateVersion: 1
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ArraysMode };
+}
@@ -1,5 +1,6 @@
 // BalanceScaleMode - Equality and weight relationships
-// Enhanced: random levels with difficulty, guessing/prediction mode
+// Enhanced: random levels with difficulty, guessing/prediction mode,
+// and a lever variant where stones hang from notches along the beam (torque)
 
 const BEAM_WIDTH = 400;
 const BEAM_THICKNESS = 6;
@@ -7,7 +8,6 @@ const FULCRUM_SIZE = 30;
 const PAN_RADIUS = 100;
 const MAX_TILT_ANGLE = Math.PI / 8; // Max 22.5 degrees
 const TILT_SMOOTH_SPEED = 4; // How fast beam animates to target angle
-const BALANCE_THRESHOLD = 0.01; // Angle considered "balanced"
 const BALANCE_GLOW_COLOR = 'rgba(180, 165, 140, 0.6)';
 const BEAM_COLOR = '#8b7d6b';
 const FULCRUM_COLOR = '#7a6f5d';
@@ -15,6 +15,12 @@ const PAN_COLOR = 'rgba(139, 125, 107, 0.2)';
 const PAN_BORDER_COLOR = 'rgba(139, 125, 107, 0.5)';
 const TRAY_Y_OFFSET = 80; // Distance from top for the stone tray
 
+// Lever variant: hook positions along each arm of the beam
+const NOTCH_COUNT = 5;
+const NOTCH_SPACING = BEAM_WIDTH / 2 / NOTCH_COUNT;
+const NOTCH_HOOK_LENGTH = 18; // String from the notch to the first stone
+const NOTCH_DROP_RANGE = 160; // How far below the beam a dropped stone still hooks on
+
 // Button styling constants
 const BALANCE_BTN_BG = 'rgba(139, 125, 107, 0.15)';
 const BALANCE_BTN_BG_ACTIVE = 'rgba(139, 125, 107, 0.3)';
@@ -33,6 +39,7 @@ const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
 class BalanceScaleMode extends ModeBase {
     constructor(canvas, ctx, renderer) {
         super(canvas, ctx, renderer);
+        this.usesFixedTimestep = true;
         this.beam = { x: 0, y: 0, width: BEAM_WIDTH, angle: 0, targetAngle: 0 };
         this.fulcrum = { x: 0, y: 0 };
         this.leftPan = { x: 0, y: 0, stones: [] };
@@ -42,6 +49,10 @@ class BalanceScaleMode extends ModeBase {
         this.balanceGlowTime = 0;
         this.nextStoneId = 0;
 
+        // 'pans' weighs two pans; 'lever' hangs stones from notches along the beam.
+        // In both, leftPan/rightPan hold the stones on each side of the fulcrum.
+        this.variant = 'pans';
+
         // New level / difficulty state
         this.currentDifficulty = 0; // Index into DIFFICULTY_ORDER
         this.buttons = []; // {id, x, y, width, height, label, active}
@@ -49,8 +60,7 @@ class BalanceScaleMode extends ModeBase {
         // Tap-to-inspect state
         this.inspectedStone = null;
         this.inspectTimer = 0;
-        this._pointerDownPos = null;
-        this._pointerDownTime = 0;
+        this._pointerStarts = new Map(); // pointerId -> { x, y, time } for tap detection
 
         // Guessing mode state
         this.guessMode = false;
@@ -88,6 +98,13 @@ class BalanceScaleMode extends ModeBase {
         const btnH = 36;
 
         this.buttons = [
+            {
+                id: 'variant',
+                x: dims.width - 325, y: btnY,
+                width: 95, height: btnH,
+                label: this.variant === 'lever' ? '◯ Pans' : '⟷ Lever',
+                active: false
+            },
             {
                 id: 'new-level',
                 x: dims.width - 220, y: btnY,
@@ -165,6 +182,7 @@ class BalanceScaleMode extends ModeBase {
             stone._trayX = x;
             stone._trayY = y;
             stone._onPan = null;
+            stone._notch = null;
             this.trayStones.push(stone);
             this.addStone(stone);
         });
@@ -174,17 +192,45 @@ class BalanceScaleMode extends ModeBase {
         this.beam.targetAngle = 0;
     }
 
+    // Challenge setup: { variant: 'pans' | 'lever', tray: [masses], left: [...], right: [...] }
+    // left/right stones start on that side: masses, or { mass, notch } on the lever
+    // (notch 1 - NOTCH_COUNT, default 1). Their tray spots stay free for them.
+    initWithConfiguration(config) {
+        this._setVariant(config.variant === 'lever' ? 'lever' : 'pans');
+        if (!config.tray && !config.left && !config.right) return;
+
+        const tray = config.tray || [];
+        const placed = ['left', 'right'].map(side => ({
+            side,
+            pan: side === 'left' ? this.leftPan : this.rightPan,
+            entries: (config[side] || []).map(entry => (typeof entry === 'number' ? { mass: entry } : entry))
+        }));
+        this._createTrayStones(tray.concat(...placed.map(p => p.entries.map(entry => entry.mass))));
+
+        let index = tray.length;
+        placed.forEach(({ side, pan, entries }) => {
+            entries.forEach(entry => {
+                const stone = this.trayStones[index++];
+                stone._onPan = side;
+                if (this.variant === 'lever') stone._notch = Math.max(1, Math.min(NOTCH_COUNT, entry.notch || 1));
+                pan.stones.push(stone);
+            });
+            this._positionStonesOnPan(pan);
+        });
+        this._updateBalanceState();
+    }
+
     _generateRandomLevel() {
         const diffKey = DIFFICULTY_ORDER[this.currentDifficulty];
         const diff = DIFFICULTY_LEVELS[diffKey];
 
         // Random stone count within range
-        const count = diff.stoneRange[0] + Math.floor(Math.random() * (diff.stoneRange[1] - diff.stoneRange[0] + 1));
+        const count = Random.int(diff.stoneRange[0], diff.stoneRange[1]);
 
         // Generate masses
         const masses = [];
         for (let i = 0; i < count; i++) {
-            masses.push(diff.massRange[0] + Math.floor(Math.random() * (diff.massRange[1] - diff.massRange[0] + 1)));
+            masses.push(Random.int(diff.massRange[0], diff.massRange[1]));
         }
 
         this._createTrayStones(masses);
@@ -200,12 +246,12 @@ class BalanceScaleMode extends ModeBase {
 
     _startGuessPuzzle() {
         // Generate a random level
-        const diff = DIFFICULTY_LEVELS[DIFFICULTY_ORDER[Math.floor(Math.random() * 3)]];
-        const count = diff.stoneRange[0] + Math.floor(Math.random() * (diff.stoneRange[1] - diff.stoneRange[0] + 1));
+        const diff = DIFFICULTY_LEVELS[Random.pick(DIFFICULTY_ORDER)];
+        const count = Random.int(diff.stoneRange[0], diff.stoneRange[1]);
 
         const masses = [];
         for (let i = 0; i < count; i++) {
-            masses.push(diff.massRange[0] + Math.floor(Math.random() * (diff.massRange[1] - diff.massRange[0] + 1)));
+            masses.push(Random.int(diff.massRange[0], diff.massRange[1]));
         }
 
         // Create stones and distribute randomly to pans
@@ -213,8 +259,9 @@ class BalanceScaleMode extends ModeBase {
 
         // Move all tray stones onto pans randomly
         this.trayStones.forEach(stone => {
-            const side = Math.random() < 0.5 ? 'left' : 'right';
+            const side = Random.chance(0.5) ? 'left' : 'right';
             stone._onPan = side;
+            if (this.variant === 'lever') stone._notch = Random.int(1, NOTCH_COUNT);
             if (side === 'left') {
                 this.leftPan.stones.push(stone);
             } else {
@@ -227,11 +274,10 @@ class BalanceScaleMode extends ModeBase {
         this._positionStonesOnPan(this.rightPan);
 
         // Calculate the answer
-        const leftTotal = this.leftPan.stones.reduce((sum, s) => sum + s.mass, 0);
-        const rightTotal = this.rightPan.stones.reduce((sum, s) => sum + s.mass, 0);
+        const torques = this._getTorques();
 
-        if (leftTotal > rightTotal) this.guessAnswer = 'left';
-        else if (rightTotal > leftTotal) this.guessAnswer = 'right';
+        if (torques.left > torques.right) this.guessAnswer = 'left';
+        else if (torques.right > torques.left) this.guessAnswer = 'right';
         else this.guessAnswer = 'balanced';
 
         // Freeze physics - beam stays neutral
@@ -265,7 +311,40 @@ class BalanceScaleMode extends ModeBase {
         this.rightPan.y = beamY + Math.sin(-angle) * halfWidth;
     }
 
+    // Switch between pans and the notched lever; stones go back to the tray
+    _setVariant(variant) {
+        this.variant = variant;
+        const btn = this.buttons.find(b => b.id === 'variant');
+        if (btn) btn.label = variant === 'lever' ? '◯ Pans' : '⟷ Lever';
+
+        this.leftPan.stones = [];
+        this.rightPan.stones = [];
+        this.stones.forEach(stone => {
+            stone._onPan = null;
+            stone._notch = null;
+            stone.setTarget(stone._trayX, stone._trayY);
+        });
+    }
+
+    // Turning effect of each side: mass x notch distance on the lever,
+    // plain pan weight otherwise (both pans hang at the same distance)
+    _getTorques() {
+        const arm = stone => (this.variant === 'lever' ? stone._notch : 1);
+        const torque = pan => pan.stones.reduce((sum, s) => sum + s.mass * arm(s), 0);
+        return { left: torque(this.leftPan), right: torque(this.rightPan) };
+    }
+
     _calculateTiltAngle() {
+        if (this.variant === 'lever') {
+            const hookX = (stone, sign) => ({ x: this.fulcrum.x + sign * stone._notch * NOTCH_SPACING, mass: stone.mass });
+            const tilt = PhysicsEngine.calculateBeamTilt(
+                this.leftPan.stones.map(s => hookX(s, -1)),
+                this.rightPan.stones.map(s => hookX(s, 1)),
+                this.fulcrum.x
+            );
+            return Math.max(-MAX_TILT_ANGLE, Math.min(MAX_TILT_ANGLE, tilt));
+        }
+
         let leftTorque = 0;
         let rightTorque = 0;
         const halfWidth = this.beam.width / 2;
@@ -296,7 +375,48 @@ class BalanceScaleMode extends ModeBase {
         return Math.sqrt(dx * dx + dy * dy) < PAN_RADIUS + 20;
     }
 
+    // Notch (1..NOTCH_COUNT) and side under a drop point on the lever, or null
+    _findNotchAt(x, y) {
+        const dx = x - this.beam.x;
+        const dy = y - this.beam.y;
+        // Into the beam's rotated frame: along = distance along the beam, below = hanging distance
+        const along = dx * Math.cos(this.beam.angle) + dy * Math.sin(this.beam.angle);
+        const below = dy * Math.cos(this.beam.angle) - dx * Math.sin(this.beam.angle);
+
+        if (below < -40 || below > NOTCH_DROP_RANGE) return null;
+        if (Math.abs(along) > this.beam.width / 2 + NOTCH_SPACING / 2) return null;
+
+        const notch = Math.max(1, Math.min(NOTCH_COUNT, Math.round(Math.abs(along) / NOTCH_SPACING)));
+        return { side: along < 0 ? 'left' : 'right', notch };
+    }
+
+    // Point on the (tilted) beam where a notch sits
+    _getNotchPosition(side, notch) {
+        const distance = (side === 'left' ? -1 : 1) * notch * NOTCH_SPACING;
+        return {
+            x: this.beam.x + Math.cos(this.beam.angle) * distance,
+            y: this.beam.y + Math.sin(this.beam.angle) * distance
+        };
+    }
+
+    // Lever: stones on the same notch hang one under the other
+    _positionStonesOnNotches(pan, side) {
+        for (let notch = 1; notch <= NOTCH_COUNT; notch++) {
+            const hook = this._getNotchPosition(side, notch);
+            let y = hook.y + NOTCH_HOOK_LENGTH;
+            pan.stones.filter(s => s._notch === notch).forEach(stone => {
+                stone.setTarget(hook.x, y + stone.radius);
+                y += stone.radius * 2 + 2;
+            });
+        }
+    }
+
     _positionStonesOnPan(pan) {
+        if (this.variant === 'lever') {
+            this._positionStonesOnNotches(pan, pan === this.leftPan ? 'left' : 'right');
+            return;
+        }
+
         const count = pan.stones.length;
         if (count === 0) return;
 
@@ -315,6 +435,17 @@ class BalanceScaleMode extends ModeBase {
         });
     }
 
+    // Balanced when the turning effects match (never while a guess is pending)
+    _updateBalanceState() {
+        this.isBalanced = !this.guessPhysicsFrozen && this._isLevel(this._getTorques());
+    }
+
+    // The turning effects match with something on the scale; empty pans aren't balanced
+    _isLevel(torques) {
+        return Math.abs(torques.left - torques.right) < 1e-9 &&
+            (this.leftPan.stones.length > 0 || this.rightPan.stones.length > 0);
+    }
+
     _hitTestButton(x, y, btn) {
         return x >= btn.x && x <= btn.x + btn.width &&
                y >= btn.y && y <= btn.y + btn.height;
@@ -338,9 +469,7 @@ class BalanceScaleMode extends ModeBase {
         this._positionStonesOnPan(this.rightPan);
 
         // Check if balanced
-        this.isBalanced = Math.abs(this.beam.angle) < BALANCE_THRESHOLD &&
-            (this.leftPan.stones.length > 0 || this.rightPan.stones.length > 0);
-
+        this._updateBalanceState();
         if (this.isBalanced) {
             this.balanceGlowTime += deltaTime;
         } else {
@@ -439,11 +568,15 @@ class BalanceScaleMode extends ModeBase {
 
         ctx.restore();
 
-        // Draw left pan
-        this._drawPan(this.leftPan);
+        if (this.variant === 'lever') {
+            this._drawNotches();
+        } else {
+            // Draw left pan
+            this._drawPan(this.leftPan);
 
-        // Draw right pan
-        this._drawPan(this.rightPan);
+            // Draw right pan
+            this._drawPan(this.rightPan);
+        }
 
         // Draw all stones
         this.stones.forEach(stone => stone.draw(ctx));
@@ -485,12 +618,17 @@ class BalanceScaleMode extends ModeBase {
             ctx.restore();
         }
 
-        // Draw weight totals under each pan
-        const leftTotal = this.leftPan.stones.reduce((sum, s) => sum + s.mass, 0);
-        const rightTotal = this.rightPan.stones.reduce((sum, s) => sum + s.mass, 0);
+        // Draw weight totals under each pan (weight x distance above each arm of the lever)
+        const { left: leftTotal, right: rightTotal } = this._getTorques();
 
         // Show totals (hidden during guess waiting, shown during revealed)
-        if (!this.guessPhysicsFrozen || this.guessState === 'revealed') {
+        if (this.variant === 'lever') {
+            if (!this.guessPhysicsFrozen || this.guessState === 'revealed') {
+                const armY = this.beam.y - 45;
+                if (leftTotal > 0) this.renderer.drawCountIndicator(leftTotal, this.beam.x - this.beam.width / 4, armY);
+                if (rightTotal > 0) this.renderer.drawCountIndicator(rightTotal, this.beam.x + this.beam.width / 4, armY);
+            }
+        } else if (!this.guessPhysicsFrozen || this.guessState === 'revealed') {
             if (leftTotal > 0) {
                 this.renderer.drawCountIndicator(leftTotal, this.leftPan.x, this.leftPan.y + PAN_RADIUS + 25);
             }
@@ -547,8 +685,7 @@ class BalanceScaleMode extends ModeBase {
     }
 
     _answerText() {
-        const leftTotal = this.leftPan.stones.reduce((sum, s) => sum + s.mass, 0);
-        const rightTotal = this.rightPan.stones.reduce((sum, s) => sum + s.mass, 0);
+        const { left: leftTotal, right: rightTotal } = this._getTorques();
         if (this.guessAnswer === 'left') return `Left: ${leftTotal} vs Right: ${rightTotal}`;
         if (this.guessAnswer === 'right') return `Left: ${leftTotal} vs Right: ${rightTotal}`;
         return `Both sides: ${leftTotal}`;
@@ -577,6 +714,45 @@ class BalanceScaleMode extends ModeBase {
         ctx.restore();
     }
 
+    // Lever: a tick and distance number at each notch, strings down to hung stones
+    _drawNotches() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(this.beam.x, this.beam.y);
+        ctx.rotate(this.beam.angle);
+
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let notch = 1; notch <= NOTCH_COUNT; notch++) {
+            [-1, 1].forEach(sign => {
+                const x = sign * notch * NOTCH_SPACING;
+                ctx.fillStyle = FULCRUM_COLOR;
+                ctx.beginPath();
+                ctx.arc(x, 0, 4, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = 'rgba(107, 97, 82, 0.45)';
+                ctx.fillText(String(notch), x, -14);
+            });
+        }
+        ctx.restore();
+
+        // Strings from each notch to the stones hanging from it
+        ctx.save();
+        ctx.strokeStyle = BEAM_COLOR;
+        ctx.lineWidth = 1.5;
+        [['left', this.leftPan], ['right', this.rightPan]].forEach(([side, pan]) => {
+            pan.stones.forEach(stone => {
+                const hook = this._getNotchPosition(side, stone._notch);
+                ctx.beginPath();
+                ctx.moveTo(hook.x, hook.y);
+                ctx.lineTo(stone.x, stone.y);
+                ctx.stroke();
+            });
+        });
+        ctx.restore();
+    }
+
     _drawPan(pan) {
         const ctx = this.ctx;
         ctx.save();
@@ -601,12 +777,16 @@ class BalanceScaleMode extends ModeBase {
         ctx.restore();
     }
 
-    onPointerDown(x, y) {
+    onPointerDown(x, y, pointerId) {
         // Check top buttons first
         for (const btn of this.buttons) {
             if (this._hitTestButton(x, y, btn)) {
                 btn.active = true;
-                if (btn.id === 'new-level') {
+                if (btn.id === 'variant') {
+                    this.recordStep('variant');
+                    this._setVariant(this.variant === 'lever' ? 'pans' : 'lever');
+                    if (this.guessMode) this._startGuessPuzzle();
+                } else if (btn.id === 'new-level') {
                     this._generateRandomLevel();
                 } else if (btn.id === 'guess-mode') {
                     this.guessMode = !this.guessMode;
@@ -651,8 +831,7 @@ class BalanceScaleMode extends ModeBase {
 
         // Normal stone dragging (play mode)
         // Track pointer start for tap detection
-        this._pointerDownPos = { x, y };
-        this._pointerDownTime = Date.now();
+        this._pointerStarts.set(pointerId, { x, y, time: this.now() });
 
         const stone = this.findStoneAtPosition(x, y);
         if (stone) {
@@ -682,31 +861,57 @@ class BalanceScaleMode extends ModeBase {
         }
     }
 
-    onPointerUp(x, y, draggedStone) {
+    onPointerUp(x, y, draggedStone, pointerId) {
         // Check for tap gesture (short duration, minimal movement)
-        if (this._pointerDownPos && draggedStone) {
-            const dx = x - this._pointerDownPos.x;
-            const dy = y - this._pointerDownPos.y;
+        const start = this._pointerStarts.get(pointerId);
+        this._pointerStarts.delete(pointerId);
+        if (start && draggedStone) {
+            const dx = x - start.x;
+            const dy = y - start.y;
             const dist = Math.sqrt(dx * dx + dy * dy);
-            const duration = Date.now() - this._pointerDownTime;
+            const duration = this.now() - start.time;
 
             if (dist < 10 && duration < 300) {
                 // This is a tap - inspect the stone
                 draggedStone.stopDrag();
                 this.inspectedStone = draggedStone;
                 this.inspectTimer = 2.0;
-                this._pointerDownPos = null;
                 return;
             }
         }
-        this._pointerDownPos = null;
 
         if (!draggedStone) return;
 
         draggedStone.stopDrag();
+        this._dropStone(x, y, draggedStone);
+
+        // Goals are checked right after the drop, before the next update
+        this._updateBalanceState();
+    }
 
+    _dropStone(x, y, draggedStone) {
+        // Lever: hook onto the notch under the drop point
+        if (this.variant === 'lever') {
+            const hook = this._findNotchAt(x, y);
+            if (hook) {
+                this.recordStep('hook');
+                draggedStone._onPan = hook.side;
+                draggedStone._notch = hook.notch;
+                const pan = hook.side === 'left' ? this.leftPan : this.rightPan;
+                pan.stones.push(draggedStone);
+                this._positionStonesOnPan(pan);
+                return;
+            }
+            draggedStone._onPan = null;
+            draggedStone._notch = null;
+            draggedStone.setTarget(draggedStone._trayX, draggedStone._trayY);
+            return;
+        }
+
+        // Each pointer drops its own stone where it was released
         // Check if dropped on left pan
         if (this._isOnLeftPan(x, y)) {
+            this.recordStep('pan');
             draggedStone._onPan = 'left';
             this.leftPan.stones.push(draggedStone);
             this._positionStonesOnPan(this.leftPan);
@@ -715,6 +920,7 @@ class BalanceScaleMode extends ModeBase {
 
         // Check if dropped on right pan
         if (this._isOnRightPan(x, y)) {
+            this.recordStep('pan');
             draggedStone._onPan = 'right';
             this.rightPan.stones.push(draggedStone);
             this._positionStonesOnPan(this.rightPan);
@@ -726,6 +932,176 @@ class BalanceScaleMode extends ModeBase {
         draggedStone.setTarget(draggedStone._trayX, draggedStone._trayY);
     }
 
+    onPointerCancel(draggedStone, pointerId) {
+        // An interrupted drag goes back to the tray
+        this._pointerStarts.delete(pointerId);
+        if (draggedStone) {
+            draggedStone.stopDrag();
+            draggedStone._onPan = null;
+            draggedStone.setTarget(draggedStone._trayX, draggedStone._trayY);
+        }
+    }
+
+    // --- Screen reader description ---
+
+    // "Left pan: 3 stones, weight 7; right pan: 2 stones, weight 5; scale tips left"
+    // Lever: "Left side: 2 stones, weight times distance 6; ..."
+    getAccessibleSummary() {
+        const lever = this.variant === 'lever';
+        const torques = this._getTorques();
+        const describePan = (name, pan, total) => pan.stones.length === 0
+            ? `${name}: empty`
+            : `${name}: ${ModeBase.plural(pan.stones.length, 'stone')}, ${lever ? 'weight times distance' : 'weight'} ${Math.round(total * 10) / 10}`;
+
+        const left = torques.left;
+        const right = torques.right;
+        let scale;
+        if (this.guessMode && this.guessState === 'waiting') {
+            scale = 'which side is heavier?';
+        } else if (this.leftPan.stones.length === 0 && this.rightPan.stones.length === 0) {
+            scale = 'scale is empty';
+        } else if (this._isLevel(torques)) {
+            scale = 'scale is balanced';
+        } else {
+            scale = left > right ? 'scale tips left' : 'scale tips right';
+        }
+        const [leftName, rightName] = lever ? ['Left side', 'right side'] : ['Left pan', 'right pan'];
+        return `${describePan(leftName, this.leftPan, left)}; ${describePan(rightName, this.rightPan, right)}; ${scale}`;
+    }
+
+    describeStone(stone) {
+        let place = 'in the tray';
+        if (stone._onPan && this.variant === 'lever') {
+            place = `hanging on the ${stone._onPan} side, notch ${stone._notch}`;
+        } else if (stone._onPan) {
+            place = `on the ${stone._onPan} pan`;
+        }
+        return `Stone, weight ${stone.mass}, ${place}`;
+    }
+
+    // --- Keyboard access ---
+
+    // Guessing shows only the buttons; the stones are off limits until the next puzzle
+    getFocusTargets() {
+        if (this.guessMode && this.guessState !== 'idle') {
+            const buttons = this.guessState === 'waiting' ? this.buttons.concat(this.guessButtons) : this.buttons;
+            return buttons.map(button => ({ kind: 'button', button }));
+        }
+        return super.getFocusTargets();
+    }
+
+    getKeyboardShortcuts() {
+        if (this.variant === 'lever') {
+            // Pressing again on the same side hangs the stone one notch further out
+            const hookOn = side => (stone) => {
+                const notch = stone._onPan === side ? stone._notch % NOTCH_COUNT + 1 : 1;
+                const hook = this._getNotchPosition(side, notch);
+                return { x: hook.x, y: hook.y + NOTCH_HOOK_LENGTH };
+            };
+            return [
+                { key: 'l', label: 'Left arm', place: hookOn('left') },
+                { key: 'r', label: 'Right arm', place: hookOn('right') },
+                { key: 't', label: 'Back to tray', place: (stone) => ({ x: stone._trayX, y: stone._trayY }) }
+            ];
+        }
+        return [
+            { key: 'l', label: 'Left pan', place: () => ({ x: this.leftPan.x, y: this.leftPan.y }) },
+            { key: 'r', label: 'Right pan', place: () => ({ x: this.rightPan.x, y: this.rightPan.y }) },
+            { key: 't', label: 'Back to tray', place: (stone) => ({ x: stone._trayX, y: stone._trayY }) }
+        ];
+    }
+
+    // --- Challenge checking ---
+
+    // The keyboard moves without the buttons (a new level or a guessing round
+    // would deal different stones from the ones the challenge set out), once for
+    // each weight in each place: stones that read the same are interchangeable
+    getSolverMoves() {
+        const seen = new Set();
+        return super.getSolverMoves().filter(move => !move.button && !seen.has(move.label) && seen.add(move.label));
+    }
+
+    // --- Scene serialization ---
+
+    // Stones are stored relative to the fulcrum
+    getSceneOrigin() {
+        return { x: this.fulcrum.x, y: this.fulcrum.y };
+    }
+
+    serializeState() {
+        const state = super.serializeState();
+        const origin = this.getSceneOrigin();
+
+        state.stones.forEach((data, i) => {
+            const stone = this.stones[i];
+            data.tray = { x: stone._trayX - origin.x, y: stone._trayY - origin.y };
+        });
+        state.pans = {
+            left: this.leftPan.stones.map(s => s.id),
+            right: this.rightPan.stones.map(s => s.id)
+        };
+        if (this.variant === 'lever') {
+            state.variant = 'lever';
+            state.notches = {};
+            this.leftPan.stones.concat(this.rightPan.stones).forEach(s => { state.notches[s.id] = s._notch; });
+        }
+        state.difficulty = DIFFICULTY_ORDER[this.currentDifficulty];
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        const origin = this.getSceneOrigin();
+        const records = state.stones || [];
+
+        this.trayStones = this.stones.slice();
+        this.stones.forEach((stone, i) => {
+            const tray = records[i].tray || { x: stone.x - origin.x, y: stone.y - origin.y };
+            stone._trayX = origin.x + tray.x;
+            stone._trayY = origin.y + tray.y;
+            stone._onPan = null;
+            stone._notch = null;
+        });
+
+        this.variant = state.variant === 'lever' ? 'lever' : 'pans';
+        const variantBtn = this.buttons.find(b => b.id === 'variant');
+        if (variantBtn) variantBtn.label = this.variant === 'lever' ? '◯ Pans' : '⟷ Lever';
+
+        const pans = state.pans || {};
+        const byId = new Map(this.stones.map(stone => [stone.id, stone]));
+        const notches = state.notches || {};
+        const fillPan = (pan, side, ids) => {
+            pan.stones = (ids || []).map(id => byId.get(id)).filter(Boolean);
+            pan.stones.forEach(stone => {
+                stone._onPan = side;
+                if (this.variant === 'lever') stone._notch = notches[stone.id] || 1;
+            });
+        };
+        fillPan(this.leftPan, 'left', pans.left);
+        fillPan(this.rightPan, 'right', pans.right);
+
+        const difficultyIndex = DIFFICULTY_ORDER.indexOf(state.difficulty);
+        this.currentDifficulty = difficultyIndex > -1 ? difficultyIndex : 0;
+
+        const maxId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1);
+        this.nextStoneId = maxId + 1;
+
+        // Scenes always reopen in play mode
+        this.guessMode = false;
+        this.guessState = 'idle';
+        this.guessAnswer = null;
+        this.guessFeedback = null;
+        this.guessPhysicsFrozen = false;
+        this.inspectedStone = null;
+        this._pointerStarts.clear();
+        const guessBtn = this.buttons.find(b => b.id === 'guess-mode');
+        if (guessBtn) guessBtn.label = '🤔 Guess';
+
+        this.beam.angle = this._calculateTiltAngle();
+        this.beam.targetAngle = this.beam.angle;
+        this._updatePanPositions();
+    }
+
     cleanup() {
         super.cleanup();
         this.leftPan.stones = [];
@@ -736,13 +1112,46 @@ class BalanceScaleMode extends ModeBase {
         this.nextStoneId = 0;
         this.inspectedStone = null;
         this.inspectTimer = 0;
-        this._pointerDownPos = null;
-        this._pointerDownTime = 0;
+        this._pointerStarts.clear();
         this.guessMode = false;
         this.guessState = 'idle';
         this.guessAnswer = null;
         this.guessFeedback = null;
         this.guessPhysicsFrozen = false;
+        this.variant = 'pans';
+    }
+
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        const mass = pan => pan.stones.reduce((sum, s) => sum + s.mass, 0);
+        return Object.assign(super.getMetricDefinitions(), {
+            'left-mass': { description: 'Weight on the left pan', read: mode => mass(mode.leftPan) },
+            'right-mass': { description: 'Weight on the right pan', read: mode => mass(mode.rightPan) },
+            'left-count': { description: 'Stones on the left pan', read: mode => mode.leftPan.stones.length },
+            'right-count': { description: 'Stones on the right pan', read: mode => mode.rightPan.stones.length },
+            'unused-count': { description: 'Stones still in the tray', read: mode => mode.trayStones.filter(s => !s._onPan).length },
+            'balanced': {
+                description: 'The scale is level with something on it',
+                read: mode => mode.isBalanced,
+                distance: mode => {
+                    const torques = mode._getTorques();
+                    return Math.abs(torques.left - torques.right) || 1;
+                }
+            }
+        });
+    }
+
+    // Masses on each pan and in the tray, heaviest first, and on the lever the
+    // turning force on each side (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        const masses = stones => stones.map(s => s.mass).sort((a, b) => b - a);
+        state.variant = this.variant;
+        state.left = masses(this.leftPan.stones);
+        state.right = masses(this.rightPan.stones);
+        state.tray = masses(this.trayStones.filter(s => !s._onPan));
+        if (this.variant === 'lever') state.torques = this._getTorques();
+        return state;
     }
 
     static getMetadata() {
@@ -750,7 +1159,8 @@ class BalanceScaleMode extends ModeBase {
             id: 'balance-scale',
             name: 'Balance',
             icon: '⚖️',
-            description: 'Balance and equality'
+            description: 'Balance and equality',
+            stateVersion: 1
         };
     }
 }
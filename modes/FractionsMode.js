@@ -0,0 +1,616 @@
+// FractionsMode - Break wholes into equal parts and put them back together
+// Tap a stone to split it into halves, thirds or quarters (the cut buttons pick
+// which). Every piece knows its exact fraction of a whole, shows it as a label and
+// weighs that much. Drop a piece on another off the pans to join them (never past
+// one whole).
+// Two pans below compare what is on them, so 2/4 of one whole can be seen to
+// balance 1/2 of another.
+//
+// Config (initWithConfiguration, challenge initialConfig):
+//   { stones: ['1', '1', '1/2'], left: ['1/4', '1/4'], right: [], cut: 4 }
+// Every listed stone counts as its own whole (its own color).
+
+const FRAC_WHOLE_RADIUS = 44;
+const FRAC_MIN_RADIUS = 17;           // Smallest pieces stay big enough to read
+const FRAC_MAX_DENOMINATOR = 12;
+const FRAC_CUTS = [2, 3, 4];
+const FRAC_STONES_Y = 200;            // Row the starting stones sit in
+const FRAC_STONE_SPACING = 120;
+const FRAC_PAN_RADIUS = 90;
+const FRAC_ARM = 220;                 // Pivot to pan, horizontally
+const FRAC_PIVOT_FROM_BOTTOM = 300;
+const FRAC_PAN_DROP = 110;            // Pan hangs this far below the beam end
+const FRAC_MAX_TILT = Math.PI / 10;
+const FRAC_TILT_SPEED = 4;
+const FRAC_TAP_DISTANCE = 10;         // px a tap may move
+const FRAC_TAP_DURATION = 300;        // ms a tap may last
+const FRAC_BEAM_COLOR = '#8b7d6b';
+const FRAC_PAN_COLOR = 'rgba(139, 125, 107, 0.2)';
+const FRAC_PAN_BORDER = 'rgba(139, 125, 107, 0.5)';
+const FRAC_BALANCED_COLOR = 'rgba(120, 150, 100, 0.85)';
+// One color per whole, so pieces show where they came from
+const FRAC_COLORS = ['#a0785a', '#6f8a6a', '#7d7aa3', '#b08d4f', '#8a6f8a', '#5f8794'];
+
+// Button styling constants
+const FRAC_BTN_BG = 'rgba(139, 125, 107, 0.15)';
+const FRAC_BTN_BG_ACTIVE = 'rgba(139, 125, 107, 0.3)';
+const FRAC_BTN_BG_SELECTED = 'rgba(139, 125, 107, 0.32)';
+const FRAC_BTN_BORDER = 'rgba(139, 125, 107, 0.3)';
+const FRAC_BTN_TEXT = 'rgba(107, 97, 82, 0.7)';
+const FRAC_BTN_RADIUS = 10;
+
+class FractionsMode extends ModeBase {
+    constructor(canvas, ctx, renderer) {
+        super(canvas, ctx, renderer);
+        this.usesFixedTimestep = true;
+        this.cut = 2;               // Parts a tapped stone splits into
+        this.leftPan = { side: 'left', x: 0, y: 0, stones: [] };
+        this.rightPan = { side: 'right', x: 0, y: 0, stones: [] };
+        this.beam = { x: 0, y: 0, angle: 0, targetAngle: 0 };
+        this.isBalanced = false;
+        this.nextStoneId = 0;
+        this.nextWholeId = 0;
+        this.buttons = [];
+        this._pointerStarts = new Map(); // pointerId -> { x, y, time } for tap detection
+    }
+
+    init() {
+        super.init();
+        this._initButtons();
+        this.initWithConfiguration({ stones: ['1', '1', '1'], cut: 2 });
+    }
+
+    _initButtons() {
+        const dims = this.renderer.getDimensions();
+        const btnY = 20;
+        const btnH = 36;
+        const labels = { 2: '½ Halves', 3: '⅓ Thirds', 4: '¼ Quarters' };
+
+        this.buttons = FRAC_CUTS.map((cut, i) => ({
+            id: `cut-${cut}`,
+            cut,
+            x: dims.width - (FRAC_CUTS.length + 1 - i) * 110 - 10, y: btnY,
+            width: 100, height: btnH,
+            label: labels[cut],
+            active: false
+        }));
+        this.buttons.push({
+            id: 'reset',
+            x: dims.width - 120, y: btnY,
+            width: 100, height: btnH,
+            label: '↺ Reset',
+            active: false
+        });
+    }
+
+    // Stones in the garden and on the pans (see top of file)
+    initWithConfiguration(config) {
+        this.stones = [];
+        this.nextStoneId = 0;
+        this.nextWholeId = 0;
+        this.leftPan.stones = [];
+        this.rightPan.stones = [];
+        this.beam.angle = 0;
+        this._pointerStarts.clear();
+        this._initialConfig = config;
+        if (FRAC_CUTS.includes(config.cut)) this.cut = config.cut;
+        this._layout();
+
+        const loose = config.stones || [];
+        const center = this.renderer.getCenter();
+        const startX = center.x - (loose.length - 1) * FRAC_STONE_SPACING / 2;
+        loose.forEach((text, i) => {
+            this._createStone(FractionsMode.parse(text), this.nextWholeId++, startX + i * FRAC_STONE_SPACING, FRAC_STONES_Y);
+        });
+
+        [[this.leftPan, config.left], [this.rightPan, config.right]].forEach(([pan, list]) => {
+            (list || []).forEach(text => {
+                const stone = this._createStone(FractionsMode.parse(text), this.nextWholeId++, pan.x, pan.y);
+                pan.stones.push(stone);
+                stone._pan = pan;
+            });
+        });
+
+        this._updateBalance();
+        this.beam.angle = this.beam.targetAngle;
+        this._layout();
+        this._positionPanStones(true);
+    }
+
+    _createStone(fraction, whole, x, y) {
+        const stone = new Stone(x, y, this.nextStoneId++, {
+            radius: FractionsMode.radiusFor(fraction),
+            mass: fraction.num / fraction.den,
+            color: FRAC_COLORS[whole % FRAC_COLORS.length],
+            label: FractionsMode.format(fraction)
+        });
+        stone._fraction = fraction;
+        stone.dragCoefficient = 1;  // Weight is for the pans; small pieces would overshoot their easing
+        stone._whole = whole;
+        stone._joined = false;   // Made by joining pieces
+        stone._pan = null;
+        this.addStone(stone);
+        return stone;
+    }
+
+    // --- Fractions (exact, always in lowest terms) ---
+
+    static gcd(a, b) {
+        return b === 0 ? Math.abs(a) : FractionsMode.gcd(b, a % b);
+    }
+
+    static make(num, den) {
+        const g = FractionsMode.gcd(num, den) || 1;
+        return { num: num / g, den: den / g };
+    }
+
+    // '3/4' -> { num: 3, den: 4 }; '1' -> { num: 1, den: 1 }
+    static parse(text) {
+        const parts = String(text).split('/');
+        return FractionsMode.make(parseInt(parts[0], 10), parts.length > 1 ? parseInt(parts[1], 10) : 1);
+    }
+
+    static format(fraction) {
+        return fraction.den === 1 ? String(fraction.num) : `${fraction.num}/${fraction.den}`;
+    }
+
+    static add(a, b) {
+        return FractionsMode.make(a.num * b.den + b.num * a.den, a.den * b.den);
+    }
+
+    static compare(a, b) {
+        return a.num * b.den - b.num * a.den;
+    }
+
+    static sum(stones) {
+        return stones.reduce((total, stone) => FractionsMode.add(total, stone._fraction), { num: 0, den: 1 });
+    }
+
+    // Area follows value, with a floor so small pieces stay readable
+    static radiusFor(fraction) {
+        return Math.max(FRAC_MIN_RADIUS, FRAC_WHOLE_RADIUS * Math.sqrt(fraction.num / fraction.den));
+    }
+
+    // --- Splitting and joining ---
+
+    // Replace a stone with `parts` equal pieces of the same whole
+    splitStone(stone, parts) {
+        const fraction = stone._fraction;
+        if (fraction.den * parts > FRAC_MAX_DENOMINATOR) {
+            this.announce(`Pieces can't be smaller than 1/${FRAC_MAX_DENOMINATOR}`);
+            return false;
+        }
+
+        const piece = FractionsMode.make(fraction.num, fraction.den * parts);
+        const pan = stone._pan;
+        this._takeFromPan(stone);
+        this.removeStone(stone);
+
+        const spread = FractionsMode.radiusFor(piece) * 1.2;
+        for (let i = 0; i < parts; i++) {
+            const angle = (i / parts) * Math.PI * 2 - Math.PI / 2;
+            const p = this._createStone(piece, stone._whole, stone.x, stone.y);
+            p.setTarget(stone.x + Math.cos(angle) * spread, stone.y + Math.sin(angle) * spread);
+            if (pan) {
+                pan.stones.push(p);
+                p._pan = pan;
+            }
+        }
+        this._updateBalance();
+        this.announce(`${FractionsMode.format(fraction)} split into ${parts} pieces of ${FractionsMode.format(piece)}`);
+        return true;
+    }
+
+    // Join `stone` into `other` when together they are at most one whole
+    _joinStones(stone, other) {
+        const total = FractionsMode.add(stone._fraction, other._fraction);
+        if (total.num > total.den) {
+            this.announce(`${FractionsMode.format(stone._fraction)} and ${FractionsMode.format(other._fraction)} make more than a whole`);
+            return false;
+        }
+
+        this._takeFromPan(stone);
+        this.removeStone(stone);
+        other._fraction = total;
+        other._joined = true;
+        other.mass = total.num / total.den;
+        other.radius = FractionsMode.radiusFor(total);
+        other.label = FractionsMode.format(total);
+        this._updateBalance();
+        this.announce(total.num === total.den ? 'That makes a whole' : `That makes ${other.label}`);
+        return true;
+    }
+
+    // Stones made by joining pieces that add up to exactly one whole
+    getMadeWholes() {
+        return this.stones.filter(stone => stone._joined && stone._fraction.num === stone._fraction.den);
+    }
+
+    // --- Pans ---
+
+    _layout() {
+        const dims = this.renderer.getDimensions();
+        const center = this.renderer.getCenter();
+        this.beam.x = center.x;
+        this.beam.y = dims.height - FRAC_PIVOT_FROM_BOTTOM;
+
+        const cos = Math.cos(this.beam.angle);
+        const sin = Math.sin(this.beam.angle);
+        this.leftPan.x = this.beam.x - cos * FRAC_ARM;
+        this.leftPan.y = this.beam.y - sin * FRAC_ARM + FRAC_PAN_DROP;
+        this.rightPan.x = this.beam.x + cos * FRAC_ARM;
+        this.rightPan.y = this.beam.y + sin * FRAC_ARM + FRAC_PAN_DROP;
+    }
+
+    getPanTotal(pan) {
+        return FractionsMode.sum(pan.stones);
+    }
+
+    // Level when both pans hold something and the same amount
+    _updateBalance() {
+        const left = this.getPanTotal(this.leftPan);
+        const right = this.getPanTotal(this.rightPan);
+        this.isBalanced = left.num > 0 && right.num > 0 && FractionsMode.compare(left, right) === 0;
+
+        // Tilt as for weights hanging at the two ends of the beam
+        const tilt = PhysicsEngine.calculateBeamTilt(
+            this.leftPan.stones.map(s => ({ x: this.beam.x - FRAC_ARM, mass: s.mass })),
+            this.rightPan.stones.map(s => ({ x: this.beam.x + FRAC_ARM, mass: s.mass })),
+            this.beam.x
+        );
+        this.beam.targetAngle = this.isBalanced ? 0 : Math.max(-FRAC_MAX_TILT, Math.min(FRAC_MAX_TILT, tilt));
+    }
+
+    // Balanced, but not with the same pieces on both sides (1/2 against 2/4, not 1/2 against 1/2).
+    // With `value` ('1/2'), each pan must also hold exactly that much.
+    isEquivalent(value) {
+        if (!this.isBalanced) return false;
+        if (value !== undefined &&
+            FractionsMode.compare(this.getPanTotal(this.leftPan), FractionsMode.parse(value)) !== 0) return false;
+        const pieces = (pan) => pan.stones.map(s => s.label).sort().join(',');
+        return pieces(this.leftPan) !== pieces(this.rightPan);
+    }
+
+    _findPanAt(x, y) {
+        return [this.leftPan, this.rightPan].find(pan =>
+            Math.sqrt((x - pan.x) * (x - pan.x) + (y - pan.y) * (y - pan.y)) <= FRAC_PAN_RADIUS) || null;
+    }
+
+    _takeFromPan(stone) {
+        if (!stone._pan) return;
+        stone._pan.stones = stone._pan.stones.filter(s => s !== stone);
+        stone._pan = null;
+    }
+
+    // Pan stones sit in a ring on the dish
+    _positionPanStones(immediate = false) {
+        [this.leftPan, this.rightPan].forEach(pan => {
+            const count = pan.stones.length;
+            const ring = count === 1 ? 0 : Math.min(FRAC_PAN_RADIUS * 0.6, 20 + count * 7);
+            pan.stones.forEach((stone, i) => {
+                if (stone.isDragging) return;
+                const angle = (i / count) * Math.PI * 2 - Math.PI / 2;
+                const x = pan.x + Math.cos(angle) * ring;
+                const y = pan.y + Math.sin(angle) * ring;
+                if (immediate) stone.setPosition(x, y);
+                else stone.setTarget(x, y);
+            });
+        });
+    }
+
+    // --- Frame loop ---
+
+    update(deltaTime) {
+        this.beam.angle += (this.beam.targetAngle - this.beam.angle) * Math.min(1, FRAC_TILT_SPEED * deltaTime);
+        this._layout();
+        this._positionPanStones();
+        super.update(deltaTime);
+    }
+
+    render() {
+        this.renderer.drawBackground();
+        const ctx = this.ctx;
+
+        // Beam and fulcrum
+        ctx.save();
+        ctx.strokeStyle = FRAC_BEAM_COLOR;
+        ctx.fillStyle = FRAC_BEAM_COLOR;
+        ctx.lineWidth = 6;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(this.leftPan.x, this.leftPan.y - FRAC_PAN_DROP);
+        ctx.lineTo(this.rightPan.x, this.rightPan.y - FRAC_PAN_DROP);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(this.beam.x, this.beam.y);
+        ctx.lineTo(this.beam.x - 24, this.beam.y + 40);
+        ctx.lineTo(this.beam.x + 24, this.beam.y + 40);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+
+        [this.leftPan, this.rightPan].forEach(pan => this._drawPan(pan));
+
+        this.stones.forEach(stone => stone.draw(ctx));
+
+        this.buttons.forEach(btn => this._drawButton(btn));
+    }
+
+    _drawPan(pan) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        // String from the beam end
+        ctx.strokeStyle = FRAC_BEAM_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(pan.x, pan.y - FRAC_PAN_DROP);
+        ctx.lineTo(pan.x, pan.y - FRAC_PAN_RADIUS);
+        ctx.stroke();
+
+        // Dish
+        ctx.fillStyle = FRAC_PAN_COLOR;
+        ctx.strokeStyle = this.isBalanced ? FRAC_BALANCED_COLOR : FRAC_PAN_BORDER;
+        ctx.beginPath();
+        ctx.arc(pan.x, pan.y, FRAC_PAN_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        // Total under the pan
+        const total = this.getPanTotal(pan);
+        if (total.num > 0) {
+            this.renderer.drawText(FractionsMode.format(total), pan.x, pan.y + FRAC_PAN_RADIUS + 24, {
+                fontSize: 20,
+                color: this.isBalanced ? FRAC_BALANCED_COLOR : 'rgba(107, 97, 82, 0.8)'
+            });
+        }
+    }
+
+    _drawButton(btn) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        // Background (the chosen cut stays highlighted)
+        ctx.fillStyle = btn.active ? FRAC_BTN_BG_ACTIVE : (btn.cut === this.cut ? FRAC_BTN_BG_SELECTED : FRAC_BTN_BG);
+        ctx.strokeStyle = FRAC_BTN_BORDER;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(btn.x, btn.y, btn.width, btn.height, FRAC_BTN_RADIUS);
+        ctx.fill();
+        ctx.stroke();
+
+        // Label
+        ctx.font = '13px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.fillStyle = FRAC_BTN_TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(btn.label, btn.x + btn.width / 2, btn.y + btn.height / 2);
+
+        ctx.restore();
+    }
+
+    _hitTestButton(x, y, btn) {
+        return x >= btn.x && x <= btn.x + btn.width &&
+               y >= btn.y && y <= btn.y + btn.height;
+    }
+
+    // --- Input ---
+
+    onPointerDown(x, y, pointerId) {
+        for (const btn of this.buttons) {
+            if (this._hitTestButton(x, y, btn)) {
+                btn.active = true;
+                this._pressButton(btn);
+                setTimeout(() => { btn.active = false; }, 150);
+                return null;
+            }
+        }
+
+        const stone = this.findStoneAtPosition(x, y);
+        if (!stone) return null;
+
+        // Keyboard "split" cuts at once instead of picking up
+        if (pointerId === KEYBOARD_SINGLE_POINTER_ID) {
+            this.recordStep('split');
+            this.splitStone(stone, this.cut);
+            return null;
+        }
+
+        if (!stone.startDrag()) return null;
+        this._pointerStarts.set(pointerId, { x, y, time: this.now() });
+        this.moveStoneToTop(stone);
+        return stone;
+    }
+
+    _pressButton(btn) {
+        if (btn.cut) {
+            this.cut = btn.cut;
+            this.announce(`Tap a stone to cut it into ${ModeBase.plainLabel(btn.label).toLowerCase()}`);
+        } else if (btn.id === 'reset') {
+            this.recordStep('reset');
+            this.initWithConfiguration(this._initialConfig || {});
+        }
+    }
+
+    onPointerMove(x, y, draggedStone) {
+        if (draggedStone) draggedStone.setPosition(x, y);
+    }
+
+    onPointerUp(x, y, draggedStone, pointerId) {
+        const start = this._pointerStarts.get(pointerId);
+        this._pointerStarts.delete(pointerId);
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+
+        const isTap = start &&
+            Math.sqrt((x - start.x) * (x - start.x) + (y - start.y) * (y - start.y)) < FRAC_TAP_DISTANCE &&
+            this.now() - start.time < FRAC_TAP_DURATION;
+        if (isTap) {
+            this.recordStep('split');
+            this.splitStone(draggedStone, this.cut);
+            return;
+        }
+
+        // Onto another stone in the garden: join them (pans keep pieces apart to compare)
+        const pan = this._findPanAt(x, y);
+        const other = !pan && this.stones.find(s => s !== draggedStone && !s.isDragging && !s._pan &&
+            s.distanceTo(draggedStone) < Math.max(s.radius, draggedStone.radius));
+        if (other && this._joinStones(draggedStone, other)) return;
+
+        // Onto a pan, off a pan, or just somewhere else in the garden
+        if (pan !== draggedStone._pan) {
+            this._takeFromPan(draggedStone);
+            if (pan) {
+                pan.stones.push(draggedStone);
+                draggedStone._pan = pan;
+            }
+        }
+        this._updateBalance();
+        if (pan && this.isBalanced) {
+            this.announce(`${FractionsMode.format(this.getPanTotal(this.leftPan))} balances ${FractionsMode.format(this.getPanTotal(this.rightPan))}`);
+        }
+    }
+
+    onPointerCancel(draggedStone, pointerId) {
+        this._pointerStarts.delete(pointerId);
+        if (draggedStone) draggedStone.stopDrag();
+    }
+
+    // --- Screen reader description ---
+
+    // "Left pan 1/2, right pan 1/4 and 1/4, balanced; 2 stones: 1, 1/2"
+    getAccessibleSummary() {
+        const describePan = (pan) => (pan.stones.length === 0 ? 'empty' : pan.stones.map(s => s.label).join(' and '));
+        const loose = this.stones.filter(s => !s._pan);
+        const state = this.isBalanced ? 'balanced' : 'not balanced';
+        const stones = loose.length === 0 ? 'no other stones' : `${ModeBase.plural(loose.length, 'stone')}: ${loose.map(s => s.label).join(', ')}`;
+        return `Left pan ${describePan(this.leftPan)}, right pan ${describePan(this.rightPan)}, ${state}; ${stones}`;
+    }
+
+    describeStone(stone) {
+        const where = stone._pan ? ` on the ${stone._pan.side} pan` : '';
+        return `Stone ${stone.label}${where}`;
+    }
+
+    // --- Keyboard access ---
+
+    getKeyboardShortcuts() {
+        return [
+            { key: 'x', label: 'Split', pickOne: true },
+            { key: 'l', label: 'Left pan', place: () => ({ x: this.leftPan.x, y: this.leftPan.y }) },
+            { key: 'r', label: 'Right pan', place: () => ({ x: this.rightPan.x, y: this.rightPan.y }) }
+        ];
+    }
+
+    // --- Challenge checking ---
+
+    // The keyboard moves and cut buttons (reset would undo the challenge setup),
+    // plus dropping a loose piece on each other one it can join
+    getSolverMoves() {
+        const moves = super.getSolverMoves().filter(move => move.button !== 'reset');
+        const loose = this.stones.filter(s => !s._pan);
+        const seen = new Set();
+        loose.forEach(stone => loose.forEach(other => {
+            const label = `Join ${stone.label} onto ${other.label}`;
+            const total = FractionsMode.add(stone._fraction, other._fraction);
+            if (other === stone || total.num > total.den || seen.has(label)) return;
+            seen.add(label);
+            moves.push({ label, stone, to: { x: other.x, y: other.y } });
+        }));
+        return moves;
+    }
+
+    // --- Scene serialization ---
+
+    serializeState() {
+        const state = super.serializeState();
+        state.stones.forEach((data, i) => {
+            const stone = this.stones[i];
+            data.fraction = FractionsMode.format(stone._fraction);
+            data.whole = stone._whole;
+            if (stone._joined) data.joined = true;
+            if (stone._pan) data.pan = stone._pan.side;
+        });
+        state.cut = this.cut;
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        this.leftPan.stones = [];
+        this.rightPan.stones = [];
+        this._pointerStarts.clear();
+        if (FRAC_CUTS.includes(state.cut)) this.cut = state.cut;
+
+        (state.stones || []).forEach((data, i) => {
+            const stone = this.stones[i];
+            stone._fraction = FractionsMode.parse(data.fraction || stone.label || '1');
+            stone.mass = stone._fraction.num / stone._fraction.den; // Stored mass is rounded
+            stone.dragCoefficient = 1;
+            stone._whole = data.whole || 0;
+            stone._joined = data.joined === true;
+            stone._pan = null;
+            if (data.pan) {
+                const pan = data.pan === 'left' ? this.leftPan : this.rightPan;
+                pan.stones.push(stone);
+                stone._pan = pan;
+            }
+        });
+
+        this.nextStoneId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1) + 1;
+        this.nextWholeId = this.stones.reduce((max, s) => Math.max(max, s._whole), -1) + 1;
+        this._updateBalance();
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.leftPan.stones = [];
+        this.rightPan.stones = [];
+        this.nextStoneId = 0;
+        this.nextWholeId = 0;
+        this.cut = 2;
+        this._pointerStarts.clear();
+    }
+
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        const value = fraction => fraction.num / fraction.den;
+        return Object.assign(super.getMetricDefinitions(), {
+            'left-total': { description: 'Amount on the left pan (0.5 for 1/2)', read: mode => value(mode.getPanTotal(mode.leftPan)) },
+            'right-total': { description: 'Amount on the right pan', read: mode => value(mode.getPanTotal(mode.rightPan)) },
+            'balanced': { description: 'Both pans hold the same amount', read: mode => mode.isBalanced },
+            'pans-equivalent': {
+                description: 'The pans balance with different pieces (at args.value such as \'1/2\', if given)',
+                read: (mode, args) => mode.isEquivalent(args.value)
+            },
+            'made-wholes': { description: 'Wholes made by joining pieces', read: mode => mode.getMadeWholes().length },
+            'smallest-piece': { description: 'Denominator of the smallest piece (4 for quarters)', read: mode => Math.max(1, ...mode.stones.map(s => s._fraction.den)) }
+        });
+    }
+
+    // Pieces on each pan and off them, as 'a/b' (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        const pieces = stones => stones.map(s => FractionsMode.format(s._fraction));
+        state.left = pieces(this.leftPan.stones);
+        state.right = pieces(this.rightPan.stones);
+        state.loose = pieces(this.stones.filter(s => !s._pan));
+        return state;
+    }
+
+    static getMetadata() {
+        return {
+            id: 'fractions',
+            name: 'Fractions',
+            icon: '🥧',
+            description: 'Split wholes and compare parts',
+            stateVersion: 1
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FractionsMode };
+}
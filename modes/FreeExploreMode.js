@@ -20,6 +20,14 @@ const FREE_BTN_BG_ACTIVE = 'rgba(139, 125, 107, 0.3)';
 const FREE_BTN_BORDER = 'rgba(139, 125, 107, 0.3)';
 const FREE_BTN_TEXT = 'rgba(107, 97, 82, 0.7)';
 const FREE_BTN_RADIUS = 10;
+const FREE_START_MASSES = [0.5, 0.7, 1.0, 1.0, 1.5, 2.0, 2.5, 3.0];
+
+// Challenge checker moves (getSolverMoves): how far beside a stone to drop one,
+// how clear of other groups, and where on screen spots may be
+const FREE_SOLVER_REACH = 60;
+const FREE_SOLVER_CLEARANCE = GROUP_THRESHOLD * 1.25;
+const FREE_SOLVER_MARGIN = 60;
+const FREE_SOLVER_TOP = 90; // Below the buttons
 
 class StoneGroup {
     constructor(stones) {
@@ -105,6 +113,7 @@ class CentralBlackHole {
 class FreeExploreMode extends ModeBase {
     constructor(canvas, ctx, renderer) {
         super(canvas, ctx, renderer);
+        this.usesFixedTimestep = true;
         this.groups = [];
         this.poolUsed = false; // Track if pool has been used (to fade label)
         this.poolLabelAlpha = 1.0;
@@ -130,16 +139,29 @@ class FreeExploreMode extends ModeBase {
         this.blackHole = new CentralBlackHole(center.x, center.y);
 
         // Initialize stones in circular pattern with varied masses
-        const initialCount = 8;
+        this._createStartingStones(FREE_START_MASSES);
+
+        this.poolUsed = false;
+        this.poolLabelAlpha = 1.0;
+        this.simulationState = 'paused';
+        this.simulationTime = 0;
+
+        // Initialize control buttons
+        this._initButtons();
+
+        // Initial group detection
+        this.updateGroups();
+    }
+
+    _createStartingStones(masses) {
+        const center = this.renderer.getCenter();
         const spread = 150;
-        const masses = [0.5, 0.7, 1.0, 1.0, 1.5, 2.0, 2.5, 3.0];
 
-        for (let i = 0; i < initialCount; i++) {
-            const angle = (i / initialCount) * Math.PI * 2;
-            const distance = spread + Math.random() * 50;
+        masses.forEach((mass, i) => {
+            const angle = (i / masses.length) * Math.PI * 2;
+            const distance = spread + Random.range(0, 50);
             const x = center.x + Math.cos(angle) * distance;
             const y = center.y + Math.sin(angle) * distance;
-            const mass = masses[i];
             const radius = STONE_RADIUS * (0.6 + mass * 0.25);
 
             // Heavier stones get darker colors
@@ -148,17 +170,39 @@ class FreeExploreMode extends ModeBase {
 
             const stone = new Stone(x, y, i, { mass, radius, color });
             this.addStone(stone);
-        }
+        });
+    }
 
-        this.poolUsed = false;
-        this.poolLabelAlpha = 1.0;
+    // Challenge setup: { stones: 6, blackHoles: 1 }
+    // stones is a count or a list of masses (0.5 - 3). Black holes start on a
+    // ring outside the stones, left side first.
+    initWithConfiguration(config) {
+        this.stones = [];
         this.simulationState = 'paused';
         this.simulationTime = 0;
+        this.buttons[0].label = '▶ Start';
 
-        // Initialize control buttons
-        this._initButtons();
+        let masses = FREE_START_MASSES;
+        if (Array.isArray(config.stones)) {
+            masses = config.stones;
+        } else if (typeof config.stones === 'number') {
+            masses = [];
+            for (let i = 0; i < config.stones; i++) {
+                masses.push(FREE_START_MASSES[Math.floor(i * FREE_START_MASSES.length / config.stones)]);
+            }
+        }
+        this._createStartingStones(masses);
+        this.nextStoneId = 100;
+
+        const center = this.renderer.getCenter();
+        const holes = config.blackHoles || 0;
+        const rx = Math.min(300, center.x - 60);
+        const ry = Math.min(220, center.y - 150);
+        for (let i = 0; i < holes; i++) {
+            const angle = Math.PI + (i / holes) * Math.PI * 2;
+            this._createStoneAtPosition(center.x + Math.cos(angle) * rx, center.y + Math.sin(angle) * ry, 'blackhole');
+        }
 
-        // Initial group detection
         this.updateGroups();
     }
 
@@ -218,13 +262,13 @@ class FreeExploreMode extends ModeBase {
         }
 
         // Regular stone - randomly assign number labels (20% chance)
-        const mass = 0.5 + Math.random() * 2.5; // 0.5 to 3.0
+        const mass = Random.range(0.5, 3.0);
         const radius = STONE_RADIUS * (0.6 + mass * 0.25);
         const colorIndex = Math.min(Math.floor(mass * 1.5), COLORS.stone.length - 1);
         const color = COLORS.stone[colorIndex];
 
         // 20% chance to have a number label (2-5)
-        const label = Math.random() < 0.2 ? Math.floor(Math.random() * 4) + 2 : null;
+        const label = Random.chance(0.2) ? Random.int(2, 5) : null;
 
         const stone = new Stone(x, y, this.nextStoneId++, { mass, radius, color, label });
         this.addStone(stone);
@@ -557,16 +601,17 @@ class FreeExploreMode extends ModeBase {
         }
 
         // First check if tapping on an existing stone
+        // (a stone another finger is holding can't be taken over)
         const stone = this.findStoneAtPosition(x, y);
         if (stone) {
-            stone.startDrag();
+            if (!stone.startDrag()) return null;
             this.moveStoneToTop(stone);
             return stone;
         }
 
         // If tapping in the pool, create a new stone
         if (this._isInPool(x, y)) {
-            const now = Date.now();
+            const now = this.now();
             const timeSinceLastTap = now - this.lastTapTime;
             const dx = x - this.lastTapPos.x;
             const dy = y - this.lastTapPos.y;
@@ -599,6 +644,7 @@ class FreeExploreMode extends ModeBase {
         if (btn.id === 'toggle-simulation') {
             this._toggleSimulation();
         } else if (btn.id === 'reset') {
+            this.recordStep('reset');
             this._resetSimulation();
         }
     }
@@ -635,7 +681,7 @@ class FreeExploreMode extends ModeBase {
 
             // Reset to circular arrangement
             const angle = (i / this.stones.length) * Math.PI * 2;
-            const distance = spread + Math.random() * 50;
+            const distance = spread + Random.range(0, 50);
             stone.x = center.x + Math.cos(angle) * distance;
             stone.y = center.y + Math.sin(angle) * distance;
         });
@@ -643,10 +689,11 @@ class FreeExploreMode extends ModeBase {
         this.updateGroups();
     }
 
-    onPointerMove(x, y, draggedStone) {
+    onPointerMove(x, y, draggedStone, pointerId, grip = 1) {
         if (draggedStone) {
             // Track position history for velocity calculation
-            const currentTime = performance.now() / 1000; // Convert to seconds
+            // (kept on the stone, so each finger's throw is measured separately)
+            const currentTime = this.now() / 1000; // Convert to seconds
             if (!draggedStone._positionHistory) {
                 draggedStone._positionHistory = [];
             }
@@ -676,6 +723,8 @@ class FreeExploreMode extends ModeBase {
                 // Heavy stones: lag behind finger
                 speed = 0.3 + (1.0 / mass) * 0.2;
             }
+            // A pen pressed hard holds heavy stones tighter
+            speed = PhysicsEngine.applyGrip(speed, grip);
 
             // Lerp toward target position
             const newX = draggedStone.x + (x - draggedStone.x) * speed;
@@ -708,6 +757,17 @@ class FreeExploreMode extends ModeBase {
         this.updateGroups();
     }
 
+    onPointerCancel(draggedStone) {
+        // Drop without a throw
+        if (draggedStone) {
+            draggedStone._positionHistory = [];
+            draggedStone.velocity.x = 0;
+            draggedStone.velocity.y = 0;
+            draggedStone.stopDrag();
+        }
+        this.updateGroups();
+    }
+
     _calculateThrowVelocity(stone) {
         // Use position history to calculate velocity
         const history = stone._positionHistory || [];
@@ -779,6 +839,124 @@ class FreeExploreMode extends ModeBase {
         }
     }
 
+    // --- Screen reader description ---
+
+    // "8 stones, 2 groups of touching stones; simulation paused"
+    getAccessibleSummary() {
+        const holes = this.stones.filter(s => s.type === 'blackhole').length;
+        const stones = ModeBase.plural(this.stones.length - holes, 'stone');
+        const extra = holes > 0 ? ` and ${ModeBase.plural(holes, 'black hole')}` : '';
+        const groups = this.groups.length > 0 ? `${ModeBase.plural(this.groups.length, 'group')} of touching stones` : 'no groups';
+        return `${stones}${extra}, ${groups}; simulation ${this.simulationState}`;
+    }
+
+    // Weight in the same bands as the drag feel
+    describeStone(stone) {
+        if (stone.type === 'blackhole') return 'Black hole';
+        const weight = stone.mass < 1.0 ? 'Light' : stone.mass <= 2.0 ? 'Medium' : 'Heavy';
+        return stone.label ? `${weight} stone ${stone.label}` : `${weight} stone`;
+    }
+
+    // --- Keyboard access ---
+
+    getKeyboardShortcuts() {
+        const pool = this._getPoolRect();
+        const toggle = this.buttons.find(btn => btn.id === 'toggle-simulation');
+        return [
+            { key: 'n', label: 'New stone', press: () => ({ x: pool.x + pool.width / 2, y: pool.y + pool.height / 2 }) },
+            { key: 's', label: 'Start / pause', press: () => ({ x: toggle.x + toggle.width / 2, y: toggle.y + toggle.height / 2 }) }
+        ];
+    }
+
+    // --- Challenge checking ---
+
+    // Carry a stone beside another group (or loose stone), or off on its own.
+    // The simulation stays paused so groups hold still between moves.
+    getSolverMoves() {
+        const loose = this.stones.filter(s => !this.groups.some(g => g.contains(s))).map(s => [s]);
+        const clusters = this.groups.map(g => g.stones).concat(loose);
+        const moves = [];
+
+        this.stones.forEach(stone => {
+            const own = clusters.find(cluster => cluster.includes(stone));
+            clusters.forEach(cluster => {
+                if (cluster === own) return;
+                const to = this._findSolverSpot(stone, cluster);
+                const target = cluster.length === 1 ? 'a loose stone' : `a group of ${cluster.length}`;
+                if (to) moves.push({ label: `${this.describeStone(stone)} beside ${target}`, stone, to });
+            });
+            if (own.length > 1) {
+                const to = this._findSolverSpot(stone, []);
+                if (to) moves.push({ label: `${this.describeStone(stone)} on its own`, stone, to });
+            }
+        });
+        return moves;
+    }
+
+    // A spot within reach of one of the cluster's stones and clear of every other
+    // stone; with an empty cluster, any spot clear of them all. Null if none.
+    _findSolverSpot(stone, cluster) {
+        const dims = this.renderer.getDimensions();
+        const pool = this._getPoolRect();
+        const others = this.stones.filter(s => s !== stone && !cluster.includes(s));
+        const isClear = (x, y) => x > FREE_SOLVER_MARGIN && x < dims.width - FREE_SOLVER_MARGIN &&
+            y > FREE_SOLVER_TOP && y < pool.y - FREE_SOLVER_MARGIN &&
+            others.every(s => Math.hypot(s.x - x, s.y - y) >= FREE_SOLVER_CLEARANCE);
+
+        const spots = [];
+        if (cluster.length > 0) {
+            cluster.forEach(member => {
+                for (let i = 0; i < 8; i++) {
+                    const angle = i * Math.PI / 4;
+                    spots.push({ x: member.x + Math.cos(angle) * FREE_SOLVER_REACH, y: member.y + Math.sin(angle) * FREE_SOLVER_REACH });
+                }
+            });
+        } else {
+            for (let y = FREE_SOLVER_TOP; y < pool.y; y += FREE_SOLVER_REACH) {
+                for (let x = FREE_SOLVER_MARGIN; x < dims.width; x += FREE_SOLVER_REACH) spots.push({ x, y });
+            }
+        }
+        return spots.find(spot => isClear(spot.x, spot.y)) || null;
+    }
+
+    // --- Scene serialization ---
+
+    serializeState() {
+        const state = super.serializeState();
+        const origin = this.getSceneOrigin();
+        state.blackHole = this.blackHole
+            ? { x: this.blackHole.x - origin.x, y: this.blackHole.y - origin.y }
+            : null;
+        state.simulation = {
+            state: this.simulationState,
+            time: this.simulationTime
+        };
+        state.poolUsed = this.poolUsed;
+        state.nextStoneId = this.nextStoneId;
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        const origin = this.getSceneOrigin();
+
+        this.blackHole = state.blackHole
+            ? new CentralBlackHole(origin.x + state.blackHole.x, origin.y + state.blackHole.y)
+            : null;
+
+        const simulation = state.simulation || {};
+        this.simulationState = simulation.state === 'running' ? 'running' : 'paused';
+        this.simulationTime = simulation.time || 0;
+        this.buttons[0].label = this.simulationState === 'running' ? '⏸ Pause' : '▶ Start';
+
+        this.poolUsed = !!state.poolUsed;
+        this.poolLabelAlpha = this.poolUsed ? 0 : 1.0;
+        const maxId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), 99);
+        this.nextStoneId = Math.max(state.nextStoneId || 100, maxId + 1);
+
+        this.updateGroups();
+    }
+
     cleanup() {
         super.cleanup();
         this.groups = [];
@@ -791,12 +969,35 @@ class FreeExploreMode extends ModeBase {
         this.buttons = [];
     }
 
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        const sizes = mode => mode.groups.map(g => g.stones.length);
+        return Object.assign(super.getMetricDefinitions(), {
+            'stone-count': { description: 'Stones, not counting black holes', read: mode => mode.stones.filter(s => s.type !== 'blackhole').length },
+            'group-count': { description: 'Groups of touching stones', read: mode => mode.groups.length },
+            'groups-of-size': { description: 'Groups with exactly args.size stones', args: ['size'], read: (mode, args) => sizes(mode).filter(n => n === args.size).length },
+            'largest-group': { description: 'Stones in the biggest group (0 with none)', read: mode => Math.max(0, ...sizes(mode)) },
+            'ungrouped-count': { description: 'Stones not in any group', read: mode => mode.stones.filter(s => s.type !== 'blackhole' && !mode.groups.some(g => g.contains(s))).length },
+            'groups-equal': { description: 'Two or more groups, all the same size', read: mode => mode.groups.length >= 2 && sizes(mode).every(n => n === sizes(mode)[0]) }
+        });
+    }
+
+    // Group sizes, largest first, and whether the simulation runs (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        state.groups = this.groups.map(g => g.stones.length).sort((a, b) => b - a);
+        state.blackHoles = this.stones.filter(s => s.type === 'blackhole').length;
+        state.simulation = this.simulationState;
+        return state;
+    }
+
     static getMetadata() {
         return {
             id: 'free-explore',
             name: 'Free Explore',
             icon: '🪨',
-            description: 'Open-ended discovery and grouping'
+            description: 'Open-ended discovery and grouping',
+            stateVersion: 1
         };
     }
 }
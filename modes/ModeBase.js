@@ -1,6 +1,10 @@
 // ModeBase - Abstract base class for game modes
 // All modes extend this class and implement the lifecycle methods
 
+// Stones that move further than this in one step (e.g. wrapping around the
+// screen edge) are drawn at their new position instead of interpolated
+const INTERPOLATION_MAX_JUMP = 200;
+
 class ModeBase {
     constructor(canvas, ctx, renderer) {
         this.canvas = canvas;
@@ -8,6 +12,20 @@ class ModeBase {
         this.renderer = renderer;
         this.stones = [];
         this.isActive = false;
+
+        // Time source ({ now() } in ms), injected by ModeManager.
+        // Headless runs supply a simulated clock so timing gestures are reproducible.
+        this.clock = null;
+
+        // Undo history (core/UndoHistory.js), injected by ModeManager; see recordStep()
+        this.history = null;
+
+        // Screen reader announcements ((message) => void), injected by ModeManager; see announce()
+        this.announcer = null;
+
+        // Opt in to fixed-step updates with interpolated rendering (see core/FixedTimestep.js).
+        // Modes that leave this off get one update per frame with a clamped deltaTime.
+        this.usesFixedTimestep = false;
     }
 
     // Initialize mode (called when mode is activated)
@@ -16,6 +34,12 @@ class ModeBase {
         // Override in subclasses
     }
 
+    // Apply a challenge's starting setup (challenge initialConfig), called after
+    // init(). Each mode documents the config it reads.
+    initWithConfiguration(config) {
+        console.warn(`${this.constructor.getMetadata().id} has no initial configuration; ignoring it`);
+    }
+
     // Update game state (called every frame)
     update(deltaTime) {
         // Override in subclasses
@@ -31,22 +55,165 @@ class ModeBase {
         this.stones.forEach(stone => stone.draw(this.ctx));
     }
 
+    // Record stone positions before a fixed step (interpolation start points)
+    savePreviousPositions() {
+        this.stones.forEach(stone => {
+            stone.prevX = stone.x;
+            stone.prevY = stone.y;
+        });
+    }
+
+    // Render with stones drawn `alpha` of the way between the last two steps.
+    // Dragged stones follow the pointer directly and are never interpolated.
+    renderInterpolated(alpha) {
+        const shifted = [];
+        this.stones.forEach(stone => {
+            if (stone.isDragging) return;
+            const dx = stone.x - stone.prevX;
+            const dy = stone.y - stone.prevY;
+            if (!(Math.abs(dx) < INTERPOLATION_MAX_JUMP && Math.abs(dy) < INTERPOLATION_MAX_JUMP)) return;
+
+            shifted.push({ stone, x: stone.x, y: stone.y });
+            stone.x = stone.prevX + dx * alpha;
+            stone.y = stone.prevY + dy * alpha;
+        });
+
+        try {
+            this.render();
+        } finally {
+            shifted.forEach(({ stone, x, y }) => {
+                stone.x = x;
+                stone.y = y;
+            });
+        }
+    }
+
+    // Mark an undoable step (merge, topple, ...). Call it before the change is
+    // applied: outside a pointer gesture the current scene becomes the undo point.
+    recordStep(label) {
+        if (this.history) {
+            this.history.record(this.history.pending ? null : this.serialize(), label);
+        }
+    }
+
+    // Pointer handlers receive a pointerId (mouse, or one per touch or pen). Several
+    // pointers can be down at once; keep any per-gesture state keyed by it.
+    // Moves also get a grip (1 unless pen pressure says otherwise) for modes
+    // with mass-based drag (PhysicsEngine.applyMassDrag / applyGrip). Only
+    // FreeExploreMode uses it; modes that keep the stone under the pointer ignore it.
+
     // Handle pointer down event
-    onPointerDown(x, y) {
+    onPointerDown(x, y, pointerId) {
         // Override in subclasses for custom behavior
         return null; // Return stone if one was grabbed
     }
 
     // Handle pointer move event
-    onPointerMove(x, y, draggedStone) {
+    onPointerMove(x, y, draggedStone, pointerId, grip) {
         // Override in subclasses for custom behavior
     }
 
     // Handle pointer up event
-    onPointerUp(x, y, draggedStone) {
+    onPointerUp(x, y, draggedStone, pointerId) {
         // Override in subclasses for custom behavior
     }
 
+    // A drag ended without a pointer up (pointercancel, lost capture, window blur):
+    // drop the stone in place
+    onPointerCancel(draggedStone, pointerId) {
+        if (draggedStone) draggedStone.stopDrag();
+    }
+
+    // --- Screen reader description (see ui/ScreenReaderLayer.js) ---
+
+    // Tell screen reader users about an event ("Structure of 7 formed")
+    announce(message) {
+        if (this.announcer) this.announcer(message);
+    }
+
+    // One sentence describing the scene as it is now
+    getAccessibleSummary() {
+        return ModeBase.plural(this.stones.length, 'stone');
+    }
+
+    // Text for a focus target in the screen reader's copy of the scene
+    describeTarget(target) {
+        if (target.kind === 'button') {
+            return `${ModeBase.plainLabel(target.button.label)} button`;
+        }
+        return this.describeStone(target.stone);
+    }
+
+    describeStone(stone) {
+        return stone.label !== null && stone.label !== undefined ? `Stone ${stone.label}` : 'Stone';
+    }
+
+    // "1 stone", "3 stones"
+    static plural(count, word) {
+        return `${count} ${word}${count === 1 ? '' : 's'}`;
+    }
+
+    // Button label without its leading symbol ("▶ Start" -> "Start")
+    static plainLabel(label) {
+        return String(label).replace(/^[^\p{L}\p{N}]+/u, '').replace(/[^\p{L}\p{N}]+$/u, '');
+    }
+
+    // --- Keyboard and switch access (see ui/KeyboardControls.js) ---
+    // Keyboard input arrives as an ordinary pointer (KEYBOARD_POINTER_ID) that
+    // presses at a stone's centre and moves in steps.
+
+    // What keyboard focus cycles through, in order: buttons, then stones.
+    // Each entry is { kind: 'button', button } or { kind: 'stone', stone }.
+    getFocusTargets() {
+        const buttons = (this.buttons || []).map(button => ({ kind: 'button', button }));
+        const stones = this.stones
+            .filter(stone => !stone.isLocked)
+            .sort((a, b) => a.id - b.id)
+            .map(stone => ({ kind: 'stone', stone }));
+        return buttons.concat(stones);
+    }
+
+    // Mode-specific keys. Each is { key, label } plus one of:
+    //   place(stone) -> {x, y}   carry the focused stone there and let go
+    //   press() -> {x, y}        press there, holding whatever it grabs
+    //   pickOne: true            pick up just the focused stone (not its group)
+    getKeyboardShortcuts() {
+        return [];
+    }
+
+    // --- Challenge checking (see challenges/ChallengeChecker.js) ---
+
+    // Moves a solver may try from the scene as it is now, each one of
+    //   { label, press: {x, y}, pointerId }        tap there
+    //   { label, stone, to: {x, y}, pointerId }    carry the stone there and let go
+    // with an optional settle (seconds to let the scene come to rest after it).
+    // pointerId defaults to KEYBOARD_POINTER_ID. By default these are the moves a
+    // keyboard user has: every button, and every shortcut on every stone.
+    getSolverMoves() {
+        const moves = [];
+        const shortcuts = this.getKeyboardShortcuts();
+        this.getFocusTargets().forEach(target => {
+            if (target.kind === 'button') {
+                const btn = target.button;
+                moves.push({ label: this.describeTarget(target), button: btn.id, press: { x: btn.x + btn.width / 2, y: btn.y + btn.height / 2 } });
+                return;
+            }
+            const stone = target.stone;
+            shortcuts.forEach(shortcut => {
+                const label = `${shortcut.label}: ${this.describeStone(stone)}`;
+                if (shortcut.place) {
+                    moves.push({ label, stone, to: shortcut.place(stone) });
+                } else if (shortcut.pickOne) {
+                    moves.push({ label, press: { x: stone.x, y: stone.y }, pointerId: KEYBOARD_SINGLE_POINTER_ID });
+                }
+            });
+        });
+        shortcuts.filter(shortcut => shortcut.press).forEach(shortcut => {
+            moves.push({ label: shortcut.label, press: shortcut.press() });
+        });
+        return moves;
+    }
+
     // Clean up mode (called when mode is deactivated)
     cleanup() {
         this.isActive = false;
@@ -54,6 +221,53 @@ class ModeBase {
         // Override in subclasses for additional cleanup
     }
 
+    // --- Scene serialization (see core/SceneSerializer.js) ---
+
+    // Capture the mode's full state as a versioned scene object
+    serialize() {
+        return SceneSerializer.createScene(this.constructor.getMetadata().id, this.serializeState());
+    }
+
+    // Restore a scene (object or JSON text) saved from this mode.
+    // Returns false if the scene can't be read or belongs to another mode.
+    deserialize(input) {
+        const scene = SceneSerializer.parse(input);
+        if (!scene) return false;
+
+        const modeId = this.constructor.getMetadata().id;
+        if (scene.mode !== modeId) {
+            console.error(`Scene is for mode ${scene.mode}, not ${modeId}`);
+            return false;
+        }
+
+        this.deserializeState(scene.state || {});
+        return true;
+    }
+
+    // Point stone positions are stored relative to, so scenes survive a different
+    // screen size. Modes anchored elsewhere (platform, fulcrum) override this.
+    getSceneOrigin() {
+        return this.renderer.getCenter();
+    }
+
+    // Mode-specific state. Override both in subclasses that keep more than stones.
+    serializeState() {
+        const origin = this.getSceneOrigin();
+        return {
+            stones: this.stones.map(stone => stone.serialize(origin.x, origin.y))
+        };
+    }
+
+    deserializeState(state) {
+        const origin = this.getSceneOrigin();
+        this.stones = (state.stones || []).map(data => Stone.deserialize(data, origin.x, origin.y));
+    }
+
+    // Helper: Current time in milliseconds (use instead of Date.now())
+    now() {
+        return this.clock ? this.clock.now() : Date.now();
+    }
+
     // Helper: Find stone at position
     findStoneAtPosition(x, y) {
         // Search from top down (last drawn = on top)
@@ -87,6 +301,48 @@ class ModeBase {
         }
     }
 
+    // --- Metrics and state: what the mode shows, as plain data ---
+    // Challenge goals, hints, analytics and screen reader announcements read the
+    // mode through these instead of its fields, so a mode can change its
+    // internals freely as long as its metrics and state keep their meaning.
+
+    // Named values a challenge goal can compare ({ metric: 'group-count', eq: 2 }).
+    // Each is { description, read(mode, args) } returning a number, a flag, or null
+    // when it doesn't apply right now; `args: ['size']` lists parameters read()
+    // can't do without. A flag can add distance(mode, args), how far it is from
+    // being true, to steer ChallengeChecker's search. Modes add theirs to the base set:
+    //   return Object.assign(super.getMetricDefinitions(), { ... });
+    static getMetricDefinitions() {
+        return {
+            'stone-count': { description: 'Stones in the scene', read: mode => mode.stones.length }
+        };
+    }
+
+    // Current value of a metric, or undefined when this mode has no such metric
+    readMetric(name, args = {}) {
+        const definition = this.constructor.getMetricDefinitions()[name];
+        return definition ? definition.read(this, args) : undefined;
+    }
+
+    // Every metric that needs no parameters: { 'stone-count': 8, ... }
+    getMetrics() {
+        const definitions = this.constructor.getMetricDefinitions();
+        const metrics = {};
+        Object.keys(definitions).forEach(name => {
+            const required = definitions[name].args || [];
+            if (required.length === 0) metrics[name] = definitions[name].read(this, {});
+        });
+        return metrics;
+    }
+
+    // Snapshot of the scene with no Stone objects in it:
+    // { mode, version, metrics } plus whatever the mode adds. A mode bumps
+    // getMetadata().stateVersion when one of its fields changes meaning.
+    getState() {
+        const metadata = this.constructor.getMetadata();
+        return { mode: metadata.id, version: metadata.stateVersion || 1, metrics: this.getMetrics() };
+    }
+
     // Get mode metadata (for UI)
     static getMetadata() {
         return {
@@ -0,0 +1,660 @@
+// MultiLeverBalanceMode - Multiplication through hanging scales
+// Levers hang from the pans of the lever above, like a mobile. A pan weighs its
+// own stones plus everything hanging under it, so three balanced scales of
+// 2 | 2 under one pan weigh 3 x 4 = 12 against the pan across.
+//
+// Layout config (initWithConfiguration, challenge initialConfig):
+//   {
+//     lever: {
+//       id: 'top',
+//       left:  { levers: [{ id: 'g1' }, { id: 'g2' }, { id: 'g3' }] },  // Hanging sub-scales
+//       right: { stones: [12] }                                         // Given stones (locked)
+//     },
+//     tray: [1, 1, 1, 1]                                                // Stones to place
+//   }
+
+const LEVER_TOP_Y = 150;           // Pivot of the top lever
+const LEVER_STAND_HEIGHT = 70;     // Hanger above the top pivot
+const LEVER_CHILD_DROP = 70;       // Pan to the pivot of a lever hanging under it
+const LEVER_CHILD_GAP = 12;        // Between levers hanging from one pan
+const LEVER_BEAM_THICKNESS = 5;
+const LEVER_MAX_TILT = Math.PI / 10;
+const LEVER_TILT_SPEED = 4;        // How fast beams ease to their target angle
+const LEVER_DROP_MARGIN = 24;      // How far outside a pan a stone still lands on it
+const LEVER_STONE_RADIUS = 11;     // Radius of a stone before its mass is added
+const LEVER_STONE_MAX_RADIUS = 28;
+const LEVER_TRAY_OFFSET = 70;      // Distance of the tray from the bottom edge
+const LEVER_BEAM_COLOR = '#8b7d6b';
+const LEVER_PIVOT_COLOR = '#7a6f5d';
+const LEVER_PAN_COLOR = 'rgba(139, 125, 107, 0.2)';
+const LEVER_PAN_BORDER_COLOR = 'rgba(139, 125, 107, 0.5)';
+const LEVER_STRING_COLOR = 'rgba(139, 125, 107, 0.6)';
+
+// Beam and pan size by depth (deeper levers use the last entry)
+const LEVER_SIZES = [
+    { halfWidth: 225, panRadius: 60, hang: 70 },
+    { halfWidth: 44, panRadius: 28, hang: 45 },
+    { halfWidth: 30, panRadius: 22, hang: 35 }
+];
+
+const DEFAULT_LEVER_CONFIG = {
+    lever: {
+        id: 'top',
+        left: { levers: [{ id: 'a' }, { id: 'b' }] },
+        right: {}
+    },
+    tray: [1, 1, 1, 1, 2, 2, 2, 4, 4]
+};
+
+class MultiLeverBalanceMode extends ModeBase {
+    constructor(canvas, ctx, renderer) {
+        super(canvas, ctx, renderer);
+        this.usesFixedTimestep = true;
+        this.rootLever = null;
+        this.levers = [];     // Every lever, top first (depth-first order)
+        this.trayStones = []; // Stones not on any pan
+        this.isBalanced = false;
+        this.balanceGlowTime = 0;
+        this.nextStoneId = 0;
+    }
+
+    init() {
+        super.init();
+        this.initWithConfiguration(DEFAULT_LEVER_CONFIG);
+    }
+
+    // Build levers and stones from a layout config (see top of file)
+    initWithConfiguration(config) {
+        this.stones = [];
+        this.trayStones = [];
+        this.nextStoneId = 0;
+
+        this._buildLevers(config.lever || DEFAULT_LEVER_CONFIG.lever);
+
+        // Given stones start on their pans, locked in place
+        const addGiven = (spec, lever) => {
+            ['left', 'right'].forEach(side => {
+                const panSpec = spec[side] || {};
+                (panSpec.stones || []).forEach(mass => {
+                    const stone = this._createStone(mass, lever[side].x, lever[side].y);
+                    stone.isLocked = true;
+                    stone._pan = lever[side];
+                    lever[side].stones.push(stone);
+                });
+                (panSpec.levers || []).forEach((childSpec, i) => addGiven(childSpec, lever[side].levers[i]));
+            });
+        };
+        addGiven(config.lever || DEFAULT_LEVER_CONFIG.lever, this.rootLever);
+
+        const masses = config.tray || [];
+        const dims = this.renderer.getDimensions();
+        const center = this.renderer.getCenter();
+        const trayWidth = dims.width * 0.7;
+        const spacing = masses.length > 1 ? trayWidth / (masses.length - 1) : 0;
+        const trayY = dims.height - LEVER_TRAY_OFFSET;
+
+        masses.forEach((mass, i) => {
+            const x = masses.length > 1 ? center.x - trayWidth / 2 + i * spacing : center.x;
+            const stone = this._createStone(mass, x, trayY);
+            this.trayStones.push(stone);
+        });
+
+        this._updateBalance();
+        this.levers.forEach(lever => { lever.angle = lever.targetAngle; });
+        this._layout();
+        this.stones.forEach(stone => {
+            if (stone._pan) stone.setPosition(stone.targetX, stone.targetY);
+        });
+    }
+
+    _createStone(mass, x, y) {
+        const radius = Math.min(LEVER_STONE_MAX_RADIUS, LEVER_STONE_RADIUS + mass * 2.5);
+        const stone = new Stone(x, y, this.nextStoneId++, { radius, mass, label: mass });
+        stone._trayX = x;
+        stone._trayY = y;
+        stone._pan = null;
+        this.addStone(stone);
+        return stone;
+    }
+
+    // --- Lever tree ---
+
+    // Create the levers of a layout (without stones), top lever first
+    _buildLevers(rootSpec) {
+        this.levers = [];
+
+        const build = (spec, parentPan, depth) => {
+            const size = LEVER_SIZES[Math.min(depth, LEVER_SIZES.length - 1)];
+            const lever = {
+                id: spec.id !== undefined ? String(spec.id) : `lever-${this.levers.length}`,
+                name: spec.name || (depth === 0 ? 'top scale' : `scale ${this.levers.length}`),
+                shortName: depth === 0 ? 'Top' : String(this.levers.length),
+                depth,
+                parentPan,
+                x: 0, y: 0,
+                halfWidth: depth === 0
+                    ? Math.min(size.halfWidth, this.renderer.getDimensions().width * 0.22)
+                    : size.halfWidth,
+                angle: 0,
+                targetAngle: 0,
+                mass: 0,
+                isBalanced: false
+            };
+            this.levers.push(lever);
+
+            ['left', 'right'].forEach(side => {
+                lever[side] = {
+                    lever, side,
+                    x: 0, y: 0,
+                    radius: size.panRadius,
+                    hang: size.hang,
+                    stones: [],
+                    levers: []
+                };
+            });
+            ['left', 'right'].forEach(side => {
+                const panSpec = spec[side] || {};
+                lever[side].levers = (panSpec.levers || []).map(childSpec => build(childSpec, lever[side], depth + 1));
+            });
+            return lever;
+        };
+
+        this.rootLever = build(rootSpec, null, 0);
+    }
+
+    // Layout of the lever tree without its stones, as accepted by _buildLevers
+    _describeLevers(lever = this.rootLever) {
+        const spec = { id: lever.id, name: lever.name };
+        ['left', 'right'].forEach(side => {
+            const pan = lever[side];
+            spec[side] = pan.levers.length > 0
+                ? { levers: pan.levers.map(child => this._describeLevers(child)) }
+                : {};
+        });
+        return spec;
+    }
+
+    getLever(id) {
+        return this.levers.find(lever => lever.id === String(id)) || null;
+    }
+
+    getPans() {
+        const pans = [];
+        this.levers.forEach(lever => pans.push(lever.left, lever.right));
+        return pans;
+    }
+
+    // Weight of a pan: its stones and every lever hanging under it
+    getPanMass(pan) {
+        const stones = pan.stones.reduce((sum, s) => sum + s.mass, 0);
+        return stones + pan.levers.reduce((sum, child) => sum + this.getLeverMass(child), 0);
+    }
+
+    getLeverMass(lever) {
+        return this.getPanMass(lever.left) + this.getPanMass(lever.right);
+    }
+
+    // Work out every lever's tilt from the bottom up. Each pan acts on its beam
+    // end with the whole mass hanging from it. Returns the lever's total mass.
+    _solve(lever) {
+        const masses = {};
+        ['left', 'right'].forEach(side => {
+            const pan = lever[side];
+            const hung = pan.levers.reduce((sum, child) => sum + this._solve(child), 0);
+            masses[side] = pan.stones.reduce((sum, s) => sum + s.mass, 0) + hung;
+        });
+
+        const tilt = PhysicsEngine.calculateBeamTilt(
+            [{ x: lever.x - lever.halfWidth, mass: masses.left }],
+            [{ x: lever.x + lever.halfWidth, mass: masses.right }],
+            lever.x
+        );
+        lever.targetAngle = Math.max(-LEVER_MAX_TILT, Math.min(LEVER_MAX_TILT, tilt));
+        lever.mass = masses.left + masses.right;
+        lever.isBalanced = lever.mass > 0 && Math.abs(masses.left - masses.right) < 1e-9;
+        return lever.mass;
+    }
+
+    // Position beams, pans, hanging levers and stones from the top down
+    _layout() {
+        const center = this.renderer.getCenter();
+        const place = (lever, x, y) => {
+            lever.x = x;
+            lever.y = y;
+            const dx = Math.cos(lever.angle) * lever.halfWidth;
+            const dy = Math.sin(lever.angle) * lever.halfWidth;
+
+            ['left', 'right'].forEach(side => {
+                const pan = lever[side];
+                const sign = side === 'left' ? -1 : 1;
+                pan.x = x + sign * dx;
+                pan.y = y + sign * dy + pan.hang;
+                this._positionStonesOnPan(pan);
+
+                // Levers under a pan hang side by side, strings straight down
+                const count = pan.levers.length;
+                pan.levers.forEach((child, i) => {
+                    const childSize = LEVER_SIZES[Math.min(child.depth, LEVER_SIZES.length - 1)];
+                    const spacing = (child.halfWidth + childSize.panRadius) * 2 + LEVER_CHILD_GAP;
+                    place(child, pan.x + (i - (count - 1) / 2) * spacing, pan.y + LEVER_CHILD_DROP);
+                });
+            });
+        };
+        place(this.rootLever, center.x, LEVER_TOP_Y);
+    }
+
+    // Rows of stones resting on the pan
+    _positionStonesOnPan(pan) {
+        const count = pan.stones.length;
+        if (count === 0) return;
+
+        const size = pan.stones.reduce((max, s) => Math.max(max, s.radius), 0) * 2;
+        const perRow = Math.max(1, Math.floor((pan.radius * 2) / size));
+        pan.stones.forEach((stone, i) => {
+            const row = Math.floor(i / perRow);
+            const inRow = Math.min(perRow, count - row * perRow);
+            const col = i % perRow;
+            stone.setTarget(
+                pan.x + (col - (inRow - 1) / 2) * size,
+                pan.y - size / 2 - row * size * 0.85
+            );
+        });
+    }
+
+    // Closest pan a stone released at (x, y) lands on, or null
+    _findPanAt(x, y) {
+        let closest = null;
+        let closestDist = Infinity;
+        this.getPans().forEach(pan => {
+            const dx = x - pan.x;
+            const dy = y - (pan.y - pan.radius * 0.4);
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < pan.radius + LEVER_DROP_MARGIN && dist < closestDist) {
+                closest = pan;
+                closestDist = dist;
+            }
+        });
+        return closest;
+    }
+
+    _removeFromPan(stone) {
+        if (!stone._pan) return;
+        const idx = stone._pan.stones.indexOf(stone);
+        if (idx > -1) stone._pan.stones.splice(idx, 1);
+        stone._pan = null;
+        this.trayStones.push(stone);
+        this._updateBalance();
+    }
+
+    _placeOnPan(stone, pan) {
+        const idx = this.trayStones.indexOf(stone);
+        if (idx > -1) this.trayStones.splice(idx, 1);
+        stone._pan = pan;
+        pan.stones.push(stone);
+        this._positionStonesOnPan(pan);
+        this._updateBalance();
+    }
+
+    // Re-solve the tree; also run on each drop so goals see the new balance at once
+    _updateBalance() {
+        this._solve(this.rootLever);
+        this.isBalanced = this.levers.every(lever => lever.isBalanced);
+    }
+
+    update(deltaTime) {
+        this._updateBalance();
+
+        this.levers.forEach(lever => {
+            const angleDiff = lever.targetAngle - lever.angle;
+            lever.angle += angleDiff * Math.min(1, LEVER_TILT_SPEED * deltaTime);
+        });
+        this._layout();
+
+        if (this.isBalanced) {
+            this.balanceGlowTime += deltaTime;
+        } else {
+            this.balanceGlowTime = 0;
+        }
+
+        super.update(deltaTime);
+    }
+
+    render() {
+        this.renderer.drawBackground();
+
+        const ctx = this.ctx;
+        const center = this.renderer.getCenter();
+        const dims = this.renderer.getDimensions();
+        const root = this.rootLever;
+
+        this.renderer.drawText('drag stones onto the pans', center.x, dims.height - LEVER_TRAY_OFFSET - 45, {
+            fontSize: 14,
+            color: 'rgba(107, 97, 82, 0.35)'
+        });
+
+        // Hanger for the top lever
+        ctx.save();
+        ctx.strokeStyle = LEVER_PIVOT_COLOR;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(root.x - 30, root.y - LEVER_STAND_HEIGHT);
+        ctx.lineTo(root.x + 30, root.y - LEVER_STAND_HEIGHT);
+        ctx.moveTo(root.x, root.y - LEVER_STAND_HEIGHT);
+        ctx.lineTo(root.x, root.y);
+        ctx.stroke();
+        ctx.restore();
+
+        this.levers.forEach(lever => this._drawLever(lever));
+
+        this.stones.forEach(stone => stone.draw(ctx));
+
+        // Pan totals beside each pan, outside the strings
+        this.getPans().forEach(pan => {
+            const total = this.getPanMass(pan);
+            if (total === 0) return;
+            const sign = pan.side === 'left' ? -1 : 1;
+            this.renderer.drawCountIndicator(total, pan.x + sign * (pan.radius + 16), pan.y + 4);
+        });
+    }
+
+    _drawLever(lever) {
+        const ctx = this.ctx;
+
+        // Glow on the pivot while the lever is level and loaded
+        if (lever.isBalanced) {
+            ctx.save();
+            const pulse = 0.5 + 0.5 * Math.sin(this.balanceGlowTime * 3);
+            const glowRadius = 18 + pulse * 8;
+            const gradient = ctx.createRadialGradient(lever.x, lever.y, 0, lever.x, lever.y, glowRadius);
+            gradient.addColorStop(0, `rgba(180, 165, 140, ${0.4 * pulse})`);
+            gradient.addColorStop(1, 'rgba(180, 165, 140, 0)');
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(lever.x, lever.y, glowRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
+
+        // Beam
+        ctx.save();
+        ctx.translate(lever.x, lever.y);
+        ctx.rotate(lever.angle);
+        ctx.strokeStyle = LEVER_BEAM_COLOR;
+        ctx.lineWidth = lever.depth === 0 ? LEVER_BEAM_THICKNESS : LEVER_BEAM_THICKNESS - 1;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(-lever.halfWidth, 0);
+        ctx.lineTo(lever.halfWidth, 0);
+        ctx.stroke();
+        ctx.restore();
+
+        // Pivot
+        ctx.save();
+        ctx.fillStyle = LEVER_PIVOT_COLOR;
+        ctx.beginPath();
+        ctx.arc(lever.x, lever.y, lever.depth === 0 ? 6 : 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+
+        ['left', 'right'].forEach(side => this._drawPan(lever[side]));
+    }
+
+    _drawPan(pan) {
+        const ctx = this.ctx;
+        const lever = pan.lever;
+        const sign = pan.side === 'left' ? -1 : 1;
+        const endX = lever.x + sign * Math.cos(lever.angle) * lever.halfWidth;
+        const endY = lever.y + sign * Math.sin(lever.angle) * lever.halfWidth;
+
+        ctx.save();
+
+        // Strings from the beam end to the rim
+        ctx.strokeStyle = LEVER_STRING_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(pan.x - pan.radius, pan.y);
+        ctx.lineTo(endX, endY);
+        ctx.lineTo(pan.x + pan.radius, pan.y);
+        ctx.stroke();
+
+        // Strings down to the levers hanging under this pan
+        const bottom = pan.y + pan.radius * 0.35;
+        pan.levers.forEach(child => {
+            ctx.beginPath();
+            ctx.moveTo(pan.x, bottom);
+            ctx.lineTo(child.x, child.y);
+            ctx.stroke();
+        });
+
+        // Dish
+        ctx.fillStyle = LEVER_PAN_COLOR;
+        ctx.strokeStyle = LEVER_PAN_BORDER_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.ellipse(pan.x, pan.y, pan.radius, pan.radius * 0.35, 0, 0, Math.PI);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    onPointerDown(x, y, pointerId) {
+        const stone = this.findStoneAtPosition(x, y);
+        if (stone && stone.startDrag()) {
+            this.moveStoneToTop(stone);
+            this._removeFromPan(stone);
+            return stone;
+        }
+        return null;
+    }
+
+    onPointerMove(x, y, draggedStone) {
+        if (draggedStone) {
+            draggedStone.setPosition(x, y);
+        }
+    }
+
+    onPointerUp(x, y, draggedStone) {
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+
+        const pan = this._findPanAt(x, y);
+        if (pan) {
+            this.recordStep('pan');
+            this._placeOnPan(draggedStone, pan);
+            return;
+        }
+
+        // Otherwise, back to its place in the tray
+        draggedStone.setTarget(draggedStone._trayX, draggedStone._trayY);
+    }
+
+    onPointerCancel(draggedStone) {
+        // An interrupted drag goes back to the tray
+        if (draggedStone) {
+            draggedStone.stopDrag();
+            draggedStone.setTarget(draggedStone._trayX, draggedStone._trayY);
+        }
+    }
+
+    // --- Screen reader description ---
+
+    // "Top scale: left 12, right 12, balanced; scale 1: left 2, right 2, balanced; ..."
+    getAccessibleSummary() {
+        return this.levers.map(lever => {
+            const left = this.getPanMass(lever.left);
+            const right = this.getPanMass(lever.right);
+            // As the balanced metrics read it: level with something on it
+            let state;
+            if (lever.isBalanced) state = 'balanced';
+            else if (Math.abs(left - right) < 1e-9) state = 'empty';
+            else state = left > right ? 'tips left' : 'tips right';
+            const name = lever.name.charAt(0).toUpperCase() + lever.name.slice(1);
+            return `${name}: left ${left}, right ${right}, ${state}`;
+        }).join('; ');
+    }
+
+    describeStone(stone) {
+        const lever = stone._pan && stone._pan.lever;
+        const place = lever
+            ? `on the ${stone._pan.side} pan of ${lever.depth === 0 ? 'the ' : ''}${lever.name}`
+            : 'in the tray';
+        return `Stone, weight ${stone.mass}, ${place}`;
+    }
+
+    // --- Keyboard access ---
+
+    // A key per pan (up to 9) and one back to the tray
+    getKeyboardShortcuts() {
+        const shortcuts = this.getPans().slice(0, 9).map((pan, i) => ({
+            key: String(i + 1),
+            label: `${pan.lever.shortName} ${pan.side}`,
+            place: () => ({ x: pan.x, y: pan.y - pan.radius * 0.4 })
+        }));
+        shortcuts.push({ key: 't', label: 'Back to tray', place: (stone) => ({ x: stone._trayX, y: stone._trayY }) });
+        return shortcuts;
+    }
+
+    // --- Challenge checking ---
+
+    // The keyboard moves, once for each weight in each place: stones that read
+    // the same are interchangeable. Pans that hang smaller scales are left out;
+    // a stone there only gets in the way of filling them.
+    getSolverMoves() {
+        const seen = new Set();
+        const crowded = this.getPans().filter(pan => pan.levers.length > 0).map(pan => `${pan.lever.shortName} ${pan.side}:`);
+        return super.getSolverMoves().filter(move => !crowded.some(prefix => move.label.startsWith(prefix)) &&
+            !seen.has(move.label) && seen.add(move.label));
+    }
+
+    // --- Scene serialization ---
+
+    // Stones are stored relative to the top pivot
+    getSceneOrigin() {
+        return { x: this.renderer.getCenter().x, y: LEVER_TOP_Y };
+    }
+
+    serializeState() {
+        const state = super.serializeState();
+        const origin = this.getSceneOrigin();
+
+        state.stones.forEach((data, i) => {
+            const stone = this.stones[i];
+            data.tray = { x: stone._trayX - origin.x, y: stone._trayY - origin.y };
+        });
+        state.levers = this._describeLevers();
+        state.pans = {};
+        this.levers.forEach(lever => {
+            state.pans[lever.id] = {
+                left: lever.left.stones.map(s => s.id),
+                right: lever.right.stones.map(s => s.id)
+            };
+        });
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        const origin = this.getSceneOrigin();
+        const records = state.stones || [];
+
+        this._buildLevers(state.levers || DEFAULT_LEVER_CONFIG.lever);
+
+        this.trayStones = this.stones.slice();
+        this.stones.forEach((stone, i) => {
+            const tray = records[i].tray || { x: stone.x - origin.x, y: stone.y - origin.y };
+            stone._trayX = origin.x + tray.x;
+            stone._trayY = origin.y + tray.y;
+            stone._pan = null;
+        });
+
+        const byId = new Map(this.stones.map(stone => [stone.id, stone]));
+        const pans = state.pans || {};
+        this.levers.forEach(lever => {
+            const ids = pans[lever.id] || {};
+            ['left', 'right'].forEach(side => {
+                (ids[side] || []).forEach(id => {
+                    const stone = byId.get(id);
+                    if (stone) this._placeOnPan(stone, lever[side]);
+                });
+            });
+        });
+
+        const maxId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1);
+        this.nextStoneId = maxId + 1;
+
+        this._updateBalance();
+        this.levers.forEach(lever => { lever.angle = lever.targetAngle; });
+        this._layout();
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.rootLever = null;
+        this.levers = [];
+        this.trayStones = [];
+        this.isBalanced = false;
+        this.balanceGlowTime = 0;
+        this.nextStoneId = 0;
+    }
+
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        // How much weight would level a lever; an empty one is a stone away
+        const imbalance = (mode, lever) => lever.isBalanced ? 0
+            : Math.abs(mode.getPanMass(lever.left) - mode.getPanMass(lever.right)) || 1;
+        return Object.assign(super.getMetricDefinitions(), {
+            'lever-mass': {
+                description: 'Weight hanging from lever args.lever, null if there is none',
+                args: ['lever'],
+                read: (mode, args) => {
+                    const lever = mode.getLever(args.lever);
+                    return lever ? mode.getLeverMass(lever) : null;
+                }
+            },
+            'lever-balanced': {
+                description: 'Lever args.lever is level',
+                args: ['lever'],
+                read: (mode, args) => {
+                    const lever = mode.getLever(args.lever);
+                    return lever ? lever.isBalanced : null;
+                },
+                distance: (mode, args) => {
+                    const lever = mode.getLever(args.lever);
+                    return lever ? imbalance(mode, lever) : 1;
+                }
+            },
+            'unused-count': { description: 'Stones still in the tray', read: mode => mode.trayStones.length },
+            'balanced': {
+                description: 'Every lever is level',
+                read: mode => mode.isBalanced,
+                distance: mode => mode.levers.reduce((sum, lever) => sum + imbalance(mode, lever), 0)
+            }
+        });
+    }
+
+    // Each lever's mass and balance, top first (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        state.levers = this.levers.map(lever => ({ id: lever.id, mass: this.getLeverMass(lever), balanced: lever.isBalanced }));
+        state.tray = this.trayStones.map(s => s.mass);
+        return state;
+    }
+
+    static getMetadata() {
+        return {
+            id: 'multi-lever',
+            name: 'Levers',
+            icon: '🎐',
+            description: 'Hanging scales for multiplication',
+            stateVersion: 1
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MultiLeverBalanceMode };
+}
@@ -0,0 +1,596 @@
+// NumberLineMode - Counting on and back along a number line
+// Drop the hopper on the line, then drag a number group onto the line: the hopper
+// hops that many steps, forward if the group lands to its right, back if to its left.
+// Each hop stays drawn as an arc, so 3 + 4 reads as two arcs from 3 to 7.
+//
+// Config (initWithConfiguration, challenge initialConfig):
+//   { max: 20, start: 3, groups: [1, 2, 3, 4, 5, 10] }
+//   start puts the hopper on the line (omit to begin off it)
+
+const LINE_MARGIN = 60;              // Space left and right of the line
+const LINE_MIN_MAX = 20;             // Shortest line (0-20)
+const LINE_MAX_LIMIT = 100;          // Longest line the extend button reaches
+const LINE_EXTEND_STEP = 10;
+const LINE_DROP_RANGE = 70;          // How far above/below the line a drop still counts
+const LINE_COLOR = '#8b7d6b';
+const LINE_TICK_COLOR = 'rgba(107, 97, 82, 0.6)';
+const LINE_ARC_COLOR = 'rgba(139, 125, 107, 0.55)';
+const HOPPER_RADIUS = 16;
+const HOP_DURATION = 0.6;            // Seconds per hop
+const HOP_GROUP_SPACING = 25;        // Stone spacing of the NumberStructure patterns in the palette
+const HOP_GROUP_STONE_RADIUS = 10;
+const DEFAULT_HOP_GROUPS = [1, 2, 3, 4, 5, 10];
+
+// Button styling constants
+const LINE_BTN_BG = 'rgba(139, 125, 107, 0.15)';
+const LINE_BTN_BG_ACTIVE = 'rgba(139, 125, 107, 0.3)';
+const LINE_BTN_BORDER = 'rgba(139, 125, 107, 0.3)';
+const LINE_BTN_TEXT = 'rgba(107, 97, 82, 0.7)';
+const LINE_BTN_RADIUS = 10;
+
+class NumberLineMode extends ModeBase {
+    constructor(canvas, ctx, renderer) {
+        super(canvas, ctx, renderer);
+        this.usesFixedTimestep = true;
+        this.max = LINE_MIN_MAX;
+        this.hopper = null;
+        this.groups = [];       // { value, stones, offsets, homeX, homeY }
+        this.position = null;   // Number the hopper is on (or will land on), null when off the line
+        this.start = null;      // Where the hopper was put on the line
+        this.hops = [];         // { from, to } in the order hopped
+        this.landedHops = 0;    // Hops finished animating
+        this.hopTime = 0;       // Progress (s) of the hop in the air
+        this.nextStoneId = 0;
+        this.buttons = [];
+        this._groupDrags = new Map(); // pointerId -> { group, offsetX, offsetY }
+    }
+
+    init() {
+        super.init();
+        this._initButtons();
+        this.initWithConfiguration({});
+    }
+
+    _initButtons() {
+        const dims = this.renderer.getDimensions();
+        const btnY = 20;
+        const btnH = 36;
+
+        this.buttons = [
+            {
+                id: 'extend',
+                x: dims.width - 220, y: btnY,
+                width: 95, height: btnH,
+                label: this._extendLabel(),
+                active: false
+            },
+            {
+                id: 'clear',
+                x: dims.width - 115, y: btnY,
+                width: 95, height: btnH,
+                label: '↺ Clear',
+                active: false
+            }
+        ];
+    }
+
+    _extendLabel() {
+        const next = this.max >= LINE_MAX_LIMIT ? LINE_MIN_MAX : this.max + LINE_EXTEND_STEP;
+        return `↔ Line to ${next}`;
+    }
+
+    // Set up the line, hopper and hop groups from a config (see top of file)
+    initWithConfiguration(config) {
+        this.stones = [];
+        this.groups = [];
+        this._groupDrags.clear();
+        this.nextStoneId = 0;
+        this.max = Math.max(LINE_MIN_MAX, Math.min(LINE_MAX_LIMIT, config.max || LINE_MIN_MAX));
+        this._setExtendLabel();
+
+        const home = this._getHopperHome();
+        this.hopper = new Stone(home.x, home.y, this.nextStoneId++, { radius: HOPPER_RADIUS });
+        this.addStone(this.hopper);
+
+        const values = config.groups || DEFAULT_HOP_GROUPS;
+        const homes = this._getGroupHomes(values);
+        values.forEach((value, i) => {
+            const offsets = NumberStructure.getScaledPattern(value, HOP_GROUP_SPACING);
+            const group = { value, offsets, stones: [], homeX: homes[i], homeY: this._getPaletteY() };
+            offsets.forEach(offset => {
+                const stone = new Stone(group.homeX + offset.x, group.homeY + offset.y, this.nextStoneId++, {
+                    radius: HOP_GROUP_STONE_RADIUS
+                });
+                stone._hopGroup = group;
+                group.stones.push(stone);
+                this.addStone(stone);
+            });
+            this.groups.push(group);
+        });
+
+        this._resetHops(typeof config.start === 'number' ? this._clampToLine(config.start) : null);
+        this._placeHopper();
+    }
+
+    // --- Geometry ---
+
+    _getLineY() {
+        return this.renderer.getDimensions().height * 0.45;
+    }
+
+    _getPaletteY() {
+        return this.renderer.getDimensions().height - 110;
+    }
+
+    _getTickSpacing() {
+        return (this.renderer.getDimensions().width - LINE_MARGIN * 2) / this.max;
+    }
+
+    _numberToX(n) {
+        return LINE_MARGIN + n * this._getTickSpacing();
+    }
+
+    _xToNumber(x) {
+        return this._clampToLine(Math.round((x - LINE_MARGIN) / this._getTickSpacing()));
+    }
+
+    _clampToLine(n) {
+        return Math.max(0, Math.min(this.max, n));
+    }
+
+    _isOnLine(x, y) {
+        const dims = this.renderer.getDimensions();
+        return Math.abs(y - this._getLineY()) < LINE_DROP_RANGE &&
+            x > LINE_MARGIN - 30 && x < dims.width - LINE_MARGIN + 30;
+    }
+
+    _getHopperHome() {
+        return { x: LINE_MARGIN, y: this._getPaletteY() };
+    }
+
+    // Palette centers, spread evenly right of the hopper's home
+    _getGroupHomes(values) {
+        const dims = this.renderer.getDimensions();
+        const startX = LINE_MARGIN + 120;
+        const endX = dims.width - LINE_MARGIN - 60;
+        const step = values.length > 1 ? (endX - startX) / (values.length - 1) : 0;
+        return values.map((value, i) => (values.length > 1 ? startX + i * step : (startX + endX) / 2));
+    }
+
+    // --- Hops ---
+
+    // Put the hopper on a number (or off the line) and forget earlier hops
+    _resetHops(position) {
+        this.position = position;
+        this.start = position;
+        this.hops = [];
+        this.landedHops = 0;
+        this.hopTime = 0;
+    }
+
+    // Rest the hopper where it belongs when no hop is in the air
+    _placeHopper() {
+        if (this.hopper.isDragging) return;
+        if (this.position === null) {
+            const home = this._getHopperHome();
+            this.hopper.setTarget(home.x, home.y);
+        } else if (this.landedHops === this.hops.length) {
+            this.hopper.setTarget(this._numberToX(this.position), this._getLineY() - HOPPER_RADIUS - 2);
+        }
+    }
+
+    // Hop by a (signed) number of steps. Returns false if it would leave the line.
+    hop(steps) {
+        if (this.position === null) {
+            this._resetHops(0);
+            this.hopper.setPosition(this._numberToX(0), this._getLineY() - HOPPER_RADIUS - 2);
+        }
+        const to = this.position + steps;
+        if (steps === 0 || to < 0 || to > this.max) {
+            this.announce(to < 0 ? 'That hop goes past 0' : `That hop goes past ${this.max}`);
+            return false;
+        }
+        this.hops.push({ from: this.position, to });
+        this.position = to;
+        return true;
+    }
+
+    isHopping() {
+        return this.landedHops < this.hops.length;
+    }
+
+    getHopSum() {
+        return this.hops.reduce((sum, h) => sum + h.to - h.from, 0);
+    }
+
+    _moveGroup(group, x, y) {
+        group.stones.forEach((stone, i) => stone.setPosition(x + group.offsets[i].x, y + group.offsets[i].y));
+    }
+
+    _sendGroupHome(group) {
+        group.stones.forEach((stone, i) => stone.setTarget(group.homeX + group.offsets[i].x, group.homeY + group.offsets[i].y));
+    }
+
+    _setExtendLabel() {
+        const btn = this.buttons.find(b => b.id === 'extend');
+        if (btn) btn.label = this._extendLabel();
+    }
+
+    update(deltaTime) {
+        // Animate the hop in the air; the next one starts when it lands
+        if (this.isHopping()) {
+            this.hopTime += deltaTime;
+            const hop = this.hops[this.landedHops];
+            const t = Math.min(1, this.hopTime / HOP_DURATION);
+            const fromX = this._numberToX(hop.from);
+            const toX = this._numberToX(hop.to);
+            const restY = this._getLineY() - HOPPER_RADIUS - 2;
+            this.hopper.setPosition(fromX + (toX - fromX) * t, restY - Math.sin(t * Math.PI) * this._getArcHeight(hop));
+
+            if (t >= 1) {
+                this.landedHops++;
+                this.hopTime = 0;
+                if (!this.isHopping()) this.announce(`Landed on ${this.position}`);
+            }
+        }
+        this._placeHopper();
+
+        super.update(deltaTime);
+    }
+
+    _getArcHeight(hop) {
+        return Math.min(140, 24 + Math.abs(hop.to - hop.from) * this._getTickSpacing() * 0.3);
+    }
+
+    render() {
+        this.renderer.drawBackground();
+
+        const ctx = this.ctx;
+        const dims = this.renderer.getDimensions();
+        const lineY = this._getLineY();
+        const spacing = this._getTickSpacing();
+
+        // Line and ticks (every number labelled while there is room, else every 5)
+        ctx.save();
+        ctx.strokeStyle = LINE_COLOR;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(LINE_MARGIN - 15, lineY);
+        ctx.lineTo(dims.width - LINE_MARGIN + 15, lineY);
+        ctx.stroke();
+
+        const labelEvery = spacing >= 22 ? 1 : 5;
+        ctx.strokeStyle = LINE_TICK_COLOR;
+        ctx.fillStyle = LINE_TICK_COLOR;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let n = 0; n <= this.max; n++) {
+            const x = this._numberToX(n);
+            const major = n % 10 === 0;
+            const tick = major ? 12 : (n % 5 === 0 ? 9 : 6);
+            ctx.lineWidth = major ? 2 : 1;
+            ctx.beginPath();
+            ctx.moveTo(x, lineY - tick);
+            ctx.lineTo(x, lineY + tick);
+            ctx.stroke();
+            if (n % labelEvery === 0) {
+                ctx.font = `${major ? 'bold ' : ''}14px -apple-system, BlinkMacSystemFont, sans-serif`;
+                ctx.fillText(String(n), x, lineY + 16);
+            }
+        }
+        ctx.restore();
+
+        // Arcs of the finished hops
+        this.hops.slice(0, this.landedHops).forEach(hop => this._drawHopArc(hop));
+
+        this.renderer.drawText('drag the hopper onto the line, then drag a group to make it hop', dims.width / 2, this._getPaletteY() - 70, {
+            fontSize: 14,
+            color: 'rgba(107, 97, 82, 0.35)'
+        });
+
+        // Palette groups with their values
+        this.groups.forEach(group => {
+            this.renderer.drawGroupIndicator(group.stones);
+            const bottom = Math.max(...group.offsets.map(o => o.y));
+            this.renderer.drawCountIndicator(group.value, group.homeX, group.homeY + bottom + HOP_GROUP_STONE_RADIUS + 18);
+        });
+
+        this.stones.forEach(stone => stone.draw(ctx));
+
+        this.buttons.forEach(btn => this._drawButton(btn));
+    }
+
+    _drawHopArc(hop) {
+        const ctx = this.ctx;
+        const fromX = this._numberToX(hop.from);
+        const toX = this._numberToX(hop.to);
+        const baseY = this._getLineY() - 4;
+        const height = this._getArcHeight(hop);
+        const midX = (fromX + toX) / 2;
+
+        ctx.save();
+        ctx.strokeStyle = LINE_ARC_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(fromX, baseY);
+        // Control point at twice the height puts the curve's top at the arc height
+        ctx.quadraticCurveTo(midX, baseY - height * 2, toX, baseY);
+        ctx.stroke();
+
+        // Arrowhead where it lands
+        const dir = toX > fromX ? 1 : -1;
+        ctx.fillStyle = LINE_ARC_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(toX, baseY);
+        ctx.lineTo(toX - dir * 9, baseY - 9);
+        ctx.lineTo(toX - dir * 2, baseY - 12);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+
+        const steps = hop.to - hop.from;
+        this.renderer.drawText(steps > 0 ? `+${steps}` : `−${-steps}`, midX, baseY - height - 14, {
+            fontSize: 14,
+            color: 'rgba(107, 97, 82, 0.6)'
+        });
+    }
+
+    _drawButton(btn) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        // Background
+        ctx.fillStyle = btn.active ? LINE_BTN_BG_ACTIVE : LINE_BTN_BG;
+        ctx.strokeStyle = LINE_BTN_BORDER;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(btn.x, btn.y, btn.width, btn.height, LINE_BTN_RADIUS);
+        ctx.fill();
+        ctx.stroke();
+
+        // Label
+        ctx.font = '13px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.fillStyle = LINE_BTN_TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(btn.label, btn.x + btn.width / 2, btn.y + btn.height / 2);
+
+        ctx.restore();
+    }
+
+    _hitTestButton(x, y, btn) {
+        return x >= btn.x && x <= btn.x + btn.width &&
+               y >= btn.y && y <= btn.y + btn.height;
+    }
+
+    onPointerDown(x, y, pointerId) {
+        for (const btn of this.buttons) {
+            if (this._hitTestButton(x, y, btn)) {
+                btn.active = true;
+                if (btn.id === 'extend') {
+                    this.recordStep('extend');
+                    this.max = this.max >= LINE_MAX_LIMIT ? LINE_MIN_MAX : this.max + LINE_EXTEND_STEP;
+                    this._setExtendLabel();
+                    if (this.position !== null && this.position > this.max) this._resetHops(null);
+                } else if (btn.id === 'clear') {
+                    this.recordStep('clear');
+                    this._resetHops(null);
+                }
+                setTimeout(() => { btn.active = false; }, 150);
+                return null;
+            }
+        }
+
+        const stone = this.findStoneAtPosition(x, y);
+        if (!stone) return null;
+
+        // The hopper can't be caught mid-hop
+        if (stone === this.hopper) {
+            if (this.isHopping() || !stone.startDrag()) return null;
+            this.moveStoneToTop(stone);
+            return stone;
+        }
+
+        // A group moves as one, held by the stone that was grabbed
+        const group = stone._hopGroup;
+        if (!group || !stone.startDrag()) return null;
+        const offset = group.offsets[group.stones.indexOf(stone)];
+        this._groupDrags.set(pointerId, {
+            group,
+            offsetX: x - (stone.x - offset.x),
+            offsetY: y - (stone.y - offset.y)
+        });
+        group.stones.forEach(s => this.moveStoneToTop(s));
+        return stone;
+    }
+
+    onPointerMove(x, y, draggedStone, pointerId) {
+        const drag = this._groupDrags.get(pointerId);
+        if (drag) {
+            this._moveGroup(drag.group, x - drag.offsetX, y - drag.offsetY);
+        } else if (draggedStone) {
+            draggedStone.setPosition(x, y);
+        }
+    }
+
+    onPointerUp(x, y, draggedStone, pointerId) {
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+
+        const drag = this._groupDrags.get(pointerId);
+        this._groupDrags.delete(pointerId);
+
+        if (drag) {
+            // Hop forward if the group landed right of the hopper, back if left of it
+            if (this._isOnLine(x, y)) {
+                const from = this.position === null ? 0 : this.position;
+                const direction = x < this._numberToX(from) ? -1 : 1;
+                this.recordStep('hop');
+                this.hop(direction * drag.group.value);
+            }
+            this._sendGroupHome(drag.group);
+            return;
+        }
+
+        // The hopper: onto the nearest number, or back home
+        this.recordStep('place');
+        this._resetHops(this._isOnLine(x, y) ? this._xToNumber(x) : null);
+        this._placeHopper();
+    }
+
+    onPointerCancel(draggedStone, pointerId) {
+        const drag = this._groupDrags.get(pointerId);
+        this._groupDrags.delete(pointerId);
+        if (draggedStone) draggedStone.stopDrag();
+        if (drag) {
+            this._sendGroupHome(drag.group);
+        } else if (draggedStone) {
+            this._placeHopper();
+        }
+    }
+
+    // --- Screen reader description ---
+
+    // "Hopper on 7 after hops of +3 and +4; number line 0 to 20"
+    getAccessibleSummary() {
+        const line = `number line 0 to ${this.max}`;
+        if (this.position === null) return `Hopper is off the line; ${line}`;
+
+        const hops = this.hops.map(h => (h.to > h.from ? `+${h.to - h.from}` : `−${h.from - h.to}`));
+        const after = hops.length > 0 ? ` after ${ModeBase.plural(hops.length, 'hop')}: ${hops.join(', ')}` : '';
+        return `Hopper on ${this.position}${after}; ${line}`;
+    }
+
+    describeStone(stone) {
+        if (stone === this.hopper) {
+            return this.position === null ? 'Hopper, off the line' : `Hopper, on ${this.position}`;
+        }
+        return stone._hopGroup ? `Group of ${stone._hopGroup.value}` : 'Stone';
+    }
+
+    // --- Keyboard access ---
+
+    // Buttons, the hopper and one stone per group (a group moves as one)
+    getFocusTargets() {
+        const buttons = this.buttons.map(button => ({ kind: 'button', button }));
+        const stones = [this.hopper].concat(this.groups.map(group => group.stones[0]));
+        return buttons.concat(stones.map(stone => ({ kind: 'stone', stone })));
+    }
+
+    // F / B: a group hops forward or back; the hopper moves one number
+    getKeyboardShortcuts() {
+        const lineY = this._getLineY();
+        const target = (direction) => (stone) => {
+            const at = this.position === null ? 0 : this.position;
+            if (stone === this.hopper) {
+                return { x: this._numberToX(this._clampToLine(at + direction)), y: lineY };
+            }
+            return { x: this._numberToX(at) + direction * this._getTickSpacing() / 2, y: lineY };
+        };
+        return [
+            { key: 'f', label: 'Hop forward', place: target(1) },
+            { key: 'b', label: 'Hop back', place: target(-1) }
+        ];
+    }
+
+    // --- Scene serialization ---
+
+    serializeState() {
+        const state = super.serializeState();
+        state.max = this.max;
+        state.start = this.start;
+        state.hops = this.hops.map(h => ({ from: h.from, to: h.to }));
+        state.groups = this.groups.map(group => ({
+            value: group.value,
+            stones: group.stones.map(s => s.id)
+        }));
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        const byId = new Map(this.stones.map(stone => [stone.id, stone]));
+        const groupIds = new Set();
+
+        this.max = state.max || LINE_MIN_MAX;
+        this._setExtendLabel();
+        this._groupDrags.clear();
+
+        const values = (state.groups || []).map(g => g.value);
+        const homes = this._getGroupHomes(values);
+        this.groups = (state.groups || []).map((data, i) => {
+            const group = {
+                value: data.value,
+                offsets: NumberStructure.getScaledPattern(data.value, HOP_GROUP_SPACING),
+                stones: data.stones.map(id => byId.get(id)).filter(Boolean),
+                homeX: homes[i],
+                homeY: this._getPaletteY()
+            };
+            group.stones.forEach(stone => {
+                stone._hopGroup = group;
+                groupIds.add(stone.id);
+            });
+            this._moveGroup(group, group.homeX, group.homeY);
+            return group;
+        });
+        this.hopper = this.stones.find(stone => !groupIds.has(stone.id)) || null;
+
+        // Hops come back already landed
+        this.hops = (state.hops || []).map(h => ({ from: h.from, to: h.to }));
+        this.start = typeof state.start === 'number' ? state.start : null;
+        this.position = this.hops.length > 0 ? this.hops[this.hops.length - 1].to : this.start;
+        this.landedHops = this.hops.length;
+        this.hopTime = 0;
+
+        const maxId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1);
+        this.nextStoneId = maxId + 1;
+
+        if (this.hopper) {
+            this._placeHopper();
+            this.hopper.setPosition(this.hopper.targetX, this.hopper.targetY);
+        }
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.hopper = null;
+        this.groups = [];
+        this._resetHops(null);
+        this._groupDrags.clear();
+        this.nextStoneId = 0;
+    }
+
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        return Object.assign(super.getMetricDefinitions(), {
+            'position': { description: 'Number the hopper is on, null off the line', read: mode => mode.position },
+            'start': { description: 'Number the hopper started from, null off the line', read: mode => mode.start },
+            'hop-count': { description: 'Hops since the hopper was put on the line', read: mode => mode.hops.length },
+            'hop-sum': { description: 'Hops added up (back hops count negative)', read: mode => mode.getHopSum() }
+        });
+    }
+
+    // The hops so far (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        state.max = this.max;
+        state.hops = this.hops.map(h => ({ from: h.from, to: h.to }));
+        return state;
+    }
+
+    static getMetadata() {
+        return {
+            id: 'number-line',
+            name: 'Number Line',
+            icon: '📏',
+            description: 'Counting on and back',
+            stateVersion: 1
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NumberLineMode };
+}
@@ -1,50 +1,69 @@
 // NumberStructuresMode - Numbers as physical stone arrangements
 // Enhanced: loosened recognition, group dragging, better number visibility
+//
+// Config (initWithConfiguration, challenge initialConfig):
+//   { family: 'ten-frame', structures: [{ value, offsetX, offsetY }], looseStones: [{ offsetX, offsetY }] }
 
-// Canonical patterns for numbers (offsets from center, spacing ~50px)
-const NUMBER_PATTERNS = {
-    1: [{x: 0, y: 0}],
-    2: [{x: -25, y: 0}, {x: 25, y: 0}],
-    3: [{x: 0, y: -25}, {x: -25, y: 25}, {x: 25, y: 25}],
-    4: [{x: -25, y: -25}, {x: 25, y: -25}, {x: -25, y: 25}, {x: 25, y: 25}],
-    5: [{x: -25, y: -25}, {x: 25, y: -25}, {x: 0, y: 0}, {x: -25, y: 25}, {x: 25, y: 25}],
-    6: [{x: -25, y: -30}, {x: 25, y: -30}, {x: -25, y: 0}, {x: 25, y: 0}, {x: -25, y: 30}, {x: 25, y: 30}],
-    7: [{x: -25, y: -30}, {x: 25, y: -30}, {x: -25, y: 0}, {x: 25, y: 0}, {x: -25, y: 30}, {x: 0, y: 30}, {x: 25, y: 30}],
-    8: [{x: -37, y: -25}, {x: -12, y: -25}, {x: 12, y: -25}, {x: 37, y: -25},
-        {x: -37, y: 25}, {x: -12, y: 25}, {x: 12, y: 25}, {x: 37, y: 25}],
-    9: [{x: -30, y: -30}, {x: 0, y: -30}, {x: 30, y: -30},
-        {x: -30, y: 0}, {x: 0, y: 0}, {x: 30, y: 0},
-        {x: -30, y: 30}, {x: 0, y: 30}, {x: 30, y: 30}],
-    10: [{x: -50, y: -25}, {x: -25, y: -25}, {x: 0, y: -25}, {x: 25, y: -25}, {x: 50, y: -25},
-         {x: -50, y: 25}, {x: -25, y: 25}, {x: 0, y: 25}, {x: 25, y: 25}, {x: 50, y: 25}]
-};
+// Layouts come from core/NumberStructure.js in the selected pattern family
+// (dice, ten-frame, array, finger); the family button cycles through them.
 
 const STRUCTURE_MERGE_DISTANCE = 160; // Increased from 120
+const STRUCTURE_MAX_MERGE = 20;       // Largest structure that fits on screen
 const PATTERN_RECOGNITION_THRESHOLD = 60; // Increased from 40
+const PATTERN_MATCH_TOLERANCE = STRUCTURE_SPACING * 0.4; // Screen px a loose stone may be off its spot
+const PATTERN_MIN_CONFIDENCE = 0.5;       // Fit must be at least this good on average
+const STRUCTURE_SETTLE_TIME = 0.6;        // Seconds a recognized group takes to turn upright
 const STRUCTURE_LINE_COLOR = 'rgba(139, 125, 107, 0.35)'; // More visible lines
 const GHOST_COLOR = 'rgba(139, 125, 107, 0.08)';
 const GLOW_COLOR = 'rgba(180, 165, 140, 0.4)';
 const NUMBER_LABEL_COLOR = '#8B4513';
 const NUMBER_LABEL_BG = 'rgba(232, 220, 196, 0.85)';
 
+// Challenge checker moves (getSolverMoves): a stone taken out lands this far from
+// every other (past the merge distance); merging drops a structure just off centre
+const STRUCTURE_SOLVER_CLEARANCE = STRUCTURE_MERGE_DISTANCE + 40;
+const STRUCTURE_SOLVER_OFFSET = 40;
+const STRUCTURE_SOLVER_MARGIN = 60;
+const STRUCTURE_SOLVER_TOP = 120; // Below the family button and number labels
+
+// Family button: label per pattern family
+const STRUCTURE_FAMILY_LABELS = {
+    'dice': '🎲 Dice patterns',
+    'ten-frame': '▦ Ten-frames',
+    'array': '▤ Arrays',
+    'finger': '✋ Fingers'
+};
+
+// Button styling constants
+const NUMBERS_BTN_BG = 'rgba(139, 125, 107, 0.15)';
+const NUMBERS_BTN_BG_ACTIVE = 'rgba(139, 125, 107, 0.3)';
+const NUMBERS_BTN_BORDER = 'rgba(139, 125, 107, 0.3)';
+const NUMBERS_BTN_TEXT = 'rgba(107, 97, 82, 0.7)';
+const NUMBERS_BTN_RADIUS = 10;
+
 class NumberStructuresMode extends ModeBase {
     constructor(canvas, ctx, renderer) {
         super(canvas, ctx, renderer);
-        this.structures = []; // Array of {id, value, stones, centerX, centerY, intact}
+        this.usesFixedTimestep = true;
+        this.structures = []; // Array of {id, value, family, stones, centerX, centerY, intact, settle}
         this.recognizedPatterns = []; // {value, x, y, time, scale} for glow + number animation
         this.nextStructureId = 0;
         this.nextStoneId = 0;
-
-        // Group drag state
-        this._dragGroup = null; // { structure, offsets: [{stone, dx, dy}] }
+        this.family = STRUCTURE_DEFAULT_FAMILY;
+        this.buttons = [];
+        this._buttonPointers = new Set(); // Pointers that pressed a button
+
+        // Group drag state, one per pointer:
+        // pointerId -> { structure, offsets: [{stone, dx, dy}], extractPending }
+        // extractPending ({ stone, startX, startY, startTime }) is set until the
+        // gesture turns into a single-stone extraction
+        this._dragGroups = new Map();
         this._groupGlowTime = 0;
-
-        // Extract gesture state
-        this._extractPending = null; // { stone, structure, startX, startY, startTime }
     }
 
     init() {
         super.init();
+        this._initButtons();
 
         const center = this.renderer.getCenter();
 
@@ -53,9 +72,28 @@ class NumberStructuresMode extends ModeBase {
         this._createStructure(5, center.x + 150, center.y);
     }
 
+    _initButtons() {
+        const dims = this.renderer.getDimensions();
+        this.buttons = [{
+            id: 'family',
+            x: dims.width - 170, y: 20,
+            width: 150, height: 36,
+            label: STRUCTURE_FAMILY_LABELS[this.family],
+            active: false
+        }];
+    }
+
+    // Canonical layout of a value in the current family, centered on its
+    // centroid so stones snap around the middle of where they already are
+    _getPattern(value, family = this.family) {
+        const pattern = NumberStructure.getPattern(value, family);
+        const center = this._getStructureCenter(pattern);
+        return pattern.map(p => ({ x: p.x - center.x, y: p.y - center.y }));
+    }
+
     _createStructure(value, centerX, centerY) {
-        const pattern = NUMBER_PATTERNS[value];
-        if (!pattern) return null;
+        const pattern = this._getPattern(value);
+        if (pattern.length === 0) return null;
 
         const structureId = this.nextStructureId++;
         const structureStones = [];
@@ -71,6 +109,7 @@ class NumberStructuresMode extends ModeBase {
         const structure = {
             id: structureId,
             value: value,
+            family: this.family,
             stones: structureStones,
             centerX: centerX,
             centerY: centerY,
@@ -89,16 +128,22 @@ class NumberStructuresMode extends ModeBase {
     }
 
     _checkStructureIntact(structure) {
-        // Check if all stones are still near their expected pattern positions
-        const center = this._getStructureCenter(structure.stones);
-        const pattern = NUMBER_PATTERNS[structure.value];
-        if (!pattern || structure.stones.length !== pattern.length) return false;
+        // Still turning into its canonical orientation
+        if (structure.settle) return true;
+
+        // Check if all stones are (or are gliding to) their expected pattern positions.
+        // Targets rather than positions, so a structure that was just snapped or
+        // re-laid-out counts as intact while its stones are still on their way.
+        const targets = structure.stones.map(s => ({ x: s.targetX, y: s.targetY }));
+        const center = this._getStructureCenter(targets);
+        const pattern = this._getPattern(structure.value, structure.family);
+        if (structure.stones.length !== pattern.length) return false;
 
         for (let i = 0; i < structure.stones.length; i++) {
             const stone = structure.stones[i];
             const expected = pattern[stone.structureIndex];
-            const dx = stone.x - (center.x + expected.x);
-            const dy = stone.y - (center.y + expected.y);
+            const dx = stone.targetX - (center.x + expected.x);
+            const dy = stone.targetY - (center.y + expected.y);
             const dist = Math.sqrt(dx * dx + dy * dy);
             if (dist > PATTERN_RECOGNITION_THRESHOLD) return false;
         }
@@ -106,42 +151,38 @@ class NumberStructuresMode extends ModeBase {
     }
 
     _recognizePattern(stones) {
-        // Try to match a group of loose stones to a canonical pattern
-        if (stones.length < 1 || stones.length > 10) return null;
-
-        const pattern = NUMBER_PATTERNS[stones.length];
-        if (!pattern) return null;
-
-        const center = this._getStructureCenter(stones);
-
-        // Try to match each stone to a pattern position
-        const used = new Set();
-        let totalError = 0;
-
-        for (const offset of pattern) {
-            let bestDist = Infinity;
-            let bestIdx = -1;
-
-            for (let i = 0; i < stones.length; i++) {
-                if (used.has(i)) continue;
-                const dx = stones[i].x - (center.x + offset.x);
-                const dy = stones[i].y - (center.y + offset.y);
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                if (dist < bestDist) {
-                    bestDist = dist;
-                    bestIdx = i;
-                }
-            }
-
-            if (bestIdx === -1 || bestDist > PATTERN_RECOGNITION_THRESHOLD) return null;
-            used.add(bestIdx);
-            totalError += bestDist;
-        }
+        // Try to match a group of loose stones to a pattern of the current family,
+        // in any orientation. Returns NumberStructure.matchPattern's match or null.
+        if (stones.length < 1 || stones.length > STRUCTURE_MAX_MERGE) return null;
+        const match = NumberStructure.matchPattern(stones, {
+            threshold: PATTERN_MATCH_TOLERANCE,
+            family: this.family
+        });
+        return match && match.confidence >= PATTERN_MIN_CONFIDENCE ? match : null;
+    }
 
-        // Average error must be reasonable (loosened from 0.7 to 0.85)
-        if (totalError / stones.length > PATTERN_RECOGNITION_THRESHOLD * 0.85) return null;
+    // Turn a recognized structure from the way it was laid down (match.transform)
+    // to its canonical orientation and size, a little each frame
+    _stepSettle(structure, deltaTime) {
+        const settle = structure.settle;
+        settle.progress = Math.min(1, settle.progress + deltaTime / STRUCTURE_SETTLE_TIME);
+        const k = settle.progress * settle.progress * (3 - 2 * settle.progress); // Ease in and out
+
+        const transform = settle.transform;
+        const rotation = transform.rotation * (1 - k);
+        const scale = transform.scale + (1 - transform.scale) * k;
+        const flip = transform.mirrored ? 2 * k - 1 : 1; // A mirror image turns over
+        const cos = Math.cos(rotation) * scale;
+        const sin = Math.sin(rotation) * scale;
+        const pattern = this._getPattern(structure.value, structure.family);
+
+        structure.stones.forEach(stone => {
+            const p = pattern[stone.structureIndex];
+            const px = p.x * flip;
+            stone.setTarget(transform.x + px * cos - p.y * sin, transform.y + px * sin + p.y * cos);
+        });
 
-        return stones.length;
+        if (settle.progress >= 1) structure.settle = null;
     }
 
     _findLooseStones() {
@@ -192,9 +233,9 @@ class NumberStructuresMode extends ModeBase {
     _tryMergeStructures() {
         // Check if two intact structures are close enough to merge
         for (let i = 0; i < this.structures.length; i++) {
-            if (!this.structures[i].intact) continue;
+            if (!this.structures[i].intact || this._isGroupDragged(this.structures[i])) continue;
             for (let j = i + 1; j < this.structures.length; j++) {
-                if (!this.structures[j].intact) continue;
+                if (!this.structures[j].intact || this._isGroupDragged(this.structures[j])) continue;
 
                 const ci = this._getStructureCenter(this.structures[i].stones);
                 const cj = this._getStructureCenter(this.structures[j].stones);
@@ -203,8 +244,11 @@ class NumberStructuresMode extends ModeBase {
                 const dist = Math.sqrt(dx * dx + dy * dy);
 
                 if (dist < STRUCTURE_MERGE_DISTANCE) {
-                    const newValue = this.structures[i].value + this.structures[j].value;
-                    if (newValue > 10) continue; // Don't merge beyond 10
+                    const merged = NumberStructure.merge(this.structures[i], this.structures[j]);
+                    if (!merged || merged.value > STRUCTURE_MAX_MERGE) continue;
+                    const newValue = merged.value;
+
+                    this.recordStep('merge');
 
                     // Merge: remove old structures, create new one
                     const midX = (ci.x + cj.x) / 2;
@@ -225,12 +269,14 @@ class NumberStructuresMode extends ModeBase {
 
                     // Animate stones to their new positions
                     if (newStructure) {
-                        const pattern = NUMBER_PATTERNS[newValue];
+                        const pattern = this._getPattern(newValue);
                         newStructure.stones.forEach((stone, idx) => {
                             stone.setTarget(midX + pattern[idx].x, midY + pattern[idx].y);
                         });
                     }
 
+                    this.announce(`Structure of ${newValue} formed`);
+
                     // Add recognition glow with scale animation
                     this.recognizedPatterns.push({
                         value: newValue,
@@ -260,10 +306,11 @@ class NumberStructuresMode extends ModeBase {
 
         // Remove the extracted stone from the structure's stone list
         structure.stones = remaining;
+        structure.settle = null;
 
         // Check if a pattern exists for the remaining count
-        const pattern = NUMBER_PATTERNS[remaining.length];
-        if (pattern && remaining.length >= 1) {
+        const pattern = this._getPattern(remaining.length);
+        if (pattern.length > 0) {
             // Calculate centroid of remaining stones
             const center = this._getStructureCenter(remaining);
 
@@ -278,10 +325,13 @@ class NumberStructuresMode extends ModeBase {
             // Update the existing structure in place
             structure.id = structureId;
             structure.value = remaining.length;
+            structure.family = this.family;
             structure.centerX = center.x;
             structure.centerY = center.y;
             structure.intact = true;
 
+            this.announce(`Structure of ${remaining.length} formed`);
+
             // Show recognition glow
             this.recognizedPatterns.push({
                 value: remaining.length,
@@ -303,6 +353,7 @@ class NumberStructuresMode extends ModeBase {
         this.stones = [];
         this.structures = [];
         this.recognizedPatterns = [];
+        this._setFamily(config.family || STRUCTURE_DEFAULT_FAMILY);
 
         const center = this.renderer.getCenter();
 
@@ -326,11 +377,42 @@ class NumberStructuresMode extends ModeBase {
         }
     }
 
+    // Switch pattern family; intact structures glide into the new layout
+    _setFamily(family) {
+        this.family = family;
+        this._updateFamilyButton();
+
+        this.structures.forEach(structure => {
+            const wasIntact = structure.intact;
+            structure.family = family;
+            structure.settle = null;
+            if (!wasIntact || this._isGroupDragged(structure)) return;
+
+            const pattern = this._getPattern(structure.value);
+            const center = this._getStructureCenter(structure.stones);
+            structure.stones.forEach((stone, idx) => {
+                stone.structureIndex = idx;
+                stone.setTarget(center.x + pattern[idx].x, center.y + pattern[idx].y);
+            });
+        });
+    }
+
+    _updateFamilyButton() {
+        this.buttons.forEach(btn => {
+            if (btn.id === 'family') btn.label = STRUCTURE_FAMILY_LABELS[this.family];
+        });
+    }
+
+    _nextFamily() {
+        const families = NumberStructure.getFamilies();
+        return families[(families.indexOf(this.family) + 1) % families.length];
+    }
+
     update(deltaTime) {
         super.update(deltaTime);
 
         // Update group glow timer
-        if (this._dragGroup) {
+        if (this._dragGroups.size > 0) {
             this._groupGlowTime += deltaTime;
         } else {
             this._groupGlowTime = 0;
@@ -339,8 +421,9 @@ class NumberStructuresMode extends ModeBase {
         // Update structure states (but not for the group being dragged)
         this.structures.forEach(structure => {
             if (structure.stones.length > 0) {
-                // Skip integrity check for structure being group-dragged
-                if (this._dragGroup && this._dragGroup.structure === structure) return;
+                // Skip integrity check for structures being group-dragged
+                if (this._isGroupDragged(structure)) return;
+                if (structure.settle) this._stepSettle(structure, deltaTime);
 
                 structure.intact = this._checkStructureIntact(structure);
                 if (structure.intact) {
@@ -374,9 +457,9 @@ class NumberStructuresMode extends ModeBase {
         const looseStones = this._findLooseStones();
         const groups = this._findNearbyLooseGroups(looseStones);
         groups.forEach(group => {
-            if (group.length >= 2 && NUMBER_PATTERNS[group.length]) {
+            if (group.length >= 2 && group.length <= STRUCTURE_MAX_MERGE) {
                 const center = this._getStructureCenter(group);
-                const pattern = NUMBER_PATTERNS[group.length];
+                const pattern = this._getPattern(group.length);
 
                 // Draw ghost dots
                 ctx.save();
@@ -398,9 +481,9 @@ class NumberStructuresMode extends ModeBase {
         });
 
         // Draw group drag glow effect
-        if (this._dragGroup) {
-            const pulse = 0.5 + 0.3 * Math.sin(this._groupGlowTime * 4);
-            this._dragGroup.structure.stones.forEach(stone => {
+        const pulse = 0.5 + 0.3 * Math.sin(this._groupGlowTime * 4);
+        this._dragGroups.forEach(group => {
+            group.structure.stones.forEach(stone => {
                 ctx.save();
                 const glowRadius = stone.radius + 8;
                 const gradient = ctx.createRadialGradient(stone.x, stone.y, stone.radius * 0.8, stone.x, stone.y, glowRadius);
@@ -412,7 +495,7 @@ class NumberStructuresMode extends ModeBase {
                 ctx.fill();
                 ctx.restore();
             });
-        }
+        });
 
         // Draw recognition glow effects
         this.recognizedPatterns.forEach(p => {
@@ -445,6 +528,36 @@ class NumberStructuresMode extends ModeBase {
             const scale = p.scale || 1.0;
             this._drawNumberLabel(p.value, p.x, p.y - 55, alpha, scale);
         });
+
+        this.buttons.forEach(btn => this._drawButton(btn));
+    }
+
+    _drawButton(btn) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        // Background
+        ctx.fillStyle = btn.active ? NUMBERS_BTN_BG_ACTIVE : NUMBERS_BTN_BG;
+        ctx.strokeStyle = NUMBERS_BTN_BORDER;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(btn.x, btn.y, btn.width, btn.height, NUMBERS_BTN_RADIUS);
+        ctx.fill();
+        ctx.stroke();
+
+        // Label
+        ctx.font = '13px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.fillStyle = NUMBERS_BTN_TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(btn.label, btn.x + btn.width / 2, btn.y + btn.height / 2);
+
+        ctx.restore();
+    }
+
+    _hitTestButton(x, y, btn) {
+        return x >= btn.x && x <= btn.x + btn.width &&
+               y >= btn.y && y <= btn.y + btn.height;
     }
 
     _drawNumberLabel(value, x, y, alpha = 1.0, scale = 1.0) {
@@ -476,13 +589,41 @@ class NumberStructuresMode extends ModeBase {
         ctx.restore();
     }
 
-    onPointerDown(x, y) {
+    onPointerDown(x, y, pointerId) {
+        for (const btn of this.buttons) {
+            if (this._hitTestButton(x, y, btn)) {
+                btn.active = true;
+                this._buttonPointers.add(pointerId);
+                if (btn.id === 'family') {
+                    this.recordStep('family');
+                    this._setFamily(this._nextFamily());
+                    this.announce(`${ModeBase.plainLabel(btn.label)} on`);
+                }
+                setTimeout(() => { btn.active = false; }, 150);
+                return null;
+            }
+        }
+
         const stone = this.findStoneAtPosition(x, y);
         if (stone) {
+            // Another pointer is already holding this stone
+            if (stone.isDragging) return null;
+
             // Check if this stone is part of an intact structure
             const structure = this.structures.find(s => s.intact && s.stones.includes(stone));
 
+            // Keyboard "take out" (KeyboardControls) lifts one stone from its structure
+            if (structure && pointerId === KEYBOARD_SINGLE_POINTER_ID) {
+                this._autoFormRemainingStones(structure, stone);
+                stone.startDrag();
+                this.moveStoneToTop(stone);
+                return stone;
+            }
+
             if (structure) {
+                // Another pointer is already moving this structure
+                if (this._isGroupDragged(structure)) return null;
+
                 // Start as group drag, but track for potential extraction
                 const offsets = structure.stones.map(s => ({
                     stone: s,
@@ -490,16 +631,21 @@ class NumberStructuresMode extends ModeBase {
                     dy: s.y - y
                 }));
 
-                this._dragGroup = { structure, offsets };
-                this._extractPending = {
-                    stone: stone,
-                    structure: structure,
-                    startX: x,
-                    startY: y,
-                    startTime: Date.now()
-                };
+                // Keyboard moves come in steps, so the keyboard pointer never
+                // extracts by hold-and-pull; it has its own "take out" key
+                this._dragGroups.set(pointerId, {
+                    structure,
+                    offsets,
+                    extractPending: pointerId === KEYBOARD_POINTER_ID ? null : {
+                        stone: stone,
+                        startX: x,
+                        startY: y,
+                        startTime: this.now()
+                    }
+                });
 
                 // Start drag on all stones in the group
+                structure.settle = null;
                 structure.stones.forEach(s => s.startDrag());
                 structure.stones.forEach(s => this.moveStoneToTop(s));
 
@@ -521,19 +667,21 @@ class NumberStructuresMode extends ModeBase {
         return null;
     }
 
-    onPointerMove(x, y, draggedStone) {
+    onPointerMove(x, y, draggedStone, pointerId) {
+        const group = this._dragGroups.get(pointerId);
+
         // Check if we should convert from group drag to single-stone extraction
-        if (this._extractPending && this._dragGroup) {
-            const ep = this._extractPending;
+        if (group && group.extractPending) {
+            const ep = group.extractPending;
             const dx = x - ep.startX;
             const dy = y - ep.startY;
             const dist = Math.sqrt(dx * dx + dy * dy);
-            const elapsed = Date.now() - ep.startTime;
+            const elapsed = this.now() - ep.startTime;
 
             if (elapsed > 300 && dist > 15) {
                 // Convert to extraction: stop dragging all other stones
                 const extractedStone = ep.stone;
-                const structure = ep.structure;
+                const structure = group.structure;
 
                 // Stop drag on all group stones except the extracted one
                 structure.stones.forEach(s => {
@@ -542,22 +690,21 @@ class NumberStructuresMode extends ModeBase {
                     }
                 });
 
+                // Clear group drag state
+                this._dragGroups.delete(pointerId);
+
                 // Auto-form remaining stones
                 this._autoFormRemainingStones(structure, extractedStone);
 
-                // Clear group drag state
-                this._dragGroup = null;
-                this._extractPending = null;
-
                 // Continue dragging only the extracted stone
                 extractedStone.setPosition(x, y);
                 return;
             }
         }
 
-        if (this._dragGroup) {
+        if (group) {
             // Move all stones in the group maintaining relative positions
-            this._dragGroup.offsets.forEach(({ stone, dx, dy }) => {
+            group.offsets.forEach(({ stone, dx, dy }) => {
                 stone.setPosition(x + dx, y + dy);
             });
         } else if (draggedStone) {
@@ -565,29 +712,30 @@ class NumberStructuresMode extends ModeBase {
         }
     }
 
-    onPointerUp(x, y, draggedStone) {
-        // Clear extract pending state
-        this._extractPending = null;
+    onPointerUp(x, y, draggedStone, pointerId) {
+        // A button press is not a drop
+        if (this._buttonPointers.delete(pointerId)) return;
 
-        if (this._dragGroup) {
+        const group = this._dragGroups.get(pointerId);
+        this._dragGroups.delete(pointerId);
+
+        if (group) {
             // Stop dragging all group stones
-            this._dragGroup.structure.stones.forEach(s => s.stopDrag());
+            group.structure.stones.forEach(s => s.stopDrag());
 
             // Re-check if structure is still intact after moving
-            const structure = this._dragGroup.structure;
+            const structure = group.structure;
             const center = this._getStructureCenter(structure.stones);
             structure.centerX = center.x;
             structure.centerY = center.y;
             // Structure stays intact since we moved it as a unit
-
-            this._dragGroup = null;
         } else if (draggedStone) {
             draggedStone.stopDrag();
         }
 
-        // 1. Re-check which structures are intact
+        // 1. Re-check which structures are intact (other pointers' groups are still moving)
         this.structures.forEach(structure => {
-            if (structure.stones.length > 0) {
+            if (structure.stones.length > 0 && !this._isGroupDragged(structure)) {
                 structure.intact = this._checkStructureIntact(structure);
                 if (structure.intact) {
                     const center = this._getStructureCenter(structure.stones);
@@ -597,32 +745,38 @@ class NumberStructuresMode extends ModeBase {
             }
         });
 
-        // 2. Check if loose stones form new patterns
-        const looseStones = this._findLooseStones();
+        // 2. Check if loose stones form new patterns (ignoring stones still held)
+        const looseStones = this._findLooseStones().filter(s => !s.isDragging);
         const groups = this._findNearbyLooseGroups(looseStones);
 
         groups.forEach(group => {
-            const value = this._recognizePattern(group);
-            if (value) {
+            const match = this._recognizePattern(group);
+            if (match) {
+                const value = match.value;
                 const center = this._getStructureCenter(group);
                 const structureId = this.nextStructureId++;
-                const pattern = NUMBER_PATTERNS[value];
 
-                // Assign stones to new structure and snap to pattern positions
+                // Each stone keeps the pattern position it was matched to, so the
+                // group can turn upright without stones crossing
                 group.forEach((stone, idx) => {
                     stone.structureId = structureId;
-                    stone.structureIndex = idx;
-                    stone.setTarget(center.x + pattern[idx].x, center.y + pattern[idx].y);
+                    stone.structureIndex = match.assignment[idx];
                 });
 
-                this.structures.push({
+                const structure = {
                     id: structureId,
                     value: value,
+                    family: this.family,
                     stones: group,
                     centerX: center.x,
                     centerY: center.y,
-                    intact: true
-                });
+                    intact: true,
+                    settle: { transform: match.transform, progress: 0 }
+                };
+                this.structures.push(structure);
+                this._stepSettle(structure, 0);
+
+                this.announce(`Structure of ${value} formed`);
 
                 // Add recognition glow with scale animation
                 this.recognizedPatterns.push({
@@ -639,15 +793,205 @@ class NumberStructuresMode extends ModeBase {
         this._tryMergeStructures();
     }
 
+    onPointerCancel(draggedStone, pointerId) {
+        this._buttonPointers.delete(pointerId);
+        const group = this._dragGroups.get(pointerId);
+        this._dragGroups.delete(pointerId);
+
+        if (group) {
+            group.structure.stones.forEach(s => s.stopDrag());
+            const center = this._getStructureCenter(group.structure.stones);
+            group.structure.centerX = center.x;
+            group.structure.centerY = center.y;
+        } else if (draggedStone) {
+            draggedStone.stopDrag();
+        }
+    }
+
+    // Whether a pointer is currently moving this structure as a group
+    _isGroupDragged(structure) {
+        for (const group of this._dragGroups.values()) {
+            if (group.structure === structure) return true;
+        }
+        return false;
+    }
+
+    // --- Screen reader description ---
+
+    // "Structures of 3 and 5; 2 loose stones; dice patterns"
+    getAccessibleSummary() {
+        const values = this.structures.filter(s => s.intact && s.stones.length > 0).map(s => s.value);
+        const loose = this._findLooseStones().length;
+        let structures = 'No structures';
+        if (values.length === 1) structures = `A structure of ${values[0]}`;
+        if (values.length > 1) structures = `Structures of ${values.slice(0, -1).join(', ')} and ${values[values.length - 1]}`;
+        const family = ModeBase.plainLabel(STRUCTURE_FAMILY_LABELS[this.family]).toLowerCase();
+        return `${structures}; ${ModeBase.plural(loose, 'loose stone')}; ${family}`;
+    }
+
+    describeStone(stone) {
+        const structure = this.structures.find(s => s.intact && s.stones.includes(stone));
+        return structure ? `Stone in a structure of ${structure.value}` : 'Loose stone';
+    }
+
+    // --- Keyboard access ---
+
+    getKeyboardShortcuts() {
+        return [
+            { key: 'x', label: 'Take stone out', pickOne: true }
+        ];
+    }
+
+    // --- Challenge checking ---
+
+    // The family button, taking a stone out of a structure and setting it down
+    // well away from the rest (a structure of 1), and dropping one structure
+    // onto another to merge them
+    getSolverMoves() {
+        const moves = super.getSolverMoves().filter(move => move.button);
+        const intact = this.structures.filter(s => s.intact && s.stones.length > 0);
+
+        intact.forEach(structure => {
+            if (structure.stones.length < 2) return;
+            const stone = structure.stones[structure.stones.length - 1];
+            const to = this._findSolverSpot();
+            if (to) moves.push({ label: `Take a stone out of the ${structure.value}`, stone, to, pointerId: KEYBOARD_SINGLE_POINTER_ID });
+        });
+
+        intact.forEach(structure => {
+            const center = this._getStructureCenter(structure.stones);
+            const stone = structure.stones[0];
+            intact.forEach(other => {
+                if (other === structure) return;
+                const target = this._getStructureCenter(other.stones);
+                const to = { x: stone.x + target.x + STRUCTURE_SOLVER_OFFSET - center.x, y: stone.y + target.y - center.y };
+                moves.push({ label: `Put the ${structure.value} with the ${other.value}`, stone, to });
+            });
+        });
+        return moves;
+    }
+
+    // First spot (top left onwards) too far from every stone to join or merge with it
+    _findSolverSpot() {
+        const dims = this.renderer.getDimensions();
+        for (let y = STRUCTURE_SOLVER_TOP; y < dims.height - STRUCTURE_SOLVER_MARGIN; y += STRUCTURE_SOLVER_MARGIN) {
+            for (let x = STRUCTURE_SOLVER_MARGIN; x < dims.width - STRUCTURE_SOLVER_MARGIN; x += STRUCTURE_SOLVER_MARGIN) {
+                if (this.stones.every(s => Math.hypot(s.x - x, s.y - y) >= STRUCTURE_SOLVER_CLEARANCE)) return { x, y };
+            }
+        }
+        return null;
+    }
+
+    // --- Scene serialization ---
+
+    serializeState() {
+        const state = super.serializeState();
+        const origin = this.getSceneOrigin();
+        state.structures = this.structures
+            .filter(s => s.stones.length > 0)
+            .map(s => ({
+                id: s.id,
+                value: s.value,
+                family: s.family,
+                stoneIds: s.stones.map(stone => stone.id),
+                intact: s.intact,
+                // A structure caught turning upright carries on from where it was
+                settle: s.settle ? {
+                    x: s.settle.transform.x - origin.x,
+                    y: s.settle.transform.y - origin.y,
+                    rotation: s.settle.transform.rotation,
+                    scale: s.settle.transform.scale,
+                    mirrored: s.settle.transform.mirrored,
+                    progress: s.settle.progress
+                } : null
+            }));
+        state.family = this.family;
+        state.nextStructureId = this.nextStructureId;
+        state.nextStoneId = this.nextStoneId;
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        this.family = state.family || STRUCTURE_DEFAULT_FAMILY;
+        this._updateFamilyButton();
+
+        const origin = this.getSceneOrigin();
+        const stonesById = new Map(this.stones.map(stone => [stone.id, stone]));
+        this.structures = (state.structures || []).map(data => {
+            const stones = data.stoneIds.map(id => stonesById.get(id)).filter(Boolean);
+            const center = this._getStructureCenter(stones);
+            const settle = data.settle ? {
+                transform: {
+                    x: origin.x + data.settle.x,
+                    y: origin.y + data.settle.y,
+                    rotation: data.settle.rotation,
+                    scale: data.settle.scale,
+                    mirrored: data.settle.mirrored
+                },
+                progress: data.settle.progress
+            } : null;
+            return {
+                id: data.id,
+                value: data.value,
+                family: data.family || this.family,
+                stones: stones,
+                centerX: center.x,
+                centerY: center.y,
+                intact: data.intact !== false,
+                settle
+            };
+        }).filter(s => s.stones.length > 0);
+
+        const maxStructureId = this.structures.reduce((max, s) => Math.max(max, s.id), -1);
+        const maxStoneId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1);
+        this.nextStructureId = Math.max(state.nextStructureId || 0, maxStructureId + 1);
+        this.nextStoneId = Math.max(state.nextStoneId || 0, maxStoneId + 1);
+
+        this.recognizedPatterns = [];
+        this._dragGroups.clear();
+        this._buttonPointers.clear();
+    }
+
     cleanup() {
         super.cleanup();
         this.structures = [];
         this.recognizedPatterns = [];
         this.nextStructureId = 0;
         this.nextStoneId = 0;
-        this._dragGroup = null;
+        this._dragGroups.clear();
+        this._buttonPointers.clear();
         this._groupGlowTime = 0;
-        this._extractPending = null;
+        this.family = STRUCTURE_DEFAULT_FAMILY;
+    }
+
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        const intact = mode => mode.structures.filter(s => s.intact);
+        return Object.assign(super.getMetricDefinitions(), {
+            'structure-count': { description: 'Intact structures', read: mode => intact(mode).length },
+            'structures-of-value': {
+                description: 'Intact structures of args.value (in pattern family args.family, if given)',
+                args: ['value'],
+                read: (mode, args) => intact(mode).filter(s => s.value === args.value &&
+                    (args.family === undefined || s.family === args.family)).length
+            },
+            'structures-sum': { description: 'Values of the intact structures added up', read: mode => intact(mode).reduce((sum, s) => sum + s.value, 0) },
+            'largest-structure': { description: 'Biggest intact structure (0 with none)', read: mode => Math.max(0, ...intact(mode).map(s => s.value)) },
+            'loose-count': { description: 'Stones not in an intact structure', read: mode => mode._findLooseStones().length },
+            'unused-count': {
+                description: 'Stones in no structure at all',
+                read: mode => mode.stones.length - mode.structures.reduce((sum, s) => sum + s.stones.length, 0)
+            }
+        });
+    }
+
+    // Structures and the pattern family (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        state.family = this.family;
+        state.structures = this.structures.map(s => ({ value: s.value, family: s.family, intact: s.intact }));
+        return state;
     }
 
     static getMetadata() {
@@ -655,7 +999,8 @@ class NumberStructuresMode extends ModeBase {
             id: 'number-structures',
             name: 'Numbers',
             icon: '🔢',
-            description: 'Physical number representations'
+            description: 'Physical number representations',
+            stateVersion: 1
         };
     }
 }
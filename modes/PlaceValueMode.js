@@ -0,0 +1,596 @@
+// PlaceValueMode - Base ten with stones, ten rods and hundred flats
+// Gather ten loose stones and they snap into a ten rod (NumberStructure's ten-block);
+// ten rods pushed together become a hundred flat. Tap a rod or flat to break it
+// back into ten of the smaller piece, for regrouping when taking away.
+// Columns for hundreds, tens and ones show how many of each there are.
+//
+// Config (initWithConfiguration, challenge initialConfig):
+//   { hundreds: 1, tens: 3, ones: 12 }
+
+const PV_STONE_RADIUS = 9;
+const PV_SPACING = 20;                       // Between stone centers inside a rod
+const PV_ROD_WIDTH = PV_SPACING * 5;         // Ten-block: 5 columns...
+const PV_ROD_HEIGHT = PV_SPACING * 2;        // ...by 2 rows
+const PV_FLAT_SIZE = PV_SPACING * 10;        // Ten rods make a 10 x 10 square
+const PV_TOUCH_DISTANCE = PV_STONE_RADIUS * 2 * 1.4; // Loose stones this close are gathered
+const PV_ROD_TOUCH_GAP = 12;                 // Rods this close (edge to edge) are gathered
+const PV_COLUMN_TOP = 150;
+const PV_MARGIN = 20;
+const PV_MAX_VALUE = 999;
+const PV_TAP_DISTANCE = 10;                  // px a tap may move
+const PV_TAP_DURATION = 300;                 // ms a tap may last
+const PV_FRAME_COLOR = 'rgba(139, 125, 107, 0.5)';
+const PV_FRAME_FILL = 'rgba(139, 125, 107, 0.12)';
+const PV_COLUMN_FILL = 'rgba(139, 125, 107, 0.06)';
+const PV_OVERFLOW_COLOR = 'rgba(180, 120, 70, 0.85)'; // A column holding ten or more
+
+// Columns left to right, and the piece that counts in each
+const PV_COLUMNS = [
+    { place: 'hundreds', label: 'Hundreds', kind: 'flat', value: 100 },
+    { place: 'tens', label: 'Tens', kind: 'rod', value: 10 },
+    { place: 'ones', label: 'Ones', kind: 'one', value: 1 }
+];
+
+// Button styling constants
+const PV_BTN_BG = 'rgba(139, 125, 107, 0.15)';
+const PV_BTN_BG_ACTIVE = 'rgba(139, 125, 107, 0.3)';
+const PV_BTN_BORDER = 'rgba(139, 125, 107, 0.3)';
+const PV_BTN_TEXT = 'rgba(107, 97, 82, 0.7)';
+const PV_BTN_RADIUS = 10;
+
+class PlaceValueMode extends ModeBase {
+    constructor(canvas, ctx, renderer) {
+        super(canvas, ctx, renderer);
+        this.usesFixedTimestep = true;
+        this.pieces = [];  // Rods and flats: { id, kind, x, y, stones }; loose stones have no piece
+        this.nextPieceId = 0;
+        this.nextStoneId = 0;
+        this.buttons = [];
+        this._pieceDrags = new Map();    // pointerId -> { piece, offsetX, offsetY }
+        this._pointerStarts = new Map(); // pointerId -> { x, y, time } for tap detection
+    }
+
+    init() {
+        super.init();
+        this._initButtons();
+        this.initWithConfiguration({ tens: 2, ones: 14 });
+    }
+
+    _initButtons() {
+        const dims = this.renderer.getDimensions();
+        const btnY = 20;
+        const btnH = 36;
+        const labels = [['add-one', '+ One'], ['add-ten', '+ Ten'], ['add-hundred', '+ Hundred'], ['clear', '↻ Clear']];
+
+        this.buttons = labels.map(([id, label], i) => ({
+            id,
+            x: dims.width - (labels.length - i) * 105 - 10, y: btnY,
+            width: 95, height: btnH,
+            label,
+            active: false
+        }));
+    }
+
+    // Start from a number of flats, rods and loose stones (see top of file)
+    initWithConfiguration(config) {
+        this.stones = [];
+        this.pieces = [];
+        this.nextPieceId = 0;
+        this.nextStoneId = 0;
+        this._pieceDrags.clear();
+        this._pointerStarts.clear();
+
+        for (let i = 0; i < (config.hundreds || 0); i++) this._addPiece('flat');
+        for (let i = 0; i < (config.tens || 0); i++) this._addPiece('rod');
+        for (let i = 0; i < (config.ones || 0); i++) this._addPiece('one');
+        this.stones.forEach(stone => stone.setPosition(stone.targetX, stone.targetY));
+    }
+
+    // --- Pieces ---
+
+    // Stone offsets from a piece's center: the ten-block for a rod,
+    // ten ten-blocks (2 across, 5 down) for a flat
+    static getLayout(kind) {
+        const rod = NumberStructure.getScaledPattern(10, PV_SPACING);
+        if (kind === 'rod') return rod;
+
+        // Ten-block turned on its side gives the rod positions in the flat
+        const layout = [];
+        NumberStructure.getPattern(10).forEach(p => {
+            const rodX = (p.y / STRUCTURE_SPACING) * PV_ROD_WIDTH;
+            const rodY = (p.x / STRUCTURE_SPACING) * PV_ROD_HEIGHT;
+            rod.forEach(offset => layout.push({ x: rodX + offset.x, y: rodY + offset.y }));
+        });
+        return layout;
+    }
+
+    static getSize(kind) {
+        if (kind === 'flat') return { width: PV_FLAT_SIZE, height: PV_FLAT_SIZE };
+        if (kind === 'rod') return { width: PV_ROD_WIDTH, height: PV_ROD_HEIGHT };
+        return { width: PV_SPACING, height: PV_SPACING };
+    }
+
+    // New flat, rod or loose stone at a free spot in its column
+    _addPiece(kind) {
+        const spot = this._findFreeSpot(kind);
+        if (kind === 'one') {
+            return this._createStone(spot.x, spot.y);
+        }
+        const layout = PlaceValueMode.getLayout(kind);
+        const stones = layout.map(offset => this._createStone(spot.x + offset.x, spot.y + offset.y));
+        return this._makePiece(kind, stones, spot);
+    }
+
+    _createStone(x, y) {
+        const stone = new Stone(x, y, this.nextStoneId++, { radius: PV_STONE_RADIUS });
+        stone._piece = null;
+        this.addStone(stone);
+        return stone;
+    }
+
+    // Join stones into a rod or flat; they flow into formation at `at`
+    _makePiece(kind, stones, at) {
+        const piece = { id: this.nextPieceId++, kind, x: at.x, y: at.y, stones };
+        stones.forEach(stone => { stone._piece = piece; });
+        this.pieces.push(piece);
+        this._formPiece(piece);
+        return piece;
+    }
+
+    _formPiece(piece) {
+        const layout = PlaceValueMode.getLayout(piece.kind);
+        piece.stones.forEach((stone, i) => stone.setTarget(piece.x + layout[i].x, piece.y + layout[i].y));
+    }
+
+    _movePiece(piece, x, y) {
+        const layout = PlaceValueMode.getLayout(piece.kind);
+        piece.x = x;
+        piece.y = y;
+        piece.stones.forEach((stone, i) => stone.setPosition(x + layout[i].x, y + layout[i].y));
+    }
+
+    _removePiece(piece) {
+        this.pieces = this.pieces.filter(p => p !== piece);
+        piece.stones.forEach(stone => { stone._piece = null; });
+    }
+
+    getLooseStones() {
+        return this.stones.filter(stone => !stone._piece);
+    }
+
+    // How many flats, rods and loose stones there are (each may pass 9)
+    getCounts() {
+        return {
+            hundreds: this.pieces.filter(p => p.kind === 'flat').length,
+            tens: this.pieces.filter(p => p.kind === 'rod').length,
+            ones: this.getLooseStones().length
+        };
+    }
+
+    getValue() {
+        const counts = this.getCounts();
+        return counts.hundreds * 100 + counts.tens * 10 + counts.ones;
+    }
+
+    // --- Layout ---
+
+    _getColumnRect(index) {
+        const dims = this.renderer.getDimensions();
+        const width = (dims.width - PV_MARGIN * 2) / PV_COLUMNS.length;
+        return {
+            x: PV_MARGIN + index * width,
+            y: PV_COLUMN_TOP,
+            width,
+            height: dims.height - PV_COLUMN_TOP - PV_MARGIN
+        };
+    }
+
+    // Bounds of everything already placed, for finding room for new pieces
+    _getOccupied() {
+        const rects = this.pieces.map(piece => {
+            const size = PlaceValueMode.getSize(piece.kind);
+            return { x: piece.x, y: piece.y, width: size.width, height: size.height };
+        });
+        this.getLooseStones().forEach(stone => {
+            rects.push({ x: stone.targetX, y: stone.targetY, width: PV_SPACING, height: PV_SPACING });
+        });
+        return rects;
+    }
+
+    // First spot (row by row) in the piece's column where it overlaps nothing
+    _findFreeSpot(kind) {
+        const column = this._getColumnRect(PV_COLUMNS.findIndex(c => c.kind === kind));
+        const size = PlaceValueMode.getSize(kind);
+        const gap = kind === 'one' ? 4 : 10;
+        const occupied = this._getOccupied();
+        const overlaps = (x, y) => occupied.some(r =>
+            Math.abs(r.x - x) * 2 < r.width + size.width + gap &&
+            Math.abs(r.y - y) * 2 < r.height + size.height + gap
+        );
+
+        for (let y = column.y + size.height / 2 + gap; y + size.height / 2 <= column.y + column.height; y += size.height + gap) {
+            for (let x = column.x + size.width / 2 + gap; x + size.width / 2 <= column.x + column.width; x += size.width + gap) {
+                if (!overlaps(x, y)) return { x, y };
+            }
+        }
+        return { x: column.x + column.width / 2, y: column.y + column.height / 2 };
+    }
+
+    // --- Bundling and breaking ---
+
+    // Ten loose stones touching the dropped one become a rod in the tens column
+    _tryBundleStones(stone) {
+        const cluster = this._gather(stone, this.getLooseStones().filter(s => !s.isDragging),
+            (a, b) => a.distanceTo(b) < PV_TOUCH_DISTANCE);
+        if (cluster.length < 10) return false;
+
+        const ten = cluster.sort((a, b) => a.distanceTo(stone) - b.distanceTo(stone)).slice(0, 10);
+        ten.forEach(s => { s._piece = {}; }); // Keep them out of the free-spot search
+        const spot = this._findFreeSpot('rod');
+        this._makePiece('rod', ten, spot);
+        this.announce('Ten ones make a ten');
+        return true;
+    }
+
+    // Ten rods side by side with the dropped one become a flat in the hundreds column
+    _tryBundleRods(rod) {
+        const rods = this.pieces.filter(p => p.kind === 'rod' && !this._isPieceDragged(p));
+        const cluster = this._gather(rod, rods, (a, b) =>
+            Math.abs(a.x - b.x) < PV_ROD_WIDTH + PV_ROD_TOUCH_GAP &&
+            Math.abs(a.y - b.y) < PV_ROD_HEIGHT + PV_ROD_TOUCH_GAP
+        );
+        if (cluster.length < 10) return false;
+
+        const ten = cluster.sort((a, b) => PlaceValueMode._distance(a, rod) - PlaceValueMode._distance(b, rod)).slice(0, 10);
+        const stones = [];
+        ten.forEach(piece => {
+            this._removePiece(piece);
+            stones.push(...piece.stones);
+        });
+        stones.forEach(s => { s._piece = {}; });
+        const spot = this._findFreeSpot('flat');
+        this._makePiece('flat', stones, spot);
+        this.announce('Ten tens make a hundred');
+        return true;
+    }
+
+    // Everything connected to `start` through `touching`
+    _gather(start, items, touching) {
+        const cluster = [start];
+        const rest = items.filter(item => item !== start);
+        for (let i = 0; i < cluster.length; i++) {
+            for (let j = rest.length - 1; j >= 0; j--) {
+                if (touching(cluster[i], rest[j])) {
+                    cluster.push(rest[j]);
+                    rest.splice(j, 1);
+                }
+            }
+        }
+        return cluster;
+    }
+
+    static _distance(a, b) {
+        return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+    }
+
+    // A flat becomes ten rods, a rod ten loose stones, in the next column right
+    _breakPiece(piece) {
+        this._removePiece(piece);
+        const stones = piece.stones;
+        if (piece.kind === 'flat') {
+            for (let i = 0; i < 10; i++) {
+                const rodStones = stones.slice(i * 10, i * 10 + 10);
+                rodStones.forEach(s => { s._piece = {}; });
+                this._makePiece('rod', rodStones, this._findFreeSpot('rod'));
+            }
+            this.announce('A hundred breaks into ten tens');
+        } else {
+            stones.forEach(s => { s._piece = {}; });
+            stones.forEach(stone => {
+                const spot = this._findFreeSpot('one');
+                stone._piece = null;
+                stone.setTarget(spot.x, spot.y);
+            });
+            this.announce('A ten breaks into ten ones');
+        }
+    }
+
+    _isPieceDragged(piece) {
+        for (const drag of this._pieceDrags.values()) {
+            if (drag.piece === piece) return true;
+        }
+        return false;
+    }
+
+    // --- Frame loop ---
+
+    render() {
+        this.renderer.drawBackground();
+
+        const ctx = this.ctx;
+        const counts = this.getCounts();
+
+        // Columns with their headers and counts
+        PV_COLUMNS.forEach((column, i) => {
+            const rect = this._getColumnRect(i);
+            if (i % 2 === 0) {
+                ctx.save();
+                ctx.fillStyle = PV_COLUMN_FILL;
+                ctx.beginPath();
+                ctx.roundRect(rect.x, rect.y - 70, rect.width, rect.height + 70, 12);
+                ctx.fill();
+                ctx.restore();
+            }
+            const count = counts[column.place];
+            this.renderer.drawText(column.label, rect.x + rect.width / 2, rect.y - 52, {
+                fontSize: 14,
+                color: 'rgba(107, 97, 82, 0.5)'
+            });
+            this.renderer.drawText(String(count), rect.x + rect.width / 2, rect.y - 22, {
+                fontSize: 30,
+                color: count > 9 ? PV_OVERFLOW_COLOR : 'rgba(107, 97, 82, 0.8)'
+            });
+        });
+
+        // The number itself
+        this.renderer.drawText(String(this.getValue()), PV_MARGIN + 10, 38, {
+            fontSize: 34,
+            align: 'left',
+            color: 'rgba(107, 97, 82, 0.8)'
+        });
+
+        // Rods and flats read as one piece
+        this.pieces.forEach(piece => {
+            const size = PlaceValueMode.getSize(piece.kind);
+            const xs = piece.stones.map(s => s.x);
+            const ys = piece.stones.map(s => s.y);
+            const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+            const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+            ctx.save();
+            ctx.fillStyle = PV_FRAME_FILL;
+            ctx.strokeStyle = PV_FRAME_COLOR;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.roundRect(cx - size.width / 2, cy - size.height / 2, size.width, size.height, 6);
+            ctx.fill();
+            ctx.stroke();
+            ctx.restore();
+        });
+
+        this.stones.forEach(stone => stone.draw(ctx));
+
+        this.buttons.forEach(btn => this._drawButton(btn));
+    }
+
+    _drawButton(btn) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        // Background
+        ctx.fillStyle = btn.active ? PV_BTN_BG_ACTIVE : PV_BTN_BG;
+        ctx.strokeStyle = PV_BTN_BORDER;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(btn.x, btn.y, btn.width, btn.height, PV_BTN_RADIUS);
+        ctx.fill();
+        ctx.stroke();
+
+        // Label
+        ctx.font = '13px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.fillStyle = PV_BTN_TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(btn.label, btn.x + btn.width / 2, btn.y + btn.height / 2);
+
+        ctx.restore();
+    }
+
+    _hitTestButton(x, y, btn) {
+        return x >= btn.x && x <= btn.x + btn.width &&
+               y >= btn.y && y <= btn.y + btn.height;
+    }
+
+    // --- Input ---
+
+    onPointerDown(x, y, pointerId) {
+        for (const btn of this.buttons) {
+            if (this._hitTestButton(x, y, btn)) {
+                btn.active = true;
+                this._pressButton(btn.id);
+                setTimeout(() => { btn.active = false; }, 150);
+                return null;
+            }
+        }
+
+        const stone = this.findStoneAtPosition(x, y);
+        if (!stone) return null;
+        const piece = stone._piece;
+
+        // Keyboard "break apart" breaks at once instead of picking up
+        if (pointerId === KEYBOARD_SINGLE_POINTER_ID) {
+            if (piece) {
+                this.recordStep('break');
+                this._breakPiece(piece);
+            }
+            return null;
+        }
+
+        if (piece && this._isPieceDragged(piece)) return null;
+        if (!stone.startDrag()) return null;
+
+        this._pointerStarts.set(pointerId, { x, y, time: this.now() });
+        if (piece) {
+            this._pieceDrags.set(pointerId, { piece, offsetX: x - piece.x, offsetY: y - piece.y });
+            piece.stones.forEach(s => this.moveStoneToTop(s));
+        } else {
+            this.moveStoneToTop(stone);
+        }
+        return stone;
+    }
+
+    _pressButton(id) {
+        const adds = { 'add-one': 'one', 'add-ten': 'rod', 'add-hundred': 'flat' };
+        if (adds[id]) {
+            const value = PV_COLUMNS.find(c => c.kind === adds[id]).value;
+            if (this.getValue() + value > PV_MAX_VALUE) {
+                this.announce(`No more room past ${PV_MAX_VALUE}`);
+                return;
+            }
+            this.recordStep('add');
+            this._addPiece(adds[id]);
+        } else if (id === 'clear') {
+            this.recordStep('clear');
+            this.initWithConfiguration({});
+        }
+    }
+
+    onPointerMove(x, y, draggedStone, pointerId) {
+        const drag = this._pieceDrags.get(pointerId);
+        if (drag) {
+            this._movePiece(drag.piece, x - drag.offsetX, y - drag.offsetY);
+        } else if (draggedStone) {
+            draggedStone.setPosition(x, y);
+        }
+    }
+
+    onPointerUp(x, y, draggedStone, pointerId) {
+        const start = this._pointerStarts.get(pointerId);
+        this._pointerStarts.delete(pointerId);
+        const drag = this._pieceDrags.get(pointerId);
+        this._pieceDrags.delete(pointerId);
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+
+        const isTap = start &&
+            PlaceValueMode._distance(start, { x, y }) < PV_TAP_DISTANCE &&
+            this.now() - start.time < PV_TAP_DURATION;
+
+        if (drag) {
+            if (isTap) {
+                this.recordStep('break');
+                this._breakPiece(drag.piece);
+            } else if (drag.piece.kind === 'rod') {
+                this._tryBundleRods(drag.piece);
+            }
+            return;
+        }
+
+        this._tryBundleStones(draggedStone);
+    }
+
+    onPointerCancel(draggedStone, pointerId) {
+        this._pointerStarts.delete(pointerId);
+        this._pieceDrags.delete(pointerId);
+        if (draggedStone) draggedStone.stopDrag();
+    }
+
+    // --- Screen reader description ---
+
+    // "134: 1 hundred, 2 tens, 14 ones"
+    getAccessibleSummary() {
+        const counts = this.getCounts();
+        const parts = [
+            ModeBase.plural(counts.hundreds, 'hundred'),
+            ModeBase.plural(counts.tens, 'ten'),
+            ModeBase.plural(counts.ones, 'one')
+        ];
+        return `${this.getValue()}: ${parts.join(', ')}`;
+    }
+
+    describeStone(stone) {
+        if (!stone._piece) return 'One stone';
+        return stone._piece.kind === 'flat' ? 'Hundred flat' : 'Ten rod';
+    }
+
+    // --- Keyboard access ---
+
+    // Buttons, loose stones and one stone per rod or flat
+    getFocusTargets() {
+        const buttons = this.buttons.map(button => ({ kind: 'button', button }));
+        const stones = this.pieces.map(piece => piece.stones[0])
+            .concat(this.getLooseStones())
+            .map(stone => ({ kind: 'stone', stone }));
+        return buttons.concat(stones);
+    }
+
+    getKeyboardShortcuts() {
+        return [
+            { key: 'x', label: 'Break apart', pickOne: true }
+        ];
+    }
+
+    // --- Scene serialization ---
+
+    serializeState() {
+        const state = super.serializeState();
+        const origin = this.getSceneOrigin();
+        state.pieces = this.pieces.map(piece => ({
+            id: piece.id,
+            kind: piece.kind,
+            x: piece.x - origin.x,
+            y: piece.y - origin.y,
+            stones: piece.stones.map(s => s.id)
+        }));
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        const origin = this.getSceneOrigin();
+        const byId = new Map(this.stones.map(stone => [stone.id, stone]));
+
+        this._pieceDrags.clear();
+        this._pointerStarts.clear();
+        this.stones.forEach(stone => { stone._piece = null; });
+        this.pieces = (state.pieces || []).map(data => {
+            const piece = {
+                id: data.id,
+                kind: data.kind,
+                x: origin.x + data.x,
+                y: origin.y + data.y,
+                stones: data.stones.map(id => byId.get(id)).filter(Boolean)
+            };
+            piece.stones.forEach(stone => { stone._piece = piece; });
+            this._formPiece(piece);
+            return piece;
+        });
+
+        this.nextPieceId = this.pieces.reduce((max, p) => Math.max(max, p.id), -1) + 1;
+        const maxId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1);
+        this.nextStoneId = maxId + 1;
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.pieces = [];
+        this.nextPieceId = 0;
+        this.nextStoneId = 0;
+        this._pieceDrags.clear();
+        this._pointerStarts.clear();
+    }
+
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        return Object.assign(super.getMetricDefinitions(), {
+            'value': { description: 'Number shown by all the pieces', read: mode => mode.getValue() },
+            'hundreds': { description: 'Hundred flats', read: mode => mode.getCounts().hundreds },
+            'tens': { description: 'Ten rods', read: mode => mode.getCounts().tens },
+            'ones': { description: 'Loose ones', read: mode => mode.getCounts().ones }
+        });
+    }
+
+    static getMetadata() {
+        return {
+            id: 'place-value',
+            name: 'Place Value',
+            icon: '🧮',
+            description: 'Ones, tens and hundreds',
+            stateVersion: 1
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlaceValueMode };
+}
@@ -1,13 +1,22 @@
 // StackBalanceMode - Spatial reasoning and stability
 // Enhanced: fixed physics, rearrangeable stacks, color proximity blending
+//
+// Config (initWithConfiguration, challenge initialConfig):
+//   { tray: [{ size: 1.2, color: 'red' }, 0.9], stacked: [1.3, 1], platformWidth: 120 }
+// A stone is a size (radius x STONE_RADIUS, 0.7 - 1.3) or { size, color }, the
+// color a STACK_COLOR_NAMES name or hex (random when left out). tray can also be a
+// count of random stones. stacked stones start on the platform, bottom first.
 
 const GRAVITY = 400; // Pixels per second squared
 const PLATFORM_HEIGHT = 8;
 const PLATFORM_COLOR = '#8b7d6b';
+const STACK_PLATFORM_WIDTH = 200;
 const WOBBLE_DURATION = 0.8; // seconds before topple
+const STACK_SOLVER_SETTLE_TIME = 2.0; // Seconds a challenge checker move waits for the stack to settle
 const TOPPLE_FORCE = 150;
 const LANDING_SNAP_THRESHOLD = 10;
 const STABILITY_TOLERANCE = 0.6;
+const STACK_LEAN_THRESHOLD = 0.2; // Tilt (see _isStackStable) described as leaning
 const RESTING_VELOCITY_THRESHOLD = 5; // Below this, stone is at rest
 const COLOR_BLEND_SPEED = 3; // How fast colors blend per second
 const NEIGHBOR_RADIUS_FACTOR = 1.5; // Multiplier for neighbor detection
@@ -26,6 +35,17 @@ const STACK_COLORS = [
     '#6b6152', // earth tone 4
 ];
 
+// Names a challenge config can use instead of hex values
+const STACK_COLOR_NAMES = {
+    red: '#C75B5B',
+    blue: '#5B8FC7',
+    green: '#5BA87A',
+    orange: '#D4943A',
+    purple: '#8B6BAE',
+    yellow: '#C7A83B',
+    earth: '#8b7d6b'
+};
+
 // Color categories for reactions
 const WARM_COLORS = ['#C75B5B', '#D4943A', '#C7A83B'];
 const COOL_COLORS = ['#5B8FC7', '#5BA87A', '#8B6BAE'];
@@ -54,7 +74,8 @@ function _areComplementary(c1, c2) {
 class StackBalanceMode extends ModeBase {
     constructor(canvas, ctx, renderer) {
         super(canvas, ctx, renderer);
-        this.platform = { x: 0, y: 0, width: 200 };
+        this.usesFixedTimestep = true;
+        this.platform = { x: 0, y: 0, width: STACK_PLATFORM_WIDTH };
         this.stackedStones = [];
         this.fallingStones = [];
         this.availableStones = [];
@@ -75,6 +96,7 @@ class StackBalanceMode extends ModeBase {
         // Position platform near bottom
         this.platform.x = center.x;
         this.platform.y = dims.height - 100;
+        this.platform.width = STACK_PLATFORM_WIDTH;
 
         // Create 10 stones at top area with varying sizes and colors
         const stoneCount = 10;
@@ -83,44 +105,96 @@ class StackBalanceMode extends ModeBase {
         const spacing = trayWidth / (stoneCount - 1);
 
         for (let i = 0; i < stoneCount; i++) {
-            const radiusVariation = STONE_RADIUS * (0.7 + Math.random() * 0.6);
+            const radiusVariation = STONE_RADIUS * Random.range(0.7, 1.3);
             const x = startX + i * spacing;
-            const y = 60 + Math.random() * 20;
-            const baseColor = STACK_COLORS[Math.floor(Math.random() * STACK_COLORS.length)];
+            const y = 60 + Random.range(0, 20);
+            const baseColor = Random.pick(STACK_COLORS);
 
             const stone = new Stone(x, y, this.nextStoneId++, {
                 radius: radiusVariation,
                 mass: radiusVariation / STONE_RADIUS,
                 color: baseColor
             });
-            stone._originalX = x;
-            stone._originalY = y;
-            stone._vy = 0;
-            stone._vx = 0;
-            stone._rotation = 0;
-            stone._rotationSpeed = 0;
-            stone._isStacked = false;
-            stone._isFalling = false;
-            stone._isToppling = false;
-            stone._isResting = false; // New: resting state to prevent jitter
+            this._initStackStone(stone, baseColor);
 
-            // Wobble properties
-            stone._wobblePhase = 0;
-            stone._wobbleAmplitude = 0;
+            this.availableStones.push(stone);
+            this.addStone(stone);
+        }
+    }
 
-            // Color reaction properties
-            stone._glowIntensity = 0;
-            stone._glowColor = null;
-            stone._sparkTime = 0;
+    // Challenge setup (see top of file)
+    initWithConfiguration(config) {
+        this.stones = [];
+        this.availableStones = [];
+        this.stackedStones = [];
+        this.fallingStones = [];
+        this.isToppling = false;
+        this.toppleTimer = 0;
+        this.wobbleAmount = 0;
+        this.nextStoneId = 0;
+        this.platform.width = config.platformWidth || STACK_PLATFORM_WIDTH;
 
-            // Color blending properties
-            stone._baseColor = baseColor;
-            stone._displayColor = baseColor;
-            stone._targetDisplayColor = baseColor;
+        const spec = entry => {
+            const { size = Random.range(0.7, 1.3), color } = typeof entry === 'number' ? { size: entry } : entry;
+            return { size, color: STACK_COLOR_NAMES[color] || color || Random.pick(STACK_COLORS) };
+        };
+        let tray = config.tray !== undefined ? config.tray : 10;
+        if (typeof tray === 'number') tray = Array.from({ length: tray }, () => ({}));
+        const stacked = (config.stacked || []).map(spec);
+        const stones = tray.map(spec).concat(stacked);
 
-            this.availableStones.push(stone);
+        // Every stone gets a tray spot; stacked ones go back there when dropped off the platform
+        const center = this.renderer.getCenter();
+        const trayWidth = this.renderer.getDimensions().width * 0.8;
+        const spacing = stones.length > 1 ? trayWidth / (stones.length - 1) : 0;
+        const startX = stones.length > 1 ? center.x - trayWidth / 2 : center.x;
+        let stackTop = this._getPlatformTop();
+
+        stones.forEach(({ size, color }, i) => {
+            const radius = STONE_RADIUS * size;
+            const stone = new Stone(startX + i * spacing, 70, this.nextStoneId++, { radius, mass: size, color });
+            this._initStackStone(stone, color);
             this.addStone(stone);
-        }
+
+            if (i < tray.length) {
+                this.availableStones.push(stone);
+                return;
+            }
+            stone.setPosition(this.platform.x, stackTop - radius);
+            stackTop -= radius * 2;
+            stone._isStacked = true;
+            stone._isResting = true;
+            this.stackedStones.push(stone);
+        });
+        this._updateStackHeight();
+    }
+
+    // Attach the per-stone physics/visual state this mode tracks
+    _initStackStone(stone, baseColor) {
+        stone._originalX = stone.x;
+        stone._originalY = stone.y;
+        stone._vy = 0;
+        stone._vx = 0;
+        stone._rotation = 0;
+        stone._rotationSpeed = 0;
+        stone._isStacked = false;
+        stone._isFalling = false;
+        stone._isToppling = false;
+        stone._isResting = false; // New: resting state to prevent jitter
+
+        // Wobble properties
+        stone._wobblePhase = 0;
+        stone._wobbleAmplitude = 0;
+
+        // Color reaction properties
+        stone._glowIntensity = 0;
+        stone._glowColor = null;
+        stone._sparkTime = 0;
+
+        // Color blending properties
+        stone._baseColor = baseColor;
+        stone._displayColor = baseColor;
+        stone._targetDisplayColor = baseColor;
     }
 
     _getPlatformTop() {
@@ -223,6 +297,8 @@ class StackBalanceMode extends ModeBase {
     }
 
     _startTopple(tiltDirection) {
+        this.recordStep('topple');
+        this.announce('The stack toppled');
         this.isToppling = true;
         this.toppleTimer = 0;
 
@@ -232,9 +308,9 @@ class StackBalanceMode extends ModeBase {
             stone._isResting = false;
 
             const heightFactor = 1 + (this.stackedStones.length - i) * 0.3;
-            stone._vx = tiltDirection * TOPPLE_FORCE * heightFactor * (0.8 + Math.random() * 0.4);
-            stone._vy = -50 * Math.random();
-            stone._rotationSpeed = tiltDirection * (2 + Math.random() * 3);
+            stone._vx = tiltDirection * TOPPLE_FORCE * heightFactor * Random.range(0.8, 1.2);
+            stone._vy = -50 * Random.next();
+            stone._rotationSpeed = tiltDirection * Random.range(2, 5);
         });
 
         this.fallingStones.push(...this.stackedStones);
@@ -389,8 +465,6 @@ class StackBalanceMode extends ModeBase {
     }
 
     update(deltaTime) {
-        if (deltaTime > 0.1) deltaTime = 0.1; // Clamp large delta times
-
         const dims = this.renderer.getDimensions();
         const platformTop = this._getPlatformTop();
 
@@ -449,7 +523,7 @@ class StackBalanceMode extends ModeBase {
                     const bounceFactor = impactSpeed > 200 ? 0.35 : impactSpeed > 100 ? 0.2 : 0.1;
                     stone._vy = -stone._vy * bounceFactor;
                     // Slight horizontal scatter on bounce
-                    stone._vx = stone._vx * 0.5 + (Math.random() - 0.5) * impactSpeed * 0.05;
+                    stone._vx = stone._vx * 0.5 + Random.range(-0.5, 0.5) * impactSpeed * 0.05;
 
                     // If velocity is still very small after bounce, just land it
                     if (Math.abs(stone._vy) < RESTING_VELOCITY_THRESHOLD) {
@@ -745,17 +819,157 @@ class StackBalanceMode extends ModeBase {
             draggedStone._vx = 0;
             this.fallingStones.push(draggedStone);
         } else {
-            // Return to original position (if still an available stone)
-            if (draggedStone._originalX !== undefined) {
-                draggedStone.setTarget(draggedStone._originalX, draggedStone._originalY);
-                // Re-add to available if not already there
-                if (!this.availableStones.includes(draggedStone)) {
-                    this.availableStones.push(draggedStone);
-                }
+            this._returnToTray(draggedStone);
+        }
+    }
+
+    onPointerCancel(draggedStone) {
+        // An interrupted drag puts the stone back in the tray
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+        this._returnToTray(draggedStone);
+    }
+
+    _returnToTray(stone) {
+        // Return to original position (if still an available stone)
+        if (stone._originalX !== undefined) {
+            stone.setTarget(stone._originalX, stone._originalY);
+            // Re-add to available if not already there
+            if (!this.availableStones.includes(stone)) {
+                this.availableStones.push(stone);
             }
         }
     }
 
+    // --- Screen reader description ---
+
+    // "Stack height 4, leaning right"
+    getAccessibleSummary() {
+        if (this.isToppling) return 'The stack is falling';
+        const height = this.stackedStones.length;
+        if (height === 0) return `Stack is empty; ${ModeBase.plural(this.availableStones.length, 'stone')} in the tray`;
+
+        const { tilt } = this._isStackStable();
+        let lean = 'standing straight';
+        if (tilt > STACK_LEAN_THRESHOLD) lean = 'leaning right';
+        if (tilt < -STACK_LEAN_THRESHOLD) lean = 'leaning left';
+        return `Stack height ${height}, ${lean}`;
+    }
+
+    describeStone(stone) {
+        if (stone._isStacked) {
+            return `Stone on the stack, level ${this.stackedStones.indexOf(stone) + 1}`;
+        }
+        return stone._isFalling ? 'Stone, falling' : 'Stone in the tray';
+    }
+
+    // --- Keyboard access ---
+
+    getKeyboardShortcuts() {
+        return [
+            { key: 'd', label: 'Drop on stack', place: (stone) => this._getStackDropPoint(stone) }
+        ];
+    }
+
+    // Just above the top of the stack, over its highest stone
+    _getStackDropPoint(stone) {
+        const others = this.stackedStones.filter(s => s !== stone);
+        const top = others.reduce((highest, s) => (!highest || s.y < highest.y ? s : highest), null);
+        const x = top ? top.x : this.platform.x;
+        const stackTop = top ? top.y - top.radius : this._getPlatformTop();
+        // Stay below the tray strip, or the release counts as putting it back
+        return { x, y: Math.max(130, stackTop - stone.radius - 30) };
+    }
+
+    // --- Challenge checking ---
+
+    // The keyboard drops, each given time to land and wobble (or fall) before
+    // the stack is counted
+    getSolverMoves() {
+        return super.getSolverMoves().map(move => Object.assign(move, { settle: STACK_SOLVER_SETTLE_TIME }));
+    }
+
+    // --- Scene serialization ---
+
+    // Stones are stored relative to the platform center
+    getSceneOrigin() {
+        return { x: this.platform.x, y: this.platform.y };
+    }
+
+    serializeState() {
+        const state = super.serializeState();
+        const origin = this.getSceneOrigin();
+
+        state.stones.forEach((data, i) => {
+            const stone = this.stones[i];
+            // Stacked stones display a blend of their neighbors; save the real color
+            data.color = stone._baseColor || stone.color;
+            if (stone._originalX !== undefined) {
+                data.home = { x: stone._originalX - origin.x, y: stone._originalY - origin.y };
+            }
+            if (stone._vx || stone._vy || stone._isToppling) {
+                data.fall = {
+                    vx: stone._vx,
+                    vy: stone._vy,
+                    rotation: stone._rotation,
+                    rotationSpeed: stone._rotationSpeed,
+                    toppling: !!stone._isToppling
+                };
+            }
+        });
+
+        state.available = this.availableStones.map(s => s.id);
+        state.stacked = this.stackedStones.map(s => s.id);
+        state.falling = this.fallingStones.map(s => s.id);
+        state.platformWidth = this.platform.width;
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        const origin = this.getSceneOrigin();
+        const records = state.stones || [];
+
+        this.stones.forEach((stone, i) => {
+            const data = records[i];
+            this._initStackStone(stone, data.color);
+            if (data.home) {
+                stone._originalX = origin.x + data.home.x;
+                stone._originalY = origin.y + data.home.y;
+            }
+            if (data.fall) {
+                stone._vx = data.fall.vx;
+                stone._vy = data.fall.vy;
+                stone._rotation = data.fall.rotation;
+                stone._rotationSpeed = data.fall.rotationSpeed;
+                stone._isToppling = data.fall.toppling;
+            }
+        });
+
+        const byId = new Map(this.stones.map(stone => [stone.id, stone]));
+        const lookup = ids => (ids || []).map(id => byId.get(id)).filter(Boolean);
+
+        this.availableStones = lookup(state.available);
+        this.stackedStones = lookup(state.stacked);
+        this.fallingStones = lookup(state.falling);
+        this.stackedStones.forEach(stone => {
+            stone._isStacked = true;
+            stone._isResting = true;
+        });
+        this.fallingStones.forEach(stone => {
+            stone._isFalling = !stone._isToppling;
+        });
+
+        if (state.platformWidth) this.platform.width = state.platformWidth;
+        this.isToppling = this.fallingStones.some(s => s._isToppling);
+        this.toppleTimer = 0;
+        this.wobbleAmount = 0;
+        this._updateStackHeight();
+
+        const maxId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1);
+        this.nextStoneId = maxId + 1;
+    }
+
     cleanup() {
         super.cleanup();
         this.stackedStones = [];
@@ -768,12 +982,47 @@ class StackBalanceMode extends ModeBase {
         this.nextStoneId = 0;
     }
 
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        return Object.assign(super.getMetricDefinitions(), {
+            'stack-height': { description: 'Stones in the stack', read: mode => mode.stackHeight },
+            'unused-count': { description: 'Stones still in the tray', read: mode => mode.availableStones.length },
+            'center-offset': {
+                description: 'Distance (px) from the platform centre to the stack\'s centre of mass, null with no stack',
+                read: mode => {
+                    const com = mode._calculateCenterOfMass();
+                    return com.totalMass === 0 ? null : Math.abs(com.x - mode.platform.x);
+                }
+            },
+            'toppling': { description: 'The stack is falling over', read: mode => mode.isToppling },
+            'matching-neighbors': {
+                description: 'Two or more stacked stones, each touching one of its own color',
+                read: mode => mode.stackedStones.length >= 2 && mode.stackedStones.every(stone =>
+                    mode.stackedStones.some(other => other !== stone && other._baseColor === stone._baseColor &&
+                        stone.distanceTo(other) < (stone.radius + other.radius) * 1.5))
+            },
+            'all-warm': {
+                description: 'A stack of only warm-colored stones',
+                read: mode => mode.stackedStones.length > 0 && mode.stackedStones.every(s => _getColorCategory(s._baseColor) === 'warm')
+            }
+        });
+    }
+
+    // Stacked stones bottom to top (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        state.stack = this.stackedStones.map(s => ({ mass: s.mass, color: s._baseColor }));
+        state.platformWidth = this.platform.width;
+        return state;
+    }
+
     static getMetadata() {
         return {
             id: 'stack-balance',
             name: 'Stack',
             icon: '🏛️',
-            description: 'Stacking and spatial balance'
+            description: 'Stacking and spatial balance',
+            stateVersion: 1
         };
     }
 }
@@ -0,0 +1,575 @@
+// TenFrameMode - Ten-frames with cells that stones snap into
+// Each frame is NumberStructure's ten-block (2 rows of 5), filled top row first.
+// Beside each frame: how many are in it and how many more make ten.
+// "Make ten" regroups two frames the way the addition strategy does:
+// 8 + 5 -> the 5 gives 2 to the 8 -> 10 + 3, one stone at a time.
+//
+// Config (initWithConfiguration, challenge initialConfig):
+//   { frames: 2, filled: [8, 5], loose: 3 }
+
+const TF_CELL_SIZE = 64;
+const TF_STONE_RADIUS = 26;
+const TF_FRAME_GAP = 50;           // Between stacked frames
+const TF_FRAMES_TOP = 130;
+const TF_MAX_FRAMES = 3;
+const TF_TRAY_SPACING = 60;
+const TF_MOVE_STAGGER = 0.25;      // Seconds between stones moving when making ten
+const TF_SOLVER_MAKE_TEN_SETTLE = 10 * TF_MOVE_STAGGER + 0.5; // Challenge checker wait for a make-ten
+const TF_FRAME_COLOR = 'rgba(139, 125, 107, 0.55)';
+const TF_CELL_FILL = 'rgba(139, 125, 107, 0.08)';
+const TF_FULL_COLOR = 'rgba(120, 150, 100, 0.85)';  // A full frame's count
+const TF_TRAY_FILL = 'rgba(139, 125, 107, 0.1)';
+
+// Button styling constants
+const TF_BTN_BG = 'rgba(139, 125, 107, 0.15)';
+const TF_BTN_BG_ACTIVE = 'rgba(139, 125, 107, 0.3)';
+const TF_BTN_BORDER = 'rgba(139, 125, 107, 0.3)';
+const TF_BTN_TEXT = 'rgba(107, 97, 82, 0.7)';
+const TF_BTN_RADIUS = 10;
+
+class TenFrameMode extends ModeBase {
+    constructor(canvas, ctx, renderer) {
+        super(canvas, ctx, renderer);
+        this.usesFixedTimestep = true;
+        this.frames = [];       // Each { cells: [stone or null] x 10 }, cells in fill order
+        this.nextStoneId = 0;
+        this.buttons = [];
+        this._moves = [];       // Make-ten animation: { stone, delay } waiting to glide to its cell
+        this._pickups = new Map(); // pointerId -> { frame, cell } the held stone came from
+    }
+
+    init() {
+        super.init();
+        this._initButtons();
+        this.initWithConfiguration({ frames: 2, filled: [8, 5], loose: 4 });
+    }
+
+    _initButtons() {
+        const dims = this.renderer.getDimensions();
+        const btnY = 20;
+        const btnH = 36;
+
+        this.buttons = [
+            {
+                id: 'make-ten',
+                x: dims.width - 250, y: btnY,
+                width: 125, height: btnH,
+                label: '⇄ Make ten',
+                active: false
+            },
+            {
+                id: 'clear',
+                x: dims.width - 115, y: btnY,
+                width: 95, height: btnH,
+                label: '↺ Clear',
+                active: false
+            }
+        ];
+    }
+
+    // Set up frames, stones already in them and stones in the tray (see top of file)
+    initWithConfiguration(config) {
+        this.stones = [];
+        this.nextStoneId = 0;
+        this._moves = [];
+        this._pickups.clear();
+
+        const frameCount = Math.max(1, Math.min(TF_MAX_FRAMES, config.frames || 2));
+        this.frames = [];
+        for (let i = 0; i < frameCount; i++) {
+            this.frames.push({ cells: new Array(10).fill(null) });
+        }
+
+        (config.filled || []).slice(0, frameCount).forEach((count, frame) => {
+            for (let cell = 0; cell < Math.min(10, count); cell++) {
+                const pos = this.getCellPosition(frame, cell);
+                this._setCell(frame, cell, this._createStone(pos.x, pos.y));
+            }
+        });
+
+        for (let i = 0; i < (config.loose || 0); i++) {
+            const pos = this._getTraySlot(i);
+            this._createStone(pos.x, pos.y);
+        }
+    }
+
+    _createStone(x, y) {
+        const stone = new Stone(x, y, this.nextStoneId++, { radius: TF_STONE_RADIUS });
+        stone._frame = null;
+        stone._cell = null;
+        this.addStone(stone);
+        return stone;
+    }
+
+    // --- Frames ---
+
+    // Frames are stacked down the left two thirds of the screen
+    getFrameRect(frame) {
+        const dims = this.renderer.getDimensions();
+        const width = TF_CELL_SIZE * 5;
+        const height = TF_CELL_SIZE * 2;
+        return {
+            x: dims.width * 0.4 - width / 2,
+            y: TF_FRAMES_TOP + frame * (height + TF_FRAME_GAP),
+            width,
+            height
+        };
+    }
+
+    getCellPosition(frame, cell) {
+        const rect = this.getFrameRect(frame);
+        const offset = NumberStructure.getScaledPattern(10, TF_CELL_SIZE)[cell];
+        return { x: rect.x + rect.width / 2 + offset.x, y: rect.y + rect.height / 2 + offset.y };
+    }
+
+    getFilled(frame) {
+        return this.frames[frame].cells.filter(Boolean).length;
+    }
+
+    getFullFrameCount() {
+        return this.frames.filter((f, i) => this.getFilled(i) === 10).length;
+    }
+
+    getLooseStones() {
+        return this.stones.filter(stone => stone._frame === null);
+    }
+
+    _setCell(frame, cell, stone) {
+        this.frames[frame].cells[cell] = stone;
+        stone._frame = frame;
+        stone._cell = cell;
+    }
+
+    _clearCell(stone) {
+        if (stone._frame === null) return;
+        this.frames[stone._frame].cells[stone._cell] = null;
+        stone._frame = null;
+        stone._cell = null;
+    }
+
+    _firstEmptyCell(frame) {
+        return this.frames[frame].cells.indexOf(null);
+    }
+
+    _findFrameAt(x, y) {
+        return this.frames.findIndex((f, i) => {
+            const rect = this.getFrameRect(i);
+            return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+        });
+    }
+
+    _findCellAt(frame, x, y) {
+        const rect = this.getFrameRect(frame);
+        const col = Math.floor((x - rect.x) / TF_CELL_SIZE);
+        const row = Math.floor((y - rect.y) / TF_CELL_SIZE);
+        if (col < 0 || col > 4 || row < 0 || row > 1) return -1;
+        return row * 5 + col;
+    }
+
+    // Tray along the bottom, for loose stones
+    _getTrayRect() {
+        const dims = this.renderer.getDimensions();
+        return { x: 40, y: dims.height - 110, width: dims.width - 80, height: 70 };
+    }
+
+    _getTraySlot(index) {
+        const tray = this._getTrayRect();
+        const perRow = Math.max(1, Math.floor(tray.width / TF_TRAY_SPACING));
+        return {
+            x: tray.x + TF_TRAY_SPACING / 2 + (index % perRow) * TF_TRAY_SPACING,
+            y: tray.y + tray.height / 2 - Math.floor(index / perRow) * TF_TRAY_SPACING
+        };
+    }
+
+    // First tray slot with no stone resting in it
+    _freeTraySlot() {
+        const loose = this.getLooseStones();
+        for (let i = 0; ; i++) {
+            const slot = this._getTraySlot(i);
+            const taken = loose.some(s => !s.isDragging &&
+                Math.abs(s.targetX - slot.x) < TF_TRAY_SPACING / 2 && Math.abs(s.targetY - slot.y) < TF_TRAY_SPACING / 2);
+            if (!taken) return slot;
+        }
+    }
+
+    // --- Make ten ---
+
+    // The fullest frame that isn't full takes stones from the others (the last
+    // frames' last stones first) until it holds ten; those frames close up.
+    makeTen() {
+        const counts = this.frames.map((f, i) => this.getFilled(i));
+        const candidates = counts.map((count, i) => i).filter(i => counts[i] > 0 && counts[i] < 10);
+        if (candidates.length === 0) {
+            this.announce('No frame to make ten in');
+            return false;
+        }
+        const target = candidates.reduce((best, i) => (counts[i] > counts[best] ? i : best));
+
+        const givers = [];
+        for (let i = this.frames.length - 1; i >= 0; i--) {
+            if (i === target) continue;
+            const cells = this.frames[i].cells;
+            for (let c = 9; c >= 0; c--) {
+                if (cells[c]) givers.push(cells[c]);
+            }
+        }
+        if (givers.length === 0) {
+            this.announce('No stones in the other frames to make ten with');
+            return false;
+        }
+
+        const before = counts.filter(count => count > 0);
+        const moving = givers.slice(0, 10 - counts[target]);
+        moving.forEach((stone, i) => {
+            this._clearCell(stone);
+            this._setCell(target, this._firstEmptyCell(target), stone);
+            this._queueMove(stone, i * TF_MOVE_STAGGER);
+        });
+
+        // Close up the frames that gave, once the moving stones are on their way
+        const settleDelay = moving.length * TF_MOVE_STAGGER;
+        this.frames.forEach((frame, i) => {
+            if (i !== target) this._compactFrame(i, settleDelay);
+        });
+
+        const after = this.frames.map((f, i) => this.getFilled(i)).filter(count => count > 0);
+        this.announce(`${before.join(' and ')} make ${after.join(' and ')}`);
+        return true;
+    }
+
+    // Slide a frame's stones into its first cells, keeping their order
+    _compactFrame(frame, delay) {
+        const stones = this.frames[frame].cells.filter(Boolean);
+        stones.forEach(stone => this._clearCell(stone));
+        stones.forEach((stone, cell) => {
+            this._setCell(frame, cell, stone);
+            this._queueMove(stone, delay);
+        });
+    }
+
+    _queueMove(stone, delay) {
+        this._moves = this._moves.filter(move => move.stone !== stone);
+        this._moves.push({ stone, delay });
+    }
+
+    // --- Frame loop ---
+
+    update(deltaTime) {
+        // Start the make-ten glides whose turn has come
+        this._moves = this._moves.filter(move => {
+            move.delay -= deltaTime;
+            if (move.delay > 0) return true;
+            if (move.stone._frame !== null && !move.stone.isDragging) {
+                const pos = this.getCellPosition(move.stone._frame, move.stone._cell);
+                move.stone.setTarget(pos.x, pos.y);
+            }
+            return false;
+        });
+
+        super.update(deltaTime);
+    }
+
+    render() {
+        this.renderer.drawBackground();
+        const ctx = this.ctx;
+
+        // Tray
+        const tray = this._getTrayRect();
+        ctx.save();
+        ctx.fillStyle = TF_TRAY_FILL;
+        ctx.beginPath();
+        ctx.roundRect(tray.x, tray.y, tray.width, tray.height, 14);
+        ctx.fill();
+        ctx.restore();
+
+        this.frames.forEach((frame, i) => this._drawFrame(i));
+
+        this.stones.forEach(stone => stone.draw(ctx));
+
+        this.buttons.forEach(btn => this._drawButton(btn));
+    }
+
+    _drawFrame(index) {
+        const ctx = this.ctx;
+        const rect = this.getFrameRect(index);
+        const filled = this.getFilled(index);
+
+        ctx.save();
+        ctx.fillStyle = TF_CELL_FILL;
+        ctx.strokeStyle = TF_FRAME_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        ctx.fill();
+
+        // Cell walls
+        for (let col = 1; col < 5; col++) {
+            ctx.moveTo(rect.x + col * TF_CELL_SIZE, rect.y);
+            ctx.lineTo(rect.x + col * TF_CELL_SIZE, rect.y + rect.height);
+        }
+        ctx.moveTo(rect.x, rect.y + TF_CELL_SIZE);
+        ctx.lineTo(rect.x + rect.width, rect.y + TF_CELL_SIZE);
+        ctx.stroke();
+        ctx.restore();
+
+        // Count, and how many more make ten
+        const textX = rect.x + rect.width + 30;
+        this.renderer.drawText(String(filled), textX, rect.y + rect.height / 2 - 12, {
+            fontSize: 34,
+            align: 'left',
+            color: filled === 10 ? TF_FULL_COLOR : 'rgba(107, 97, 82, 0.8)'
+        });
+        const need = filled === 10 ? 'ten!' : `${10 - filled} more make ten`;
+        this.renderer.drawText(need, textX, rect.y + rect.height / 2 + 22, {
+            fontSize: 14,
+            align: 'left',
+            color: 'rgba(107, 97, 82, 0.55)'
+        });
+    }
+
+    _drawButton(btn) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        // Background
+        ctx.fillStyle = btn.active ? TF_BTN_BG_ACTIVE : TF_BTN_BG;
+        ctx.strokeStyle = TF_BTN_BORDER;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.roundRect(btn.x, btn.y, btn.width, btn.height, TF_BTN_RADIUS);
+        ctx.fill();
+        ctx.stroke();
+
+        // Label
+        ctx.font = '13px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.fillStyle = TF_BTN_TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(btn.label, btn.x + btn.width / 2, btn.y + btn.height / 2);
+
+        ctx.restore();
+    }
+
+    _hitTestButton(x, y, btn) {
+        return x >= btn.x && x <= btn.x + btn.width &&
+               y >= btn.y && y <= btn.y + btn.height;
+    }
+
+    // --- Input ---
+
+    onPointerDown(x, y, pointerId) {
+        for (const btn of this.buttons) {
+            if (this._hitTestButton(x, y, btn)) {
+                btn.active = true;
+                this._pressButton(btn.id);
+                setTimeout(() => { btn.active = false; }, 150);
+                return null;
+            }
+        }
+
+        const stone = this.findStoneAtPosition(x, y);
+        if (!stone || !stone.startDrag()) return null;
+
+        this._moves = this._moves.filter(move => move.stone !== stone);
+        this._pickups.set(pointerId, { frame: stone._frame, cell: stone._cell });
+        this._clearCell(stone);
+        this.moveStoneToTop(stone);
+        return stone;
+    }
+
+    _pressButton(id) {
+        if (id === 'make-ten') {
+            this.recordStep('make-ten');
+            this.makeTen();
+        } else if (id === 'clear') {
+            this.recordStep('clear');
+            this.frames.forEach(frame => {
+                frame.cells.filter(Boolean).forEach(stone => {
+                    this._clearCell(stone);
+                    const slot = this._freeTraySlot();
+                    stone.setTarget(slot.x, slot.y);
+                });
+            });
+            this._moves = [];
+        }
+    }
+
+    onPointerMove(x, y, draggedStone) {
+        if (draggedStone) draggedStone.setPosition(x, y);
+    }
+
+    onPointerUp(x, y, draggedStone, pointerId) {
+        this._pickups.delete(pointerId);
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+
+        const frame = this._findFrameAt(x, y);
+        if (frame === -1) return; // Loose stones stay where they are put
+
+        let cell = this._findCellAt(frame, x, y);
+        if (cell === -1 || this.frames[frame].cells[cell]) cell = this._firstEmptyCell(frame);
+        if (cell === -1) {
+            // Full frame: back to the tray
+            const slot = this._freeTraySlot();
+            draggedStone.setTarget(slot.x, slot.y);
+            this.announce(`Frame ${frame + 1} is full`);
+            return;
+        }
+
+        this._setCell(frame, cell, draggedStone);
+        const pos = this.getCellPosition(frame, cell);
+        draggedStone.setTarget(pos.x, pos.y);
+        if (this.getFilled(frame) === 10) this.announce(`Frame ${frame + 1} makes ten`);
+    }
+
+    onPointerCancel(draggedStone, pointerId) {
+        const from = this._pickups.get(pointerId);
+        this._pickups.delete(pointerId);
+        if (!draggedStone) return;
+        draggedStone.stopDrag();
+
+        // Back where it came from
+        if (from && from.frame !== null && !this.frames[from.frame].cells[from.cell]) {
+            this._setCell(from.frame, from.cell, draggedStone);
+            const pos = this.getCellPosition(from.frame, from.cell);
+            draggedStone.setTarget(pos.x, pos.y);
+        }
+    }
+
+    // --- Screen reader description ---
+
+    // "Frame 1: 8, 2 more make ten; frame 2: 5, 5 more make ten; 4 loose stones"
+    getAccessibleSummary() {
+        const frames = this.frames.map((f, i) => {
+            const filled = this.getFilled(i);
+            const need = filled === 10 ? 'full' : `${10 - filled} more make ten`;
+            return `${i === 0 ? 'Frame' : 'frame'} ${i + 1}: ${filled}, ${need}`;
+        });
+        return `${frames.join('; ')}; ${ModeBase.plural(this.getLooseStones().length, 'loose stone')}`;
+    }
+
+    describeStone(stone) {
+        return stone._frame === null ? 'Loose stone' : `Stone in frame ${stone._frame + 1}`;
+    }
+
+    // --- Keyboard access ---
+
+    // 1-3 put the stone in the first empty cell of that frame, T back in the tray
+    getKeyboardShortcuts() {
+        const shortcuts = this.frames.map((frame, i) => ({
+            key: String(i + 1),
+            label: `Frame ${i + 1}`,
+            place: () => {
+                const cell = this._firstEmptyCell(i);
+                if (cell !== -1) return this.getCellPosition(i, cell);
+                const rect = this.getFrameRect(i);
+                return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+            }
+        }));
+        shortcuts.push({ key: 't', label: 'Back to tray', place: () => this._freeTraySlot() });
+        return shortcuts;
+    }
+
+    // --- Challenge checking ---
+
+    // The buttons, and the last stone of each frame (and one from the tray) to
+    // every other place: stones in the same place are interchangeable
+    getSolverMoves() {
+        const moves = super.getSolverMoves().filter(move => move.button);
+        moves.forEach(move => {
+            if (move.button === 'make-ten') move.settle = TF_SOLVER_MAKE_TEN_SETTLE;
+        });
+
+        // Shortcuts go frame 1, 2, ... then the tray, the same order as these
+        const shortcuts = this.getKeyboardShortcuts();
+        const stones = this.frames.map(frame => frame.cells.filter(Boolean).pop())
+            .concat(this.getLooseStones()[0]);
+        stones.forEach((stone, from) => {
+            if (!stone) return;
+            shortcuts.forEach((shortcut, to) => {
+                if (to === from) return;
+                moves.push({ label: `${shortcut.label}: ${this.describeStone(stone)}`, stone, to: shortcut.place(stone) });
+            });
+        });
+        return moves;
+    }
+
+    // --- Scene serialization ---
+
+    serializeState() {
+        const state = super.serializeState();
+        state.frames = this.frames.map(frame => frame.cells.map(stone => (stone ? stone.id : null)));
+        return state;
+    }
+
+    deserializeState(state) {
+        super.deserializeState(state);
+        const byId = new Map(this.stones.map(stone => [stone.id, stone]));
+
+        this._moves = [];
+        this._pickups.clear();
+        this.stones.forEach(stone => {
+            stone._frame = null;
+            stone._cell = null;
+        });
+        this.frames = (state.frames || []).map(() => ({ cells: new Array(10).fill(null) }));
+        (state.frames || []).forEach((cells, frame) => {
+            cells.forEach((id, cell) => {
+                const stone = id === null ? null : byId.get(id);
+                if (!stone) return;
+                this._setCell(frame, cell, stone);
+                // A stone caught mid-regroup finishes its glide
+                const pos = this.getCellPosition(frame, cell);
+                stone.setTarget(pos.x, pos.y);
+            });
+        });
+
+        const maxId = this.stones.reduce((max, s) => (typeof s.id === 'number' ? Math.max(max, s.id) : max), -1);
+        this.nextStoneId = maxId + 1;
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.frames = [];
+        this.nextStoneId = 0;
+        this._moves = [];
+        this._pickups.clear();
+    }
+
+    // Metrics for challenge goals (see ModeBase.getMetricDefinitions)
+    static getMetricDefinitions() {
+        return Object.assign(super.getMetricDefinitions(), {
+            'full-frames': { description: 'Frames holding ten', read: mode => mode.getFullFrameCount() },
+            'frame-count': {
+                description: 'Stones in frame args.frame (1-based), or in all frames without it',
+                read: (mode, args) => {
+                    if (args.frame === undefined) return mode.frames.reduce((sum, f, i) => sum + mode.getFilled(i), 0);
+                    return args.frame >= 1 && args.frame <= mode.frames.length ? mode.getFilled(args.frame - 1) : null;
+                }
+            },
+            'unused-count': { description: 'Stones outside the frames', read: mode => mode.getLooseStones().length }
+        });
+    }
+
+    // Stones in each frame (see ModeBase.getState)
+    getState() {
+        const state = super.getState();
+        state.frames = this.frames.map((f, i) => this.getFilled(i));
+        return state;
+    }
+
+    static getMetadata() {
+        return {
+            id: 'ten-frame',
+            name: 'Ten-Frame',
+            icon: '🔟',
+            description: 'Fill frames and make ten',
+            stateVersion: 1
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TenFrameMode };
+}
@@ -0,0 +1,35 @@
+// Zen Math - Tests (Node)
+// Runs every tests/*.test.js file against the scripts loaded headless (see headless.js):
+//
+//   node test-headless.js           # every test
+//   node test-headless.js Random    # tests whose name contains "Random"
+//
+// Exits with 1 if any test fails.
+
+const fs = require('fs');
+const path = require('path');
+const { tests } = require('./tests/harness');
+
+const TEST_DIR = path.join(__dirname, 'tests');
+
+function main(argv) {
+    fs.readdirSync(TEST_DIR).filter(file => file.endsWith('.test.js')).sort()
+        .forEach(file => require(path.join(TEST_DIR, file)));
+
+    const filter = argv.find(arg => !arg.startsWith('--'));
+    let failures = 0;
+    tests.filter(t => !filter || t.name.includes(filter)).forEach(t => {
+        try {
+            t.fn();
+            console.log(`ok   ${t.name}`);
+        } catch (e) {
+            failures++;
+            console.log(`FAIL ${t.name}`);
+            console.log(`       ${String(e.message).split('\n').join('\n       ')}`);
+        }
+    });
+    console.log(failures === 0 ? 'All tests pass' : `${failures} test${failures === 1 ? '' : 's'} failed`);
+    return failures === 0 ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
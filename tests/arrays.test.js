@@ -0,0 +1,71 @@
+// ArraysMode: turning, splitting and making arrays, and the array goals
+
+const assert = require('assert');
+const { test, plain, createRunner, loadChallenge } = require('./harness');
+
+function press(runner, id) {
+    const btn = runner.mode.buttons.find(b => b.id === id);
+    runner.tap(btn.x + btn.width / 2, btn.y + btn.height / 2);
+}
+
+test('Arrays: a turn makes 3 rows of 4 into 4 rows of 3', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'arrays', { rows: 3, cols: 4, filled: 12 });
+    const corner = mode.grid[0][0];
+    press(runner, 'turn');
+    assert.deepStrictEqual([mode.rows, mode.cols, mode.getProduct()], [4, 3, 12]);
+    assert.ok(mode.isComplete());
+    assert.strictEqual(mode.grid[0][2], corner);
+    assert.deepStrictEqual([corner._row, corner._col], [0, 2]);
+});
+
+test('Arrays: split steps along the columns and back to whole', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'arrays', { rows: 3, cols: 3, filled: 9 });
+    press(runner, 'split');
+    assert.deepStrictEqual(plain(mode.getSplitParts()), [{ rows: 3, cols: 1 }, { rows: 3, cols: 2 }]);
+    press(runner, 'split');
+    assert.strictEqual(mode.split, 2);
+    press(runner, 'split');
+    assert.strictEqual(mode.split, null);
+    assert.strictEqual(mode.getSplitParts(), null);
+
+    const column = loadChallenge(runner, 'arrays', { rows: 3, cols: 1, filled: 3 });
+    assert.strictEqual(column.nextSplit(), false);
+});
+
+test('Arrays: make array lays every stone out as a rectangle, if there is one', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'arrays', { rows: 2, cols: 2, filled: 2, loose: 10 });
+    press(runner, 'make-array');
+    assert.deepStrictEqual([mode.rows, mode.cols], [3, 4]);
+    assert.ok(mode.isComplete());
+    assert.strictEqual(mode.getLooseStones().length, 0);
+
+    const eleven = loadChallenge(runner, 'arrays', { rows: 2, cols: 2, filled: 0, loose: 11 });
+    assert.strictEqual(eleven.makeArray(), false);
+    assert.deepStrictEqual([eleven.rows, eleven.cols], [2, 2]);
+});
+
+test('Arrays: array-dimensions and array-product goals need a full array', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'arrays', { rows: 3, cols: 4, filled: 11, loose: 1 });
+    const dimensions = { type: 'array-dimensions', rows: 3, cols: 4 };
+    const product = { type: 'array-product', product: 12 };
+    assert.ok(!engine.evaluateGoal(dimensions, mode), 'one cell empty');
+    assert.ok(!engine.evaluateGoal(product, mode));
+
+    const cell = mode.getCellPosition(2, 3);
+    runner.dragStone(mode.getLooseStones()[0], cell.x, cell.y);
+    assert.ok(engine.evaluateGoal(dimensions, mode));
+    assert.ok(engine.evaluateGoal(product, mode));
+    assert.ok(!engine.evaluateGoal({ type: 'array-product', product: 12, split: true }, mode));
+
+    press(runner, 'split');
+    assert.ok(engine.evaluateGoal({ type: 'array-product', product: 12, split: true }, mode));
+    press(runner, 'turn');
+    assert.ok(!engine.evaluateGoal(dimensions, mode));
+    assert.ok(engine.evaluateGoal({ type: 'array-dimensions', rows: 4, cols: 3 }, mode));
+    assert.ok(engine.evaluateGoal(Object.assign({ anyOrientation: true }, dimensions), mode));
+});
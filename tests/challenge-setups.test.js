@@ -0,0 +1,61 @@
+// Challenge starting setups (initialConfig) for balance, stack and free explore
+
+const assert = require('assert');
+const { test, use, plain, createRunner, loadChallenge } = require('./harness');
+
+test('Setups: balance stones start in the tray or on a pan, as listed', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'balance-scale', { tray: [1, 2, 2], left: [3], right: [1, { mass: 2 }] });
+    const state = mode.getState();
+    assert.deepStrictEqual(plain([state.tray, state.left, state.right]), [[2, 2, 1], [3], [2, 1]]);
+    assert.strictEqual(mode.trayStones.length, 6);
+    mode.rightPan.stones.forEach(stone => assert.strictEqual(stone._onPan, 'right'));
+    assert.strictEqual(mode.readMetric('balanced'), true);
+
+    // On the lever a stone's notch is kept to the beam
+    const lever = loadChallenge(runner, 'balance-scale', { variant: 'lever', left: [{ mass: 1, notch: 9 }], right: [1] });
+    assert.deepStrictEqual([lever.leftPan.stones[0]._notch, lever.rightPan.stones[0]._notch], [use('NOTCH_COUNT'), 1]);
+});
+
+test('Setups: a balance config with no stones keeps the random level', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'balance-scale', { variant: 'pans' });
+    assert.ok(mode.trayStones.length > 0);
+    assert.strictEqual(mode.leftPan.stones.length + mode.rightPan.stones.length, 0);
+});
+
+test('Setups: a stack starts built on the platform, bottom first, and stands', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'stack-balance', {
+        tray: 3, stacked: [{ size: 1.3, color: 'red' }, 1], platformWidth: 80
+    });
+    assert.strictEqual(mode.platform.width, 80);
+    assert.strictEqual(mode.availableStones.length, 3);
+    assert.strictEqual(mode.readMetric('stack-height'), 2);
+    const [bottom, top] = mode.stackedStones;
+    assert.strictEqual(bottom.mass, 1.3);
+    assert.strictEqual(bottom._baseColor, use('STACK_COLOR_NAMES').red);
+    assert.ok(top.y < bottom.y);
+
+    runner.advance(2);
+    assert.strictEqual(mode.readMetric('stack-height'), 2);
+    assert.ok(!mode.isToppling);
+});
+
+test('Setups: an empty stack tray is empty, not the default ten stones', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'stack-balance', { tray: [], stacked: [1] });
+    assert.strictEqual(mode.availableStones.length, 0);
+    assert.strictEqual(mode.readMetric('stack-height'), 1);
+});
+
+test('Setups: free explore starts with the listed stones and black holes', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'free-explore', { stones: [0.5, 1, 3] });
+    assert.deepStrictEqual(plain(mode.stones.map(s => s.mass)), [0.5, 1, 3]);
+
+    const holes = loadChallenge(runner, 'free-explore', { stones: 4, blackHoles: 2 });
+    assert.strictEqual(holes.readMetric('stone-count'), 4);
+    assert.strictEqual(holes.getState().blackHoles, 2);
+    assert.strictEqual(holes.simulationState, 'paused');
+});
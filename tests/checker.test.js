@@ -0,0 +1,72 @@
+// ChallengeChecker: linting challenges and searching for a solution
+
+const assert = require('assert');
+const { test, modes, use, plain, createRunner, loadChallenge } = require('./harness');
+
+function challenge(fields) {
+    return Object.assign({
+        id: 'check', mode: 'balance-scale', title: 'Check', hint: 'Check', difficulty: 1, concepts: [],
+        goals: [{ type: 'scale-balanced' }]
+    }, fields);
+}
+
+test('Checker: lint reports bad fields, modes and goals', () => {
+    const checker = new (use('ChallengeChecker'))({ modes });
+    assert.deepStrictEqual(plain(checker.lint(challenge({}))), []);
+    assert.ok(checker.lint(challenge({ title: '' }))[0].includes('title'));
+    assert.ok(checker.lint(challenge({ difficulty: 6 }))[0].includes('difficulty'));
+    assert.ok(checker.lint(challenge({ initialConfig: 3 }))[0].includes('initialConfig'));
+    assert.ok(checker.lint(challenge({ mode: 'juggling' }))[0].includes('juggling'));
+    assert.ok(checker.lint(challenge({ goals: [] }))[0].includes('goals'));
+    assert.ok(checker.lint(challenge({ goals: [{ metric: 'group-count', eq: 2 }] }))[0].includes('group-count'));
+});
+
+test('Checker: the library lints clean, and a repeated id is reported', () => {
+    const checker = new (use('ChallengeChecker'))({ modes });
+    const library = use('CHALLENGE_LIBRARY');
+    assert.deepStrictEqual(plain(checker.lintLibrary(library)), {});
+    const report = checker.lintLibrary(library.concat([library[0]]));
+    assert.deepStrictEqual(plain(Object.keys(report)), [library[0].id]);
+});
+
+test('Checker: a challenge met before the first move is solved but trivial', () => {
+    const checker = new (use('ChallengeChecker'))({ modes, seeds: ['trivial'] });
+    const [run] = checker.check(challenge({ initialConfig: { tray: [], left: [2], right: [1, 1] } })).runs;
+    assert.ok(run.solved && run.trivial);
+    assert.strictEqual(run.moves.length, 0);
+});
+
+test('Checker: a solution is found move by move, and the Random sequence is left alone', () => {
+    const checker = new (use('ChallengeChecker'))({ modes, seeds: ['solve'] });
+    const Random = use('Random');
+    const before = Random.saveState();
+    const run = checker.solve(challenge({
+        initialConfig: { tray: [1, 2, 3] },
+        goals: [{ type: 'stone-count-per-side', left: 2, right: 1 }, { type: 'scale-balanced' }]
+    }), 'solve');
+    assert.ok(run.solved && !run.trivial);
+    assert.strictEqual(run.moves.length, 3);
+    assert.deepStrictEqual(plain(Random.saveState()), plain(before));
+});
+
+test('Checker: a challenge no move can solve is exhausted', () => {
+    const checker = new (use('ChallengeChecker'))({ modes, seeds: ['exhausted'] });
+    const [run] = checker.check(challenge({
+        initialConfig: { tray: [1, 2] },
+        goals: [{ type: 'scale-balanced' }, { type: 'all-stones-used' }]
+    })).runs;
+    assert.ok(!run.solved);
+    assert.ok(run.exhausted, `gave up after ${run.nodes} scenes`);
+});
+
+test('Checker: goal distance adds up all, takes the nearest any, and is 0 when met', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'balance-scale', { tray: [1], left: [2], right: [1] });
+    const left = count => ({ metric: 'left-count', eq: count });
+    assert.strictEqual(engine.goalDistance(left(1), mode), 0);
+    assert.strictEqual(engine.goalDistance(left(4), mode), 3);
+    assert.strictEqual(engine.goalDistance({ all: [left(4), { metric: 'right-count', eq: 3 }] }, mode), 5);
+    assert.strictEqual(engine.goalDistance({ any: [left(4), left(2)] }, mode), 1);
+    assert.strictEqual(engine.goalDistance({ type: 'scale-balanced' }, mode), 1);
+});
@@ -0,0 +1,52 @@
+// FractionsMode: splitting and joining pieces, and comparing them on the pans
+
+const assert = require('assert');
+const { test, plain, createRunner, loadChallenge } = require('./harness');
+
+const labels = stones => plain(stones.map(s => s.label)).sort();
+
+test('Fractions: a tap cuts a stone into equal pieces, never smaller than twelfths', () => {
+    const runner = createRunner();
+    const announced = [];
+    runner.modeManager.announcer = message => announced.push(message);
+    const mode = loadChallenge(runner, 'fractions', { stones: ['1', '1/4'], cut: 3 });
+    const [whole, quarter] = mode.stones;
+    runner.tap(whole.x, whole.y);
+    assert.deepStrictEqual(labels(mode.stones), ['1/3', '1/3', '1/3', '1/4']);
+
+    assert.strictEqual(mode.splitStone(quarter, 3), true);
+    assert.strictEqual(mode.splitStone(mode.stones.find(s => s.label === '1/12'), 2), false);
+    assert.ok(announced.includes('Pieces can\'t be smaller than 1/12'));
+    assert.strictEqual(mode.stones.filter(s => s.label === '1/12').length, 3);
+});
+
+test('Fractions: pieces dropped on each other join up to one whole', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'fractions', { stones: ['1/2', '1/4', '1/4', '3/4'] });
+    const [half, quarterA, quarterB, threeQuarters] = mode.stones;
+    runner.dragStone(quarterA, quarterB.x, quarterB.y);
+    assert.deepStrictEqual(labels(mode.stones), ['1/2', '1/2', '3/4']);
+    assert.ok(!engine.evaluateGoal({ type: 'make-whole' }, mode), 'a half is not a whole');
+
+    runner.dragStone(threeQuarters, half.x, half.y);
+    assert.deepStrictEqual(labels(mode.stones), ['1/2', '1/2', '3/4'], 'more than a whole stays apart');
+    runner.dragStone(quarterB, half.x, half.y);
+    assert.deepStrictEqual(labels(mode.stones), ['1', '3/4']);
+    assert.strictEqual(mode.readMetric('made-wholes'), 1);
+    assert.ok(engine.evaluateGoal({ type: 'make-whole', count: 1 }, mode));
+});
+
+test('Fractions: equivalent means balanced with different pieces', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'fractions', { left: ['1/4', '1/4'], right: ['1/2'] });
+    assert.strictEqual(mode.isBalanced, true);
+    assert.strictEqual(mode.isEquivalent(), true);
+    assert.strictEqual(mode.isEquivalent('1/2'), true);
+    assert.strictEqual(mode.isEquivalent('1/4'), false);
+
+    const same = loadChallenge(runner, 'fractions', { left: ['1/2'], right: ['1/2'] });
+    assert.strictEqual(same.isBalanced, true);
+    assert.strictEqual(same.isEquivalent(), false);
+    assert.ok(!runner.challengeEngine.evaluateGoal({ type: 'fraction-equivalent', value: '1/2' }, same));
+});
@@ -0,0 +1,73 @@
+// ChallengeGenerator: practice challenges from templates once the library is done
+
+const assert = require('assert');
+const { test, modes, use, plain, createRunner } = require('./harness');
+
+test('ChallengeGenerator: a request gets a template for its mode, difficulty and concepts', () => {
+    const generator = new (use('ChallengeGenerator'))({ seed: 'request' });
+    const balance = generator.generate({ mode: 'balance-scale', difficulty: 9 });
+    assert.deepStrictEqual([balance.template, balance.difficulty], ['balance-masses', 5]);
+    assert.strictEqual(generator.generate({ difficulty: 1, concepts: ['make-ten'] }).template, 'make-ten');
+    assert.strictEqual(generator.generate({ mode: 'juggling' }), null);
+});
+
+test('ChallengeGenerator: a seed always draws the same challenges, and gameplay Random is left alone', () => {
+    const ChallengeGenerator = use('ChallengeGenerator');
+    const Random = use('Random');
+    const before = Random.saveState();
+    const draw = () => {
+        const generator = new ChallengeGenerator({ seed: 'same' });
+        return [1, 2, 3].map(difficulty => plain(generator.generate({ difficulty })));
+    };
+    assert.deepStrictEqual(draw(), draw());
+    assert.deepStrictEqual(plain(Random.saveState()), plain(before));
+});
+
+test('ChallengeGenerator: every template draws challenges that lint clean', () => {
+    const generator = new (use('ChallengeGenerator'))({ seed: 'lint' });
+    const checker = new (use('ChallengeChecker'))({ modes });
+    use('CHALLENGE_TEMPLATES').forEach(template => {
+        for (let difficulty = template.difficulty[0]; difficulty <= template.difficulty[1]; difficulty++) {
+            const challenge = generator.build(template, difficulty);
+            assert.deepStrictEqual(plain(checker.lint(challenge)), [], `${template.id} at ${difficulty}`);
+        }
+    });
+});
+
+test('ChallengeGenerator: no title is shared by two difficulties of a template', () => {
+    const generator = new (use('ChallengeGenerator'))({ seed: 'titles' });
+    use('CHALLENGE_TEMPLATES').forEach(template => {
+        const difficulties = new Map(); // title -> difficulty
+        for (let difficulty = template.difficulty[0]; difficulty <= template.difficulty[1]; difficulty++) {
+            for (let i = 0; i < 30; i++) {
+                const title = generator.build(template, difficulty).title;
+                const seen = difficulties.get(title);
+                assert.ok(seen === undefined || seen === difficulty, `${template.id}: '${title}' at ${seen} and ${difficulty}`);
+                difficulties.set(title, difficulty);
+            }
+        }
+    });
+});
+
+test('ChallengeEngine: after the library, practice follows the last challenge, a step harder once done', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    engine.generator = new (use('ChallengeGenerator'))({ seed: 'next' });
+    const library = use('CHALLENGE_LIBRARY');
+    engine.completedChallenges = library.slice(1).map(c => c.id);
+    assert.strictEqual(engine.getNextChallenge(), library[0]);
+
+    const last = library.find(c => c.difficulty === 2);
+    engine.completedChallenges = library.map(c => c.id);
+    engine.loadChallenge(last);
+    assert.strictEqual(engine.getNextChallenge().difficulty, 2);
+    engine.completeChallenge();
+    const next = engine.getNextChallenge();
+    assert.strictEqual(next.difficulty, 3);
+    assert.ok(next.concepts.some(c => last.concepts.includes(c)), 'on the last challenge\'s concepts');
+
+    // Practice doesn't count toward library progress
+    engine.loadChallenge(next);
+    engine.completeChallenge();
+    assert.strictEqual(engine.completedChallenges.length, library.length);
+});
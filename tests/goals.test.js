@@ -0,0 +1,61 @@
+// ChallengeEngine goals: combinators, metric comparisons, $params and sequences
+
+const assert = require('assert');
+const { test, use, plain, createRunner, loadChallenge } = require('./harness');
+
+test('Goals: all, any, not and metric comparisons read the mode', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'balance-scale', { tray: [1], left: [2], right: [1, 1] });
+    assert.ok(engine.evaluateGoal({ metric: 'left-mass', eq: 2 }, mode));
+    assert.ok(engine.evaluateGoal({ metric: 'right-count', between: [1, 2] }, mode));
+    assert.ok(engine.evaluateGoal({ all: [{ type: 'scale-balanced' }, { metric: 'unused-count', gte: 1 }] }, mode));
+    assert.ok(engine.evaluateGoal({ any: [{ metric: 'left-count', eq: 5 }, { metric: 'right-count', eq: 2 }] }, mode));
+    assert.ok(!engine.evaluateGoal({ not: { type: 'scale-balanced' } }, mode));
+    assert.ok(!engine.evaluateGoal({ metric: 'no-such-metric', eq: 1 }, mode));
+});
+
+test('Goals: $params are read from the challenge', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'balance-scale', { tray: [], left: [3] }, { params: { mass: 3 } });
+    assert.ok(runner.challengeEngine.evaluateGoal({ metric: 'left-mass', eq: '$mass' }, mode));
+});
+
+test('Goals: a sequence is met one step at a time', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'number-line', { start: 4 });
+    const goal = { sequence: [{ metric: 'position', eq: 4 }, { metric: 'position', eq: 9 }] };
+    assert.ok(!engine.evaluateGoal(goal, mode)); // First step met, second not yet
+    assert.strictEqual(engine.sequenceSteps.get(goal), 1);
+});
+
+test('Goals: a sequence finishes only in order, and starts over with the next challenge', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'number-line', { start: 4, groups: [5] });
+    const goal = { sequence: [{ metric: 'position', eq: 9 }, { metric: 'position', eq: 4 }] };
+    assert.ok(!engine.evaluateGoal(goal, mode), 'at 4 before ever reaching 9');
+    assert.strictEqual(engine.sequenceSteps.get(goal) || 0, 0);
+
+    const group = mode.groups.find(g => g.value === 5);
+    runner.dragStone(group.stones[0], mode._numberToX(15), mode._getLineY());
+    runner.advance(0.1);
+    assert.ok(!engine.evaluateGoal(goal, mode));
+    runner.dragStone(group.stones[0], mode._numberToX(1), mode._getLineY());
+    runner.advance(0.1);
+    assert.strictEqual(mode.position, 4);
+    assert.ok(engine.evaluateGoal(goal, mode));
+
+    loadChallenge(runner, 'number-line', { start: 4 });
+    assert.strictEqual(engine.sequenceSteps.size, 0);
+});
+
+test('Goals: problems in a goal are reported', () => {
+    const ChallengeEngine = use('ChallengeEngine');
+    const metrics = use('BalanceScaleMode').getMetricDefinitions();
+    assert.deepStrictEqual(plain(ChallengeEngine.findGoalProblems({ type: 'scale-balanced' }, metrics)), []);
+    assert.ok(ChallengeEngine.findGoalProblems({ type: 'bogus' }, metrics)[0].includes('bogus'));
+    assert.ok(ChallengeEngine.findGoalProblems({ metric: 'left-mass', eq: '$missing' }, metrics).length > 0);
+    assert.ok(ChallengeEngine.findGoalProblems({ metric: 'nope', eq: 1 }, metrics)[0].includes('nope'));
+});
@@ -0,0 +1,35 @@
+// Zen Math - Test harness (Node)
+// One shared headless context (see headless.js) and a tiny test registry the
+// tests/*.test.js files add to; test-headless.js runs them.
+
+const { createContext, get, getModeClasses } = require('../headless');
+
+const tests = [];
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+// Keep warnings, drop the scripts' progress logging ("Switched to mode")
+const quiet = Object.assign(Object.create(console), { log: () => {}, info: () => {}, error: () => {} });
+const context = createContext({ console: quiet });
+const modes = getModeClasses(context);
+const use = name => get(name, context);
+
+// Objects from the vm context have that context's prototypes, so compare plain copies
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function createRunner(options = {}) {
+    const HeadlessRunner = use('HeadlessRunner');
+    return new HeadlessRunner(Object.assign({ modes, seed: 'test' }, options));
+}
+
+// Load a challenge object (not in the library) and let the scene settle
+function loadChallenge(runner, mode, initialConfig, extra = {}) {
+    runner.challengeEngine.loadChallenge(Object.assign({
+        id: 'test', mode, title: '', hint: '', difficulty: 1, concepts: [], initialConfig, goals: []
+    }, extra));
+    runner.advance(0.5);
+    return runner.mode;
+}
+
+module.exports = { test, tests, context, modes, use, plain, createRunner, loadChallenge };
@@ -0,0 +1,68 @@
+// KeyboardControls: focus, holding and moving stones from the keyboard, and switch scanning
+
+const assert = require('assert');
+const { test, use, createRunner } = require('./harness');
+
+// The runner's canvas with the DOM calls KeyboardControls makes
+function createKeyboard(runner, options) {
+    Object.assign(runner.canvas, { addEventListener: () => {}, removeEventListener: () => {}, setAttribute: () => {} });
+    return new (use('KeyboardControls'))(runner.modeManager, runner.canvas, options);
+}
+
+const key = (name, shiftKey = false) => ({ key: name, shiftKey, preventDefault: () => {} });
+
+// Tab until a stone has focus
+function focusStone(keyboard) {
+    for (let i = 0; i < 20 && !(keyboard.getFocused() && keyboard.getFocused().kind === 'stone'); i++) {
+        keyboard.handleKeyDown(key('Tab'));
+    }
+    return keyboard.getFocused().stone;
+}
+
+test('Keyboard: Space picks up the focused stone, arrows move it, Space drops it', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    const keyboard = createKeyboard(runner);
+    const stone = focusStone(keyboard);
+    const startX = stone.x;
+    keyboard.handleKeyDown(key(' '));
+    assert.strictEqual(keyboard.getHeldStone(), stone);
+    keyboard.handleKeyDown(key('ArrowRight'));
+    keyboard.handleKeyDown(key('ArrowRight', true));
+    keyboard.handleKeyDown(key(' '));
+    assert.strictEqual(keyboard.isHolding(), false);
+    assert.ok(Math.abs(stone.x - (startX + 25)) < 1, `stone moved ${stone.x - startX}`);
+});
+
+test('Keyboard: Escape lets go of a held stone without dropping it', () => {
+    const runner = createRunner({ mode: 'balance-scale' });
+    const keyboard = createKeyboard(runner);
+    const stone = focusStone(keyboard);
+    keyboard.handleKeyDown(key(' '));
+    keyboard.handleKeyDown(key('Escape'));
+    assert.strictEqual(keyboard.isHolding(), false);
+    assert.strictEqual(stone.isDragging, false);
+    assert.strictEqual(runner.mode.leftPan.stones.length + runner.mode.rightPan.stones.length, 0);
+});
+
+test('Keyboard: mode shortcuts send the focused stone to a pan', () => {
+    const runner = createRunner({ mode: 'balance-scale' });
+    const keyboard = createKeyboard(runner);
+    const stone = focusStone(keyboard);
+    keyboard.handleKeyDown(key('l'));
+    assert.ok(runner.mode.leftPan.stones.includes(stone), 'on the left pan');
+    keyboard.handleKeyDown(key('r'));
+    assert.ok(runner.mode.rightPan.stones.includes(stone) && !runner.mode.leftPan.stones.includes(stone), 'moved to the right pan');
+});
+
+test('Keyboard: scanning steps the highlight by itself and the switch picks up', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    const keyboard = createKeyboard(runner, { scanning: true, scanInterval: 1 });
+    keyboard.update(0);
+    const first = keyboard.focusKey;
+    keyboard.update(1);
+    assert.notStrictEqual(keyboard.focusKey, first);
+    for (let i = 0; i < 20 && keyboard.getFocused().kind !== 'stone'; i++) keyboard.update(1);
+    const stone = keyboard.getFocused().stone;
+    keyboard.handleKeyDown(key('Enter'));
+    assert.strictEqual(keyboard.getHeldStone(), stone);
+});
@@ -0,0 +1,47 @@
+// BalanceScaleMode lever variant: notched hooks and torque-based balance
+
+const assert = require('assert');
+const { test, createRunner, loadChallenge } = require('./harness');
+
+const hung = (count, notch) => Array.from({ length: count }, () => ({ mass: 1, notch }));
+
+// Drag a tray stone to hang under a notch
+function hang(runner, side, notch) {
+    const mode = runner.mode;
+    const stone = mode.trayStones.find(s => !s._onPan);
+    const hook = mode._getNotchPosition(side, notch);
+    runner.dragStone(stone, hook.x, hook.y + 30);
+    runner.advance(0.3);
+    return stone;
+}
+
+test('Lever: 2 stones at notch 3 balance 3 stones at notch 2', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'balance-scale', { variant: 'lever', left: hung(2, 3), right: hung(3, 2) });
+    assert.deepStrictEqual([mode._getTorques().left, mode._getTorques().right], [6, 6]);
+    assert.strictEqual(mode.readMetric('balanced'), true);
+
+    const pans = loadChallenge(runner, 'balance-scale', { variant: 'pans', left: [1, 1], right: [1, 1, 1] });
+    assert.strictEqual(pans.readMetric('balanced'), false);
+});
+
+test('Lever: a stone dropped under a notch hangs from it', () => {
+    const runner = createRunner();
+    loadChallenge(runner, 'balance-scale', { variant: 'lever', tray: [2] });
+    const stone = hang(runner, 'right', 4);
+    assert.strictEqual(stone._onPan, 'right');
+    assert.strictEqual(stone._notch, 4);
+    assert.ok(runner.mode._calculateTiltAngle() > 0, 'the right arm goes down');
+});
+
+test('Lever: balance-005 is solved with two stones on either arm', () => {
+    [['left', 'right'], ['right', 'left']].forEach(([twoSide, threeSide]) => {
+        const runner = createRunner();
+        runner.loadChallenge('balance-005');
+        runner.advance(0.5);
+        hang(runner, twoSide, 3);
+        hang(runner, twoSide, 3);
+        [0, 1, 2].forEach(() => hang(runner, threeSide, 2));
+        assert.ok(runner.challengeEngine.isChallengeCompleted('balance-005'), `two on the ${twoSide}`);
+    });
+});
@@ -0,0 +1,71 @@
+// Mode metrics and state (ModeBase.getMetrics/getState), and the hints that read them
+
+const assert = require('assert');
+const { test, modes, use, plain, createRunner, loadChallenge } = require('./harness');
+
+// Anything in the value that is a Stone, as paths ('left.0')
+function findStones(value, at = '') {
+    if (value instanceof use('Stone')) return [at];
+    if (value === null || typeof value !== 'object') return [];
+    return Object.keys(value).reduce((found, key) => found.concat(findStones(value[key], at ? `${at}.${key}` : key)), []);
+}
+
+test('Metrics: every mode\'s state is plain data with its id, version and metrics', () => {
+    modes.forEach(Mode => {
+        const id = Mode.getMetadata().id;
+        const runner = createRunner({ mode: id });
+        runner.advance(0.5);
+        const state = runner.mode.getState();
+        assert.strictEqual(state.mode, id);
+        assert.strictEqual(typeof state.version, 'number', id);
+        assert.deepStrictEqual(findStones(state), [], id);
+        assert.deepStrictEqual(plain(state), plain(plain(state)), id);
+
+        const definitions = Mode.getMetricDefinitions();
+        Object.keys(definitions).forEach(name => {
+            assert.ok(definitions[name].description, `${id} ${name} has no description`);
+            const required = (definitions[name].args || []).length > 0;
+            assert.strictEqual(name in state.metrics, !required, `${id} ${name}`);
+        });
+    });
+});
+
+test('Metrics: balance state lists each pan\'s masses, heaviest first', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'balance-scale', { tray: [1, 3], left: [1, 2], right: [3] });
+    const state = mode.getState();
+    assert.deepStrictEqual(plain([state.left, state.right, state.tray]), [[2, 1], [3], [3, 1]]);
+    assert.strictEqual(state.metrics['left-mass'], 3);
+    assert.strictEqual(mode.readMetric('no-such-metric'), undefined);
+});
+
+test('Metrics: empty pans are not balanced, in the metric or the summary', () => {
+    const runner = createRunner({ mode: 'balance-scale' });
+    runner.advance(0.5);
+    assert.strictEqual(runner.mode.readMetric('balanced'), false);
+    assert.ok(!/balanced/.test(runner.mode.getAccessibleSummary()), runner.mode.getAccessibleSummary());
+    runner.switchMode('multi-lever');
+    runner.advance(0.5);
+    assert.strictEqual(runner.mode.readMetric('balanced'), false);
+    assert.ok(!/balanced/.test(runner.mode.getAccessibleSummary()), runner.mode.getAccessibleSummary());
+});
+
+test('Metrics: hints are offered only while they fit the mode\'s metrics', () => {
+    const runner = createRunner();
+    const hints = new (use('HintSystem'))(null);
+    hints.stateSource = () => runner.mode.getState();
+
+    loadChallenge(runner, 'balance-scale', { tray: [1, 2] });
+    let offered = plain(hints.getAvailableHints('balance-scale'));
+    assert.ok(offered.includes('Drag stones onto the pans'));
+    assert.ok(!offered.includes('Can you make both sides equal?'));
+
+    loadChallenge(runner, 'balance-scale', { tray: [], left: [2], right: [1] });
+    offered = plain(hints.getAvailableHints('balance-scale'));
+    assert.ok(!offered.includes('Drag stones onto the pans'));
+    assert.ok(offered.includes('Can you make both sides equal?'));
+
+    // Another mode's metrics say nothing about this one: only the plain hints remain
+    offered = plain(hints.getAvailableHints('stack-balance'));
+    assert.deepStrictEqual(offered, ['Stack stones carefully', 'Wider stones make better bases']);
+});
@@ -0,0 +1,76 @@
+// MultiLeverBalanceMode: tilts solved through the lever tree, and lever-mass goals
+
+const assert = require('assert');
+const { test, createRunner, loadChallenge } = require('./harness');
+
+// Drop tray stones one at a time onto the given pans: [[leverId, side], ...]
+function dropOnPans(runner, pans) {
+    const mode = runner.mode;
+    pans.forEach(([id, side]) => {
+        const pan = mode.getLever(id)[side];
+        runner.dragStone(mode.trayStones[0], pan.x, pan.y - 5);
+        runner.advance(0.5);
+    });
+}
+
+test('Multi-lever: a hanging lever tilts by its own pans, the one above by everything under it', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'multi-lever', {
+        lever: {
+            id: 'top',
+            left: { levers: [{ id: 'a', left: { stones: [3] }, right: { stones: [1] } }] },
+            right: { stones: [4] }
+        },
+        tray: []
+    });
+    const top = mode.getLever('top');
+    const a = mode.getLever('a');
+    assert.strictEqual(mode.getLeverMass(top), 8);
+    assert.strictEqual(top.isBalanced, true);
+    assert.strictEqual(top.targetAngle, 0);
+    assert.strictEqual(a.isBalanced, false);
+    assert.ok(a.targetAngle < 0, `heavier left pan tilts the lever left, got ${a.targetAngle}`);
+    assert.strictEqual(mode.isBalanced, false);
+});
+
+test('Multi-lever: weight two levers down reaches the top', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'multi-lever', {
+        lever: {
+            id: 'top',
+            left: { levers: [{ id: 'a', left: { levers: [{ id: 'b', left: { stones: [2] }, right: { stones: [2] } }] }, right: { stones: [4] } }] },
+            right: {}
+        },
+        tray: []
+    });
+    assert.strictEqual(mode.getLeverMass(mode.getLever('a')), 8);
+    assert.strictEqual(mode.getLever('a').isBalanced, true);
+    assert.ok(mode.getLever('top').targetAngle < 0);
+});
+
+test('Multi-lever: three groups of 4 balance 12 (lever-001)', () => {
+    const runner = createRunner();
+    runner.loadChallenge('lever-001');
+    runner.advance(0.5);
+    const pans = [];
+    ['g1', 'g2', 'g3'].forEach(id => pans.push([id, 'left'], [id, 'right'], [id, 'left'], [id, 'right']));
+    dropOnPans(runner, pans);
+    ['g1', 'g2', 'g3'].forEach(id => assert.strictEqual(runner.mode.readMetric('lever-mass', { lever: id }), 4));
+    assert.strictEqual(runner.mode.isBalanced, true);
+    assert.ok(runner.challengeEngine.isChallengeCompleted('lever-001'));
+});
+
+test('Multi-lever: uneven groups can level the top without meeting lever-mass goals', () => {
+    const runner = createRunner();
+    runner.loadChallenge('lever-001');
+    runner.advance(0.5);
+    const pans = [];
+    [['g1', 3], ['g2', 2], ['g3', 1]].forEach(([id, each]) => {
+        for (let i = 0; i < each; i++) pans.push([id, 'left'], [id, 'right']);
+    });
+    dropOnPans(runner, pans);
+    const mode = runner.mode;
+    assert.strictEqual(mode.getLever('top').isBalanced, true);
+    assert.deepStrictEqual(['g1', 'g2', 'g3'].map(id => mode.readMetric('lever-mass', { lever: id })), [6, 4, 2]);
+    assert.ok(!runner.challengeEngine.isChallengeCompleted('lever-001'));
+});
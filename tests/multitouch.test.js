@@ -0,0 +1,37 @@
+// Multi-touch: each pointer drags its own stone
+
+const assert = require('assert');
+const { test, createRunner } = require('./harness');
+
+test('Multi-touch: two fingers move two stones at once', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    const [a, b] = runner.mode.stones;
+    const grabbed = runner.multiDrag([
+        { fromX: a.x, fromY: a.y, toX: 200, toY: 200 },
+        { fromX: b.x, fromY: b.y, toX: 600, toY: 400 }
+    ]);
+    assert.ok(grabbed[0] === a && grabbed[1] === b);
+    assert.ok(Math.abs(a.x - 200) < 1 && Math.abs(a.y - 200) < 1, `first stone at ${a.x}, ${a.y}`);
+    assert.ok(Math.abs(b.x - 600) < 1 && Math.abs(b.y - 400) < 1, `second stone at ${b.x}, ${b.y}`);
+});
+
+test('Multi-touch: a second finger cannot take a stone already held', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    const stone = runner.mode.stones[0];
+    assert.strictEqual(runner.pointerDown(stone.x, stone.y, 1), stone);
+    assert.notStrictEqual(runner.pointerDown(stone.x, stone.y, 2), stone);
+    runner.pointerUp(stone.x, stone.y, 1);
+    runner.pointerUp(stone.x, stone.y, 2);
+});
+
+test('Multi-touch: stones dropped on both pans together each land on their own pan', () => {
+    const runner = createRunner({ mode: 'balance-scale' });
+    const mode = runner.mode;
+    const [a, b] = mode.stones;
+    runner.multiDrag([
+        { fromX: a.x, fromY: a.y, toX: mode.leftPan.x, toY: mode.leftPan.y - 20 },
+        { fromX: b.x, fromY: b.y, toX: mode.rightPan.x, toY: mode.rightPan.y - 20 }
+    ]);
+    assert.ok(mode.leftPan.stones.length === 1 && mode.leftPan.stones[0] === a, 'left pan');
+    assert.ok(mode.rightPan.stones.length === 1 && mode.rightPan.stones[0] === b, 'right pan');
+});
@@ -0,0 +1,62 @@
+// NumberLineMode: hops from dropped groups, the ends of the line, and hop goals
+
+const assert = require('assert');
+const { test, plain, createRunner, loadChallenge } = require('./harness');
+
+// Let go of the group of a value over a number on the line
+function dropGroup(runner, value, atNumber) {
+    const mode = runner.mode;
+    const group = mode.groups.find(g => g.value === value);
+    runner.dragStone(group.stones[0], mode._numberToX(atNumber), mode._getLineY());
+    runner.advance(0.1);
+}
+
+test('Number line: a group dropped right of the hopper hops forward, left of it hops back', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'number-line', { start: 5, groups: [3] });
+    dropGroup(runner, 3, 15);
+    assert.strictEqual(mode.position, 8);
+    dropGroup(runner, 3, 2);
+    assert.strictEqual(mode.position, 5);
+    assert.deepStrictEqual(plain(mode.getState().hops.map(h => h.to - h.from)), [3, -3]);
+    assert.strictEqual(mode.getHopSum(), 0);
+
+    runner.advance(2);
+    assert.ok(!mode.isHopping());
+    assert.ok(Math.abs(mode.hopper.x - mode._numberToX(5)) < 1, `hopper landed at ${mode.hopper.x}`);
+});
+
+test('Number line: hops past 0 or the end of the line are refused', () => {
+    const runner = createRunner();
+    const announced = [];
+    runner.modeManager.announcer = message => announced.push(message);
+    const mode = loadChallenge(runner, 'number-line', { start: 1, groups: [3] });
+    dropGroup(runner, 3, 0);
+    assert.strictEqual(mode.position, 1);
+    assert.strictEqual(mode.hops.length, 0);
+    assert.ok(announced.includes('That hop goes past 0'));
+
+    loadChallenge(runner, 'number-line', { start: 19, groups: [3] });
+    dropGroup(runner, 3, 20);
+    assert.strictEqual(runner.mode.position, 19);
+    assert.strictEqual(runner.mode.hop(-20), false);
+    assert.ok(announced.includes('That hop goes past 20'));
+});
+
+test('Number line: land-on and hops-sum-to goals follow the hops', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'number-line', { start: 5, groups: [2, 4] });
+    const landOn = { type: 'land-on', value: 11, start: 5 };
+    const sumTo = { type: 'hops-sum-to', value: 6, hops: 2 };
+    assert.ok(!engine.evaluateGoal({ type: 'land-on', value: 5 }, mode), 'no hop yet');
+
+    dropGroup(runner, 4, 15);
+    assert.ok(!engine.evaluateGoal(landOn, mode));
+    assert.ok(!engine.evaluateGoal(sumTo, mode));
+    dropGroup(runner, 2, 15);
+    assert.ok(engine.evaluateGoal(landOn, mode));
+    assert.ok(engine.evaluateGoal(sumTo, mode));
+    assert.ok(!engine.evaluateGoal({ type: 'land-on', value: 11, start: 0 }, mode));
+    assert.ok(!engine.evaluateGoal({ type: 'hops-sum-to', value: 6, hops: 3 }, mode));
+});
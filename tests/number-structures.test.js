@@ -0,0 +1,42 @@
+// NumberStructuresMode: structures laid out by core NumberStructure in the selected family
+
+const assert = require('assert');
+const { test, use, createRunner, loadChallenge } = require('./harness');
+
+const positions = stones => stones.map(s => ({ x: s.x, y: s.y }));
+
+test('Numbers: structures take the core pattern of their family', () => {
+    const NumberStructure = use('NumberStructure');
+    const runner = createRunner();
+    NumberStructure.getFamilies().forEach(family => {
+        const mode = loadChallenge(runner, 'number-structures', { family, structures: [{ value: 7 }] });
+        const structure = mode.structures[0];
+        assert.strictEqual(structure.family, family);
+        assert.strictEqual(NumberStructure.recognizePattern(positions(structure.stones), undefined, family), 7, family);
+    });
+});
+
+test('Numbers: the family button moves intact structures into the next family', () => {
+    const NumberStructure = use('NumberStructure');
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'number-structures', { structures: [{ value: 6 }] });
+    const families = NumberStructure.getFamilies();
+    assert.strictEqual(mode.family, families[0]);
+
+    const btn = mode.buttons.find(b => b.id === 'family');
+    runner.tap(btn.x + btn.width / 2, btn.y + btn.height / 2);
+    runner.advance(2);
+    assert.strictEqual(mode.family, families[1]);
+    const structure = mode.structures[0];
+    assert.ok(structure.intact);
+    assert.strictEqual(NumberStructure.recognizePattern(positions(structure.stones), undefined, families[1]), 6);
+});
+
+test('Numbers: structure-formed goals can ask for a family', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'number-structures', { family: 'ten-frame', structures: [{ value: 5 }] });
+    assert.ok(engine.evaluateGoal({ type: 'structure-formed', value: 5 }, mode));
+    assert.ok(engine.evaluateGoal({ type: 'structure-formed', value: 5, family: 'ten-frame' }, mode));
+    assert.ok(!engine.evaluateGoal({ type: 'structure-formed', value: 5, family: 'dice' }, mode));
+});
@@ -0,0 +1,121 @@
+// NumberStructure patterns: generated layouts past 20, and recognition however a pattern is laid down
+
+const assert = require('assert');
+const { test, use, createRunner } = require('./harness');
+
+// Canonical spots of a value moved to (x, y)
+const laidAt = (value, family, x, y) => use('NumberStructure').getPattern(value, family).map(p => ({ x: x + p.x, y: y + p.y }));
+
+// A pattern laid down turned, maybe flipped, and nudged a little off each spot
+function placePattern(value, family, rotation, mirrored, nudge) {
+    return use('NumberStructure').getPattern(value, family).map((p, i) => {
+        const x = mirrored ? -p.x : p.x;
+        return {
+            x: 400 + x * Math.cos(rotation) - p.y * Math.sin(rotation) + nudge * Math.cos(i * 2.4),
+            y: 300 + x * Math.sin(rotation) + p.y * Math.cos(rotation) + nudge * Math.sin(i * 2.4)
+        };
+    });
+}
+
+test('Patterns: every value up to the limit has its own spots', () => {
+    const NumberStructure = use('NumberStructure');
+    NumberStructure.getFamilies().forEach(family => {
+        for (let value = 1; value <= NumberStructure.getMaxValue(); value++) {
+            const pattern = NumberStructure.getPattern(value, family);
+            const spots = new Set(pattern.map(p => `${Math.round(p.x)},${Math.round(p.y)}`));
+            assert.strictEqual(spots.size, value, `${family} ${value}`);
+        }
+    });
+    assert.strictEqual(NumberStructure.getPattern(NumberStructure.getMaxValue() + 1).length, 0);
+});
+
+test('Patterns: past 20 a value is a near-square array or ten-blocks and extras', () => {
+    const NumberStructure = use('NumberStructure');
+    const grid = value => {
+        const dims = NumberStructure.getGridDimensions(value);
+        return dims && [dims.rows, dims.cols].sort((a, b) => a - b);
+    };
+    assert.deepStrictEqual(grid(24), [4, 6]);
+    assert.deepStrictEqual(grid(25), [5, 5]);
+    assert.strictEqual(grid(37), null); // Three ten-blocks and 7
+});
+
+test('Patterns: generated patterns are recognized and merged up to the limit', () => {
+    const NumberStructure = use('NumberStructure');
+    [24, 37, 58].forEach(value => {
+        assert.strictEqual(NumberStructure.recognizePattern(laidAt(value, 'dice', 500, 400)), value);
+    });
+    const merged = NumberStructure.merge(new NumberStructure(30), new NumberStructure(28));
+    assert.strictEqual(merged.value, 58);
+    assert.strictEqual(NumberStructure.merge(new NumberStructure(60), new NumberStructure(41)), null);
+});
+
+test('Patterns: the limit can be raised, and not below 20', () => {
+    const NumberStructure = use('NumberStructure');
+    const limit = NumberStructure.getMaxValue();
+    try {
+        NumberStructure.setMaxValue(150);
+        assert.strictEqual(NumberStructure.getPattern(120).length, 120);
+        assert.strictEqual(NumberStructure.merge(new NumberStructure(60), new NumberStructure(41)).value, 101);
+        NumberStructure.setMaxValue(5);
+        assert.strictEqual(NumberStructure.getMaxValue(), 20);
+    } finally {
+        NumberStructure.setMaxValue(limit);
+    }
+});
+
+test('Patterns: canonical patterns match turned and mirrored', () => {
+    const NumberStructure = use('NumberStructure');
+    NumberStructure.getFamilies().forEach(family => {
+        for (let value = 1; value <= 12; value++) {
+            [[0, false], [0.7, false], [2.2, true], [-1.3, true]].forEach(([rotation, mirrored]) => {
+                const match = NumberStructure.matchPattern(placePattern(value, family, rotation, mirrored, 4), { family });
+                assert.ok(match && match.confidence >= 0.5, `${family} ${value} turned ${rotation}${mirrored ? ' mirrored' : ''}`);
+                assert.strictEqual(match.value, value);
+            });
+        }
+    });
+});
+
+test('Patterns: a match reports how the pattern was laid down', () => {
+    const match = use('NumberStructure').matchPattern(placePattern(7, 'ten-frame', 0.5, true, 0), { family: 'ten-frame' });
+    assert.ok(match.transform.mirrored);
+    assert.ok(Math.abs(match.transform.scale - 1) < 1e-6);
+    assert.ok(Math.abs(match.confidence - 1) < 1e-6);
+});
+
+test('Patterns: lines of 4 and 6 are not dice patterns', () => {
+    const NumberStructure = use('NumberStructure');
+    [4, 6].forEach(n => [45, 50, 60].forEach(gap => {
+        const line = Array.from({ length: n }, (_, i) => ({ x: 100 + i * gap, y: 200 }));
+        assert.strictEqual(NumberStructure.matchPattern(line, { family: 'dice' }), null, `line of ${n}, ${gap} px apart`);
+    }));
+});
+
+test('Patterns: random scatters are rarely recognized', () => {
+    const NumberStructure = use('NumberStructure');
+    const random = new (use('SeededRandom'))('scatter');
+    let recognized = 0;
+    const trials = 200;
+    for (let t = 0; t < trials; t++) {
+        // Touching clusters of 3-10 stones, each 45-80 px from one already placed
+        const stones = [{ x: 0, y: 0 }];
+        while (stones.length < 3 + t % 8) {
+            const from = random.pick(stones);
+            const angle = random.range(0, Math.PI * 2);
+            const distance = random.range(45, 80);
+            const stone = { x: from.x + Math.cos(angle) * distance, y: from.y + Math.sin(angle) * distance };
+            if (stones.every(s => Math.hypot(s.x - stone.x, s.y - stone.y) >= 40)) stones.push(stone);
+        }
+        const match = NumberStructure.matchPattern(stones, { family: 'dice' });
+        if (match && match.confidence >= 0.5) recognized++;
+    }
+    assert.ok(recognized <= trials * 0.05, `${recognized} of ${trials} recognized`);
+});
+
+test('Patterns: Numbers mode leaves a scattered group loose', () => {
+    const runner = createRunner({ mode: 'number-structures' });
+    const scatter = [[0, 0], [70, 10], [20, 75], [-60, 40]].map(([x, y]) => ({ x: 400 + x, y: 300 + y }));
+    assert.strictEqual(runner.mode._recognizePattern(scatter), null);
+    assert.ok(runner.mode._recognizePattern(placePattern(4, runner.mode.family, 0.4, false, 5)));
+});
@@ -0,0 +1,46 @@
+// PlaceValueMode: bundling ones into tens and tens into hundreds, and breaking them back
+
+const assert = require('assert');
+const { test, plain, createRunner, loadChallenge } = require('./harness');
+
+test('Place value: ten touching stones bundle into a rod', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'place-value', { ones: 10 });
+    const stones = mode.getLooseStones();
+    const last = stones[stones.length - 1];
+    runner.dragStone(last, stones[0].x, stones[0].y + 22);
+    runner.advance(0.5);
+    assert.deepStrictEqual(plain(mode.getCounts()), { hundreds: 0, tens: 1, ones: 0 });
+    assert.strictEqual(mode.getValue(), 10);
+});
+
+test('Place value: nine stones are not enough for a rod', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'place-value', { ones: 9 });
+    const stones = mode.getLooseStones();
+    runner.dragStone(stones[8], stones[0].x, stones[0].y + 22);
+    assert.deepStrictEqual(plain(mode.getCounts()), { hundreds: 0, tens: 0, ones: 9 });
+});
+
+test('Place value: ten rods side by side bundle into a flat', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'place-value', { tens: 10 });
+    const grip = mode.pieces[mode.pieces.length - 1].stones[0];
+    runner.dragStone(grip, grip.x - 8, grip.y + 8);
+    runner.advance(0.5);
+    assert.deepStrictEqual(plain(mode.getCounts()), { hundreds: 1, tens: 0, ones: 0 });
+    assert.strictEqual(mode.pieces[0].stones.length, 100);
+});
+
+test('Place value: tapping a rod breaks it into ten stones', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'place-value', { tens: 1, ones: 3 });
+    assert.ok(engine.evaluateGoal({ type: 'place-value', value: 13, tens: 1, ones: 3 }, mode));
+    const rod = mode.pieces[0];
+    runner.tap(rod.stones[0].x, rod.stones[0].y);
+    runner.advance(0.5);
+    assert.deepStrictEqual(plain(mode.getCounts()), { hundreds: 0, tens: 0, ones: 13 });
+    assert.ok(engine.evaluateGoal({ type: 'place-value', value: 13 }, mode));
+    assert.ok(!engine.evaluateGoal({ type: 'place-value', value: 13, tens: 1, ones: 3 }, mode));
+});
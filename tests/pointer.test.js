@@ -0,0 +1,48 @@
+// Pointer Events: pen pressure as drag grip, and cancelled pointers
+
+const assert = require('assert');
+const { test, createRunner } = require('./harness');
+
+// A DOM PointerEvent as ModeManager's handlers read it
+const pointerEvent = (pointerType, x, y, pressure = 0.5) =>
+    ({ pointerType, pointerId: 7, pressure, clientX: x, clientY: y, preventDefault: () => {} });
+
+// How far one pointer move of 100px carries the stone with the given pointer type and pressure
+function followed(modeId, pointerType, pressure) {
+    const runner = createRunner({ mode: modeId });
+    const stones = runner.mode.stones.slice().sort((a, b) => b.mass - a.mass);
+    const stone = stones[0];
+    const startX = stone.x;
+    runner.modeManager.onPointerDown(pointerEvent(pointerType, stone.x, stone.y, pressure));
+    runner.modeManager.onPointerMove(pointerEvent(pointerType, startX + 100, stone.y, pressure));
+    return stone.x - startX;
+}
+
+test('Pointer: a pen pressed harder holds a heavy stone tighter in Free Explore', () => {
+    const light = followed('free-explore', 'pen', 0.1);
+    const normal = followed('free-explore', 'pen', 0.5);
+    const firm = followed('free-explore', 'pen', 1);
+    assert.ok(light < normal && normal < firm, `followed ${light}, ${normal}, ${firm}`);
+    assert.strictEqual(followed('free-explore', 'mouse', 0.1), followed('free-explore', 'mouse', 1));
+});
+
+test('Pointer: pressure is ignored where the stone stays under the pointer', () => {
+    assert.strictEqual(followed('balance-scale', 'pen', 0.1), 100);
+    assert.strictEqual(followed('balance-scale', 'pen', 1), 100);
+});
+
+test('Pointer: penPressureGrip off gives a pen the normal grip', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    runner.modeManager.penPressureGrip = false;
+    assert.strictEqual(runner.modeManager.getEventPointer(pointerEvent('pen', 0, 0, 0.1)).grip, 1);
+});
+
+test('Pointer: a cancelled pointer drops its stone in place', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    const stone = runner.mode.stones[0];
+    runner.modeManager.onPointerDown(pointerEvent('touch', stone.x, stone.y));
+    runner.modeManager.onPointerMove(pointerEvent('touch', stone.x + 50, stone.y));
+    runner.modeManager.onPointerCancel(pointerEvent('touch', stone.x, stone.y));
+    assert.strictEqual(runner.modeManager.getDraggedStone('touch-7'), null);
+    assert.strictEqual(stone.isDragging, false);
+});
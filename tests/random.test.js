@@ -0,0 +1,66 @@
+// Random: the seeded stream every gameplay draw comes from
+
+const assert = require('assert');
+const { test, use, createRunner } = require('./harness');
+
+test('Random: a seed always gives the same sequence', () => {
+    const SeededRandom = use('SeededRandom');
+    const a = new SeededRandom('seed');
+    const b = new SeededRandom('seed');
+    const draws = () => [a.next(), a.int(1, 6), a.range(2, 3)];
+    assert.deepStrictEqual(draws(), [b.next(), b.int(1, 6), b.range(2, 3)]);
+    assert.notStrictEqual(new SeededRandom('other').next(), new SeededRandom('seed').next());
+});
+
+test('Random: restoreState continues from the saved position', () => {
+    const random = new (use('SeededRandom'))('saved');
+    random.next();
+    const saved = random.saveState();
+    const expected = [random.next(), random.next()];
+    random.restoreState(saved);
+    assert.deepStrictEqual([random.next(), random.next()], expected);
+});
+
+test('Random: int stays inside its bounds and fork leaves the parent alone', () => {
+    const random = new (use('SeededRandom'))('bounds');
+    for (let i = 0; i < 500; i++) {
+        const n = random.int(3, 5);
+        assert.ok(n >= 3 && n <= 5 && Number.isInteger(n), `int gave ${n}`);
+    }
+    const saved = random.saveState();
+    random.fork('render').next();
+    assert.deepStrictEqual(random.saveState(), saved);
+});
+
+test('Random: a seed lays out the same garden', () => {
+    const masses = seed => {
+        const runner = createRunner({ mode: 'balance-scale', seed });
+        return runner.mode.trayStones.map(s => `${s.mass}:${s.radius}:${s.color}`).join(' ');
+    };
+    assert.strictEqual(masses('garden'), masses('garden'));
+    assert.notStrictEqual(masses('garden'), masses('other garden'));
+});
+
+test('Random: drawing the background takes nothing from the gameplay stream', () => {
+    const runner = createRunner({ mode: 'free-explore', seed: 'sand' });
+    const Random = use('Random');
+    const saved = Random.saveState();
+    runner.renderer.drawBackground();
+    assert.deepStrictEqual(Random.saveState(), saved);
+});
+
+test('Random: the sand is laid out once per seed and canvas size', () => {
+    const runner = createRunner({ mode: 'free-explore', seed: 'sand' });
+    const renderer = runner.renderer;
+    const Random = use('Random');
+    const grains = renderer.getSandGrains();
+    renderer.drawBackground();
+    assert.strictEqual(renderer.getSandGrains(), grains, 'laid out again between frames');
+
+    runner.canvas.width += 100;
+    const resized = renderer.getSandGrains();
+    assert.notStrictEqual(resized, grains);
+    Random.setSeed('other sand');
+    assert.notStrictEqual(renderer.getSandGrains(), resized);
+    assert.notDeepStrictEqual(renderer.getSandGrains().map(g => g.x), resized.map(g => g.x));
+});
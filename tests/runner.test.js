@@ -0,0 +1,40 @@
+// HeadlessRunner: modes stepped and driven without a browser
+
+const assert = require('assert');
+const { test, createRunner } = require('./harness');
+
+test('HeadlessRunner: a drag moves the stone to where it is released', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    const stone = runner.mode.stones[0];
+    runner.dragStone(stone, 300, 250);
+    assert.ok(Math.abs(stone.x - 300) < 1 && Math.abs(stone.y - 250) < 1, `stone at ${stone.x}, ${stone.y}`);
+});
+
+test('HeadlessRunner: same seed and input give the same scene', () => {
+    const run = () => {
+        const runner = createRunner({ mode: 'stack-balance', seed: 'same' });
+        const stone = runner.mode.availableStones[0];
+        runner.dragStone(stone, runner.mode.platform.x, runner.mode.platform.y - 60);
+        runner.advance(2);
+        return JSON.stringify(runner.modeManager.saveScene().state);
+    };
+    assert.strictEqual(run(), run());
+});
+
+test('HeadlessRunner: advance steps whole frames of the timestep', () => {
+    const runner = createRunner({ mode: 'free-explore', timestep: 1 / 120 });
+    runner.advance(0.5);
+    assert.strictEqual(runner.frame, 60);
+    assert.strictEqual(runner.clock.now(), 500);
+});
+
+test('HeadlessRunner: three stones dropped on the platform make a stack of 3', () => {
+    const runner = createRunner({ mode: 'stack-balance', seed: 'stack' });
+    const mode = runner.mode;
+    for (let i = 0; i < 3; i++) {
+        const stone = mode.availableStones.find(s => !mode.stackedStones.includes(s));
+        runner.dragStone(stone, mode.platform.x, mode.platform.y - 60 - i * 50);
+        runner.advance(1.5);
+    }
+    assert.strictEqual(mode.stackHeight, 3);
+});
@@ -0,0 +1,63 @@
+// SceneSerializer and mode scenes: the saved envelope and full-precision reloads
+
+const assert = require('assert');
+const { test, modes, use, plain, createRunner } = require('./harness');
+
+test('SceneSerializer: a bare version 0 state migrates into the envelope', () => {
+    const SceneSerializer = use('SceneSerializer');
+    const scene = SceneSerializer.migrate({ mode: 'free-explore', stones: [{ x: 1, y: 2 }], paused: true });
+    assert.strictEqual(scene.version, use('SCENE_VERSION'));
+    assert.strictEqual(scene.mode, 'free-explore');
+    assert.deepStrictEqual(plain(scene.state), { stones: [{ x: 1, y: 2 }], paused: true });
+});
+
+test('SceneSerializer: unreadable scenes give null', () => {
+    const SceneSerializer = use('SceneSerializer');
+    assert.strictEqual(SceneSerializer.parse('{not json'), null);
+    assert.strictEqual(SceneSerializer.parse({ stones: [] }), null);
+    assert.strictEqual(SceneSerializer.migrate({ format: 'zen-math-scene', version: 99, mode: 'free-explore', state: {} }), null);
+});
+
+test('SceneSerializer: every mode reloads its own scene unchanged', () => {
+    const runner = createRunner();
+    modes.forEach(ModeClass => {
+        const id = ModeClass.getMetadata().id;
+        runner.switchMode(id);
+        runner.advance(0.5);
+        const text = JSON.stringify(runner.mode.serialize());
+        runner.switchMode(id);
+        assert.ok(runner.mode.deserialize(JSON.parse(text)), `${id} refused its scene`);
+        assert.strictEqual(JSON.stringify(runner.mode.serialize()), text, `${id} changed on reload`);
+    });
+});
+
+test('Stone: serialize keeps mass, radius, position and velocity exact', () => {
+    const Stone = use('Stone');
+    const stone = new Stone(412.3456, 287.0049, 's1', { mass: 1.0172, radius: 23.456 });
+    stone.velocity = { x: 0.123456, y: -3.0001 };
+    const copy = Stone.deserialize(JSON.parse(JSON.stringify(stone.serialize(400, 300))), 400, 300);
+    assert.deepStrictEqual(
+        plain([copy.x, copy.y, copy.mass, copy.radius, copy.velocity]),
+        plain([stone.x, stone.y, stone.mass, stone.radius, stone.velocity]));
+});
+
+test('SceneSerializer: a stack reloaded mid-fall keeps its state and plays on the same', () => {
+    const runner = createRunner({ mode: 'stack-balance' });
+    const mode = runner.mode;
+    [0, 1].forEach(i => {
+        const stone = mode.availableStones.find(s => !mode.stackedStones.includes(s));
+        runner.dragStone(stone, mode.platform.x + 7 * i, mode.platform.y - 60 - i * 50);
+        runner.advance(1.5);
+    });
+    const stone = mode.availableStones.find(s => !mode.stackedStones.includes(s));
+    runner.dragStone(stone, mode.platform.x - 9, mode.platform.y - 200);
+    runner.advance(0.1);
+    const text = JSON.stringify(mode.serialize());
+
+    const reloaded = createRunner({ mode: 'stack-balance' });
+    assert.ok(reloaded.mode.deserialize(JSON.parse(text)));
+    assert.strictEqual(JSON.stringify(reloaded.mode.getState()), JSON.stringify(mode.getState()));
+    runner.advance(1.5);
+    reloaded.advance(1.5);
+    assert.strictEqual(JSON.stringify(reloaded.mode.serialize()), JSON.stringify(mode.serialize()));
+});
@@ -0,0 +1,55 @@
+// Screen reader support: mode summaries and what is announced (ScreenReaderLayer reads both)
+
+const assert = require('assert');
+const { test, createRunner, loadChallenge } = require('./harness');
+
+// A runner whose announcements are collected
+function createListeningRunner(options) {
+    const runner = createRunner(options);
+    runner.announced = [];
+    runner.modeManager.announcer = message => runner.announced.push(message);
+    return runner;
+}
+
+test('Screen reader: the balance scale summary names each pan and the tilt', () => {
+    const runner = createRunner({ mode: 'balance-scale' });
+    const mode = runner.mode;
+    assert.match(mode.getAccessibleSummary(), /scale is empty/);
+    const stone = mode.stones[0];
+    runner.dragStone(stone, mode.leftPan.x, mode.leftPan.y - 20);
+    runner.advance(1);
+    assert.strictEqual(mode.getAccessibleSummary(),
+        `Left pan: 1 stone, weight ${Math.round(stone.mass * 10) / 10}; right pan: empty; scale tips left`);
+});
+
+test('Screen reader: the stack summary gives its height', () => {
+    const runner = createRunner({ mode: 'stack-balance' });
+    const mode = runner.mode;
+    [0, 1].forEach(i => {
+        const stone = mode.availableStones.find(s => !mode.stackedStones.includes(s));
+        runner.dragStone(stone, mode.platform.x, mode.platform.y - 60 - i * 50);
+        runner.advance(1.5);
+    });
+    assert.match(mode.getAccessibleSummary(), /^Stack height 2, (standing straight|leaning (left|right))$/);
+});
+
+test('Screen reader: merging two structures announces the new one', () => {
+    const runner = createListeningRunner({ mode: 'number-structures' });
+    const mode = runner.mode;
+    const [a, b] = mode.structures;
+    const from = mode._getStructureCenter(a.stones);
+    const to = mode._getStructureCenter(b.stones);
+    const stone = a.stones[0];
+    runner.dragStone(stone, stone.x + to.x - from.x, stone.y + to.y - from.y);
+    runner.advance(2);
+    assert.ok(runner.announced.includes(`Structure of ${a.value + b.value} formed`), runner.announced.join(' | '));
+});
+
+test('Screen reader: a challenge is announced with its hint, and again when complete', () => {
+    const runner = createListeningRunner({ mode: 'balance-scale' });
+    const mode = loadChallenge(runner, 'balance-scale', undefined,
+        { title: 'One left', hint: 'Put a stone on the left', goals: [{ metric: 'left-count', eq: 1 }] });
+    assert.deepStrictEqual(runner.announced, ['Challenge: One left. Put a stone on the left']);
+    runner.dragStone(mode.stones[0], mode.leftPan.x, mode.leftPan.y - 20);
+    assert.strictEqual(runner.announced[runner.announced.length - 1], 'Challenge complete: One left');
+});
@@ -0,0 +1,56 @@
+// TenFrameMode: stones snapping into cells, make ten, and the frame goals
+
+const assert = require('assert');
+const { test, plain, createRunner, loadChallenge } = require('./harness');
+
+const counts = mode => plain(mode.frames.map((f, i) => mode.getFilled(i)));
+
+test('Ten frame: make ten turns 8 + 5 into 10 + 3 and packs the frame that gave', () => {
+    const runner = createRunner();
+    const announced = [];
+    runner.modeManager.announcer = message => announced.push(message);
+    const mode = loadChallenge(runner, 'ten-frame', { frames: 2, filled: [8, 5] });
+    const btn = mode.buttons.find(b => b.id === 'make-ten');
+    runner.tap(btn.x + btn.width / 2, btn.y + btn.height / 2);
+    assert.deepStrictEqual(counts(mode), [10, 3]);
+    assert.deepStrictEqual(plain(mode.frames[1].cells.map(Boolean)), [true, true, true, false, false, false, false, false, false, false]);
+    assert.ok(announced.includes('8 and 5 make 10 and 3'), announced.join(' | '));
+
+    runner.advance(3);
+    mode.stones.forEach(stone => {
+        const pos = mode.getCellPosition(stone._frame, stone._cell);
+        assert.ok(Math.abs(stone.x - pos.x) < 1 && Math.abs(stone.y - pos.y) < 1, `stone ${stone.id} in its cell`);
+    });
+});
+
+test('Ten frame: make ten needs a frame to fill and stones elsewhere', () => {
+    const runner = createRunner();
+    assert.strictEqual(loadChallenge(runner, 'ten-frame', { frames: 2, filled: [10, 10] }).makeTen(), false);
+    assert.strictEqual(loadChallenge(runner, 'ten-frame', { frames: 2, filled: [6, 0] }).makeTen(), false);
+});
+
+test('Ten frame: a dropped stone snaps into the cell under it, or the first free one', () => {
+    const runner = createRunner();
+    const mode = loadChallenge(runner, 'ten-frame', { frames: 1, filled: [2], loose: 2 });
+    const [a, b] = mode.getLooseStones();
+    const corner = mode.getCellPosition(0, 9);
+    runner.dragStone(a, corner.x, corner.y);
+    assert.strictEqual(a._cell, 9);
+    runner.dragStone(b, corner.x, corner.y);
+    assert.strictEqual(b._cell, 2);
+});
+
+test('Ten frame: frames-filled and frame-count goals count the frames', () => {
+    const runner = createRunner();
+    const engine = runner.challengeEngine;
+    const mode = loadChallenge(runner, 'ten-frame', { frames: 3, filled: [10, 4, 0], loose: 6 });
+    assert.ok(engine.evaluateGoal({ type: 'frames-filled', count: 1 }, mode));
+    assert.ok(engine.evaluateGoal({ type: 'frame-count', frame: 2, count: 4 }, mode));
+    assert.ok(engine.evaluateGoal({ type: 'frame-count', count: 14 }, mode));
+
+    const target = mode.getCellPosition(1, 4);
+    mode.getLooseStones().forEach(stone => runner.dragStone(stone, target.x, target.y));
+    assert.deepStrictEqual(counts(mode), [10, 10, 0]);
+    assert.ok(engine.evaluateGoal({ type: 'frames-filled', count: 2 }, mode));
+    assert.ok(!engine.evaluateGoal({ type: 'frame-count', frame: 2, count: 4 }, mode));
+});
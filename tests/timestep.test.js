@@ -0,0 +1,62 @@
+// FixedTimestep: physics in equal steps, drawn between them
+
+const assert = require('assert');
+const { test, use, createRunner } = require('./harness');
+
+test('FixedTimestep: frames of any length run the same steps', () => {
+    const FixedTimestep = use('FixedTimestep');
+    const count = frameTime => {
+        const timestep = new FixedTimestep();
+        let steps = 0;
+        for (let t = 0; t < 1 - 1e-9; t += frameTime) timestep.advance(frameTime, () => steps++);
+        return steps;
+    };
+    assert.strictEqual(count(1 / 60), 60);
+    assert.strictEqual(count(1 / 120), 60);
+    assert.strictEqual(count(1 / 30), 60);
+});
+
+test('FixedTimestep: a long frame is clamped and its backlog dropped', () => {
+    const timestep = new (use('FixedTimestep'))({ maxSteps: 4 });
+    let steps = 0;
+    timestep.advance(5, () => steps++);
+    assert.strictEqual(steps, 4);
+    assert.strictEqual(timestep.accumulator, 0);
+    assert.strictEqual(timestep.clampFrameTime(-1), 0);
+});
+
+test('FixedTimestep: alpha is how far time is past the last step', () => {
+    const timestep = new (use('FixedTimestep'))();
+    timestep.advance(1.5 / 60, () => {});
+    assert.ok(Math.abs(timestep.alpha - 0.5) < 1e-6, `alpha ${timestep.alpha}`);
+});
+
+test('FixedTimestep: a falling stack ends the same at any frame rate', () => {
+    const run = frameTime => {
+        const runner = createRunner({ mode: 'stack-balance', seed: 'frames' });
+        const mode = runner.mode;
+        const stone = mode.availableStones[0];
+        runner.dragStone(stone, mode.platform.x, mode.platform.y - 200);
+        // Frames handed to the mode manager the way the browser loop does
+        for (let t = 0; t < 2 - 1e-9; t += frameTime) runner.modeManager.update(frameTime);
+        return `${stone.x.toFixed(6)} ${stone.y.toFixed(6)}`;
+    };
+    assert.strictEqual(run(1 / 120), run(1 / 60));
+    assert.strictEqual(run(1 / 30), run(1 / 60));
+});
+
+test('FixedTimestep: a stone is drawn between its last two steps, then put back', () => {
+    const runner = createRunner({ mode: 'stack-balance' });
+    const mode = runner.mode;
+    const stone = mode.availableStones[0];
+    stone.prevX = stone.x - 10;
+    stone.prevY = stone.y;
+    const x = stone.x;
+    let drawnAt = null;
+    const render = mode.render;
+    mode.render = function () { drawnAt = stone.x; };
+    mode.renderInterpolated(0.25);
+    mode.render = render;
+    assert.ok(Math.abs(drawnAt - (x - 7.5)) < 1e-9, `drawn at ${drawnAt}`);
+    assert.strictEqual(stone.x, x);
+});
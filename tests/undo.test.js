@@ -0,0 +1,54 @@
+// UndoHistory: labelled steps, undo/redo stacks and the runner's undo
+
+const assert = require('assert');
+const { test, use, plain, createRunner } = require('./harness');
+
+test('UndoHistory: only labelled steps that change the scene are kept', () => {
+    const history = new (use('UndoHistory'))();
+    const scene = n => ({ mode: 'm', state: { n } });
+    history.begin(scene(1));
+    assert.strictEqual(history.commit(scene(2)), false); // No label
+    history.begin(scene(1));
+    assert.strictEqual(history.commit(scene(1), 'move'), false); // No change
+    history.begin(scene(1));
+    assert.strictEqual(history.commit(scene(2), 'move'), true);
+    assert.strictEqual(history.peekUndo(), 'move');
+});
+
+test('UndoHistory: undo and redo swap scenes and a new step clears redo', () => {
+    const history = new (use('UndoHistory'))();
+    const scene = n => ({ mode: 'm', state: { n } });
+    history.record(scene(1), 'a');
+    history.record(scene(2), 'b');
+    assert.deepStrictEqual(plain(history.undo(scene(3))), scene(2));
+    assert.deepStrictEqual(plain(history.redo(scene(2))), scene(3));
+    history.undo(scene(3));
+    history.record(scene(4), 'c');
+    assert.strictEqual(history.canRedo(), false);
+});
+
+test('UndoHistory: the oldest steps go past the limit', () => {
+    const history = new (use('UndoHistory'))({ limit: 3 });
+    for (let n = 0; n < 5; n++) history.record({ mode: 'm', state: { n } }, `step ${n}`);
+    assert.strictEqual(history.undoStack.length, 3);
+    assert.strictEqual(history.undoStack[0].label, 'step 2');
+});
+
+test('UndoHistory: a runner undo puts the stone back', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    const before = JSON.stringify(runner.modeManager.saveScene().state);
+    const stone = runner.mode.stones[0];
+    runner.dragStone(stone, stone.x + 120, stone.y + 40);
+    runner.undo();
+    assert.strictEqual(JSON.stringify(runner.modeManager.saveScene().state), before);
+});
+
+test('UndoHistory: a runner redo moves the stone again', () => {
+    const runner = createRunner({ mode: 'free-explore' });
+    const stone = runner.mode.stones[0];
+    runner.dragStone(stone, stone.x + 120, stone.y + 40);
+    const after = JSON.stringify(runner.modeManager.saveScene().state);
+    runner.undo();
+    runner.redo();
+    assert.strictEqual(JSON.stringify(runner.modeManager.saveScene().state), after);
+});
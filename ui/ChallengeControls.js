@@ -0,0 +1,62 @@
+// ChallengeControls - Button that moves on to the next challenge
+// Sits top-right while no challenge is open (or the open one is done, or its mode
+// was left) and loads challengeEngine.getNextChallenge(): the next library
+// challenge, then generated practice ones.
+
+class ChallengeControls {
+    constructor(challengeEngine, modeManager, container) {
+        this.challengeEngine = challengeEngine;
+        this.modeManager = modeManager;
+        this.container = container;
+        this.element = null;
+        this.shownState = null; // 'start', 'next', 'done' or 'hidden', as last drawn
+        this.createDOM();
+    }
+
+    createDOM() {
+        this.element = document.createElement('button');
+        this.element.className = 'challenge-next';
+        this.element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.next();
+        });
+        this.container.appendChild(this.element);
+        this.update();
+    }
+
+    // Load the next challenge; false if there is none
+    next() {
+        const challenge = this.challengeEngine.getNextChallenge();
+        if (!challenge || !this.challengeEngine.loadChallenge(challenge)) return false;
+        this.update();
+        return true;
+    }
+
+    // Hidden while a challenge is being played; called every frame, touches the DOM on change only
+    update() {
+        const engine = this.challengeEngine;
+        const mode = this.modeManager.getCurrentMode();
+        const playing = engine.isActive && engine.currentChallenge && mode &&
+            mode.constructor.getMetadata().id === engine.currentChallenge.mode;
+        let state = 'start';
+        if (playing) state = 'hidden';
+        else if (engine.currentChallenge) state = engine.isActive ? 'next' : 'done';
+        if (state === this.shownState) return;
+
+        this.shownState = state;
+        this.element.hidden = state === 'hidden';
+        this.element.textContent = state === 'start' ? 'Start a challenge →' : 'Next challenge →';
+        this.element.classList.toggle('ready', state === 'done');
+    }
+
+    destroy() {
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChallengeControls };
+}
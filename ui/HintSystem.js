@@ -12,33 +12,74 @@ class HintSystem {
         this.inactivityTimer = 0;
         this.inactivityThreshold = 45; // seconds before showing hint
         this.fadeSpeed = 0.02;
-        this.lastHintIndex = -1;
+        this.lastHint = null;
 
-        // Mode-specific hints
+        // () => the current mode's getState() (ModeBase), so hints can fit the scene; set by app.js
+        this.stateSource = null;
+
+        // Mode-specific hints. An entry is a string, or { text, when(metrics) }
+        // offered only while when() holds for the mode's metrics.
         this.hints = {
             'free-explore': [
-                'Try moving stones close together',
+                { text: 'Try moving stones close together', when: m => m['group-count'] === 0 },
                 'What happens when stones touch?',
-                'Can you make groups of the same size?',
+                { text: 'Can you make groups of the same size?', when: m => m['group-count'] >= 2 && !m['groups-equal'] },
                 'Try spreading all stones apart'
             ],
             'number-structures': [
                 'Drag stones to form patterns',
                 'What number do these stones make?',
                 'Try pulling a group apart',
-                'Move two groups together'
+                { text: 'Move two groups together', when: m => m['structure-count'] >= 2 },
+                'The pattern button shows numbers as ten-frames, arrays or fingers'
             ],
             'balance-scale': [
-                'Drag stones onto the pans',
-                'Can you make both sides equal?',
+                { text: 'Drag stones onto the pans', when: m => m['left-count'] + m['right-count'] === 0 },
+                { text: 'Can you make both sides equal?', when: m => m['left-count'] + m['right-count'] > 0 && !m.balanced },
                 'Bigger stones are heavier',
                 'Try different combinations'
             ],
             'stack-balance': [
-                'Drop a stone onto the platform',
+                { text: 'Drop a stone onto the platform', when: m => m['stack-height'] === 0 },
                 'Stack stones carefully',
                 'Wider stones make better bases',
-                'How high can you build?'
+                { text: 'How high can you build?', when: m => m['stack-height'] >= 3 }
+            ],
+            'multi-lever': [
+                'A pan carries everything hanging under it',
+                'Balance the little scales first',
+                'Three scales of four weigh twelve',
+                'Try the same stones on each little scale'
+            ],
+            'number-line': [
+                { text: 'Put the hopper on a number', when: m => m.position === null },
+                'Drop a group to the right to hop forward',
+                'Drop a group to the left to hop back',
+                'Can you get there in two hops?'
+            ],
+            'ten-frame': [
+                'Drop stones into the empty cells',
+                'How many more make ten?',
+                'Make ten, then count what is left',
+                'Try the make ten button'
+            ],
+            'fractions': [
+                'Tap a stone to cut it into equal pieces',
+                'Drop pieces on each other to join them',
+                { text: 'Put pieces on both pans. Do they balance?', when: m => !m.balanced },
+                'Two quarters weigh the same as one half'
+            ],
+            'arrays': [
+                { text: 'Fill every cell of the grid', when: m => !m.complete },
+                'How many rows? How many in each row?',
+                'Turn the array. Is it still the same number?',
+                { text: 'Split the array into two you know', when: m => m.complete && m.split === null }
+            ],
+            'place-value': [
+                'Push ten stones together to make a ten',
+                'Tap a ten to break it into ones',
+                'Ten tens side by side make a hundred',
+                'How many tens are in your number?'
             ]
         };
     }
@@ -77,20 +118,29 @@ class HintSystem {
         this.reset();
     }
 
+    // A mode's hints that fit the scene right now, as text
+    getAvailableHints(modeId) {
+        const state = this.stateSource ? this.stateSource() : null;
+        const metrics = state && state.mode === modeId ? state.metrics : null;
+        return (this.hints[modeId] || [])
+            .filter(hint => typeof hint === 'string' || (metrics !== null && hint.when(metrics)))
+            .map(hint => (typeof hint === 'string' ? hint : hint.text));
+    }
+
     // Pick and show a random hint for the current mode
     showHint(modeId) {
         const id = modeId || this.currentModeId;
-        const modeHints = this.hints[id];
-        if (!modeHints || modeHints.length === 0) return;
+        const modeHints = this.getAvailableHints(id);
+        if (modeHints.length === 0) return;
 
         // Pick a random hint, avoiding the last one shown
-        let index;
+        let hint;
         do {
-            index = Math.floor(Math.random() * modeHints.length);
-        } while (index === this.lastHintIndex && modeHints.length > 1);
+            hint = modeHints[Math.floor(Math.random() * modeHints.length)];
+        } while (hint === this.lastHint && modeHints.length > 1);
 
-        this.lastHintIndex = index;
-        this.currentHint = modeHints[index];
+        this.lastHint = hint;
+        this.currentHint = hint;
         this.isVisible = true;
         this.targetOpacity = 0.7;
     }
@@ -156,7 +206,7 @@ class HintSystem {
         this.targetOpacity = 0;
         this.isVisible = false;
         this.currentHint = null;
-        this.lastHintIndex = -1;
+        this.lastHint = null;
     }
 }
 
@@ -0,0 +1,102 @@
+// HistoryControls - Undo/redo buttons and keyboard shortcuts
+// Buttons sit bottom-right; Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes.
+
+const HISTORY_STEP_NAMES = {
+    move: 'move',
+    merge: 'merge',
+    pan: 'pan placement',
+    topple: 'topple',
+    reset: 'reset'
+};
+
+class HistoryControls {
+    constructor(modeManager, container) {
+        this.modeManager = modeManager;
+        this.history = modeManager.history;
+        this.container = container;
+        this.element = null;
+        this.undoButton = null;
+        this.redoButton = null;
+        this.onRestore = null; // callback: () => void, after an undo/redo changed the scene
+        this.boundKeyHandler = this.handleKeyDown.bind(this);
+        this.createDOM();
+
+        this.history.onChange = () => this.update();
+        document.addEventListener('keydown', this.boundKeyHandler);
+    }
+
+    createDOM() {
+        this.element = document.createElement('div');
+        this.element.className = 'history-controls';
+
+        this.undoButton = this.createButton('↶', () => this.undo());
+        this.redoButton = this.createButton('↷', () => this.redo());
+        this.element.appendChild(this.undoButton);
+        this.element.appendChild(this.redoButton);
+
+        this.container.appendChild(this.element);
+        this.update();
+    }
+
+    createButton(text, action) {
+        const button = document.createElement('button');
+        button.className = 'history-button';
+        button.textContent = text;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            action();
+        });
+        return button;
+    }
+
+    undo() {
+        if (this.modeManager.undo() && this.onRestore) this.onRestore();
+    }
+
+    redo() {
+        if (this.modeManager.redo() && this.onRestore) this.onRestore();
+    }
+
+    handleKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+
+        if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    // Enable/disable buttons and name the step each one would revert
+    update() {
+        const undoStep = this.history.peekUndo();
+        const redoStep = this.history.peekRedo();
+
+        this.undoButton.disabled = !undoStep;
+        this.redoButton.disabled = !redoStep;
+        this.undoButton.title = undoStep ? `Undo ${HISTORY_STEP_NAMES[undoStep] || undoStep}` : 'Nothing to undo';
+        this.redoButton.title = redoStep ? `Redo ${HISTORY_STEP_NAMES[redoStep] || redoStep}` : 'Nothing to redo';
+        this.undoButton.setAttribute('aria-label', this.undoButton.title);
+        this.redoButton.setAttribute('aria-label', this.redoButton.title);
+    }
+
+    destroy() {
+        document.removeEventListener('keydown', this.boundKeyHandler);
+        this.history.onChange = null;
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoryControls };
+}
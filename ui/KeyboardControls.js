@@ -0,0 +1,416 @@
+// KeyboardControls - Play without a pointer: keyboard focus and single-switch scanning
+// Focus cycles through the current mode's buttons and stones (ModeBase.getFocusTargets).
+// Everything goes through ModeManager as the keyboard pointer (KEYBOARD_POINTER_ID),
+// so undo, session recording and challenge goals treat it like any other drag.
+//
+//   Tab / Shift+Tab, arrows   move focus (arrows move the stone while one is held)
+//   Space / Enter             pick up or drop the focused stone, press a button
+//   Shift+arrows              small steps
+//   Escape                    let go without dropping (pointer cancel)
+//   letters                   mode shortcuts (ModeBase.getKeyboardShortcuts)
+//
+// Scanning (?scan in the URL) moves the highlight by itself and one switch
+// (Space or Enter) chooses. While a stone is held the scan runs over moves instead.
+
+const KEYBOARD_STEP = 20;      // px per arrow press
+const KEYBOARD_FINE_STEP = 5;  // px per Shift+arrow press
+const SCAN_INTERVAL = 1.5;     // seconds each scanned item stays highlighted
+const SCAN_STEP = 40;          // px per scanned move
+const FOCUS_COLOR = '#3d6b8c';
+
+class KeyboardControls {
+    constructor(modeManager, canvas, options = {}) {
+        this.modeManager = modeManager;
+        this.canvas = canvas;
+        this.focusKey = null;       // Focused target, e.g. 'stone:3' or 'button:reset'
+        this.heldPointerId = null;  // Pointer id of the stone held from the keyboard
+        this.pointerX = 0;          // Keyboard pointer position while holding
+        this.pointerY = 0;
+        this.isVisible = false;     // Focus shows once the keyboard is used, until a pointer is
+        this.onAction = null;       // callback: () => void, after a drop or press
+
+        this.scanning = !!options.scanning;
+        this.scanInterval = options.scanInterval || SCAN_INTERVAL;
+        this.scanIndex = 0;
+        this.scanTimer = 0;
+        if (this.scanning) this.isVisible = true;
+
+        this.boundKeyHandler = this.handleKeyDown.bind(this);
+        this.boundFocus = () => { this.isVisible = true; };
+        this.boundBlur = () => { this.isVisible = this.scanning; };
+        this.boundPointerDown = () => { this.isVisible = this.scanning; };
+
+        // The canvas takes keyboard focus; rings are drawn instead of an outline
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-label', 'Stone garden. Tab or arrow keys move between stones and buttons; Space picks up and drops.');
+        canvas.addEventListener('keydown', this.boundKeyHandler);
+        canvas.addEventListener('focus', this.boundFocus);
+        canvas.addEventListener('blur', this.boundBlur);
+        canvas.addEventListener('pointerdown', this.boundPointerDown);
+        if (this.scanning && canvas.focus) canvas.focus();
+    }
+
+    // --- Focus ---
+
+    getTargets() {
+        const mode = this.modeManager.getCurrentMode();
+        return mode ? mode.getFocusTargets() : [];
+    }
+
+    static targetKey(target) {
+        return target.kind === 'stone' ? `stone:${target.stone.id}` : `button:${target.button.id}`;
+    }
+
+    // Focused target, or null if it's gone (mode switch, undo, merged away)
+    getFocused() {
+        return this.getTargets().find(t => KeyboardControls.targetKey(t) === this.focusKey) || null;
+    }
+
+    setFocus(target) {
+        this.focusKey = target ? KeyboardControls.targetKey(target) : null;
+    }
+
+    // Step focus by delta. Without wrap, stepping past either end returns false
+    // (so Tab can leave the canvas).
+    moveFocus(delta, wrap = true) {
+        const targets = this.getTargets();
+        if (targets.length === 0) return false;
+
+        const index = targets.findIndex(t => KeyboardControls.targetKey(t) === this.focusKey);
+        let next;
+        if (index === -1) {
+            next = delta > 0 ? 0 : targets.length - 1;
+        } else {
+            next = index + delta;
+            if (next < 0 || next >= targets.length) {
+                if (!wrap) return false;
+                next = (next + targets.length) % targets.length;
+            }
+        }
+        this.setFocus(targets[next]);
+        return true;
+    }
+
+    // --- Holding (the keyboard pointer) ---
+
+    getHeldStone() {
+        return this.heldPointerId === null ? null : this.modeManager.getDraggedStone(this.heldPointerId);
+    }
+
+    isHolding() {
+        if (this.heldPointerId !== null && !this.getHeldStone()) {
+            this.heldPointerId = null; // Released elsewhere (mode switch, scene load)
+        }
+        return this.heldPointerId !== null;
+    }
+
+    // Press at a point; hold whatever the mode hands back, or release at once (a tap)
+    press(x, y, pointerId = KEYBOARD_POINTER_ID) {
+        this.modeManager.pointerDown(x, y, pointerId);
+        const stone = this.modeManager.getDraggedStone(pointerId);
+        if (stone) {
+            this.heldPointerId = pointerId;
+            this.pointerX = x;
+            this.pointerY = y;
+            this.setFocus({ kind: 'stone', stone });
+            return stone;
+        }
+        this.modeManager.pointerUp(x, y, pointerId);
+        this._changed();
+        return null;
+    }
+
+    pickUp(stone, pointerId = KEYBOARD_POINTER_ID) {
+        return this.press(stone.x, stone.y, pointerId);
+    }
+
+    moveHeldTo(x, y) {
+        if (!this.isHolding()) return;
+        const dims = this.modeManager.renderer.getDimensions();
+        this.pointerX = Math.max(0, Math.min(dims.width, x));
+        this.pointerY = Math.max(0, Math.min(dims.height, y));
+        this.modeManager.pointerMove(this.pointerX, this.pointerY, this.heldPointerId);
+    }
+
+    moveHeld(dx, dy) {
+        this.moveHeldTo(this.pointerX + dx, this.pointerY + dy);
+    }
+
+    drop() {
+        if (!this.isHolding()) return;
+        this.modeManager.pointerUp(this.pointerX, this.pointerY, this.heldPointerId);
+        this.heldPointerId = null;
+        this._changed();
+    }
+
+    cancel() {
+        if (!this.isHolding()) return;
+        this.modeManager.pointerCancel(this.heldPointerId);
+        this.heldPointerId = null;
+        this._changed();
+    }
+
+    // Carry a stone to a point and let go there
+    place(stone, point) {
+        if (this.getHeldStone() !== stone) {
+            if (this.isHolding()) this.drop();
+            if (!this.pickUp(stone)) return;
+        }
+        this.moveHeldTo(point.x, point.y);
+        this.drop();
+    }
+
+    // Space / Enter / switch: pick up or drop, or press the focused button
+    activate() {
+        if (this.isHolding()) {
+            this.drop();
+            return;
+        }
+        const target = this.getFocused();
+        if (!target) {
+            this.moveFocus(1);
+        } else if (target.kind === 'stone') {
+            this.pickUp(target.stone);
+        } else {
+            const btn = target.button;
+            this.press(btn.x + btn.width / 2, btn.y + btn.height / 2);
+        }
+    }
+
+    getShortcuts() {
+        const mode = this.modeManager.getCurrentMode();
+        return mode ? mode.getKeyboardShortcuts() : [];
+    }
+
+    runShortcut(shortcut) {
+        if (shortcut.press) {
+            if (this.isHolding()) this.drop();
+            const point = shortcut.press();
+            this.press(point.x, point.y);
+            return;
+        }
+
+        const focused = this.getFocused();
+        const stone = this.getHeldStone() || (focused && focused.kind === 'stone' ? focused.stone : null);
+        if (!stone) return;
+
+        if (shortcut.place) {
+            this.place(stone, shortcut.place(stone));
+        } else if (shortcut.pickOne && !this.isHolding()) {
+            this.pickUp(stone, KEYBOARD_SINGLE_POINTER_ID);
+        }
+    }
+
+    _changed() {
+        if (this.onAction) this.onAction();
+    }
+
+    // --- Keys ---
+
+    handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return; // Undo/redo and browser shortcuts
+        if (!this.modeManager.getCurrentMode()) return;
+        this.isVisible = true;
+
+        if (this.scanning) {
+            if (e.key !== ' ' && e.key !== 'Enter') return;
+            e.preventDefault();
+            this.scanSelect();
+            return;
+        }
+
+        const holding = this.isHolding();
+        const step = e.shiftKey ? KEYBOARD_FINE_STEP : KEYBOARD_STEP;
+
+        switch (e.key) {
+            case 'Tab':
+                // Tab past either end leaves the canvas (never while holding a stone)
+                if (!holding && !this.moveFocus(e.shiftKey ? -1 : 1, false)) return;
+                break;
+            case 'ArrowRight':
+                if (holding) this.moveHeld(step, 0); else this.moveFocus(1);
+                break;
+            case 'ArrowLeft':
+                if (holding) this.moveHeld(-step, 0); else this.moveFocus(-1);
+                break;
+            case 'ArrowDown':
+                if (holding) this.moveHeld(0, step); else this.moveFocus(1);
+                break;
+            case 'ArrowUp':
+                if (holding) this.moveHeld(0, -step); else this.moveFocus(-1);
+                break;
+            case ' ':
+            case 'Enter':
+                this.activate();
+                break;
+            case 'Escape':
+                if (!holding) return;
+                this.cancel();
+                break;
+            default: {
+                const shortcut = this.getShortcuts().find(s => s.key === e.key.toLowerCase());
+                if (!shortcut) return;
+                this.runShortcut(shortcut);
+            }
+        }
+        e.preventDefault();
+    }
+
+    // --- Scanning ---
+
+    // What the scan steps through: the focus targets and press shortcuts, or
+    // while holding, the moves and drops for the held stone
+    getScanItems() {
+        if (this.isHolding()) {
+            const items = [
+                { label: '←', repeat: true, run: () => this.moveHeld(-SCAN_STEP, 0) },
+                { label: '→', repeat: true, run: () => this.moveHeld(SCAN_STEP, 0) },
+                { label: '↑', repeat: true, run: () => this.moveHeld(0, -SCAN_STEP) },
+                { label: '↓', repeat: true, run: () => this.moveHeld(0, SCAN_STEP) }
+            ];
+            this.getShortcuts().filter(s => s.place).forEach(shortcut => {
+                items.push({ label: shortcut.label, run: () => this.runShortcut(shortcut) });
+            });
+            items.push({ label: 'Drop', run: () => this.drop() });
+            items.push({ label: 'Let go', run: () => this.cancel() });
+            return items;
+        }
+
+        const items = this.getTargets().map(target => ({ target }));
+        this.getShortcuts().filter(s => s.press).forEach(shortcut => {
+            items.push({ label: shortcut.label, run: () => this.runShortcut(shortcut) });
+        });
+        return items;
+    }
+
+    // Advance the scan (called every frame with seconds elapsed)
+    update(deltaTime) {
+        if (!this.scanning) return;
+        const items = this.getScanItems();
+        if (items.length === 0) return;
+
+        this.scanTimer += deltaTime;
+        if (this.scanTimer >= this.scanInterval) {
+            this.scanTimer = 0;
+            this.scanIndex = (this.scanIndex + 1) % items.length;
+        }
+        this.scanIndex %= items.length;
+
+        const item = items[this.scanIndex];
+        if (item.target) this.setFocus(item.target);
+    }
+
+    // The switch was pressed: run the highlighted item
+    scanSelect() {
+        const items = this.getScanItems();
+        if (items.length === 0) return;
+        const item = items[this.scanIndex % items.length];
+        const wasHolding = this.isHolding();
+
+        if (item.target) {
+            this.setFocus(item.target);
+            this.activate();
+        } else {
+            item.run();
+        }
+
+        // Moves repeat from where they are; otherwise start over, on the
+        // focused target once the stone is down again
+        this.scanTimer = 0;
+        if (item.repeat && this.isHolding()) return;
+        this.scanIndex = 0;
+        if (wasHolding || !this.isHolding()) {
+            const index = this.getScanItems().findIndex(i => i.target && KeyboardControls.targetKey(i.target) === this.focusKey);
+            if (index > -1) this.scanIndex = index;
+        }
+    }
+
+    // --- Drawing (logical canvas coordinates, after the mode) ---
+
+    render(ctx) {
+        if (!this.isVisible) return;
+        const held = this.isHolding() ? this.getHeldStone() : null;
+        const focused = held ? null : this.getFocused();
+
+        ctx.save();
+        ctx.strokeStyle = FOCUS_COLOR;
+
+        if (held) {
+            // Held: solid glowing ring
+            ctx.lineWidth = 4;
+            ctx.shadowColor = FOCUS_COLOR;
+            ctx.shadowBlur = 12;
+            ctx.beginPath();
+            ctx.arc(held.x, held.y, held.radius + 8, 0, Math.PI * 2);
+            ctx.stroke();
+        } else if (focused) {
+            // Focused: dashed ring
+            ctx.lineWidth = 3;
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+            if (focused.kind === 'stone') {
+                const stone = focused.stone;
+                ctx.arc(stone.x, stone.y, stone.radius + 8, 0, Math.PI * 2);
+            } else {
+                const btn = focused.button;
+                ctx.roundRect(btn.x - 5, btn.y - 5, btn.width + 10, btn.height + 10, 10);
+            }
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        if (this.scanning) {
+            const items = this.getScanItems();
+            const current = items[this.scanIndex];
+            const choices = items.filter(item => !item.target);
+            this._renderMenu(ctx, choices.map(item => ({ label: item.label, active: item === current })));
+        } else {
+            const keys = this.getShortcuts().map(s => ({ label: `${s.key.toUpperCase()}: ${s.label}`, active: false }));
+            if (keys.length > 0) this._renderMenu(ctx, keys);
+        }
+    }
+
+    // Row of labels above the bottom edge (scan choices or shortcut keys)
+    _renderMenu(ctx, entries) {
+        if (entries.length === 0) return;
+        const dims = this.modeManager.renderer.getDimensions();
+        const fontSize = 15;
+        const padX = 14;
+        const height = 34;
+        const gap = 8;
+
+        ctx.save();
+        ctx.font = `${fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const widths = entries.map(entry => ctx.measureText(entry.label).width + padX * 2);
+        const total = widths.reduce((sum, w) => sum + w, 0) + gap * (entries.length - 1);
+        let x = (dims.width - total) / 2;
+        const y = dims.height - height - 110;
+
+        entries.forEach((entry, i) => {
+            ctx.fillStyle = entry.active ? FOCUS_COLOR : 'rgba(90, 80, 68, 0.6)';
+            ctx.beginPath();
+            ctx.roundRect(x, y, widths[i], height, height / 2);
+            ctx.fill();
+            ctx.fillStyle = '#f5f0e8';
+            ctx.fillText(entry.label, x + widths[i] / 2, y + height / 2);
+            x += widths[i] + gap;
+        });
+        ctx.restore();
+    }
+
+    destroy() {
+        this.canvas.removeEventListener('keydown', this.boundKeyHandler);
+        this.canvas.removeEventListener('focus', this.boundFocus);
+        this.canvas.removeEventListener('blur', this.boundBlur);
+        this.canvas.removeEventListener('pointerdown', this.boundPointerDown);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KeyboardControls };
+}
@@ -0,0 +1,278 @@
+// ReplayViewer - Full-screen overlay for watching a recorded session
+// Plays a SessionRecorder recording on its own canvas through SessionPlayer,
+// with play/pause, a scrub bar, speed control, file open and export.
+// The live garden keeps running underneath and is not affected.
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+class ReplayViewer {
+    constructor(modeManager, recorder, container) {
+        this.modeManager = modeManager;
+        this.recorder = recorder;
+        this.container = container;
+        this.player = null;
+        this.isOpen = false;
+        this.isPlaying = false;
+        this.speed = 1;
+        this.accumulator = 0; // Unplayed time (s) at the current speed
+        this.lastFrameTime = null;
+        this.frameRequest = null;
+
+        this.boundFrame = this.frame.bind(this);
+        this.boundKeyHandler = this.handleKeyDown.bind(this);
+        this.boundResize = () => this.fitCanvas();
+        this.createDOM();
+    }
+
+    createDOM() {
+        // Launcher, above the seed badge
+        this.launchButton = document.createElement('button');
+        this.launchButton.className = 'replay-launch';
+        this.launchButton.textContent = 'replay';
+        this.launchButton.title = 'Watch this session';
+        this.launchButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.open();
+        });
+        this.container.appendChild(this.launchButton);
+
+        // Overlay
+        this.element = document.createElement('div');
+        this.element.className = 'replay-viewer';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'replay-canvas';
+        this.ctx = this.canvas.getContext('2d');
+        this.element.appendChild(this.canvas);
+
+        const controls = document.createElement('div');
+        controls.className = 'replay-controls';
+
+        this.playButton = this.createButton('▶', 'Play', () => this.togglePlay());
+        controls.appendChild(this.playButton);
+
+        this.scrubber = document.createElement('input');
+        this.scrubber.type = 'range';
+        this.scrubber.className = 'replay-scrubber';
+        this.scrubber.min = 0;
+        this.scrubber.step = 1;
+        this.scrubber.setAttribute('aria-label', 'Replay position');
+        this.scrubber.addEventListener('input', () => this.seek(Number(this.scrubber.value)));
+        controls.appendChild(this.scrubber);
+
+        this.timeLabel = document.createElement('span');
+        this.timeLabel.className = 'replay-time';
+        controls.appendChild(this.timeLabel);
+
+        this.speedSelect = document.createElement('select');
+        this.speedSelect.className = 'replay-speed';
+        this.speedSelect.setAttribute('aria-label', 'Replay speed');
+        REPLAY_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            option.selected = speed === this.speed;
+            this.speedSelect.appendChild(option);
+        });
+        this.speedSelect.addEventListener('change', () => this.setSpeed(Number(this.speedSelect.value)));
+        controls.appendChild(this.speedSelect);
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.hidden = true;
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length > 0) this.openFile(this.fileInput.files[0]);
+            this.fileInput.value = '';
+        });
+        controls.appendChild(this.fileInput);
+
+        controls.appendChild(this.createButton('Open', 'Open a recording', () => this.fileInput.click()));
+        controls.appendChild(this.createButton('Export', 'Save this recording', () => this.exportRecording()));
+        controls.appendChild(this.createButton('✕', 'Close replay', () => this.close()));
+
+        this.element.appendChild(controls);
+        this.container.appendChild(this.element);
+    }
+
+    createButton(text, label, action) {
+        const button = document.createElement('button');
+        button.className = 'replay-button';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            action();
+        });
+        return button;
+    }
+
+    // --- Opening / closing ---
+
+    // Show the viewer with a recording (defaults to the live session so far)
+    open(recording = this.recorder.getRecording()) {
+        if (!recording) return false;
+
+        this.isOpen = true;
+        this.element.classList.add('open');
+        window.addEventListener('keydown', this.boundKeyHandler, true);
+        window.addEventListener('resize', this.boundResize);
+
+        this.load(recording);
+        this.lastFrameTime = null;
+        this.frameRequest = requestAnimationFrame(this.boundFrame);
+        return true;
+    }
+
+    close() {
+        this.pause();
+        this.isOpen = false;
+        this.player = null;
+        this.element.classList.remove('open');
+        window.removeEventListener('keydown', this.boundKeyHandler, true);
+        window.removeEventListener('resize', this.boundResize);
+        cancelAnimationFrame(this.frameRequest);
+    }
+
+    load(recording) {
+        const modes = Array.from(this.modeManager.modes.values(), data => data.class);
+        this.player = new SessionPlayer(recording, { canvas: this.canvas, ctx: this.ctx, modes });
+        this.scrubber.max = this.player.duration;
+        this.accumulator = 0;
+        this.fitCanvas();
+        this.pause();
+        this.updateControls();
+    }
+
+    openFile(file) {
+        file.text().then(text => {
+            const recording = SessionRecorder.parse(text);
+            if (recording) this.load(recording);
+        });
+    }
+
+    exportRecording() {
+        if (this.player) {
+            SessionRecorder.download(this.player.recording, 'zen-math-session.json');
+        }
+    }
+
+    // Scale the replay canvas (recorded size) to fit the window
+    fitCanvas() {
+        if (!this.player) return;
+        const { width, height } = this.player.renderer.getDimensions();
+        const scale = Math.min(1, (window.innerWidth * 0.92) / width, (window.innerHeight - 120) / height);
+        this.canvas.style.width = `${width * scale}px`;
+        this.canvas.style.height = `${height * scale}px`;
+    }
+
+    // --- Playback ---
+
+    play() {
+        if (!this.player) return;
+        if (this.player.isFinished()) this.seek(0);
+        this.isPlaying = true;
+        this.updateControls();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.accumulator = 0;
+        this.updateControls();
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.speedSelect.value = speed;
+    }
+
+    seek(tick) {
+        if (!this.player) return;
+        this.player.seek(tick);
+        this.accumulator = 0;
+        this.updateControls();
+    }
+
+    frame(time) {
+        if (!this.isOpen) return;
+
+        const elapsed = this.lastFrameTime === null ? 0 : (time - this.lastFrameTime) / 1000;
+        this.lastFrameTime = time;
+
+        if (this.isPlaying && this.player) {
+            this.accumulator += Math.min(elapsed, MAX_FRAME_TIME) * this.speed;
+            const steps = Math.floor(this.accumulator / FIXED_STEP);
+            if (steps > 0) {
+                this.accumulator -= steps * FIXED_STEP;
+                this.player.seek(this.player.tick + steps);
+            }
+            if (this.player.isFinished()) this.pause();
+            this.updateControls();
+        }
+
+        if (this.player) this.player.render();
+        this.frameRequest = requestAnimationFrame(this.boundFrame);
+    }
+
+    // Space plays/pauses, arrows step a second, Escape closes.
+    // Captured so the live garden's shortcuts (undo) don't fire underneath.
+    handleKeyDown(e) {
+        if (!this.isOpen) return;
+        const second = Math.round(1 / FIXED_STEP);
+
+        switch (e.key) {
+            case ' ':
+                this.togglePlay();
+                break;
+            case 'ArrowLeft':
+                this.seek(this.player.tick - second);
+                break;
+            case 'ArrowRight':
+                this.seek(this.player.tick + second);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                if (e.ctrlKey || e.metaKey) e.stopPropagation();
+                return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    updateControls() {
+        if (!this.player) return;
+        this.playButton.textContent = this.isPlaying ? '⏸' : '▶';
+        this.playButton.title = this.isPlaying ? 'Pause' : 'Play';
+        this.playButton.setAttribute('aria-label', this.playButton.title);
+        this.scrubber.value = this.player.tick;
+        this.timeLabel.textContent = `${ReplayViewer.formatTime(this.player.tick)} / ${ReplayViewer.formatTime(this.player.duration)}`;
+    }
+
+    // Simulation steps -> m:ss
+    static formatTime(ticks) {
+        const seconds = Math.floor(ticks * FIXED_STEP);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    destroy() {
+        this.close();
+        this.launchButton.remove();
+        this.element.remove();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplayViewer };
+}
@@ -0,0 +1,145 @@
+// ScreenReaderLayer - What the canvas shows, for assistive technology
+// Keeps a visually hidden copy of the scene (mode name, summary and one list item
+// per focus target) and a polite live region. Announced there: mode and challenge
+// events (ModeManager.announce), the mode summary when the mode's state
+// (ModeBase.getState) changes and no stone is held, and keyboard focus moves
+// (ui/KeyboardControls.js).
+
+const SCENE_SYNC_INTERVAL = 0.5; // Seconds between checks of the scene
+const ANNOUNCE_DELAY = 100;      // ms to gather announcements made together
+
+class ScreenReaderLayer {
+    constructor(modeManager, container, keyboardControls = null) {
+        this.modeManager = modeManager;
+        this.container = container;
+        this.keyboardControls = keyboardControls;
+        this.syncTimer = SCENE_SYNC_INTERVAL; // Sync on the first update
+        this.modeId = null;
+        this.summary = null;
+        this.stateKey = null;   // Last announced mode state, as JSON
+        this.sceneText = null;
+        this.focusText = null;
+        this.queue = [];
+        this.flushTimer = null;
+        this.createDOM();
+
+        modeManager.announcer = (message) => this.announce(message);
+    }
+
+    createDOM() {
+        this.element = document.createElement('div');
+        this.element.className = 'screen-reader-layer sr-only';
+
+        this.headingElement = document.createElement('h2');
+        this.summaryElement = document.createElement('p');
+        this.listElement = document.createElement('ul');
+        this.listElement.setAttribute('aria-label', 'Garden');
+
+        this.liveElement = document.createElement('div');
+        this.liveElement.setAttribute('role', 'status');
+        this.liveElement.setAttribute('aria-live', 'polite');
+        this.liveElement.setAttribute('aria-atomic', 'true');
+
+        this.element.appendChild(this.headingElement);
+        this.element.appendChild(this.summaryElement);
+        this.element.appendChild(this.listElement);
+        this.element.appendChild(this.liveElement);
+        this.container.appendChild(this.element);
+    }
+
+    // --- Announcements ---
+
+    announce(message) {
+        if (!message) return;
+        this.queue.push(message);
+        if (this.flushTimer === null) {
+            this.flushTimer = setTimeout(() => this.flush(), ANNOUNCE_DELAY);
+        }
+    }
+
+    flush() {
+        this.flushTimer = null;
+        let text = this.queue.join('. ');
+        this.queue = [];
+        // Same text again would not be read out; make it differ invisibly
+        if (text === this.liveElement.textContent) text += ' ';
+        this.liveElement.textContent = text;
+    }
+
+    // --- Keeping up with the scene (called every frame) ---
+
+    update(deltaTime) {
+        this.updateFocus();
+
+        this.syncTimer += deltaTime;
+        if (this.syncTimer < SCENE_SYNC_INTERVAL) return;
+        this.syncTimer = 0;
+        this.sync();
+    }
+
+    // Read out the keyboard focus when it moves or its stone is picked up
+    updateFocus() {
+        const controls = this.keyboardControls;
+        if (!controls || !controls.isVisible) {
+            this.focusText = null;
+            return;
+        }
+        const target = controls.getFocused();
+        const text = target ? this.describe(target) : null;
+        if (text && text !== this.focusText) this.announce(text);
+        this.focusText = text;
+    }
+
+    sync() {
+        const manager = this.modeManager;
+        const mode = manager.getCurrentMode();
+        if (!mode) return;
+
+        const modeId = manager.getCurrentModeId();
+        const summary = mode.getAccessibleSummary();
+        const stateKey = JSON.stringify(mode.getState());
+        if (modeId !== this.modeId) {
+            const name = manager.modes.get(modeId).metadata.name;
+            this.modeId = modeId;
+            this.headingElement.textContent = name;
+            this.announce(`${name}. ${summary}`);
+            this.summary = summary;
+            this.stateKey = stateKey;
+        } else if (stateKey !== this.stateKey && !manager.isDragging()) {
+            // Only a change in what the mode reports is news, not a stone drifting
+            if (summary !== this.summary) this.announce(summary);
+            this.summary = summary;
+            this.stateKey = stateKey;
+        }
+        this.summaryElement.textContent = summary;
+
+        // Rebuild the list only when something in it changed
+        const items = mode.getFocusTargets().map(target => this.describe(target));
+        const sceneText = items.join('\n');
+        if (sceneText !== this.sceneText) {
+            this.sceneText = sceneText;
+            this.listElement.innerHTML = '';
+            items.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                this.listElement.appendChild(item);
+            });
+        }
+    }
+
+    describe(target) {
+        const text = this.modeManager.getCurrentMode().describeTarget(target);
+        return target.kind === 'stone' && target.stone.isDragging ? `${text}, held` : text;
+    }
+
+    destroy() {
+        clearTimeout(this.flushTimer);
+        this.modeManager.announcer = null;
+        this.element.remove();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScreenReaderLayer };
+}
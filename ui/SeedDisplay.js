@@ -0,0 +1,65 @@
+// SeedDisplay - Small seed badge so a session can be shared or reported
+// Shows the current random seed; tapping it copies a link that reproduces the session.
+
+class SeedDisplay {
+    constructor(random, container) {
+        this.random = random;
+        this.container = container;
+        this.element = null;
+        this.resetTimer = null;
+        this.createDOM();
+    }
+
+    createDOM() {
+        this.element = document.createElement('button');
+        this.element.className = 'seed-display';
+        this.element.title = 'Copy a link to this garden';
+        this.element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.copyLink();
+        });
+        this.container.appendChild(this.element);
+        this.update();
+    }
+
+    update(text) {
+        this.element.textContent = text || `seed ${this.random.getSeed()}`;
+    }
+
+    // URL of the current page with this seed in the query string
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.random.getSeed());
+        return url.toString();
+    }
+
+    copyLink() {
+        const url = this.getShareUrl();
+        const done = () => this.flash('link copied');
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(done, () => window.prompt('Garden link', url));
+        } else {
+            window.prompt('Garden link', url);
+        }
+    }
+
+    // Briefly replace the badge text
+    flash(text) {
+        this.update(text);
+        clearTimeout(this.resetTimer);
+        this.resetTimer = setTimeout(() => this.update(), 1500);
+    }
+
+    destroy() {
+        clearTimeout(this.resetTimer);
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeedDisplay };
+}